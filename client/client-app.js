@@ -222,6 +222,7 @@ Vue.component('VTooltip', VTooltip)
 
 Vue.component('Admin', () => import(/* webpackChunkName: "admin" */ './components/admin.vue'))
 Vue.component('Comments', () => import(/* webpackChunkName: "comments" */ './components/comments.vue'))
+Vue.component('CommentsMargin', () => import(/* webpackChunkName: "comments" */ './components/comments-margin.vue'))
 Vue.component('Editor', () => import(/* webpackPrefetch: -100, webpackChunkName: "editor" */ './components/editor.vue'))
 Vue.component('History', () => import(/* webpackChunkName: "history" */ './components/history.vue'))
 Vue.component('Loader', () => import(/* webpackPrefetch: true, webpackChunkName: "ui-extra" */ './components/common/loader.vue'))
@@ -230,6 +231,8 @@ Vue.component('NavHeader', () => import(/* webpackMode: "eager" */ './components
 Vue.component('NewPage', () => import(/* webpackChunkName: "new-page" */ './components/new-page.vue'))
 Vue.component('Notify', () => import(/* webpackMode: "eager" */ './components/common/notify.vue'))
 Vue.component('NotFound', () => import(/* webpackChunkName: "not-found" */ './components/not-found.vue'))
+Vue.component('PageWatch', () => import(/* webpackPrefetch: true, webpackChunkName: "ui-extra" */ './components/common/page-watch.vue'))
+Vue.component('PageArchive', () => import(/* webpackPrefetch: true, webpackChunkName: "ui-extra" */ './components/common/page-archive.vue'))
 Vue.component('PageSelector', () => import(/* webpackPrefetch: true, webpackChunkName: "ui-extra" */ './components/common/page-selector.vue'))
 Vue.component('PageSource', () => import(/* webpackChunkName: "source" */ './components/source.vue'))
 Vue.component('Profile', () => import(/* webpackChunkName: "profile" */ './components/profile.vue'))
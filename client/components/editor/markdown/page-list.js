@@ -0,0 +1,38 @@
+const _ = require('lodash')
+
+const blockRegex = /^:::\s*pages\b(.*?)(?::::)?\s*$/
+
+// ------------------------------------
+// Markdown - Page List Preview
+// ------------------------------------
+//
+// Page lists depend on the viewer's permissions, they are filled in when the page is viewed.
+
+module.exports = {
+  init (mdinst) {
+    mdinst.block.ruler.before('fence', 'page_list', (state, startLine, endLine, silent) => {
+      const start = state.bMarks[startLine] + state.tShift[startLine]
+      const max = state.eMarks[startLine]
+
+      if (state.src.charCodeAt(start) !== 0x3A /* : */) { return false }
+
+      const match = state.src.slice(start, max).match(blockRegex)
+      if (!match) { return false }
+      if (silent) { return true }
+
+      const token = state.push('page_list', 'div', 0)
+      token.block = true
+      token.info = _.trim(match[1])
+      token.map = [startLine, startLine + 1]
+      token.markup = ':::'
+
+      state.line = startLine + 1
+      return true
+    }, {
+      alt: ['paragraph', 'reference', 'blockquote', 'list']
+    })
+    mdinst.renderer.rules.page_list = (tokens, idx) => {
+      return `<div class="page-list page-list-empty" v-pre><em>Page list ${_.escape(tokens[idx].info)} ( rendered when viewing the page )</em></div>\n`
+    }
+  }
+}
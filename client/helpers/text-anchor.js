@@ -0,0 +1,185 @@
+import _ from 'lodash'
+
+// Characters of context kept before and after a quote, must match server/helpers/anchor.js
+const contextLength = 32
+
+// Elements whose text is not part of the page content
+const ignoredSelector = 'script, style, .comments-anchor-ignore'
+
+/**
+ * Get the number of identical characters at the start of two strings
+ */
+function commonPrefixLength (a, b) {
+  let idx = 0
+  while (idx < a.length && idx < b.length && a[idx] === b[idx]) { idx++ }
+  return idx
+}
+
+/**
+ * Get the number of identical characters at the end of two strings
+ */
+function commonSuffixLength (a, b) {
+  let idx = 0
+  while (idx < a.length && idx < b.length && a[a.length - idx - 1] === b[b.length - idx - 1]) { idx++ }
+  return idx
+}
+
+export default {
+  /**
+   * Build the normalized text of an element, with whitespace collapsed, and the
+   * position of each of its characters in the DOM
+   *
+   * @param {Element} root Content element
+   * @returns {Object} Text, text nodes and position of each character
+   */
+  getTextMap (root) {
+    const nodes = []
+    const charNodes = []
+    const charOffsets = []
+    let text = ''
+    let pendingSpace = null
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.parentElement && node.parentElement.closest(ignoredSelector) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    })
+    while (walker.nextNode()) {
+      const node = walker.currentNode
+      const nodeIdx = nodes.push(node) - 1
+      for (let offset = 0; offset < node.data.length; offset++) {
+        if (/\s/.test(node.data[offset])) {
+          pendingSpace = pendingSpace || { nodeIdx, offset }
+          continue
+        }
+        if (pendingSpace && text.length > 0) {
+          text += ' '
+          charNodes.push(pendingSpace.nodeIdx)
+          charOffsets.push(pendingSpace.offset)
+        }
+        pendingSpace = null
+        text += node.data[offset]
+        charNodes.push(nodeIdx)
+        charOffsets.push(offset)
+      }
+    }
+
+    return { text, nodes, charNodes, charOffsets }
+  },
+  /**
+   * Describe a selected range as an anchor
+   *
+   * @param {Object} map Text map, from getTextMap
+   * @param {Range} range Selected range
+   * @returns {Object|null} Anchor, with the quote, its context and its offset
+   */
+  rangeToAnchor (map, range) {
+    // -> Binary search of the first character at or after a range boundary
+    const firstCharAfter = (container, offset) => {
+      const boundary = document.createRange()
+      boundary.setStart(container, offset)
+      let low = 0
+      let high = map.text.length
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2)
+        if (boundary.comparePoint(map.nodes[map.charNodes[mid]], map.charOffsets[mid]) < 0) {
+          low = mid + 1
+        } else {
+          high = mid
+        }
+      }
+      return low
+    }
+    let start = firstCharAfter(range.startContainer, range.startOffset)
+    let end = firstCharAfter(range.endContainer, range.endOffset)
+    while (start < end && map.text[start] === ' ') { start++ }
+    while (end > start && map.text[end - 1] === ' ') { end-- }
+    if (end <= start) {
+      return null
+    }
+    return {
+      quote: map.text.substring(start, end),
+      prefix: map.text.substring(Math.max(0, start - contextLength), start),
+      suffix: map.text.substring(end, end + contextLength),
+      offset: start
+    }
+  },
+  /**
+   * Find the DOM range an anchor refers to
+   *
+   * @param {Object} map Text map, from getTextMap
+   * @param {Object} anchor Anchor, with the quote, prefix, suffix and offset
+   * @returns {Range|null} Range of the quote, null if it cannot be found
+   */
+  anchorToRange (map, anchor) {
+    const quote = _.get(anchor, 'quote', '')
+    const prefix = _.get(anchor, 'prefix') || ''
+    const suffix = _.get(anchor, 'suffix') || ''
+    const candidates = []
+    let idx = quote.length > 0 ? map.text.indexOf(quote) : -1
+    while (idx >= 0 && candidates.length < 1000) {
+      candidates.push(idx)
+      idx = map.text.indexOf(quote, idx + 1)
+    }
+    if (candidates.length < 1) {
+      return null
+    }
+    const start = _.maxBy(candidates, pos => {
+      const contextScore = commonSuffixLength(map.text.substring(pos - prefix.length, pos), prefix) +
+        commonPrefixLength(map.text.substring(pos + quote.length, pos + quote.length + suffix.length), suffix)
+      return contextScore - Math.abs(pos - anchor.offset) / (map.text.length + 1)
+    })
+    const end = start + quote.length - 1
+
+    const range = document.createRange()
+    range.setStart(map.nodes[map.charNodes[start]], map.charOffsets[start])
+    range.setEnd(map.nodes[map.charNodes[end]], map.charOffsets[end] + 1)
+    return range
+  },
+  /**
+   * Wrap the text of a range in highlight elements
+   *
+   * @param {Range} range Range to highlight
+   * @param {Function} createElement Function returning a new, empty highlight element
+   * @returns {Array<Element>} Highlight elements, in document order
+   */
+  highlightRange (range, createElement) {
+    const textNodes = []
+    const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT)
+    let node = range.commonAncestorContainer.nodeType === Node.TEXT_NODE ? range.commonAncestorContainer : walker.nextNode()
+    while (node) {
+      if (range.intersectsNode(node) && node.data.trim().length > 0) {
+        textNodes.push(node)
+      }
+      node = walker.nextNode()
+    }
+
+    return textNodes.map(textNode => {
+      let target = textNode
+      if (textNode === range.endContainer && range.endOffset < textNode.data.length) {
+        target.splitText(range.endOffset)
+      }
+      if (textNode === range.startContainer && range.startOffset > 0) {
+        target = target.splitText(range.startOffset)
+      }
+      const el = createElement()
+      target.parentNode.insertBefore(el, target)
+      el.appendChild(target)
+      return el
+    })
+  },
+  /**
+   * Remove highlight elements, restoring their text
+   *
+   * @param {Array<Element>} elements Highlight elements
+   */
+  removeHighlights (elements) {
+    elements.forEach(el => {
+      const parent = el.parentNode
+      if (!parent) { return }
+      while (el.firstChild) {
+        parent.insertBefore(el.firstChild, el)
+      }
+      parent.removeChild(el)
+      parent.normalize()
+    })
+  }
+}
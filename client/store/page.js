@@ -9,6 +9,7 @@ const state = {
   isPublished: true,
   locale: 'en',
   path: '',
+  properties: {},
   publishEndDate: '',
   publishStartDate: '',
   tags: [],
@@ -1,63 +1,77 @@
 /**
  * Approval Workflow GraphQL Resolvers
+ *
+ * Resolvers run in the plugin sandbox: `this` is the plugin context and
+ * context.user holds the requesting user (null for guests).
  */
 
+const approvals = require('../server/approvals')
+
+/**
+ * Only administrators may read and review approval requests
+ */
+function requireAdmin(context) {
+  if (!context.user || !context.user.isAdmin) {
+    throw new Error('Administrator access required')
+  }
+}
+
+/**
+ * Approve or reject a request, as a mutation result
+ */
+async function review(ctx, args, context, status) {
+  requireAdmin(context)
+  try {
+    const approval = await approvals.review(ctx.db, args.id, status, context.user, args.notes)
+
+    ctx.logger.info(`Approval ${args.id} ${status} by ${context.user.name}`)
+
+    return {
+      responseResult: {
+        succeeded: true,
+        errorCode: 0,
+        slug: `approval-${status}`,
+        message: `Approval request ${status} successfully`
+      },
+      approval
+    }
+  } catch (err) {
+    ctx.logger.error(`Failed to review request: ${err.message}`)
+    return {
+      responseResult: {
+        succeeded: false,
+        errorCode: err.errorCode || 3,
+        slug: err.code || 'approval-error',
+        message: err.message
+      }
+    }
+  }
+}
+
 module.exports = {
   Query: {
     /**
      * Get approval requests
      */
     async approvalRequests(obj, args, context) {
-      const { status, limit = 50, offset = 0 } = args
-
-      // Access plugin models through WIKI.plugins.modelLoader
-      const Approval = WIKI.plugins.modelLoader.getPluginModelsObject('approval-workflow').Approval
-
-      let query = Approval.query()
-        .orderBy('requestedAt', 'desc')
-        .limit(limit)
-        .offset(offset)
-
-      if (status) {
-        query = query.where('status', status)
-      }
-
-      const approvals = await query
-      const totalResult = await Approval.query().count('* as count').first()
-
-      return {
-        approvals,
-        total: parseInt(totalResult.count)
-      }
+      requireAdmin(context)
+      return approvals.list(this.db, args)
     },
 
     /**
      * Get a specific approval request
      */
     async approvalRequest(obj, args, context) {
-      const Approval = WIKI.plugins.modelLoader.getPluginModelsObject('approval-workflow').Approval
-      return Approval.query().findById(args.id)
+      requireAdmin(context)
+      return approvals.get(this.db, args.id)
     },
 
     /**
      * Get approval statistics
      */
     async approvalStats(obj, args, context) {
-      const Approval = WIKI.plugins.modelLoader.getPluginModelsObject('approval-workflow').Approval
-
-      const [pending, approved, rejected, total] = await Promise.all([
-        Approval.query().where('status', 'pending').count('* as count').first(),
-        Approval.query().where('status', 'approved').count('* as count').first(),
-        Approval.query().where('status', 'rejected').count('* as count').first(),
-        Approval.query().count('* as count').first()
-      ])
-
-      return {
-        pending: parseInt(pending.count),
-        approved: parseInt(approved.count),
-        rejected: parseInt(rejected.count),
-        total: parseInt(total.count)
-      }
+      requireAdmin(context)
+      return approvals.stats(this.db)
     }
   },
 
@@ -66,119 +80,14 @@ module.exports = {
      * Approve a request
      */
     async approveRequest(obj, args, context) {
-      try {
-        const Approval = WIKI.plugins.modelLoader.getPluginModelsObject('approval-workflow').Approval
-        const approval = await Approval.query().findById(args.id)
-
-        if (!approval) {
-          return {
-            responseResult: {
-              succeeded: false,
-              errorCode: 1,
-              slug: 'approval-not-found',
-              message: 'Approval request not found'
-            }
-          }
-        }
-
-        if (approval.status !== 'pending') {
-          return {
-            responseResult: {
-              succeeded: false,
-              errorCode: 2,
-              slug: 'approval-already-reviewed',
-              message: 'Approval request has already been reviewed'
-            }
-          }
-        }
-
-        // Get user from context
-        const userId = context.req.user?.id || 1
-        const userName = context.req.user?.name || 'Administrator'
-
-        const updatedApproval = await approval.approve(userId, userName, args.notes)
-
-        WIKI.logger.info(`[Plugin:approval-workflow] Approval ${args.id} approved by ${userName}`)
-
-        return {
-          responseResult: {
-            succeeded: true,
-            errorCode: 0,
-            slug: 'approval-approved',
-            message: 'Approval request approved successfully'
-          },
-          approval: updatedApproval
-        }
-      } catch (err) {
-        WIKI.logger.error(`[Plugin:approval-workflow] Failed to approve request: ${err.message}`)
-        return {
-          responseResult: {
-            succeeded: false,
-            errorCode: 3,
-            slug: 'approval-error',
-            message: err.message
-          }
-        }
-      }
+      return review(this, args, context, 'approved')
     },
 
     /**
      * Reject a request
      */
     async rejectRequest(obj, args, context) {
-      try {
-        const Approval = WIKI.plugins.modelLoader.getPluginModelsObject('approval-workflow').Approval
-        const approval = await Approval.query().findById(args.id)
-
-        if (!approval) {
-          return {
-            responseResult: {
-              succeeded: false,
-              errorCode: 1,
-              slug: 'approval-not-found',
-              message: 'Approval request not found'
-            }
-          }
-        }
-
-        if (approval.status !== 'pending') {
-          return {
-            responseResult: {
-              succeeded: false,
-              errorCode: 2,
-              slug: 'approval-already-reviewed',
-              message: 'Approval request has already been reviewed'
-            }
-          }
-        }
-
-        const userId = context.req.user?.id || 1
-        const userName = context.req.user?.name || 'Administrator'
-
-        const updatedApproval = await approval.reject(userId, userName, args.notes)
-
-        WIKI.logger.info(`[Plugin:approval-workflow] Approval ${args.id} rejected by ${userName}`)
-
-        return {
-          responseResult: {
-            succeeded: true,
-            errorCode: 0,
-            slug: 'approval-rejected',
-            message: 'Approval request rejected successfully'
-          },
-          approval: updatedApproval
-        }
-      } catch (err) {
-        WIKI.logger.error(`[Plugin:approval-workflow] Failed to reject request: ${err.message}`)
-        return {
-          responseResult: {
-            succeeded: false,
-            errorCode: 3,
-            slug: 'approval-error',
-            message: err.message
-          }
-        }
-      }
+      return review(this, args, context, 'rejected')
     }
   }
 }
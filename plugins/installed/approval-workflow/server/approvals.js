@@ -0,0 +1,77 @@
+/**
+ * Approval requests, shared by the API routes and the GraphQL resolvers
+ *
+ * Both run in the plugin sandbox and query the plugin tables through the db context.
+ */
+
+const TABLE = 'plugin_approval-workflow_requests'
+
+module.exports = {
+  /**
+   * List approval requests, newest first
+   */
+  async list(db, { status, limit = 50, offset = 0 } = {}) {
+    let query = db.table(TABLE)
+      .orderBy('requestedAt', 'desc')
+      .limit(parseInt(limit))
+      .offset(parseInt(offset))
+    let totalQuery = db.table(TABLE)
+
+    if (status) {
+      query = query.where('status', status)
+      totalQuery = totalQuery.where('status', status)
+    }
+
+    const [approvals, total] = await Promise.all([query, totalQuery.count()])
+    return { approvals, total }
+  },
+
+  /**
+   * Get a specific approval request
+   */
+  async get(db, id) {
+    return db.table(TABLE).where('id', parseInt(id)).first()
+  },
+
+  /**
+   * Count approval requests by status
+   */
+  async stats(db) {
+    const [pending, approved, rejected, total] = await Promise.all([
+      db.table(TABLE).where('status', 'pending').count(),
+      db.table(TABLE).where('status', 'approved').count(),
+      db.table(TABLE).where('status', 'rejected').count(),
+      db.table(TABLE).count()
+    ])
+    return { pending, approved, rejected, total }
+  },
+
+  /**
+   * Approve or reject a pending request
+   * @param {Object} db - Plugin database context
+   * @param {number} id - Approval request ID
+   * @param {string} status - approved or rejected
+   * @param {Object} reviewer - User hook data of the reviewer
+   * @param {string} notes - Reviewer notes
+   * @returns {Promise<Object>} Updated request
+   */
+  async review(db, id, status, reviewer, notes = null) {
+    const approval = await this.get(db, id)
+
+    if (!approval) {
+      throw Object.assign(new Error('Approval request not found'), { code: 'approval-not-found', errorCode: 1, status: 404 })
+    }
+    if (approval.status !== 'pending') {
+      throw Object.assign(new Error('Approval request has already been reviewed'), { code: 'approval-already-reviewed', errorCode: 2, status: 400 })
+    }
+
+    await db.table(TABLE).where('id', approval.id).update({
+      status,
+      approverId: reviewer.id,
+      approverName: reviewer.name,
+      approverNotes: notes || null,
+      reviewedAt: new Date().toISOString()
+    })
+    return this.get(db, approval.id)
+  }
+}
@@ -30,8 +30,12 @@ module.exports = async function (data) {
     }
 
     // Check if there's a path-specific setting
-    const ApprovalSetting = this.db.pluginModels.ApprovalSetting
-    const pathSetting = await ApprovalSetting.findForPath(page.path, page.localeCode)
+    const settings = await this.db.table('plugin_approval-workflow_settings').where({ locale: page.localeCode })
+    const pathSetting = settings.find(setting => {
+      // Simple wildcard matching (* = any characters)
+      const pattern = setting.pathPattern.replace(/\*/g, '.*')
+      return new RegExp(`^${pattern}$`).test(page.path)
+    })
 
     if (pathSetting) {
       if (!pathSetting.requireApproval) {
@@ -46,9 +50,7 @@ module.exports = async function (data) {
     }
 
     // Create approval request
-    const Approval = this.db.pluginModels.Approval
-
-    const approval = await Approval.query().insert({
+    await this.db.table('plugin_approval-workflow_requests').insert({
       pageId: page.id,
       pagePath: page.path,
       pageTitle: page.title,
@@ -57,15 +59,15 @@ module.exports = async function (data) {
       requesterEmail: user.email,
       status: 'pending',
       isNew: true,
-      changeDescription: `New page created: ${page.title}`
+      changeDescription: `New page created: ${page.title}`,
+      requestedAt: new Date().toISOString()
     })
 
-    this.logger.info(`Created approval request #${approval.id} for NEW page ${page.id} by ${user.name}`)
+    this.logger.info(`Created approval request for NEW page ${page.id} by ${user.name}`)
 
     // Emit event for notification
     if (this.events) {
       this.events.emit('plugin:approval:created', {
-        approvalId: approval.id,
         pageId: page.id,
         pageTitle: page.title,
         requesterName: user.name,
@@ -30,8 +30,12 @@ module.exports = async function (data) {
     }
 
     // Check if there's a path-specific setting
-    const ApprovalSetting = this.db.pluginModels.ApprovalSetting
-    const pathSetting = await ApprovalSetting.findForPath(page.path, page.localeCode)
+    const settings = await this.db.table('plugin_approval-workflow_settings').where({ locale: page.localeCode })
+    const pathSetting = settings.find(setting => {
+      // Simple wildcard matching (* = any characters)
+      const pattern = setting.pathPattern.replace(/\*/g, '.*')
+      return new RegExp(`^${pattern}$`).test(page.path)
+    })
 
     if (pathSetting) {
       if (!pathSetting.requireApproval) {
@@ -45,14 +49,12 @@ module.exports = async function (data) {
       }
     }
 
-    // Create approval request
-    const Approval = this.db.pluginModels.Approval
-
     // Calculate change summary
     const contentLengthChange = page.content.length - (previousVersion?.content?.length || 0)
     const changeDescription = `Page updated: ${page.title} (${contentLengthChange > 0 ? '+' : ''}${contentLengthChange} characters)`
 
-    const approval = await Approval.query().insert({
+    // Create approval request
+    await this.db.table('plugin_approval-workflow_requests').insert({
       pageId: page.id,
       pagePath: page.path,
       pageTitle: page.title,
@@ -62,15 +64,14 @@ module.exports = async function (data) {
       status: 'pending',
       isNew: false,
       changeDescription,
-      previousContent: previousVersion?.content?.substring(0, 500) // Store first 500 chars for comparison
+      requestedAt: new Date().toISOString()
     })
 
-    this.logger.info(`Created approval request #${approval.id} for UPDATED page ${page.id} by ${user.name}`)
+    this.logger.info(`Created approval request for UPDATED page ${page.id} by ${user.name}`)
 
     // Emit event for notification
     if (this.events) {
       this.events.emit('plugin:approval:created', {
-        approvalId: approval.id,
         pageId: page.id,
         pageTitle: page.title,
         requesterName: user.name,
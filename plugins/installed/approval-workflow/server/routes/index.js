@@ -1,32 +1,15 @@
 const express = require('express')
+const approvals = require('../approvals')
 const router = express.Router()
 
 /**
- * Get all approval requests
+ * Get approval statistics (counts only, shown in the page toolbar)
  */
-router.get('/approvals', async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
-    const { status, limit = 50, offset = 0 } = req.query
-    const Approval = req.pluginContext.db.pluginModels.Approval
-
-    let query = Approval.query()
-      .orderBy('requestedAt', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset))
-
-    if (status) {
-      query = query.where('status', status)
-    }
-
-    const approvals = await query
-    const total = await Approval.query().count('* as count').first()
-
-    res.json({
-      approvals,
-      total: parseInt(total.count)
-    })
+    res.json({ stats: await approvals.stats(req.pluginContext.db) })
   } catch (err) {
-    req.pluginContext.logger.error(`Failed to fetch approvals: ${err.message}`)
+    req.pluginContext.logger.error(`Failed to fetch stats: ${err.message}`)
     res.status(500).json({
       error: true,
       message: err.message
@@ -35,67 +18,26 @@ router.get('/approvals', async (req, res) => {
 })
 
 /**
- * Get a specific approval request
+ * Only administrators may read and review approval requests
  */
-router.get('/approvals/:id', async (req, res) => {
-  try {
-    const Approval = req.pluginContext.db.pluginModels.Approval
-    const approval = await Approval.query().findById(req.params.id)
-
-    if (!approval) {
-      return res.status(404).json({
-        error: true,
-        message: 'Approval request not found'
-      })
-    }
-
-    res.json({ approval })
-  } catch (err) {
-    req.pluginContext.logger.error(`Failed to fetch approval: ${err.message}`)
-    res.status(500).json({
+router.use((req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({
       error: true,
-      message: err.message
+      message: 'Administrator access required'
     })
   }
+  next()
 })
 
 /**
- * Approve a request
+ * Get all approval requests
  */
-router.post('/approvals/:id/approve', async (req, res) => {
+router.get('/approvals', async (req, res) => {
   try {
-    const Approval = req.pluginContext.db.pluginModels.Approval
-    const approval = await Approval.query().findById(req.params.id)
-
-    if (!approval) {
-      return res.status(404).json({
-        error: true,
-        message: 'Approval request not found'
-      })
-    }
-
-    if (approval.status !== 'pending') {
-      return res.status(400).json({
-        error: true,
-        message: 'Approval request has already been reviewed'
-      })
-    }
-
-    // Get user info from request (would come from auth middleware in production)
-    const userId = req.body.userId || 1
-    const userName = req.body.userName || 'Administrator'
-    const notes = req.body.notes || null
-
-    const updatedApproval = await approval.approve(userId, userName, notes)
-
-    req.pluginContext.logger.info(`Approval request ${approval.id} approved by ${userName}`)
-
-    res.json({
-      success: true,
-      approval: updatedApproval
-    })
+    res.json(await approvals.list(req.pluginContext.db, req.query))
   } catch (err) {
-    req.pluginContext.logger.error(`Failed to approve request: ${err.message}`)
+    req.pluginContext.logger.error(`Failed to fetch approvals: ${err.message}`)
     res.status(500).json({
       error: true,
       message: err.message
@@ -104,12 +46,11 @@ router.post('/approvals/:id/approve', async (req, res) => {
 })
 
 /**
- * Reject a request
+ * Get a specific approval request
  */
-router.post('/approvals/:id/reject', async (req, res) => {
+router.get('/approvals/:id', async (req, res) => {
   try {
-    const Approval = req.pluginContext.db.pluginModels.Approval
-    const approval = await Approval.query().findById(req.params.id)
+    const approval = await approvals.get(req.pluginContext.db, req.params.id)
 
     if (!approval) {
       return res.status(404).json({
@@ -118,27 +59,9 @@ router.post('/approvals/:id/reject', async (req, res) => {
       })
     }
 
-    if (approval.status !== 'pending') {
-      return res.status(400).json({
-        error: true,
-        message: 'Approval request has already been reviewed'
-      })
-    }
-
-    const userId = req.body.userId || 1
-    const userName = req.body.userName || 'Administrator'
-    const notes = req.body.notes || null
-
-    const updatedApproval = await approval.reject(userId, userName, notes)
-
-    req.pluginContext.logger.info(`Approval request ${approval.id} rejected by ${userName}`)
-
-    res.json({
-      success: true,
-      approval: updatedApproval
-    })
+    res.json({ approval })
   } catch (err) {
-    req.pluginContext.logger.error(`Failed to reject request: ${err.message}`)
+    req.pluginContext.logger.error(`Failed to fetch approval: ${err.message}`)
     res.status(500).json({
       error: true,
       message: err.message
@@ -147,30 +70,22 @@ router.post('/approvals/:id/reject', async (req, res) => {
 })
 
 /**
- * Get approval statistics
+ * Approve or reject a request
  */
-router.get('/stats', async (req, res) => {
+router.post('/approvals/:id/:action(approve|reject)', async (req, res) => {
   try {
-    const Approval = req.pluginContext.db.pluginModels.Approval
+    const status = req.params.action === 'approve' ? 'approved' : 'rejected'
+    const approval = await approvals.review(req.pluginContext.db, req.params.id, status, req.user, req.body.notes)
 
-    const [pending, approved, rejected, total] = await Promise.all([
-      Approval.query().where('status', 'pending').count('* as count').first(),
-      Approval.query().where('status', 'approved').count('* as count').first(),
-      Approval.query().where('status', 'rejected').count('* as count').first(),
-      Approval.query().count('* as count').first()
-    ])
+    req.pluginContext.logger.info(`Approval request ${approval.id} ${status} by ${req.user.name}`)
 
     res.json({
-      stats: {
-        pending: parseInt(pending.count),
-        approved: parseInt(approved.count),
-        rejected: parseInt(rejected.count),
-        total: parseInt(total.count)
-      }
+      success: true,
+      approval
     })
   } catch (err) {
-    req.pluginContext.logger.error(`Failed to fetch stats: ${err.message}`)
-    res.status(500).json({
+    req.pluginContext.logger.error(`Failed to review request: ${err.message}`)
+    res.status(err.status || 500).json({
       error: true,
       message: err.message
     })
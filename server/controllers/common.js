@@ -1,6 +1,7 @@
 const express = require('express')
 const router = express.Router()
 const pageHelper = require('../helpers/page')
+const securityHelper = require('../helpers/security')
 const _ = require('lodash')
 const CleanCSS = require('clean-css')
 const moment = require('moment')
@@ -31,6 +32,33 @@ router.get('/healthz', (req, res, next) => {
   }
 })
 
+/**
+ * Audit Log Export
+ */
+router.get('/a/audit-log/export', async (req, res, next) => {
+  if (!WIKI.auth.checkAccess(req.user, ['manage:system'])) {
+    _.set(res.locals, 'pageMeta.title', 'Unauthorized')
+    return res.status(403).render('unauthorized', { action: 'view' })
+  }
+
+  try {
+    const filter = _.pick(req.query, ['format', 'category', 'action', 'actorId', 'targetType', 'targetId', 'search', 'dateFrom', 'dateTo'])
+    const result = await WIKI.models.auditLog.exportEntries(filter)
+    await WIKI.models.auditLog.record({ req }, {
+      action: 'auditLog:export',
+      meta: filter
+    })
+    res.attachment(result.fileName)
+    res.type(result.mime)
+    res.send(result.data)
+  } catch (err) {
+    if (err instanceof WIKI.Error.AuditLogFormatUnsupported) {
+      return res.status(400).send(err.message)
+    }
+    next(err)
+  }
+})
+
 /**
  * Administration
  */
@@ -147,9 +175,26 @@ router.get(['/e', '/e/*'], async (req, res, next) => {
     await page.$relatedQuery('tags')
     page.tags = _.map(page.tags, 'tag')
 
+    // -> Get page properties
+    page.properties = _.map(await WIKI.models.pageProperties.getForPage(page.id), p => _.pick(p, ['key', 'value', 'text']))
+
     // Handle missing extra field
     page.extra = page.extra || { css: '', js: '' }
 
+    // -> Resume pending draft
+    const draft = await WIKI.models.pageDrafts.query().findOne({ pageId: page.id })
+    if (draft) {
+      page.title = draft.title
+      page.description = draft.description
+      page.content = draft.content
+      page.tags = draft.tags || []
+      page.extra.css = _.isNil(draft.scriptCss) ? page.extra.css : draft.scriptCss
+      page.extra.js = _.isNil(draft.scriptJs) ? page.extra.js : draft.scriptJs
+      page.draftPublishAt = draft.publishAt || ''
+      page.draftPublishError = draft.publishError || ''
+    }
+    page.hasDraft = draft ? 'true' : 'false'
+
     // -> Beautify Script CSS
     if (!_.isEmpty(page.extra.css)) {
       page.extra.css = new CleanCSS({ format: 'beautify' }).minify(page.extra.css).styles
@@ -167,6 +212,11 @@ router.get(['/e', '/e/*'], async (req, res, next) => {
       return res.status(403).render('unauthorized', { action: 'create' })
     }
 
+    // -> Pages under a path with a required template are created from the new page screen
+    if (await WIKI.models.pages.getTemplateRule({ path: pageArgs.path, locale: pageArgs.locale })) {
+      return res.redirect(`/${pageArgs.locale}/${pageArgs.path}`)
+    }
+
     _.set(res.locals, 'pageMeta.title', `New Page`)
     page = {
       path: pageArgs.path,
@@ -176,6 +226,7 @@ router.get(['/e', '/e/*'], async (req, res, next) => {
       content: null,
       title: null,
       description: null,
+      properties: [],
       updatedAt: new Date().toISOString(),
       extra: {
         css: '',
@@ -393,6 +444,108 @@ router.get(['/t', '/t/*'], (req, res, next) => {
   res.render('tags')
 })
 
+/**
+ * Export Page / Page Tree as PDF
+ */
+router.get(['/x/pdf', '/x/pdf/*'], async (req, res, next) => {
+  // -> Rendering is expensive, guests cannot export PDFs
+  if (!req.user || req.user.id < 1 || req.user.id === 2) {
+    _.set(res.locals, 'pageMeta.title', 'Unauthorized')
+    return res.status(403).render('unauthorized', { action: 'download' })
+  }
+
+  const pageArgs = pageHelper.parsePath(req.path.substring(6), { stripExt: true })
+  const parseFlag = val => _.isUndefined(val) ? null : (val === '1' || val === 'true')
+
+  try {
+    const result = await WIKI.models.export.exportToPdf({
+      locale: pageArgs.locale,
+      path: pageArgs.path,
+      includeChildren: parseFlag(req.query.tree) === true,
+      cover: parseFlag(req.query.cover),
+      toc: parseFlag(req.query.toc),
+      authToken: securityHelper.extractJWT(req),
+      user: req.user
+    })
+    res.attachment(result.fileName)
+    res.type('application/pdf')
+    res.send(result.data)
+  } catch (err) {
+    if (err instanceof WIKI.Error.ExportNoPages) {
+      _.set(res.locals, 'pageMeta.title', 'Unauthorized')
+      return res.status(403).render('unauthorized', { action: 'download' })
+    } else if (err instanceof WIKI.Error.ExportPdfUnavailable) {
+      return res.status(501).send(err.message)
+    } else if (err instanceof WIKI.Error.ExportTooManyPages) {
+      return res.status(413).send(err.message)
+    }
+    WIKI.logger.warn(`PDF export of ${pageArgs.locale}/${pageArgs.path} failed: ${err.message}`)
+    res.status(500).send('PDF export failed.')
+  }
+})
+
+/**
+ * Export Page Tree as a zip archive
+ */
+router.get(['/x/archive', '/x/archive/*'], async (req, res, next) => {
+  const pageArgs = pageHelper.parsePath(req.path.substring(10), { stripExt: true })
+  if (_.trim(req.path.substring(10), '/') === '') {
+    // -> Export all pages of the default locale
+    pageArgs.path = ''
+  }
+
+  try {
+    const result = await WIKI.models.export.exportToArchive({
+      locale: pageArgs.locale,
+      path: pageArgs.path,
+      user: req.user
+    })
+    res.attachment(result.fileName)
+    res.type(result.mime)
+    res.send(result.data)
+  } catch (err) {
+    if (err instanceof WIKI.Error.ExportNoPages) {
+      _.set(res.locals, 'pageMeta.title', 'Unauthorized')
+      return res.status(403).render('unauthorized', { action: 'download' })
+    } else if (err instanceof WIKI.Error.ExportTooManyPages) {
+      return res.status(413).send(err.message)
+    }
+    res.status(500).send(err.message)
+  }
+})
+
+/**
+ * Export Page / Page Tree to other formats
+ */
+router.get(['/x/:format', '/x/:format/*'], async (req, res, next) => {
+  const pageArgs = pageHelper.parsePath(req.path.substring(req.params.format.length + 3), { stripExt: true })
+
+  try {
+    const result = await WIKI.models.export.exportToFormat({
+      format: req.params.format,
+      locale: pageArgs.locale,
+      path: pageArgs.path,
+      includeChildren: req.query.tree === '1' || req.query.tree === 'true',
+      user: req.user
+    })
+    res.attachment(result.fileName)
+    res.type(result.mime)
+    res.send(result.data)
+  } catch (err) {
+    if (err instanceof WIKI.Error.ExportNoPages) {
+      _.set(res.locals, 'pageMeta.title', 'Unauthorized')
+      return res.status(403).render('unauthorized', { action: 'download' })
+    } else if (err instanceof WIKI.Error.ExportFormatUnsupported) {
+      return res.status(404).send(err.message)
+    } else if (err instanceof WIKI.Error.ExportPandocUnavailable) {
+      return res.status(501).send(err.message)
+    } else if (err instanceof WIKI.Error.ExportTooManyPages) {
+      return res.status(413).send(err.message)
+    }
+    res.status(500).send(err.message)
+  }
+})
+
 /**
  * User Avatar
  */
@@ -476,16 +629,31 @@ router.get('/*', async (req, res, next) => {
           })
         }
 
+        // -> Record page view
+        WIKI.analytics.trackPageView(req, page)
+
         // -> Build sidebar navigation
-        let sdi = 1
-        const sidebar = (await WIKI.models.navigation.getTree({ cache: true, locale: pageArgs.locale, groups: req.user.groups })).map(n => ({
-          i: `sdi-${sdi++}`,
-          k: n.kind,
-          l: n.label,
-          c: n.icon,
-          y: n.targetType,
-          t: n.target
-        }))
+        const sidebar = await WIKI.models.navigation.getSidebar({ locale: pageArgs.locale, path: pageArgs.path, user: req.user })
+
+        // -> Fill in embedded page lists
+        page.render = await WIKI.models.pages.renderPageLists({ render: page.render, locale: pageArgs.locale, user: req.user })
+
+        // -> Trigger page:render hook (plugins can alter the rendered content)
+        if (WIKI.plugins && WIKI.plugins.hooks) {
+          try {
+            const renderData = await WIKI.plugins.hooks.triggerMutable('page:render', {
+              page: WIKI.models.pages.getHookData(page),
+              render: page.render,
+              user: WIKI.models.users.getHookData(req.user)
+            })
+            // -> Plugin output skipped the html-security step of the rendering pipeline
+            if (_.isString(renderData.render) && renderData.render !== page.render) {
+              page.render = await WIKI.models.pages.sanitizeRender(renderData.render)
+            }
+          } catch (hookErr) {
+            WIKI.logger.warn(`Hook execution error (page:render): ${hookErr.message}`)
+          }
+        }
 
         // -> Build theme code injection
         const injectCode = {
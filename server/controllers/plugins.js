@@ -24,7 +24,7 @@ const upload = multer({
 
 /**
  * POST /admin/plugins/upload
- * Upload and install plugin from ZIP file
+ * Upload and install plugin from ZIP file, or stage an upgrade if the plugin is already installed
  */
 router.post('/upload',
   WIKI.auth.authenticate,
@@ -54,6 +54,31 @@ router.post('/upload',
 
       const tempPath = req.file.path
 
+      // Uploads must be signed by a trusted key when the registry requires signatures
+      const verification = await WIKI.plugins.registry.verifyUpload(tempPath, {
+        keyId: req.body.keyId,
+        signature: req.body.signature
+      })
+      if (verification.signed) {
+        WIKI.logger.info(`[Plugins] Uploaded file ${req.file.originalname} is signed with trusted key ${verification.keyId}`)
+      }
+
+      // Uploading a new version of an installed plugin stages an upgrade for review
+      const manifest = WIKI.plugins.loader.readManifestFromZip(tempPath)
+      const existing = await WIKI.models.plugins.query().findById(manifest.id)
+      if (existing) {
+        WIKI.logger.info(`[Plugins] Staging upgrade of ${manifest.id} from uploaded file: ${req.file.originalname}`)
+
+        // Staged ZIP is moved out of the temp folder, no cleanup needed
+        const upgrade = await WIKI.plugins.manager.prepareUpgrade(tempPath)
+
+        return res.json({
+          success: true,
+          upgrade,
+          message: `Review the upgrade of ${upgrade.name} from ${upgrade.fromVersion} to ${upgrade.toVersion}`
+        })
+      }
+
       WIKI.logger.info(`[Plugins] Installing plugin from uploaded file: ${req.file.originalname}`)
 
       // Install plugin using existing manager
@@ -0,0 +1,442 @@
+const express = require('express')
+const router = express.Router()
+const bodyParser = require('body-parser')
+const _ = require('lodash')
+const scimHelper = require('../helpers/scim')
+
+router.use(bodyParser.json({ type: ['application/json', 'application/scim+json'], limit: '1mb' }))
+
+/**
+ * Get the URL of the SCIM endpoint
+ */
+function getBaseUrl () {
+  return `${_.trimEnd(WIKI.config.host, '/')}/scim/v2`
+}
+
+/**
+ * Get the authentication strategy of provisioned users
+ *
+ * Provisioned users have no provider ID until their first login, when processProfile links them by email.
+ */
+function getProviderKey () {
+  const providerKey = _.get(WIKI.config, 'scim.providerKey', '')
+  if (!_.isEmpty(providerKey) && _.has(WIKI.auth.strategies, providerKey)) {
+    return providerKey
+  }
+  const strategy = _.find(_.values(WIKI.auth.strategies), str => str.isEnabled && str.strategyKey !== 'local')
+  return strategy ? strategy.key : 'local'
+}
+
+/**
+ * Send a SCIM response
+ */
+function send (res, status, body) {
+  res.status(status).type('application/scim+json')
+  return body ? res.send(JSON.stringify(body)) : res.end()
+}
+
+/**
+ * Only API keys with the required permission can use the SCIM API
+ */
+function requireAccess (permission) {
+  return (req, res, next) => {
+    if (!_.get(req, 'user.apiKey')) {
+      return next(scimHelper.createError(401, 'A valid API key must be provided as bearer token.'))
+    } else if (!WIKI.auth.checkAccess(req.user, [permission])) {
+      return next(scimHelper.createError(403, `The API key must have the ${permission} permission.`))
+    }
+    next()
+  }
+}
+
+/**
+ * Fetch a provisionable user, with its groups
+ */
+async function getUser (id) {
+  const usr = await WIKI.models.users.query().findById(_.toSafeInteger(id)).where('isSystem', false).withGraphFetched('groups').modifyGraph('groups', builder => {
+    builder.select('groups.id', 'groups.name')
+  })
+  if (!usr) {
+    throw scimHelper.createError(404, `User ${id} not found.`)
+  }
+  return usr
+}
+
+/**
+ * Fetch a group, with its members
+ */
+async function getGroup (id) {
+  const grp = await WIKI.models.groups.query().findById(_.toSafeInteger(id)).withGraphFetched('users').modifyGraph('users', builder => {
+    builder.select('users.id', 'users.name', 'users.isSystem')
+  })
+  if (!grp) {
+    throw scimHelper.createError(404, `Group ${id} not found.`)
+  }
+  return grp
+}
+
+/**
+ * Update a user from a SCIM User resource
+ */
+async function updateUser (req, usr, resource) {
+  const before = scimHelper.toUserResource(usr, getBaseUrl())
+  const data = scimHelper.parseUser(resource)
+
+  if (data.email !== usr.email) {
+    const dupUsr = await WIKI.models.users.query().select('id').where('email', data.email).whereNot('id', usr.id).first()
+    if (dupUsr) {
+      throw scimHelper.createError(409, 'Another user already uses this email address.', 'uniqueness')
+    }
+  }
+  if (!data.isActive && usr.id <= 2) {
+    throw scimHelper.createError(400, 'Cannot deactivate system accounts.', 'mutability')
+  }
+
+  await WIKI.models.users.query().patch({
+    email: data.email,
+    name: data.name,
+    isActive: data.isActive,
+    scimExternalId: data.scimExternalId,
+    ...data.timezone ? { timezone: data.timezone } : {}
+  }).findById(usr.id)
+
+  if (usr.isActive && !data.isActive) {
+    WIKI.auth.revokeUserTokens({ id: usr.id, kind: 'u' })
+    WIKI.events.outbound.emit('addAuthRevoke', { id: usr.id, kind: 'u' })
+  }
+
+  const updatedUsr = await getUser(usr.id)
+  const after = scimHelper.toUserResource(updatedUsr, getBaseUrl())
+  await WIKI.models.auditLog.record({ req }, {
+    action: (usr.isActive && !data.isActive) ? 'user:deactivate' : 'user:update',
+    target: { type: 'user', id: usr.id, name: updatedUsr.email },
+    before: _.omit(before, ['meta', 'groups']),
+    after: _.omit(after, ['meta', 'groups']),
+    meta: { source: 'scim' }
+  })
+  return after
+}
+
+/**
+ * Update a group and its members from a SCIM Group resource
+ */
+async function updateGroup (req, grp, resource) {
+  const data = scimHelper.parseGroup(resource)
+  const memberIds = _.map(_.reject(grp.users, 'isSystem'), 'id')
+
+  await WIKI.models.groups.query().patch({
+    name: data.name,
+    scimExternalId: data.scimExternalId
+  }).findById(grp.id)
+
+  // -> Sync members, guest and system accounts excluded
+  const validIds = data.memberIds.length > 0 ? await WIKI.models.users.query().pluck('id').whereIn('id', data.memberIds).andWhere('isSystem', false) : []
+  const addedIds = _.difference(validIds, memberIds)
+  // The administrator account always remains in the Administrators group
+  const removedIds = _.difference(memberIds, data.memberIds).filter(userId => !(grp.id === 1 && userId === 1))
+  if (addedIds.length > 0) {
+    await WIKI.models.knex('userGroups').insert(addedIds.map(userId => ({ userId, groupId: grp.id })))
+  }
+  if (removedIds.length > 0) {
+    await WIKI.models.knex('userGroups').where('groupId', grp.id).whereIn('userId', removedIds).del()
+  }
+  for (const userId of _.concat(addedIds, removedIds)) {
+    WIKI.auth.revokeUserTokens({ id: userId, kind: 'u' })
+    WIKI.events.outbound.emit('addAuthRevoke', { id: userId, kind: 'u' })
+  }
+
+  if (data.name !== grp.name) {
+    await WIKI.auth.reloadGroups()
+    WIKI.events.outbound.emit('reloadGroups')
+  }
+
+  await WIKI.models.auditLog.record({ req }, {
+    action: 'group:update',
+    target: { type: 'group', id: grp.id, name: data.name },
+    before: { name: grp.name, members: _.sortBy(memberIds) },
+    after: { name: data.name, members: _.sortBy(_.union(_.difference(memberIds, removedIds), addedIds)) },
+    meta: { source: 'scim' }
+  })
+
+  return scimHelper.toGroupResource(await getGroup(grp.id), getBaseUrl())
+}
+
+/**
+ * Service Provider Configuration
+ */
+router.get('/ServiceProviderConfig', (req, res, next) => {
+  send(res, 200, {
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: 1000 },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'API Key',
+      description: 'API key, sent as bearer token in the Authorization header',
+      primary: true
+    }],
+    meta: {
+      resourceType: 'ServiceProviderConfig',
+      location: `${getBaseUrl()}/ServiceProviderConfig`
+    }
+  })
+})
+
+/**
+ * Resource Types
+ */
+router.get('/ResourceTypes', (req, res, next) => {
+  const resourceTypes = [
+    { id: 'User', name: 'User', endpoint: '/Users', schema: scimHelper.schemas.user },
+    { id: 'Group', name: 'Group', endpoint: '/Groups', schema: scimHelper.schemas.group }
+  ].map(rt => ({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+    ...rt,
+    meta: {
+      resourceType: 'ResourceType',
+      location: `${getBaseUrl()}/ResourceTypes/${rt.id}`
+    }
+  }))
+  send(res, 200, scimHelper.toListResponse(resourceTypes))
+})
+
+/**
+ * List Users
+ */
+router.get('/Users', requireAccess('manage:users'), async (req, res, next) => {
+  try {
+    const users = await WIKI.models.users.query().where('isSystem', false).orderBy('id').withGraphFetched('groups').modifyGraph('groups', builder => {
+      builder.select('groups.id', 'groups.name')
+    })
+    send(res, 200, scimHelper.toListResponse(users.map(usr => scimHelper.toUserResource(usr, getBaseUrl())), req.query))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Get User
+ */
+router.get('/Users/:id', requireAccess('manage:users'), async (req, res, next) => {
+  try {
+    send(res, 200, scimHelper.toUserResource(await getUser(req.params.id), getBaseUrl()))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Create User
+ */
+router.post('/Users', requireAccess('manage:users'), async (req, res, next) => {
+  try {
+    const data = scimHelper.parseUser(req.body || {})
+    const dupUsr = await WIKI.models.users.query().select('id').where('email', data.email).first()
+    if (dupUsr) {
+      throw scimHelper.createError(409, 'A user with this email address already exists.', 'uniqueness')
+    }
+
+    const usr = await WIKI.models.users.query().insert({
+      providerKey: getProviderKey(),
+      providerId: null,
+      email: data.email,
+      name: data.name,
+      localeCode: WIKI.config.lang.code,
+      defaultEditor: 'markdown',
+      tfaIsActive: false,
+      isSystem: false,
+      isActive: data.isActive,
+      isVerified: true,
+      scimExternalId: data.scimExternalId,
+      ...data.timezone ? { timezone: data.timezone } : {}
+    })
+
+    const resource = scimHelper.toUserResource(await getUser(usr.id), getBaseUrl())
+    await WIKI.models.auditLog.record({ req }, {
+      action: 'user:create',
+      target: { type: 'user', id: usr.id, name: data.email },
+      after: _.omit(resource, ['meta', 'groups']),
+      meta: { source: 'scim' }
+    })
+    send(res, 201, resource)
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Replace User
+ */
+router.put('/Users/:id', requireAccess('manage:users'), async (req, res, next) => {
+  try {
+    const usr = await getUser(req.params.id)
+    send(res, 200, await updateUser(req, usr, req.body || {}))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Update User
+ */
+router.patch('/Users/:id', requireAccess('manage:users'), async (req, res, next) => {
+  try {
+    const usr = await getUser(req.params.id)
+    const resource = scimHelper.applyPatch(scimHelper.toUserResource(usr, getBaseUrl()), req.body || {})
+    send(res, 200, await updateUser(req, usr, resource))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Delete User
+ *
+ * The account is deactivated rather than deleted, so that its pages, history and comments are kept.
+ */
+router.delete('/Users/:id', requireAccess('manage:users'), async (req, res, next) => {
+  try {
+    const usr = await getUser(req.params.id)
+    await updateUser(req, usr, {
+      ...scimHelper.toUserResource(usr, getBaseUrl()),
+      active: false
+    })
+    send(res, 204)
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * List Groups
+ */
+router.get('/Groups', requireAccess('manage:groups'), async (req, res, next) => {
+  try {
+    const groups = await WIKI.models.groups.query().orderBy('id').withGraphFetched('users').modifyGraph('users', builder => {
+      builder.select('users.id', 'users.name')
+    })
+    let resources = groups.map(grp => scimHelper.toGroupResource(grp, getBaseUrl()))
+    if (_.toLower(req.query.excludedAttributes) === 'members') {
+      resources = resources.map(r => _.omit(r, ['members']))
+    }
+    send(res, 200, scimHelper.toListResponse(resources, req.query))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Get Group
+ */
+router.get('/Groups/:id', requireAccess('manage:groups'), async (req, res, next) => {
+  try {
+    send(res, 200, scimHelper.toGroupResource(await getGroup(req.params.id), getBaseUrl()))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Create Group
+ */
+router.post('/Groups', requireAccess('manage:groups'), async (req, res, next) => {
+  try {
+    const data = scimHelper.parseGroup(req.body || {})
+    const grp = await WIKI.models.groups.query().insertAndFetch({
+      name: data.name,
+      permissions: JSON.stringify(WIKI.data.groups.defaultPermissions),
+      pageRules: JSON.stringify(WIKI.data.groups.defaultPageRules),
+      isSystem: false,
+      scimExternalId: data.scimExternalId
+    })
+    await WIKI.models.auditLog.record({ req }, {
+      action: 'group:create',
+      target: { type: 'group', id: grp.id, name: grp.name },
+      after: _.pick(grp, ['name', 'permissions', 'pageRules']),
+      meta: { source: 'scim' }
+    })
+    await WIKI.auth.reloadGroups()
+    WIKI.events.outbound.emit('reloadGroups')
+
+    const resource = data.memberIds.length > 0 ? await updateGroup(req, await getGroup(grp.id), req.body) : scimHelper.toGroupResource(await getGroup(grp.id), getBaseUrl())
+    send(res, 201, resource)
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Replace Group
+ */
+router.put('/Groups/:id', requireAccess('manage:groups'), async (req, res, next) => {
+  try {
+    const grp = await getGroup(req.params.id)
+    send(res, 200, await updateGroup(req, grp, req.body || {}))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Update Group
+ */
+router.patch('/Groups/:id', requireAccess('manage:groups'), async (req, res, next) => {
+  try {
+    const grp = await getGroup(req.params.id)
+    const resource = scimHelper.applyPatch(scimHelper.toGroupResource(grp, getBaseUrl()), req.body || {})
+    send(res, 200, await updateGroup(req, grp, resource))
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Delete Group
+ */
+router.delete('/Groups/:id', requireAccess('manage:groups'), async (req, res, next) => {
+  try {
+    const grp = await getGroup(req.params.id)
+    if (grp.isSystem) {
+      throw scimHelper.createError(400, 'Cannot delete system groups.', 'mutability')
+    }
+    await WIKI.models.groups.query().deleteById(grp.id)
+    await WIKI.models.auditLog.record({ req }, {
+      action: 'group:delete',
+      target: { type: 'group', id: grp.id, name: grp.name },
+      before: _.pick(grp, ['name', 'permissions', 'pageRules', 'redirectOnLogin']),
+      meta: { source: 'scim' }
+    })
+
+    WIKI.auth.revokeUserTokens({ id: grp.id, kind: 'g' })
+    WIKI.events.outbound.emit('addAuthRevoke', { id: grp.id, kind: 'g' })
+    await WIKI.auth.reloadGroups()
+    WIKI.events.outbound.emit('reloadGroups')
+
+    send(res, 204)
+  } catch (err) {
+    next(err)
+  }
+})
+
+/**
+ * Unknown endpoints must not fall through to page rendering
+ */
+router.use((req, res, next) => {
+  next(scimHelper.createError(404, `Unknown SCIM endpoint: ${req.path}`))
+})
+
+/**
+ * Errors are sent as SCIM error responses
+ */
+router.use((err, req, res, next) => {
+  if (!err.status || err.status >= 500) {
+    WIKI.logger.warn(`SCIM request failed: ${err.message}`)
+  }
+  send(res, err.status || 500, scimHelper.toErrorResponse(err))
+})
+
+module.exports = router
@@ -3,6 +3,7 @@ const router = express.Router()
 const _ = require('lodash')
 const multer = require('multer')
 const path = require('path')
+const fs = require('fs-extra')
 const sanitize = require('sanitize-filename')
 
 /**
@@ -86,16 +87,109 @@ router.post('/u', (req, res, next) => {
   }
 
   // Process upload file
-  await WIKI.models.assets.upload({
-    ...fileMeta,
-    mode: 'upload',
-    folderId: folderId,
-    assetPath,
-    user: req.user
-  })
+  try {
+    await WIKI.models.assets.upload({
+      ...fileMeta,
+      mode: 'upload',
+      folderId: folderId,
+      assetPath,
+      user: req.user
+    })
+  } catch (err) {
+    return res.status(400).json({
+      succeeded: false,
+      message: err.message
+    })
+  }
   res.send('ok')
 })
 
+/**
+ * Import a document as a new page
+ */
+router.post('/u/import', (req, res, next) => {
+  multer({
+    dest: path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, 'uploads'),
+    limits: {
+      fileSize: WIKI.config.uploads.maxFileSize,
+      files: 1
+    }
+  }).single('document')(req, res, next)
+}, async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      succeeded: false,
+      message: 'Missing upload payload.'
+    })
+  }
+
+  try {
+    const result = await WIKI.models.import.importFromFile({
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      format: _.get(req, 'body.format', null),
+      locale: _.get(req, 'body.locale', null),
+      path: _.get(req, 'body.path', ''),
+      title: _.get(req, 'body.title', null),
+      user: req.user
+    })
+    res.json({
+      succeeded: true,
+      message: 'Document imported successfully.',
+      ...result
+    })
+  } catch (err) {
+    res.status(err instanceof WIKI.Error.ImportForbidden ? 403 : 400).json({
+      succeeded: false,
+      message: err.message
+    })
+  } finally {
+    await fs.remove(req.file.path)
+  }
+})
+
+/**
+ * Import a zip archive of pages and assets
+ */
+router.post('/u/import/archive', (req, res, next) => {
+  multer({
+    dest: path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, 'uploads'),
+    limits: {
+      fileSize: WIKI.config.uploads.maxFileSize,
+      files: 1
+    }
+  }).single('archive')(req, res, next)
+}, async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      succeeded: false,
+      message: 'Missing upload payload.'
+    })
+  }
+
+  try {
+    const result = await WIKI.models.import.importFromArchive({
+      filePath: req.file.path,
+      locale: _.get(req, 'body.locale', null),
+      path: _.get(req, 'body.path', ''),
+      policy: _.get(req, 'body.policy', 'skip'),
+      user: req.user
+    })
+    res.json({
+      succeeded: true,
+      message: 'Archive imported successfully.',
+      ...result
+    })
+  } catch (err) {
+    res.status(err instanceof WIKI.Error.ImportForbidden ? 403 : 400).json({
+      succeeded: false,
+      message: err.message
+    })
+  } finally {
+    await fs.remove(req.file.path)
+  }
+})
+
 router.get('/u', async (req, res, next) => {
   res.json({
     ok: true
@@ -0,0 +1,320 @@
+const _ = require('lodash')
+const crypto = require('crypto')
+const { DateTime } = require('luxon')
+
+// User agents of crawlers and other automated clients
+const botRegex = /bot\b|bot\/|crawl|spider|slurp|facebookexternalhit|embedly|preview|monitor|curl|wget|python-requests|go-http-client|httpclient|headless/i
+
+module.exports = {
+  /**
+   * Maximum length of a recorded search query
+   */
+  maxQueryLength: 255,
+  isEnabled: false,
+  config: {},
+  pending: {
+    pageViews: {},
+    referrers: {},
+    searches: {}
+  },
+  lastPruneDay: null,
+  init() {
+    this.reload().catch(err => {
+      WIKI.logger.warn(`Failed to load built-in analytics configuration: ${err.message}`)
+    })
+    return this
+  },
+  /**
+   * Reload the built-in analytics provider state from the database
+   */
+  async reload() {
+    const provider = await WIKI.models.analytics.query().findById('builtin')
+    this.isEnabled = Boolean(provider && provider.isEnabled)
+    this.config = _.get(provider, 'config', {}) || {}
+  },
+  /**
+   * Get the current day, as used by the daily tables
+   *
+   * @returns {string} UTC date, as YYYY-MM-DD
+   */
+  getDay() {
+    return DateTime.utc().toISODate()
+  },
+  /**
+   * Hash a visitor, without storing anything on the client
+   *
+   * The day is part of the hash, so the same visitor cannot be followed from one day to the next.
+   *
+   * @param {Object} visitor Visitor
+   * @param {string} visitor.day Day of the visit
+   * @param {string} visitor.ip IP address
+   * @param {string} visitor.userAgent User agent
+   * @returns {string} Visitor hash
+   */
+  hashVisitor({ day, ip, userAgent }) {
+    return crypto.createHmac('sha256', _.toString(WIKI.config.sessionSecret)).update(`${day}|${ip}|${userAgent}`).digest('hex')
+  },
+  /**
+   * Get the external site a visitor comes from
+   *
+   * @param {string} referer Referer header
+   * @param {string} host Host of the wiki
+   * @returns {string|null} Hostname of the referrer, null if internal, missing or invalid
+   */
+  getReferrer(referer, host) {
+    if (_.isEmpty(referer)) {
+      return null
+    }
+    try {
+      const url = new URL(referer)
+      if (!_.includes(['http:', 'https:'], url.protocol)) {
+        return null
+      }
+      const hostname = _.toLower(url.hostname).replace(/^www\./, '')
+      return hostname === _.toLower(host).replace(/^www\./, '') ? null : hostname
+    } catch (err) {
+      return null
+    }
+  },
+  /**
+   * Normalize a search query, so that variations of the same query are counted together
+   *
+   * @param {string} query Search query
+   * @returns {string} Normalized query
+   */
+  normalizeQuery(query) {
+    return _.toLower(_.toString(query).replace(/\s+/g, ' ').trim()).substring(0, this.maxQueryLength)
+  },
+  /**
+   * Check if a request should be recorded
+   *
+   * @param {Object} req Express request
+   * @returns {boolean} Whether the request is trackable
+   */
+  isTrackable(req) {
+    if (this.config.excludeBots !== false && botRegex.test(_.toString(req.get('user-agent')))) {
+      return false
+    }
+    if (this.config.respectDoNotTrack !== false && (req.get('dnt') === '1' || req.get('sec-gpc') === '1')) {
+      return false
+    }
+    return true
+  },
+  /**
+   * Record a page view, saved to DB by flush
+   *
+   * @param {Object} req Express request
+   * @param {Object} page Viewed page
+   */
+  trackPageView(req, page) {
+    if (!this.isEnabled || !page || !this.isTrackable(req)) { return }
+
+    const day = this.getDay()
+    const key = `${day}:${page.id}`
+    if (!this.pending.pageViews[key]) {
+      this.pending.pageViews[key] = { day, pageId: page.id, views: 0, visitors: new Set() }
+    }
+    const entry = this.pending.pageViews[key]
+    entry.views++
+    entry.visitors.add(this.hashVisitor({ day, ip: req.ip, userAgent: _.toString(req.get('user-agent')) }))
+
+    const referrer = this.getReferrer(req.get('referer'), req.hostname)
+    if (referrer) {
+      const refKey = `${day}:${referrer}`
+      const refEntry = _.get(this.pending.referrers, refKey, { day, referrer, views: 0 })
+      refEntry.views++
+      this.pending.referrers[refKey] = refEntry
+    }
+  },
+  /**
+   * Record a search, saved to DB by flush
+   *
+   * @param {string} query Search query
+   * @param {number} resultCount Number of results shown to the user
+   */
+  trackSearch(query, resultCount) {
+    if (!this.isEnabled || this.config.trackSearches === false) { return }
+
+    const normalizedQuery = this.normalizeQuery(query)
+    if (normalizedQuery.length < 1) { return }
+
+    const day = this.getDay()
+    const key = `${day}:${normalizedQuery}`
+    const entry = _.get(this.pending.searches, key, { day, query: normalizedQuery, searches: 0, zeroResults: 0 })
+    entry.searches++
+    if (resultCount < 1) {
+      entry.zeroResults++
+    }
+    this.pending.searches[key] = entry
+  },
+  /**
+   * Increment the counters of a row, creating it if needed
+   *
+   * @param {string} table Table name
+   * @param {Object} where Unique key of the row
+   * @param {Object} increments Counters to increment
+   * @param {Object} values Values to set
+   */
+  async upsert(table, where, increments, values = {}) {
+    const knex = WIKI.models.knex
+    const updated = await knex(table).where(where).update({
+      ...values,
+      ..._.mapValues(increments, (value, col) => knex.raw('?? + ?', [col, value]))
+    })
+    if (updated < 1) {
+      await knex(table).insert({ ...where, ...increments, ...values })
+    }
+  },
+  /**
+   * Save pending page views, referrers and searches to DB
+   */
+  async flush() {
+    const knex = WIKI.models.knex
+    const pending = this.pending
+    this.pending = {
+      pageViews: {},
+      referrers: {},
+      searches: {}
+    }
+    const daily = {}
+    const addDaily = (day, counter, value) => {
+      _.set(daily, [day, counter], _.get(daily, [day, counter], 0) + value)
+    }
+
+    for (const entry of _.values(pending.pageViews)) {
+      // -> Record new visitors of the page
+      const hashes = Array.from(entry.visitors)
+      let known = []
+      for (const chunk of _.chunk(hashes, 500)) {
+        known = known.concat(await knex('analyticsVisitors').pluck('hash').where({ day: entry.day, pageId: entry.pageId }).whereIn('hash', chunk))
+      }
+      const newHashes = _.difference(hashes, known)
+      if (newHashes.length > 0) {
+        await knex.batchInsert('analyticsVisitors', newHashes.map(hash => ({ day: entry.day, pageId: entry.pageId, hash })), 100)
+      }
+
+      const visitors = await knex('analyticsVisitors').count('* as total').where({ day: entry.day, pageId: entry.pageId }).first()
+      try {
+        await this.upsert('analyticsPageViews', { day: entry.day, pageId: entry.pageId }, { views: entry.views }, { visitors: _.toSafeInteger(visitors.total) })
+      } catch (err) {
+        WIKI.logger.warn(`Failed to save analytics of page #${entry.pageId}: ${err.message}`)
+      }
+      addDaily(entry.day, 'views', entry.views)
+    }
+
+    for (const entry of _.values(pending.referrers)) {
+      await this.upsert('analyticsReferrers', { day: entry.day, referrer: entry.referrer }, { views: entry.views })
+    }
+
+    for (const entry of _.values(pending.searches)) {
+      await this.upsert('analyticsSearches', { day: entry.day, query: entry.query }, { searches: entry.searches, zeroResults: entry.zeroResults })
+      addDaily(entry.day, 'searches', entry.searches)
+    }
+
+    for (const [day, counters] of _.toPairs(daily)) {
+      const visitors = await knex('analyticsVisitors').countDistinct('hash as total').where('day', day).first()
+      await this.upsert('analyticsDaily', { day }, {
+        views: _.get(counters, 'views', 0),
+        searches: _.get(counters, 'searches', 0)
+      }, {
+        visitors: _.toSafeInteger(visitors.total)
+      })
+    }
+
+    // -> Prune expired data, once a day
+    const today = this.getDay()
+    if (this.lastPruneDay !== today) {
+      await this.prune()
+      this.lastPruneDay = today
+    }
+  },
+  /**
+   * Delete visitor hashes that are no longer needed and statistics older than the retention period
+   */
+  async prune() {
+    const knex = WIKI.models.knex
+    const yesterday = DateTime.utc().minus({ days: 1 }).toISODate()
+    await knex('analyticsVisitors').where('day', '<', yesterday).del()
+
+    const retentionDays = _.toSafeInteger(this.config.retentionDays)
+    if (retentionDays > 0) {
+      const cutoff = DateTime.utc().minus({ days: retentionDays }).toISODate()
+      for (const table of ['analyticsDaily', 'analyticsPageViews', 'analyticsReferrers', 'analyticsSearches']) {
+        await knex(table).where('day', '<', cutoff).del()
+      }
+    }
+  },
+  /**
+   * Get the statistics of a period
+   *
+   * @param {Object} opts Options
+   * @param {number} opts.days Number of days, up to today
+   * @param {number} opts.staleDays Number of days without update after which a page is stale
+   * @param {number} opts.limit Maximum number of entries of each list
+   * @returns {Promise<Object>} Statistics
+   */
+  async getStats({ days = 30, staleDays = 180, limit = 10 } = {}) {
+    const knex = WIKI.models.knex
+    const since = DateTime.utc().minus({ days: _.clamp(days, 1, 3650) - 1 }).toISODate()
+    const staleSince = DateTime.utc().minus({ days: staleDays }).toISO()
+
+    const timeline = await knex('analyticsDaily').where('day', '>=', since).orderBy('day')
+
+    const topPagesQuery = () => knex('analyticsPageViews')
+      .select('pages.id', 'pages.path', 'pages.localeCode', 'pages.title', 'pages.updatedAt')
+      .sum('analyticsPageViews.views as views')
+      .sum('analyticsPageViews.visitors as visitors')
+      .innerJoin('pages', 'pages.id', 'analyticsPageViews.pageId')
+      .where('analyticsPageViews.day', '>=', since)
+      .groupBy('pages.id', 'pages.path', 'pages.localeCode', 'pages.title', 'pages.updatedAt')
+      .orderBy('views', 'desc')
+      .limit(limit)
+
+    const topPages = await topPagesQuery()
+    const stalePages = await topPagesQuery().where('pages.updatedAt', '<', staleSince)
+
+    const topReferrers = await knex('analyticsReferrers')
+      .select('referrer')
+      .sum('views as views')
+      .where('day', '>=', since)
+      .groupBy('referrer')
+      .orderBy('views', 'desc')
+      .limit(limit)
+
+    const topSearches = await knex('analyticsSearches')
+      .select('query')
+      .sum('searches as searches')
+      .sum('zeroResults as zeroResults')
+      .where('day', '>=', since)
+      .groupBy('query')
+      .orderBy('searches', 'desc')
+      .limit(limit)
+
+    const zeroResultSearches = await knex('analyticsSearches')
+      .select('query')
+      .sum('searches as searches')
+      .sum('zeroResults as zeroResults')
+      .where('day', '>=', since)
+      .andWhere('zeroResults', '>', 0)
+      .groupBy('query')
+      .orderBy('zeroResults', 'desc')
+      .limit(limit)
+
+    const toCounts = (rows, counters) => rows.map(r => ({
+      ...r,
+      ..._.zipObject(counters, counters.map(c => _.toSafeInteger(r[c])))
+    }))
+
+    return {
+      isEnabled: this.isEnabled,
+      timeline: toCounts(timeline, ['views', 'visitors', 'searches']),
+      totalViews: _.sumBy(timeline, r => _.toSafeInteger(r.views)),
+      totalSearches: _.sumBy(timeline, r => _.toSafeInteger(r.searches)),
+      topPages: toCounts(topPages, ['views', 'visitors']),
+      stalePages: toCounts(stalePages, ['views', 'visitors']),
+      topReferrers: toCounts(topReferrers, ['views']),
+      topSearches: toCounts(topSearches, ['searches', 'zeroResults']),
+      zeroResultSearches: toCounts(zeroResultSearches, ['searches', 'zeroResults'])
+    }
+  }
+}
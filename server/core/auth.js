@@ -17,7 +17,8 @@ module.exports = {
     cacheExpiration: DateTime.utc().minus({ days: 1 })
   },
   groups: {},
-  validApiKeys: [],
+  validApiKeys: {},
+  apiKeyUsage: {},
   revocationList: require('./cache').init(),
 
   /**
@@ -178,27 +179,52 @@ module.exports = {
       if (_.has(user, 'api')) {
         if (!WIKI.config.api.isEnabled) {
           return next(new Error('API is disabled. You must enable it from the Administration Area first.'))
-        } else if (_.includes(WIKI.auth.validApiKeys, user.api)) {
-          req.user = {
-            id: 1,
-            email: 'api@localhost',
-            name: 'API',
-            pictureUrl: null,
-            timezone: 'America/New_York',
-            localeCode: 'en',
-            permissions: _.get(WIKI.auth.groups, `${user.grp}.permissions`, []),
-            groups: [user.grp],
-            getGlobalPermissions () {
-              return req.user.permissions
-            },
-            getGroups () {
-              return req.user.groups
-            }
-          }
-          return next()
-        } else {
+        }
+        const apiKey = _.get(WIKI.auth.validApiKeys, user.api)
+        if (!apiKey || DateTime.fromISO(apiKey.expiration) <= DateTime.utc()) {
           return next(new Error('API Key is invalid or was revoked.'))
+        } else if (apiKey.ipRanges && !securityHelper.isIpInRanges(req.ip, apiKey.ipRanges)) {
+          return next(new Error('API Key is not allowed from this IP address.'))
+        }
+        WIKI.auth.trackApiKeyUsage(apiKey.id, req.ip)
+
+        // Restrict the group permissions to the key scopes
+        const groupId = apiKey.groupId || user.grp
+        const groupPermissions = _.get(WIKI.auth.groups, `${groupId}.permissions`, [])
+        const hasFullAccess = _.includes(groupPermissions, 'manage:system')
+        let permissions = groupPermissions
+        if (apiKey.scopes.length > 0) {
+          permissions = hasFullAccess ? apiKey.scopes : _.intersection(groupPermissions, apiKey.scopes)
+        } else if (hasFullAccess && apiKey.isReadOnly) {
+          permissions = WIKI.data.groups.permissions
+        }
+        if (apiKey.isReadOnly) {
+          permissions = permissions.filter(p => _.startsWith(p, 'read:'))
         }
+
+        req.user = {
+          id: 1,
+          email: 'api@localhost',
+          name: 'API',
+          pictureUrl: null,
+          timezone: 'America/New_York',
+          localeCode: 'en',
+          permissions,
+          groups: [groupId],
+          apiKey: {
+            id: apiKey.id,
+            isReadOnly: apiKey.isReadOnly,
+            hasFullAccess,
+            pageRules: apiKey.pageRules
+          },
+          getGlobalPermissions () {
+            return req.user.permissions
+          },
+          getGroups () {
+            return req.user.groups
+          }
+        }
+        return next()
       }
 
       // JWT is valid
@@ -234,6 +260,19 @@ module.exports = {
       return true
     }
 
+    // Check API Key Page Rules
+    if (user.apiKey) {
+      if (user.apiKey.pageRules.length > 0) {
+        const keyState = this._checkPageRules(user.apiKey.pageRules, permissions, page)
+        if (!keyState.match || keyState.deny) {
+          return false
+        }
+      }
+      if (user.apiKey.hasFullAccess) {
+        return true
+      }
+    }
+
     // Check Page Rules
     if (user.groups) {
       let checkState = {
@@ -243,47 +282,7 @@ module.exports = {
       }
       user.groups.forEach(grp => {
         const grpId = _.isObject(grp) ? _.get(grp, 'id', 0) : grp
-        _.get(WIKI.auth.groups, `${grpId}.pageRules`, []).forEach(rule => {
-          if (rule.locales && rule.locales.length > 0) {
-            if (!rule.locales.includes(page.locale)) { return }
-          }
-          if (_.intersection(rule.roles, permissions).length > 0) {
-            switch (rule.match) {
-              case 'START':
-                if (_.startsWith(`/${page.path}`, `/${rule.path}`)) {
-                  checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: ['END', 'REGEX', 'EXACT', 'TAG'] })
-                }
-                break
-              case 'END':
-                if (_.endsWith(page.path, rule.path)) {
-                  checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: ['REGEX', 'EXACT', 'TAG'] })
-                }
-                break
-              case 'REGEX':
-                const reg = new RegExp(rule.path)
-                if (reg.test(page.path)) {
-                  checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: ['EXACT', 'TAG'] })
-                }
-                break
-              case 'TAG':
-                _.get(page, 'tags', []).forEach(tag => {
-                  if (tag.tag === rule.path) {
-                    checkState = this._applyPageRuleSpecificity({
-                      rule,
-                      checkState,
-                      higherPriority: ['EXACT']
-                    })
-                  }
-                })
-                break
-              case 'EXACT':
-                if (`/${page.path}` === `/${rule.path}`) {
-                  checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: [] })
-                }
-                break
-            }
-          }
-        })
+        checkState = this._checkPageRules(_.get(WIKI.auth.groups, `${grpId}.pageRules`, []), permissions, page, checkState)
       })
 
       return (checkState.match && !checkState.deny)
@@ -315,6 +314,56 @@ module.exports = {
     return true
   },
 
+  /**
+   * Evaluate a list of Page Rules against a page
+   *
+   * @access private
+   */
+  _checkPageRules (rules, permissions, page, checkState = { deny: false, match: false, specificity: '' }) {
+    rules.forEach(rule => {
+      if (rule.locales && rule.locales.length > 0) {
+        if (!rule.locales.includes(page.locale)) { return }
+      }
+      if (_.intersection(rule.roles, permissions).length > 0) {
+        switch (rule.match) {
+          case 'START':
+            if (_.startsWith(`/${page.path}`, `/${rule.path}`)) {
+              checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: ['END', 'REGEX', 'EXACT', 'TAG'] })
+            }
+            break
+          case 'END':
+            if (_.endsWith(page.path, rule.path)) {
+              checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: ['REGEX', 'EXACT', 'TAG'] })
+            }
+            break
+          case 'REGEX':
+            const reg = new RegExp(rule.path)
+            if (reg.test(page.path)) {
+              checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: ['EXACT', 'TAG'] })
+            }
+            break
+          case 'TAG':
+            _.get(page, 'tags', []).forEach(tag => {
+              if (tag.tag === rule.path) {
+                checkState = this._applyPageRuleSpecificity({
+                  rule,
+                  checkState,
+                  higherPriority: ['EXACT']
+                })
+              }
+            })
+            break
+          case 'EXACT':
+            if (`/${page.path}` === `/${rule.path}`) {
+              checkState = this._applyPageRuleSpecificity({ rule, checkState, higherPriority: [] })
+            }
+            break
+        }
+      }
+    })
+    return checkState
+  },
+
   /**
    * Check and apply Page Rule specificity
    *
@@ -355,8 +404,60 @@ module.exports = {
    * Reload valid API Keys from DB
    */
   async reloadApiKeys () {
-    const keys = await WIKI.models.apiKeys.query().select('id').where('isRevoked', false).andWhere('expiration', '>', DateTime.utc().toISO())
-    this.validApiKeys = _.map(keys, 'id')
+    const keys = await WIKI.models.apiKeys.query()
+      .select('id', 'groupId', 'scopes', 'pageRules', 'ipRanges', 'isReadOnly', 'expiration')
+      .where('isRevoked', false)
+      .andWhere('expiration', '>', DateTime.utc().toISO())
+    this.validApiKeys = _.transform(keys, (result, k) => {
+      let ipRanges = null
+      if (!_.isEmpty(k.ipRanges)) {
+        try {
+          ipRanges = securityHelper.parseIpRanges(k.ipRanges)
+        } catch (err) {
+          WIKI.logger.warn(`API Key ${k.id} has invalid IP ranges and will be rejected: ${err.message}`)
+          return
+        }
+      }
+      result[k.id] = {
+        id: k.id,
+        groupId: k.groupId,
+        scopes: k.scopes || [],
+        pageRules: _.map(k.pageRules || [], rule => ({
+          ...rule,
+          roles: _.isEmpty(rule.roles) ? WIKI.data.groups.permissions : rule.roles
+        })),
+        ipRanges,
+        isReadOnly: k.isReadOnly === true || k.isReadOnly === 1,
+        expiration: k.expiration
+      }
+    }, {})
+  },
+
+  /**
+   * Record a request made with an API Key, saved to DB by flushApiKeyUsage
+   */
+  trackApiKeyUsage (id, ip) {
+    const usage = _.get(this.apiKeyUsage, id, { count: 0 })
+    this.apiKeyUsage[id] = {
+      count: usage.count + 1,
+      lastUsedAt: DateTime.utc().toISO(),
+      lastUsedIp: ip
+    }
+  },
+
+  /**
+   * Save pending API Key usage to DB
+   */
+  async flushApiKeyUsage () {
+    const pending = this.apiKeyUsage
+    this.apiKeyUsage = {}
+    for (const [id, usage] of _.toPairs(pending)) {
+      await WIKI.models.knex('apiKeys').where('id', id).update({
+        requestCount: WIKI.models.knex.raw('?? + ?', ['requestCount', usage.count]),
+        lastUsedAt: usage.lastUsedAt,
+        lastUsedIp: usage.lastUsedIp
+      })
+    }
   },
 
   /**
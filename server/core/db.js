@@ -258,6 +258,7 @@ module.exports = {
     WIKI.auth.subscribeToEvents()
     WIKI.configSvc.subscribeToEvents()
     WIKI.models.pages.subscribeToEvents()
+    WIKI.webhooks.subscribeToEvents()
 
     WIKI.logger.info(`High-Availability Listener initialized successfully: [ OK ]`)
   },
@@ -45,6 +45,9 @@ module.exports = {
         manager: require('../plugins/manager'),
         runtime: require('../plugins/runtime'),
         security: require('../plugins/security'),
+        registry: require('../plugins/registry'),
+        dependencies: require('../plugins/dependencies'),
+        services: require('../plugins/services'),
         hooks: require('../plugins/hooks'),
         modelLoader: new (require('../plugins/models'))(),
         routeLoader: new (require('../plugins/routes'))()
@@ -154,9 +157,15 @@ module.exports = {
     if (WIKI.servers) {
       await WIKI.servers.stopServers()
     }
+    if (WIKI.plugins && WIKI.plugins.runtime) {
+      await WIKI.plugins.runtime.unloadAll()
+    }
     if (WIKI.scheduler) {
       await WIKI.scheduler.stop()
     }
+    if (WIKI.extensions && WIKI.extensions.ext.puppeteer) {
+      await WIKI.extensions.ext.puppeteer.close()
+    }
     if (WIKI.models) {
       await WIKI.models.unsubscribeToNotifications()
       if (WIKI.models.knex) {
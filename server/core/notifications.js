@@ -0,0 +1,193 @@
+const _ = require('lodash')
+
+module.exports = {
+  /**
+   * Delivery modes available to page subscriptions
+   */
+  modes: ['immediate', 'daily', 'weekly'],
+  /**
+   * Wording used in emails for each kind of change
+   */
+  eventLabels: {
+    updated: 'updated',
+    moved: 'moved',
+    deleted: 'deleted',
+    commented: 'commented on'
+  },
+  init() {
+    WIKI.plugins.hooks.on('page:update', data => this.notify({ event: 'updated', page: data.page, actor: data.user }))
+    WIKI.plugins.hooks.on('page:delete', data => this.notify({ event: 'deleted', page: data.page, actor: data.user }))
+    WIKI.plugins.hooks.on('page:move', data => this.notify({
+      event: 'moved',
+      page: data.before,
+      actor: data.user,
+      target: { locale: data.page.localeCode, path: data.page.path }
+    }))
+    return this
+  },
+  /**
+   * Notify the subscribers of a page about a change
+   *
+   * @param {Object} opts Change Details
+   * @param {string} opts.event Change Type (updated, moved, deleted, commented)
+   * @param {Object} opts.page Page (before the change for moves)
+   * @param {Object} opts.actor User who made the change
+   * @param {Object} opts.target Location the page can be found at after the change
+   */
+  async notify({ event, page, actor = {}, target }) {
+    try {
+      const subs = await WIKI.models.pageSubscriptions.getSubscribers({
+        locale: page.localeCode,
+        path: page.path
+      })
+      const change = {
+        event,
+        pageId: page.id,
+        localeCode: _.get(target, 'locale', page.localeCode),
+        path: _.get(target, 'path', page.path),
+        title: page.title,
+        actorName: actor.name || null
+      }
+      for (const sub of subs) {
+        if (!sub.user || !sub.user.isActive || sub.userId === actor.id) { continue }
+        if (!WIKI.auth.checkAccess(sub.user, ['read:pages'], {
+          locale: page.localeCode,
+          path: page.path
+        })) {
+          continue
+        }
+        try {
+          if (sub.mode === 'immediate') {
+            this.queueNotification(sub.user, change)
+          } else {
+            await WIKI.models.pageNotifications.query().insert({
+              ...change,
+              userId: sub.userId,
+              mode: sub.mode
+            })
+          }
+        } catch (err) {
+          WIKI.logger.warn(`Failed to notify user ${sub.userId} of page change: ${err.message}`)
+        }
+      }
+    } catch (err) {
+      WIKI.logger.warn(`Failed to notify subscribers of page ${page.localeCode}/${page.path}: ${err.message}`)
+    }
+  },
+  /**
+   * Get the absolute link to a changed page
+   *
+   * @param {Object} change Change Details
+   * @returns {string} Page URL
+   */
+  getPageLink(change) {
+    return change.event === 'deleted' ? WIKI.config.host : `${WIKI.config.host}/${change.localeCode}/${change.path}`
+  },
+  /**
+   * Send an email about a single change once the current request is done,
+   * so page saves never wait on the mail server
+   *
+   * @param {Object} user Recipient
+   * @param {Object} change Change Details
+   */
+  queueNotification(user, change) {
+    setImmediate(() => {
+      this.sendNotification(user, change).catch(err => {
+        WIKI.logger.warn(`Failed to notify user ${user.id} of page change: ${err.message}`)
+      })
+    })
+  },
+  /**
+   * Send an email about a single change right away
+   *
+   * @param {Object} user Recipient
+   * @param {Object} change Change Details
+   */
+  async sendNotification(user, change) {
+    if (!WIKI.mail.transport) { return }
+
+    const label = this.eventLabels[change.event]
+    const summary = `${change.actorName || 'Someone'} ${label} the page ${change.title}`
+    await WIKI.mail.send({
+      template: 'pageNotification',
+      to: user.email,
+      subject: `Page ${label}: ${change.title}`,
+      data: {
+        preheadertext: summary,
+        title: change.title,
+        content: `${summary} (/${change.localeCode}/${change.path}).`,
+        buttonLink: this.getPageLink(change),
+        buttonText: change.event === 'deleted' ? 'Open Wiki' : 'View Page',
+        manageLink: `${WIKI.config.host}/p/subscriptions`
+      },
+      text: `${summary}: ${this.getPageLink(change)}`
+    })
+  },
+  /**
+   * Send the queued changes of a digest mode, one email per user
+   *
+   * @param {string} mode Digest Mode (daily, weekly)
+   */
+  async sendDigests(mode) {
+    if (!WIKI.mail.transport) {
+      WIKI.logger.warn(`Cannot send ${mode} page digests because mail is not setup in the administration area!`)
+      return
+    }
+
+    const pending = await WIKI.models.pageNotifications.query()
+      .where('mode', mode)
+      .orderBy('id')
+      .withGraphFetched('user')
+
+    for (const [userId, notifications] of _.toPairs(_.groupBy(pending, 'userId'))) {
+      const user = _.get(notifications, '[0].user')
+      try {
+        if (user && user.isActive) {
+          const changes = this.summarizeChanges(notifications)
+          await WIKI.mail.send({
+            template: 'pageDigest',
+            to: user.email,
+            subject: `${changes.length} watched page(s) changed`,
+            data: {
+              preheadertext: `Your ${mode} summary of changes to watched pages`,
+              title: `Your ${mode} summary of changes to watched pages`,
+              changes: changes.map(c => ({
+                ...c,
+                link: this.getPageLink(c)
+              })),
+              manageLink: `${WIKI.config.host}/p/subscriptions`
+            },
+            text: changes.map(c => `${c.title} (${c.events.join(', ')}): ${this.getPageLink(c)}`).join('\n')
+          })
+        }
+        await WIKI.models.pageNotifications.query().delete().whereIn('id', _.map(notifications, 'id'))
+      } catch (err) {
+        WIKI.logger.warn(`Failed to send ${mode} page digest to user ${userId}: ${err.message}`)
+      }
+    }
+  },
+  /**
+   * Merge queued notifications into one entry per page
+   *
+   * @param {Array} notifications Queued Notifications
+   * @returns {Array} Changes
+   */
+  summarizeChanges(notifications) {
+    return _.values(_.reduce(notifications, (result, n) => {
+      const key = n.pageId ? `id:${n.pageId}` : `path:${n.localeCode}/${n.path}`
+      const entry = result[key] || { events: [], actors: [], count: 0 }
+      result[key] = {
+        ...entry,
+        event: n.event,
+        pageId: n.pageId,
+        localeCode: n.localeCode,
+        path: n.path,
+        title: n.title,
+        events: _.union(entry.events, [this.eventLabels[n.event]]),
+        actors: n.actorName ? _.union(entry.actors, [n.actorName]) : entry.actors,
+        count: entry.count + 1
+      }
+      return result
+    }, {}))
+  }
+}
@@ -0,0 +1,268 @@
+const _ = require('lodash')
+const crypto = require('crypto')
+const request = require('request-promise')
+const { DateTime } = require('luxon')
+
+module.exports = {
+  /**
+   * Hook events that can be forwarded to webhooks
+   */
+  events: [
+    'page:create',
+    'page:update',
+    'page:delete',
+    'page:move',
+    'page:restore',
+    'user:create',
+    'user:login',
+    'user:logout',
+    'user:delete',
+    'auth:loginFailed',
+    'asset:upload',
+    'asset:rename',
+    'asset:delete'
+  ],
+  /**
+   * Properties of the hook data that must never leave the server
+   */
+  redactedKeys: ['jwt', 'password', 'token'],
+  maxAttempts: 6,
+  retryBaseDelay: 30,
+  requestTimeout: 10000,
+  retentionDays: 30,
+  webhooks: [],
+  init() {
+    for (const event of this.events) {
+      WIKI.plugins.hooks.on(event, data => this.dispatch(event, data))
+    }
+    this.reload().catch(err => {
+      WIKI.logger.warn(`Failed to load webhooks: ${err.message}`)
+    })
+    return this
+  },
+  /**
+   * Reload enabled webhooks from the database
+   */
+  async reload() {
+    this.webhooks = await WIKI.models.webhooks.query().where('isEnabled', true)
+  },
+  /**
+   * Queue a delivery to every enabled webhook listening for this event
+   *
+   * @param {string} event Hook Event Name
+   * @param {Object} data Hook Data
+   */
+  async dispatch(event, data) {
+    const targets = this.webhooks.filter(wh => _.includes(wh.events, event))
+    if (targets.length < 1) { return }
+
+    const payload = JSON.stringify(this.buildPayload(event, data))
+    for (const wh of targets) {
+      try {
+        const delivery = await WIKI.models.webhookDeliveries.query().insert({
+          webhookId: wh.id,
+          event,
+          payload,
+          status: 'pending',
+          attempts: 0,
+          isTest: false
+        })
+        this.deliver(delivery.id).catch(err => {
+          WIKI.logger.warn(`Webhook delivery #${delivery.id} failed: ${err.message}`)
+        })
+      } catch (err) {
+        WIKI.logger.warn(`Failed to queue webhook ${wh.id} for event ${event}: ${err.message}`)
+      }
+    }
+  },
+  /**
+   * Build the JSON payload sent to webhook endpoints
+   *
+   * @param {string} event Hook Event Name
+   * @param {Object} data Hook Data
+   * @returns {Object} Payload
+   */
+  buildPayload(event, data) {
+    return {
+      event,
+      timestamp: new Date().toISOString(),
+      site: {
+        title: WIKI.config.title,
+        host: WIKI.config.host
+      },
+      data: this.redact(data)
+    }
+  },
+  /**
+   * Recursively strip sensitive properties from hook data
+   *
+   * @param {any} data Hook Data
+   * @returns {any} Redacted Data
+   */
+  redact(data) {
+    if (_.isArray(data)) {
+      return data.map(d => this.redact(d))
+    } else if (_.isPlainObject(data)) {
+      return _.transform(data, (result, value, key) => {
+        if (!_.includes(this.redactedKeys, key)) {
+          result[key] = this.redact(value)
+        }
+      }, {})
+    }
+    return data
+  },
+  /**
+   * Compute the HMAC signature of a payload body
+   *
+   * @param {string} secret Webhook Secret
+   * @param {string} body Payload Body
+   * @returns {string} Signature header value
+   */
+  sign(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+  },
+  /**
+   * Get the delay before the next attempt, using exponential backoff
+   *
+   * @param {number} attempts Number of attempts made so far
+   * @returns {number} Delay in seconds
+   */
+  getRetryDelay(attempts) {
+    return this.retryBaseDelay * Math.pow(2, Math.max(attempts - 1, 0))
+  },
+  /**
+   * Attempt a delivery and record the outcome
+   *
+   * @param {number} deliveryId Delivery ID
+   * @returns {Promise} Promise of the updated delivery
+   */
+  async deliver(deliveryId) {
+    const delivery = await WIKI.models.webhookDeliveries.query().findById(deliveryId).withGraphFetched('webhook')
+    if (!delivery || !delivery.webhook) {
+      throw new WIKI.Error.WebhookNotFound()
+    }
+
+    const attempts = delivery.attempts + 1
+    const startTime = Date.now()
+    let result = {}
+
+    try {
+      const resp = await request({
+        method: 'POST',
+        uri: delivery.webhook.url,
+        body: delivery.payload,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `Wiki.js/${WIKI.version}`,
+          'X-Wiki-Event': delivery.event,
+          'X-Wiki-Delivery': delivery.id.toString(),
+          'X-Wiki-Signature-256': this.sign(delivery.webhook.secret, delivery.payload)
+        },
+        timeout: this.requestTimeout,
+        followRedirect: false,
+        resolveWithFullResponse: true,
+        simple: false
+      })
+      result = {
+        responseStatus: resp.statusCode,
+        responseBody: _.truncate(_.toString(resp.body), { length: 2000 }),
+        errorMessage: (resp.statusCode >= 200 && resp.statusCode < 300) ? null : `Endpoint responded with HTTP ${resp.statusCode}`
+      }
+    } catch (err) {
+      result = {
+        responseStatus: null,
+        responseBody: null,
+        errorMessage: err.message
+      }
+    }
+
+    const succeeded = !result.errorMessage
+    const canRetry = !succeeded && !delivery.isTest && attempts < this.maxAttempts
+
+    await WIKI.models.webhookDeliveries.query().patch({
+      ...result,
+      attempts,
+      duration: Date.now() - startTime,
+      status: succeeded ? 'success' : (canRetry ? 'retrying' : 'failed'),
+      nextAttemptAt: canRetry ? DateTime.utc().plus({ seconds: this.getRetryDelay(attempts) }).toISO() : null
+    }).findById(delivery.id)
+
+    return WIKI.models.webhookDeliveries.query().findById(delivery.id)
+  },
+  /**
+   * Send a test event to a webhook and wait for the outcome
+   *
+   * @param {number} webhookId Webhook ID
+   * @returns {Promise} Promise of the test delivery
+   */
+  async sendTest(webhookId) {
+    const webhook = await WIKI.models.webhooks.query().findById(webhookId)
+    if (!webhook) {
+      throw new WIKI.Error.WebhookNotFound()
+    }
+    const delivery = await WIKI.models.webhookDeliveries.query().insert({
+      webhookId: webhook.id,
+      event: 'webhook:test',
+      payload: JSON.stringify(this.buildPayload('webhook:test', {
+        webhook: {
+          id: webhook.id,
+          name: webhook.name
+        }
+      })),
+      status: 'pending',
+      attempts: 0,
+      isTest: true
+    })
+    return this.deliver(delivery.id)
+  },
+  /**
+   * Queue a past delivery to be sent again
+   *
+   * @param {number} deliveryId Delivery ID
+   */
+  async redeliver(deliveryId) {
+    const delivery = await WIKI.models.webhookDeliveries.query().findById(deliveryId)
+    if (!delivery) {
+      throw new WIKI.Error.WebhookNotFound()
+    }
+    const retry = await WIKI.models.webhookDeliveries.query().insert({
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: 'pending',
+      attempts: 0,
+      isTest: delivery.isTest
+    })
+    return this.deliver(retry.id)
+  },
+  /**
+   * Retry failed deliveries that are due and purge old log entries
+   */
+  async processQueue() {
+    const dueDeliveries = await WIKI.models.webhookDeliveries.query()
+      .select('id')
+      .where('status', 'retrying')
+      .andWhere('nextAttemptAt', '<=', DateTime.utc().toISO())
+      .orderBy('id')
+      .limit(100)
+    for (const delivery of dueDeliveries) {
+      try {
+        await this.deliver(delivery.id)
+      } catch (err) {
+        WIKI.logger.warn(`Webhook delivery #${delivery.id} failed: ${err.message}`)
+      }
+    }
+
+    await WIKI.models.webhookDeliveries.query()
+      .delete()
+      .where('createdAt', '<', DateTime.utc().minus({ days: this.retentionDays }).toISO())
+  },
+  /**
+   * Subscribe to HA propagation events
+   */
+  subscribeToEvents() {
+    WIKI.events.inbound.on('reloadWebhooks', () => {
+      this.reload()
+    })
+  }
+}
@@ -0,0 +1,27 @@
+exports.up = knex => {
+  return knex.schema
+    // AUDIT LOG ---------------------------
+    .createTable('auditLog', table => {
+      table.increments('id').primary()
+      table.string('action').notNullable()
+      table.string('category').notNullable()
+      table.string('targetType')
+      table.string('targetId')
+      table.string('targetName')
+      table.integer('actorId').unsigned()
+      table.string('actorName')
+      table.string('actorEmail')
+      table.string('ip')
+      table.json('changes')
+      table.json('meta')
+      table.string('createdAt').notNullable()
+      table.index(['createdAt'])
+      table.index(['category', 'action'])
+      table.index(['actorId'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('auditLog')
+}
@@ -0,0 +1,11 @@
+exports.up = knex => {
+  return knex.schema
+    .alterTable('users', table => {
+      table.string('scimExternalId')
+    })
+    .alterTable('groups', table => {
+      table.string('scimExternalId')
+    })
+}
+
+exports.down = knex => { }
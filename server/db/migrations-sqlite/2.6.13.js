@@ -0,0 +1,19 @@
+exports.up = knex => {
+  return knex.schema
+    // PAGE PROPERTIES ---------------------
+    .createTable('pageProperties', table => {
+      table.increments('id').primary()
+      table.integer('pageId').unsigned().notNullable().references('id').inTable('pages').onDelete('CASCADE')
+      table.string('key').notNullable()
+      table.string('value').notNullable()
+      table.float('valueNumber')
+      table.unique(['pageId', 'key'])
+      table.index(['key', 'value'])
+      table.index(['key', 'valueNumber'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('pageProperties')
+}
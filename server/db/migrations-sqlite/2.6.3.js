@@ -0,0 +1,38 @@
+exports.up = knex => {
+  return knex.schema
+    // WEBHOOKS ----------------------------
+    .createTable('webhooks', table => {
+      table.increments('id').primary()
+      table.string('name').notNullable()
+      table.string('url', 2048).notNullable()
+      table.string('secret').notNullable()
+      table.json('events').notNullable()
+      table.boolean('isEnabled').notNullable().defaultTo(true)
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+    })
+    // WEBHOOK DELIVERIES ------------------
+    .createTable('webhookDeliveries', table => {
+      table.increments('id').primary()
+      table.integer('webhookId').unsigned().references('id').inTable('webhooks').onDelete('CASCADE')
+      table.string('event').notNullable()
+      table.text('payload').notNullable()
+      table.string('status').notNullable().defaultTo('pending')
+      table.integer('attempts').notNullable().defaultTo(0)
+      table.integer('responseStatus')
+      table.text('responseBody')
+      table.text('errorMessage')
+      table.integer('duration')
+      table.boolean('isTest').notNullable().defaultTo(false)
+      table.string('nextAttemptAt')
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+      table.index(['status', 'nextAttemptAt'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('webhookDeliveries')
+    .dropTableIfExists('webhooks')
+}
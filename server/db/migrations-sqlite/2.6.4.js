@@ -0,0 +1,35 @@
+exports.up = knex => {
+  return knex.schema
+    // PAGE SUBSCRIPTIONS ------------------
+    .createTable('pageSubscriptions', table => {
+      table.increments('id').primary()
+      table.integer('userId').unsigned().references('id').inTable('users').onDelete('CASCADE')
+      table.string('localeCode', 5).notNullable()
+      table.string('path').notNullable()
+      table.boolean('isPrefix').notNullable().defaultTo(false)
+      table.string('mode').notNullable().defaultTo('immediate')
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+      table.unique(['userId', 'localeCode', 'path', 'isPrefix'])
+    })
+    // PAGE NOTIFICATIONS ------------------
+    .createTable('pageNotifications', table => {
+      table.increments('id').primary()
+      table.integer('userId').unsigned().references('id').inTable('users').onDelete('CASCADE')
+      table.string('mode').notNullable()
+      table.string('event').notNullable()
+      table.integer('pageId')
+      table.string('localeCode', 5).notNullable()
+      table.string('path').notNullable()
+      table.string('title').notNullable()
+      table.string('actorName')
+      table.string('createdAt').notNullable()
+      table.index(['mode', 'userId'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('pageNotifications')
+    .dropTableIfExists('pageSubscriptions')
+}
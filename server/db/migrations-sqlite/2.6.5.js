@@ -0,0 +1,24 @@
+exports.up = knex => {
+  return knex.schema
+    // PAGE DRAFTS -------------------------
+    .createTable('pageDrafts', table => {
+      table.increments('id').primary()
+      table.integer('pageId').unsigned().notNullable().unique().references('id').inTable('pages').onDelete('CASCADE')
+      table.string('title').notNullable()
+      table.string('description')
+      table.text('content')
+      table.json('tags')
+      table.text('scriptCss')
+      table.text('scriptJs')
+      table.integer('authorId').unsigned().references('id').inTable('users').onDelete('SET NULL')
+      table.string('publishAt')
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+      table.index(['publishAt'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('pageDrafts')
+}
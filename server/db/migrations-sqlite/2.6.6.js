@@ -0,0 +1,43 @@
+exports.up = knex => {
+  return knex.schema
+    // IMPORTS -----------------------------
+    .createTable('imports', table => {
+      table.increments('id').primary()
+      table.string('source').notNullable()
+      table.string('status').notNullable().defaultTo('pending')
+      table.json('config')
+      table.integer('total').notNullable().defaultTo(0)
+      table.integer('processed').notNullable().defaultTo(0)
+      table.integer('created').notNullable().defaultTo(0)
+      table.integer('updated').notNullable().defaultTo(0)
+      table.integer('skipped').notNullable().defaultTo(0)
+      table.integer('failed').notNullable().defaultTo(0)
+      table.integer('attachments').notNullable().defaultTo(0)
+      table.json('errors')
+      table.string('message')
+      table.integer('userId').unsigned().references('id').inTable('users').onDelete('SET NULL')
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+      table.string('completedAt')
+    })
+    // IMPORT MAPPINGS ---------------------
+    .createTable('importMappings', table => {
+      table.increments('id').primary()
+      table.string('source').notNullable()
+      table.string('sourceKey').notNullable()
+      table.string('sourceId').notNullable()
+      table.integer('sourceVersion').notNullable().defaultTo(0)
+      table.string('kind').notNullable().defaultTo('page')
+      table.integer('pageId').unsigned().references('id').inTable('pages').onDelete('CASCADE')
+      table.integer('assetId').unsigned().references('id').inTable('assets').onDelete('CASCADE')
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+      table.unique(['source', 'sourceKey', 'sourceId'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('importMappings')
+    .dropTableIfExists('imports')
+}
@@ -0,0 +1,23 @@
+exports.up = knex => {
+  return knex.schema
+    .alterTable('comments', table => {
+      table.string('status').notNullable().defaultTo('approved')
+      table.string('spamReason')
+      table.string('moderatedAt')
+      table.integer('moderatedById').unsigned()
+    })
+    // COMMENT REACTIONS -------------------
+    .createTable('commentReactions', table => {
+      table.increments('id').primary()
+      table.integer('commentId').unsigned().notNullable().references('id').inTable('comments').onDelete('CASCADE')
+      table.integer('userId').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE')
+      table.string('reaction').notNullable()
+      table.string('createdAt').notNullable()
+      table.unique(['commentId', 'userId', 'reaction'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('commentReactions')
+}
@@ -0,0 +1,61 @@
+exports.up = knex => {
+  const dbCompat = {
+    charset: (WIKI.config.db.type === `mysql` || WIKI.config.db.type === `mariadb`)
+  }
+  return knex.schema
+    // ANALYTICS DAILY TOTALS --------------
+    .createTable('analyticsDaily', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.string('day', 10).primary()
+      table.integer('views').unsigned().notNullable().defaultTo(0)
+      table.integer('visitors').unsigned().notNullable().defaultTo(0)
+      table.integer('searches').unsigned().notNullable().defaultTo(0)
+    })
+    // ANALYTICS PAGE VIEWS ----------------
+    .createTable('analyticsPageViews', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.string('day', 10).notNullable()
+      table.integer('pageId').unsigned().notNullable().references('id').inTable('pages').onDelete('CASCADE')
+      table.integer('views').unsigned().notNullable().defaultTo(0)
+      table.integer('visitors').unsigned().notNullable().defaultTo(0)
+      table.unique(['day', 'pageId'])
+    })
+    // ANALYTICS REFERRERS -----------------
+    .createTable('analyticsReferrers', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.string('day', 10).notNullable()
+      table.string('referrer').notNullable()
+      table.integer('views').unsigned().notNullable().defaultTo(0)
+      table.unique(['day', 'referrer'])
+    })
+    // ANALYTICS SEARCHES ------------------
+    .createTable('analyticsSearches', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.string('day', 10).notNullable()
+      table.string('query').notNullable()
+      table.integer('searches').unsigned().notNullable().defaultTo(0)
+      table.integer('zeroResults').unsigned().notNullable().defaultTo(0)
+      table.unique(['day', 'query'])
+    })
+    // ANALYTICS VISITORS ------------------
+    .createTable('analyticsVisitors', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.string('day', 10).notNullable()
+      table.integer('pageId').unsigned().notNullable()
+      table.string('hash', 64).notNullable()
+      table.unique(['day', 'pageId', 'hash'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('analyticsVisitors')
+    .dropTableIfExists('analyticsSearches')
+    .dropTableIfExists('analyticsReferrers')
+    .dropTableIfExists('analyticsPageViews')
+    .dropTableIfExists('analyticsDaily')
+}
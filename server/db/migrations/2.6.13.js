@@ -0,0 +1,23 @@
+exports.up = knex => {
+  const dbCompat = {
+    charset: (WIKI.config.db.type === `mysql` || WIKI.config.db.type === `mariadb`)
+  }
+  return knex.schema
+    // PAGE PROPERTIES ---------------------
+    .createTable('pageProperties', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.integer('pageId').unsigned().notNullable().references('id').inTable('pages').onDelete('CASCADE')
+      table.string('key').notNullable()
+      table.string('value').notNullable()
+      table.float('valueNumber')
+      table.unique(['pageId', 'key'])
+      table.index(['key', 'value'])
+      table.index(['key', 'valueNumber'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('pageProperties')
+}
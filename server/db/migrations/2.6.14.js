@@ -0,0 +1,18 @@
+exports.up = knex => {
+  return knex.schema
+    // PLUGIN DEPENDENCIES -----------------
+    .alterTable('pluginDependencies', table => {
+      table.boolean('isOptional').notNullable().defaultTo(false)
+      table.index('pluginId')
+      table.index('dependsOn')
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .alterTable('pluginDependencies', table => {
+      table.dropIndex('pluginId')
+      table.dropIndex('dependsOn')
+      table.dropColumn('isOptional')
+    })
+}
@@ -0,0 +1,14 @@
+exports.up = knex => {
+  return knex.schema
+    // PAGE DRAFTS -------------------------
+    .alterTable('pageDrafts', table => {
+      table.string('publishError')
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .alterTable('pageDrafts', table => {
+      table.dropColumn('publishError')
+    })
+}
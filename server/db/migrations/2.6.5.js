@@ -0,0 +1,28 @@
+exports.up = knex => {
+  const dbCompat = {
+    charset: (WIKI.config.db.type === `mysql` || WIKI.config.db.type === `mariadb`)
+  }
+  return knex.schema
+    // PAGE DRAFTS -------------------------
+    .createTable('pageDrafts', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.integer('pageId').unsigned().notNullable().unique().references('id').inTable('pages').onDelete('CASCADE')
+      table.string('title').notNullable()
+      table.string('description')
+      table.text('content')
+      table.json('tags')
+      table.text('scriptCss')
+      table.text('scriptJs')
+      table.integer('authorId').unsigned().references('id').inTable('users').onDelete('SET NULL')
+      table.string('publishAt')
+      table.string('createdAt').notNullable()
+      table.string('updatedAt').notNullable()
+      table.index(['publishAt'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('pageDrafts')
+}
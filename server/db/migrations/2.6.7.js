@@ -0,0 +1,16 @@
+exports.up = knex => {
+  return knex.schema
+    .alterTable('apiKeys', table => {
+      table.integer('groupId').unsigned()
+      table.json('scopes')
+      table.json('pageRules')
+      table.json('ipRanges')
+      table.boolean('isReadOnly').notNullable().defaultTo(false)
+      table.string('lastUsedAt')
+      table.string('lastUsedIp')
+      table.integer('requestCount').notNullable().defaultTo(0)
+      table.integer('replacedById').unsigned()
+    })
+}
+
+exports.down = knex => { }
@@ -0,0 +1,17 @@
+exports.up = knex => {
+  return knex.schema
+    .alterTable('comments', table => {
+      table.text('anchorQuote')
+      table.text('anchorPrefix')
+      table.text('anchorSuffix')
+      table.integer('anchorOffset')
+      table.string('anchorHash')
+      table.string('anchorContentHash')
+      table.string('anchorStatus')
+      table.boolean('isResolved').notNullable().defaultTo(false)
+      table.string('resolvedAt')
+      table.integer('resolvedById').unsigned()
+    })
+}
+
+exports.down = knex => { }
@@ -0,0 +1,27 @@
+exports.up = knex => {
+  const dbCompat = {
+    charset: (WIKI.config.db.type === `mysql` || WIKI.config.db.type === `mariadb`)
+  }
+  return knex.schema
+    .alterTable('comments', table => {
+      table.string('status').notNullable().defaultTo('approved')
+      table.string('spamReason')
+      table.string('moderatedAt')
+      table.integer('moderatedById').unsigned()
+    })
+    // COMMENT REACTIONS -------------------
+    .createTable('commentReactions', table => {
+      if (dbCompat.charset) { table.charset('utf8mb4') }
+      table.increments('id').primary()
+      table.integer('commentId').unsigned().notNullable().references('id').inTable('comments').onDelete('CASCADE')
+      table.integer('userId').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE')
+      table.string('reaction').notNullable()
+      table.string('createdAt').notNullable()
+      table.unique(['commentId', 'userId', 'reaction'])
+    })
+}
+
+exports.down = knex => {
+  return knex.schema
+    .dropTableIfExists('commentReactions')
+}
@@ -7,6 +7,7 @@ const PubSub = require('graphql-subscriptions').PubSub
 const { LEVEL, MESSAGE } = require('triple-beam')
 const Transport = require('winston-transport')
 const { createRateLimitTypeDef } = require('graphql-rate-limit-directive')
+const pluginGraphQL = require('../plugins/graphql')
 // const { GraphQLUpload } = require('graphql-upload')
 
 WIKI.logger.info(`Loading GraphQL Schema...`)
@@ -24,10 +25,15 @@ schemas.forEach(schema => {
 })
 
 // Load plugin GraphQL schemas (requires restart for changes)
+const pluginSchemas = []
 if (WIKI.data && WIKI.data.plugins) {
   for (const plugin of WIKI.data.plugins) {
     const schemaPath = path.join(plugin.installPath, 'graphql', 'schema.graphql')
     if (fs.existsSync(schemaPath)) {
+      if (!_.includes(plugin.permissions, 'graphql:extend')) {
+        WIKI.logger.warn(`Plugin ${plugin.id} has a GraphQL schema but was not granted graphql:extend, schema is not loaded`)
+        continue
+      }
       WIKI.logger.info(`Loading GraphQL schema for plugin: ${plugin.id}`)
       try {
         const pluginSchema = fs.readFileSync(schemaPath, 'utf8')
@@ -49,7 +55,11 @@ if (WIKI.data && WIKI.data.plugins) {
           throw new Error(`Unbalanced braces in schema: ${openBraces} opening, ${closeBraces} closing`)
         }
 
+        // Fields added to the root types, resolved by the plugin (throws on syntax errors)
+        const rootFields = pluginGraphQL.getRootFields(pluginSchema)
+
         typeDefs.push(pluginSchema)
+        pluginSchemas.push({ plugin, rootFields })
         WIKI.logger.info(`Successfully validated and loaded GraphQL schema for plugin: ${plugin.id}`)
       } catch (err) {
         WIKI.logger.error(`Invalid GraphQL schema in plugin ${plugin.id}: ${err.message}`)
@@ -86,43 +96,10 @@ resolversObj.forEach(resolver => {
 })
 
 // Load plugin GraphQL resolvers (requires restart for changes)
-if (WIKI.data && WIKI.data.plugins) {
-  for (const plugin of WIKI.data.plugins) {
-    const resolversPath = path.join(plugin.installPath, 'graphql', 'resolvers.js')
-    if (fs.existsSync(resolversPath)) {
-      WIKI.logger.info(`Loading GraphQL resolvers for plugin: ${plugin.id}`)
-      try {
-        const pluginResolvers = require(resolversPath)
-
-        // Validate resolvers structure
-        if (!pluginResolvers || typeof pluginResolvers !== 'object') {
-          throw new Error('Resolvers must export an object')
-        }
-
-        _.merge(resolvers, pluginResolvers)
-        WIKI.logger.info(`Successfully loaded GraphQL resolvers for plugin: ${plugin.id}`)
-      } catch (err) {
-        WIKI.logger.error(`Invalid GraphQL resolvers in plugin ${plugin.id}: ${err.message}`)
-
-        // Mark plugin as errored
-        WIKI.models.plugins.query()
-          .patch({
-            status: 'error',
-            state: {
-              status: 'error',
-              message: `Invalid GraphQL resolvers: ${err.message}`
-            }
-          })
-          .where('id', plugin.id)
-          .catch(dbErr => {
-            WIKI.logger.error(`Failed to update plugin status: ${dbErr.message}`)
-          })
-
-        // Continue loading other plugins
-        continue
-      }
-    }
-  }
+// Resolvers run in the plugin sandbox, the root fields of the plugin schema are forwarded to it
+for (const { plugin, rootFields } of pluginSchemas) {
+  _.merge(resolvers, pluginGraphQL.createResolvers(plugin.id, rootFields))
+  WIKI.logger.info(`Loaded GraphQL resolvers for plugin: ${plugin.id}`)
 }
 
 // Directives
@@ -131,6 +108,23 @@ let schemaDirectives = {
   ...autoload(path.join(WIKI.SERVERPATH, 'graph/directives'))
 }
 
+// Plugins
+
+const plugins = [
+  {
+    // Reject mutations made with read-only API keys
+    requestDidStart () {
+      return {
+        didResolveOperation ({ context, operation }) {
+          if (operation && operation.operation === 'mutation' && _.get(context, 'req.user.apiKey.isReadOnly', false)) {
+            throw new WIKI.Error.ApiKeyReadOnly()
+          }
+        }
+      }
+    }
+  }
+]
+
 // Live Trail Logger (admin)
 
 class LiveTrailLogger extends Transport {
@@ -160,5 +154,6 @@ WIKI.logger.info(`GraphQL Schema: [ OK ]`)
 module.exports = {
   typeDefs,
   resolvers,
-  schemaDirectives
+  schemaDirectives,
+  plugins
 }
@@ -29,6 +29,9 @@ module.exports = {
         }
       })
       return providers
+    },
+    async stats(obj, args, context, info) {
+      return WIKI.analytics.getStats(args)
     }
   },
   AnalyticsMutation: {
@@ -44,6 +47,7 @@ module.exports = {
           }).where('key', str.key)
           await WIKI.cache.del('analytics')
         }
+        await WIKI.analytics.reload()
         return {
           responseResult: graphHelper.generateSuccess('Providers updated successfully')
         }
@@ -54,11 +54,16 @@ module.exports = {
           slug: folderSlug
         }).first()
         if (!result) {
-          await WIKI.models.assetFolders.query().insert({
+          const folder = await WIKI.models.assetFolders.query().insert({
             slug: folderSlug,
             name: folderSlug,
             parentId: parentFolderId
           })
+          await WIKI.models.auditLog.record(context, {
+            action: 'asset:createFolder',
+            target: { type: 'assetFolder', id: folder.id, name: folderSlug },
+            after: { slug: folderSlug, parentId: parentFolderId }
+          })
           return {
             responseResult: graphHelper.generateSuccess('Asset Folder has been created successfully.')
           }
@@ -115,6 +120,23 @@ module.exports = {
             throw new WIKI.Error.AssetRenameTargetForbidden()
           }
 
+          // -> Trigger asset:beforeRename hook (blocking)
+          if (WIKI.plugins && WIKI.plugins.hooks) {
+            try {
+              await WIKI.plugins.hooks.triggerBlocking('asset:beforeRename', {
+                asset: WIKI.models.assets.getHookData(asset, assetSourcePath),
+                destination: {
+                  filename,
+                  path: assetTargetPath
+                },
+                user: WIKI.models.users.getHookData(context.req.user),
+                canProceed: true
+              })
+            } catch (err) {
+              throw new Error(`Asset rename blocked: ${err.message}`)
+            }
+          }
+
           // Update filename + hash
           const fileHash = assetHelper.generateHash(assetTargetPath)
           await WIKI.models.assets.query().patch({
@@ -122,6 +144,13 @@ module.exports = {
             hash: fileHash
           }).findById(args.id)
 
+          await WIKI.models.auditLog.record(context, {
+            action: 'asset:rename',
+            target: { type: 'asset', id: asset.id, name: assetTargetPath },
+            before: { path: assetSourcePath },
+            after: { path: assetTargetPath }
+          })
+
           // Delete old asset cache
           await asset.deleteAssetCache()
 
@@ -138,6 +167,19 @@ module.exports = {
             }
           })
 
+          // -> Trigger asset:rename hook
+          if (WIKI.plugins && WIKI.plugins.hooks) {
+            try {
+              await WIKI.plugins.hooks.trigger('asset:rename', {
+                asset: WIKI.models.assets.getHookData(await WIKI.models.assets.query().findById(asset.id), assetTargetPath),
+                before: WIKI.models.assets.getHookData(asset, assetSourcePath),
+                user: WIKI.models.users.getHookData(context.req.user)
+              })
+            } catch (hookErr) {
+              WIKI.logger.warn(`Hook execution error (asset:rename): ${hookErr.message}`)
+            }
+          }
+
           return {
             responseResult: graphHelper.generateSuccess('Asset has been renamed successfully.')
           }
@@ -161,10 +203,29 @@ module.exports = {
             throw new WIKI.Error.AssetDeleteForbidden()
           }
 
+          // -> Trigger asset:beforeDelete hook (blocking)
+          if (WIKI.plugins && WIKI.plugins.hooks) {
+            try {
+              await WIKI.plugins.hooks.triggerBlocking('asset:beforeDelete', {
+                asset: WIKI.models.assets.getHookData(asset, assetPath),
+                user: WIKI.models.users.getHookData(context.req.user),
+                canProceed: true
+              })
+            } catch (err) {
+              throw new Error(`Asset deletion blocked: ${err.message}`)
+            }
+          }
+
           await WIKI.models.knex('assetData').where('id', args.id).del()
           await WIKI.models.assets.query().deleteById(args.id)
           await asset.deleteAssetCache()
 
+          await WIKI.models.auditLog.record(context, {
+            action: 'asset:delete',
+            target: { type: 'asset', id: asset.id, name: assetPath },
+            before: _.pick(asset, ['filename', 'folderId', 'kind', 'mime', 'fileSize'])
+          })
+
           // Delete from Storage
           await WIKI.models.storage.assetEvent({
             event: 'deleted',
@@ -177,6 +238,18 @@ module.exports = {
             }
           })
 
+          // -> Trigger asset:delete hook
+          if (WIKI.plugins && WIKI.plugins.hooks) {
+            try {
+              await WIKI.plugins.hooks.trigger('asset:delete', {
+                asset: WIKI.models.assets.getHookData(asset, assetPath),
+                user: WIKI.models.users.getHookData(context.req.user)
+              })
+            } catch (hookErr) {
+              WIKI.logger.warn(`Hook execution error (asset:delete): ${hookErr.message}`)
+            }
+          }
+
           return {
             responseResult: graphHelper.generateSuccess('Asset has been deleted successfully.')
           }
@@ -193,6 +266,9 @@ module.exports = {
     async flushTempUploads(obj, args, context) {
       try {
         await WIKI.models.assets.flushTempUploads()
+        await WIKI.models.auditLog.record(context, {
+          action: 'asset:flushTempUploads'
+        })
         return {
           responseResult: graphHelper.generateSuccess('Temporary Uploads have been flushed successfully.')
         }
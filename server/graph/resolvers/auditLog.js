@@ -0,0 +1,30 @@
+const _ = require('lodash')
+
+module.exports = {
+  Query: {
+    async auditLog() { return {} }
+  },
+  AuditLogQuery: {
+    /**
+     * Fetch a page of audit log entries, most recent first
+     */
+    async list(obj, args, context, info) {
+      const result = await WIKI.models.auditLog.getEntries(_.omitBy(args, _.isNil))
+      return {
+        total: result.total,
+        entries: result.entries.map(entry => ({
+          ...entry,
+          changes: entry.changes ? JSON.stringify(entry.changes) : null,
+          meta: entry.meta ? JSON.stringify(entry.meta) : null
+        }))
+      }
+    },
+    /**
+     * List actions recorded so far
+     */
+    async actions(obj, args, context, info) {
+      const actions = await WIKI.models.auditLog.query().distinct('action')
+      return _.sortBy(actions.map(a => a.action))
+    }
+  }
+}
@@ -3,6 +3,17 @@ const fs = require('fs-extra')
 const path = require('path')
 const graphHelper = require('../../helpers/graph')
 
+/**
+ * Get the audited state of an authentication strategy
+ */
+function getStrategyState (str) {
+  return {
+    ..._.pick(str, ['strategyKey', 'displayName', 'order', 'isEnabled', 'config', 'selfRegistration']),
+    domainWhitelist: _.get(str.domainWhitelist, 'v', str.domainWhitelist),
+    autoEnrollGroups: _.get(str.autoEnrollGroups, 'v', str.autoEnrollGroups)
+  }
+}
+
 module.exports = {
   Query: {
     async authentication () { return {} }
@@ -23,7 +34,16 @@ module.exports = {
         isRevoked: k.isRevoked,
         expiration: k.expiration,
         createdAt: k.createdAt,
-        updatedAt: k.updatedAt
+        updatedAt: k.updatedAt,
+        groupId: k.groupId,
+        scopes: k.scopes || [],
+        pageRules: k.pageRules || [],
+        ipRanges: k.ipRanges || [],
+        isReadOnly: k.isReadOnly === true || k.isReadOnly === 1,
+        lastUsedAt: k.lastUsedAt,
+        lastUsedIp: k.lastUsedIp,
+        requestCount: _.toSafeInteger(k.requestCount),
+        replacedById: k.replacedById
       }))
     },
     /**
@@ -32,6 +52,9 @@ module.exports = {
     apiState () {
       return WIKI.config.api.isEnabled
     },
+    scimProviderKey () {
+      return _.get(WIKI.config, 'scim.providerKey', '')
+    },
     async strategies () {
       return WIKI.data.authentication.map(stg => ({
         ...stg,
@@ -77,7 +100,12 @@ module.exports = {
      */
     async createApiKey (obj, args, context) {
       try {
-        const key = await WIKI.models.apiKeys.createNewKey(args)
+        const { id, key } = await WIKI.models.apiKeys.createNewKey(args)
+        await WIKI.models.auditLog.record(context, {
+          action: 'apiKey:create',
+          target: { type: 'apiKey', id, name: args.name },
+          after: _.pick(args, ['name', 'expiration', 'fullAccess', 'group', 'scopes', 'pageRules', 'ipRanges', 'isReadOnly'])
+        })
         await WIKI.auth.reloadApiKeys()
         WIKI.events.outbound.emit('reloadApiKeys')
         return {
@@ -166,8 +194,15 @@ module.exports = {
      */
     async setApiState (obj, args, context) {
       try {
+        const wasEnabled = WIKI.config.api.isEnabled
         WIKI.config.api.isEnabled = args.enabled
         await WIKI.configSvc.saveToDb(['api'])
+        await WIKI.models.auditLog.record(context, {
+          action: 'apiKey:setApiState',
+          target: { type: 'api' },
+          before: { isEnabled: wasEnabled },
+          after: { isEnabled: args.enabled }
+        })
         return {
           responseResult: graphHelper.generateSuccess('API State changed successfully')
         }
@@ -175,14 +210,45 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
+    /**
+     * Set the authentication strategy of users provisioned through SCIM
+     */
+    async setScimProviderKey (obj, args, context) {
+      try {
+        if (!_.isEmpty(args.providerKey) && !await WIKI.models.authentication.query().findById(args.providerKey)) {
+          throw new WIKI.Error.AuthProviderInvalid()
+        }
+        const before = _.get(WIKI.config, 'scim.providerKey', '')
+        _.set(WIKI.config, 'scim.providerKey', args.providerKey)
+        await WIKI.configSvc.saveToDb(['scim'])
+        await WIKI.models.auditLog.record(context, {
+          action: 'auth:setScimProviderKey',
+          target: { type: 'api' },
+          before: { providerKey: before },
+          after: { providerKey: args.providerKey }
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('SCIM provisioning strategy updated successfully')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
     /**
      * Revoke an API key
      */
     async revokeApiKey (obj, args, context) {
       try {
+        const apiKey = await WIKI.models.apiKeys.query().findById(args.id)
         await WIKI.models.apiKeys.query().findById(args.id).patch({
           isRevoked: true
         })
+        await WIKI.models.auditLog.record(context, {
+          action: 'apiKey:revoke',
+          target: { type: 'apiKey', id: args.id, name: _.get(apiKey, 'name') },
+          before: { isRevoked: Boolean(_.get(apiKey, 'isRevoked')) },
+          after: { isRevoked: true }
+        })
         await WIKI.auth.reloadApiKeys()
         WIKI.events.outbound.emit('reloadApiKeys')
         return {
@@ -192,6 +258,28 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
+    /**
+     * Rotate an API Key
+     */
+    async rotateApiKey (obj, args, context) {
+      try {
+        const { id, key } = await WIKI.models.apiKeys.rotateKey(args)
+        const apiKey = await WIKI.models.apiKeys.query().findById(args.id)
+        await WIKI.models.auditLog.record(context, {
+          action: 'apiKey:rotate',
+          target: { type: 'apiKey', id: args.id, name: _.get(apiKey, 'name') },
+          meta: { replacedById: id, gracePeriod: args.gracePeriod, oldKeyExpiration: _.get(apiKey, 'expiration') }
+        })
+        await WIKI.auth.reloadApiKeys()
+        WIKI.events.outbound.emit('reloadApiKeys')
+        return {
+          key,
+          responseResult: graphHelper.generateSuccess('API Key rotated successfully')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
     /**
      * Update Authentication Strategies
      */
@@ -212,7 +300,8 @@ module.exports = {
             autoEnrollGroups: { v: str.autoEnrollGroups }
           }
 
-          if (_.some(previousStrategies, ['key', str.key])) {
+          const previousStr = _.find(previousStrategies, ['key', str.key])
+          if (previousStr) {
             await WIKI.models.authentication.query().patch({
               key: str.key,
               strategyKey: str.strategyKey,
@@ -225,6 +314,21 @@ module.exports = {
               ...newStr
             })
           }
+          const before = previousStr ? getStrategyState(previousStr) : null
+          const after = getStrategyState({
+            ...newStr,
+            strategyKey: str.strategyKey,
+            domainWhitelist: str.domainWhitelist,
+            autoEnrollGroups: str.autoEnrollGroups
+          })
+          if (!_.isEqual(before, after)) {
+            await WIKI.models.auditLog.record(context, {
+              action: previousStr ? 'auth:updateStrategy' : 'auth:createStrategy',
+              target: { type: 'authStrategy', id: str.key, name: str.displayName },
+              before,
+              after
+            })
+          }
         }
 
         for (const str of _.differenceBy(previousStrategies, args.strategies, 'key')) {
@@ -233,6 +337,11 @@ module.exports = {
             throw new Error(`Cannot delete ${str.displayName} as 1 or more users are still using it.`)
           } else {
             await WIKI.models.authentication.query().delete().where('key', str.key)
+            await WIKI.models.auditLog.record(context, {
+              action: 'auth:deleteStrategy',
+              target: { type: 'authStrategy', id: str.key, name: str.displayName },
+              before: getStrategyState(str)
+            })
           }
         }
 
@@ -251,6 +360,10 @@ module.exports = {
     async regenerateCertificates (obj, args, context) {
       try {
         await WIKI.auth.regenerateCertificates()
+        await WIKI.models.auditLog.record(context, {
+          action: 'auth:regenerateCertificates',
+          target: { type: 'system' }
+        })
         return {
           responseResult: graphHelper.generateSuccess('Certificates have been regenerated successfully.')
         }
@@ -264,6 +377,10 @@ module.exports = {
     async resetGuestUser (obj, args, context) {
       try {
         await WIKI.auth.resetGuestUser()
+        await WIKI.models.auditLog.record(context, {
+          action: 'auth:resetGuestUser',
+          target: { type: 'user', id: 2, name: 'Guest' }
+        })
         return {
           responseResult: graphHelper.generateSuccess('Guest user has been reset successfully.')
         }
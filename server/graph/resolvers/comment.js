@@ -1,6 +1,27 @@
 const _ = require('lodash')
 const graphHelper = require('../../helpers/graph')
 
+/**
+ * Map a comment to a CommentPost
+ */
+function formatComment (cm) {
+  return {
+    ...cm,
+    authorName: cm.name,
+    authorEmail: cm.email,
+    authorIP: cm.ip,
+    isResolved: cm.isResolved === true || cm.isResolved === 1,
+    status: cm.status || 'approved',
+    anchor: cm.anchorQuote ? {
+      quote: cm.anchorQuote,
+      prefix: cm.anchorPrefix,
+      suffix: cm.anchorSuffix,
+      offset: _.toSafeInteger(cm.anchorOffset),
+      status: cm.anchorStatus || 'anchored'
+    } : null
+  }
+}
+
 module.exports = {
   Query: {
     async comments() { return {} }
@@ -38,19 +59,30 @@ module.exports = {
      * Fetch list of comments for a page
      */
     async list (obj, args, context) {
-      const page = await WIKI.models.pages.query().select('pages.id').findOne({ localeCode: args.locale, path: args.path })
+      const page = await WIKI.models.pages.query().select('pages.id', 'pages.render').findOne({ localeCode: args.locale, path: args.path })
         .withGraphJoined('tags')
         .modifyGraph('tags', builder => {
           builder.select('tag')
         })
       if (page) {
         if (WIKI.auth.checkAccess(context.req.user, ['read:comments'], { tags: page.tags, ...args })) {
-          const comments = await WIKI.models.comments.query().where('pageId', page.id).orderBy('createdAt')
-          return comments.map(c => ({
-            ...c,
-            authorName: c.name,
-            authorEmail: c.email,
-            authorIP: c.ip
+          const userId = context.req.user.id
+          const isModerator = WIKI.auth.checkAccess(context.req.user, ['manage:comments'], { tags: page.tags, ...args })
+          const comments = await WIKI.models.comments.query().where('pageId', page.id).andWhere(builder => {
+            if (isModerator) {
+              builder.whereIn('status', ['approved', 'pending'])
+            } else {
+              builder.where('status', 'approved')
+              if (userId !== 2) {
+                builder.orWhere({ status: 'pending', authorId: userId })
+              }
+            }
+          }).orderBy('createdAt')
+          await WIKI.models.comments.reanchorComments(page, comments)
+          const reactions = await WIKI.models.commentReactions.getReactions(comments.map(c => c.id), userId)
+          return comments.map(cm => ({
+            ...formatComment(cm),
+            reactions: _.get(reactions, cm.id, [])
           }))
         } else {
           throw new WIKI.Error.CommentViewForbidden()
@@ -73,17 +105,17 @@ module.exports = {
           builder.select('tag')
         })
       if (page) {
-        if (WIKI.auth.checkAccess(context.req.user, ['read:comments'], {
+        const pageContext = {
           path: page.path,
           locale: page.localeCode,
           tags: page.tags
-        })) {
-          return {
-            ...cm,
-            authorName: cm.name,
-            authorEmail: cm.email,
-            authorIP: cm.ip
+        }
+        if (WIKI.auth.checkAccess(context.req.user, ['read:comments'], pageContext)) {
+          const isOwn = context.req.user.id !== 2 && cm.authorId === context.req.user.id
+          if (cm.status !== 'approved' && !isOwn && !WIKI.auth.checkAccess(context.req.user, ['manage:comments'], pageContext)) {
+            throw new WIKI.Error.CommentNotFound()
           }
+          return formatComment(cm)
         } else {
           throw new WIKI.Error.CommentViewForbidden()
         }
@@ -91,6 +123,26 @@ module.exports = {
         WIKI.logger.warn(`Comment #${cm.id} is linked to a page #${cm.pageId} that doesn't exist! [ERROR]`)
         throw new WIKI.Error.CommentGenericError()
       }
+    },
+    /**
+     * Fetch comments awaiting moderation
+     */
+    async moderationQueue (obj, args, context) {
+      const comments = await WIKI.models.comments.query()
+        .select('comments.*', 'page.path AS pagePath', 'page.localeCode AS pageLocale', 'page.title AS pageTitle')
+        .joinRelated('page')
+        .whereIn('comments.status', ['pending', 'spam'])
+        .orderBy('comments.createdAt', 'desc')
+      return comments.filter(cm => WIKI.auth.checkAccess(context.req.user, ['manage:comments'], {
+        path: cm.pagePath,
+        locale: cm.pageLocale
+      })).map(cm => ({
+        ...formatComment(cm),
+        spamReason: cm.spamReason,
+        pagePath: cm.pagePath,
+        pageLocale: cm.pageLocale,
+        pageTitle: cm.pageTitle
+      }))
     }
   },
   CommentMutation: {
@@ -99,14 +151,15 @@ module.exports = {
      */
     async create (obj, args, context) {
       try {
-        const cmId = await WIKI.models.comments.postNewComment({
+        const cm = await WIKI.models.comments.postNewComment({
           ...args,
           user: context.req.user,
           ip: context.req.ip
         })
         return {
-          responseResult: graphHelper.generateSuccess('New comment posted successfully'),
-          id: cmId
+          responseResult: graphHelper.generateSuccess(cm.status === 'approved' ? 'New comment posted successfully' : 'New comment submitted for moderation'),
+          id: cm.id,
+          status: cm.status
         }
       } catch (err) {
         return graphHelper.generateError(err)
@@ -147,6 +200,74 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
+    /**
+     * Resolve an Existing Comment
+     */
+    async resolve (obj, args, context) {
+      try {
+        await WIKI.models.comments.setCommentResolved({
+          id: args.id,
+          isResolved: true,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Comment resolved successfully')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Reopen a Resolved Comment
+     */
+    async reopen (obj, args, context) {
+      try {
+        await WIKI.models.comments.setCommentResolved({
+          id: args.id,
+          isResolved: false,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Comment reopened successfully')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Approve a Pending Comment
+     */
+    async approve (obj, args, context) {
+      try {
+        await WIKI.models.comments.approveComment({
+          id: args.id,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Comment approved successfully')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Toggle a Reaction on a Comment
+     */
+    async react (obj, args, context) {
+      try {
+        const reactions = await WIKI.models.commentReactions.toggleReaction({
+          id: args.id,
+          reaction: args.reaction,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Reaction updated successfully'),
+          reactions
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
     /**
      * Update Comments Providers
      */
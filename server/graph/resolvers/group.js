@@ -72,6 +72,12 @@ module.exports = {
       // Assign user to group
       await grp.$relatedQuery('users').relate(usr.id)
 
+      await WIKI.models.auditLog.record({ req }, {
+        action: 'group:assignUser',
+        target: { type: 'group', id: grp.id, name: grp.name },
+        meta: { userId: usr.id, userName: usr.name, userEmail: usr.email }
+      })
+
       // Revoke tokens for this user
       WIKI.auth.revokeUserTokens({ id: usr.id, kind: 'u' })
       WIKI.events.outbound.emit('addAuthRevoke', { id: usr.id, kind: 'u' })
@@ -90,6 +96,11 @@ module.exports = {
         pageRules: JSON.stringify(WIKI.data.groups.defaultPageRules),
         isSystem: false
       })
+      await WIKI.models.auditLog.record({ req }, {
+        action: 'group:create',
+        target: { type: 'group', id: group.id, name: group.name },
+        after: _.pick(group, ['name', 'permissions', 'pageRules'])
+      })
       await WIKI.auth.reloadGroups()
       WIKI.events.outbound.emit('reloadGroups')
       return {
@@ -100,12 +111,20 @@ module.exports = {
     /**
      * DELETE GROUP
      */
-    async delete (obj, args) {
+    async delete (obj, args, { req }) {
       if (args.id === 1 || args.id === 2) {
         throw new gql.GraphQLError('Cannot delete this group.')
       }
 
+      const grp = await WIKI.models.groups.query().findById(args.id)
       await WIKI.models.groups.query().deleteById(args.id)
+      if (grp) {
+        await WIKI.models.auditLog.record({ req }, {
+          action: 'group:delete',
+          target: { type: 'group', id: grp.id, name: grp.name },
+          before: _.pick(grp, ['name', 'permissions', 'pageRules', 'redirectOnLogin'])
+        })
+      }
 
       WIKI.auth.revokeUserTokens({ id: args.id, kind: 'g' })
       WIKI.events.outbound.emit('addAuthRevoke', { id: args.id, kind: 'g' })
@@ -120,7 +139,7 @@ module.exports = {
     /**
      * UNASSIGN USER FROM GROUP
      */
-    async unassignUser (obj, args) {
+    async unassignUser (obj, args, { req }) {
       if (args.userId === 2) {
         throw new gql.GraphQLError('Cannot unassign Guest user')
       }
@@ -137,6 +156,12 @@ module.exports = {
       }
       await grp.$relatedQuery('users').unrelate().where('userId', usr.id)
 
+      await WIKI.models.auditLog.record({ req }, {
+        action: 'group:unassignUser',
+        target: { type: 'group', id: grp.id, name: grp.name },
+        meta: { userId: usr.id, userName: usr.name, userEmail: usr.email }
+      })
+
       WIKI.auth.revokeUserTokens({ id: usr.id, kind: 'u' })
       WIKI.events.outbound.emit('addAuthRevoke', { id: usr.id, kind: 'u' })
 
@@ -180,6 +205,7 @@ module.exports = {
       }
 
       // Update group
+      const grp = await WIKI.models.groups.query().findById(args.id)
       await WIKI.models.groups.query().patch({
         name: args.name,
         redirectOnLogin: args.redirectOnLogin,
@@ -187,6 +213,20 @@ module.exports = {
         pageRules: JSON.stringify(args.pageRules)
       }).where('id', args.id)
 
+      if (grp) {
+        await WIKI.models.auditLog.record({ req }, {
+          action: 'group:update',
+          target: { type: 'group', id: grp.id, name: args.name },
+          before: _.pick(grp, ['name', 'redirectOnLogin', 'permissions', 'pageRules']),
+          after: {
+            name: args.name,
+            redirectOnLogin: args.redirectOnLogin,
+            permissions: args.permissions,
+            pageRules: args.pageRules
+          }
+        })
+      }
+
       // Revoke tokens for this group
       WIKI.auth.revokeUserTokens({ id: args.id, kind: 'g' })
       WIKI.events.outbound.emit('addAuthRevoke', { id: args.id, kind: 'g' })
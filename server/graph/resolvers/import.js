@@ -1,4 +1,5 @@
 const graphHelper = require('../../helpers/graph')
+const securityHelper = require('../../helpers/security')
 
 module.exports = {
   Query: {
@@ -8,7 +9,22 @@ module.exports = {
     async import() { return {} }
   },
   ImportQuery: {
-    // Future: Add query methods for import history, status, etc.
+    /**
+     * LIST IMPORT JOBS
+     */
+    async jobs(obj, args, context) {
+      return WIKI.models.import.query().orderBy('id', 'desc').limit(args.limit || 25)
+    },
+    /**
+     * FETCH IMPORT JOB
+     */
+    async job(obj, args, context) {
+      const job = await WIKI.models.import.query().findById(args.id)
+      if (!job) {
+        throw new WIKI.Error.ImportJobNotFound()
+      }
+      return job
+    }
   },
   ImportMutation: {
     /**
@@ -29,24 +45,19 @@ module.exports = {
           username: args.username,
           password: args.password,
           token: args.token,
-          locale: args.locale || 'en',
+          locale: args.locale,
           pathPrefix: args.pathPrefix,
           user: context.req.user
         })
 
         return {
-          responseResult: graphHelper.generateSuccess('Content imported successfully'),
-          success: result.success,
-          pagesImported: result.pagesImported,
-          errors: result.errors
+          responseResult: graphHelper.generateSuccess('Import started successfully'),
+          job: result
         }
       } catch (err) {
         WIKI.logger.error(`Import failed: ${err.message}`)
         return {
-          responseResult: graphHelper.generateError(err),
-          success: false,
-          pagesImported: 0,
-          errors: [{ page: 'N/A', message: err.message }]
+          responseResult: graphHelper.generateError(err)
         }
       }
     },
@@ -88,6 +99,108 @@ module.exports = {
           errors: [{ page: 'N/A', message: err.message }]
         }
       }
+    },
+
+    /**
+     * Export a page or page tree as PDF
+     */
+    async exportToPdf(obj, args, context) {
+      try {
+        const Export = require('../../models/export')
+
+        const result = await Export.exportToPdf({
+          locale: args.locale,
+          path: args.path,
+          includeChildren: args.includeChildren === true,
+          cover: args.cover,
+          toc: args.toc,
+          authToken: securityHelper.extractJWT(context.req),
+          user: context.req.user
+        })
+
+        return {
+          responseResult: graphHelper.generateSuccess('Content exported successfully'),
+          fileName: result.fileName,
+          mime: 'application/pdf',
+          pagesExported: result.pagesExported,
+          data: result.data.toString('base64')
+        }
+      } catch (err) {
+        WIKI.logger.error(`PDF export failed: ${err.message}`)
+        return {
+          responseResult: graphHelper.generateError(err),
+          fileName: null,
+          mime: null,
+          pagesExported: 0,
+          data: null
+        }
+      }
+    },
+
+    /**
+     * Export a page or page tree to another format
+     */
+    async exportToFormat(obj, args, context) {
+      try {
+        const Export = require('../../models/export')
+
+        const result = await Export.exportToFormat({
+          format: args.format,
+          locale: args.locale,
+          path: args.path,
+          includeChildren: args.includeChildren === true,
+          user: context.req.user
+        })
+
+        return {
+          responseResult: graphHelper.generateSuccess('Content exported successfully'),
+          fileName: result.fileName,
+          mime: result.mime,
+          pagesExported: result.pagesExported,
+          data: result.data.toString('base64')
+        }
+      } catch (err) {
+        WIKI.logger.error(`Export to ${args.format} failed: ${err.message}`)
+        return {
+          responseResult: graphHelper.generateError(err),
+          fileName: null,
+          mime: null,
+          pagesExported: 0,
+          data: null
+        }
+      }
+    },
+
+    /**
+     * Export a page tree as a zip archive
+     */
+    async exportToArchive(obj, args, context) {
+      try {
+        const Export = require('../../models/export')
+
+        const result = await Export.exportToArchive({
+          locale: args.locale,
+          path: args.path,
+          user: context.req.user
+        })
+
+        return {
+          responseResult: graphHelper.generateSuccess('Content exported successfully'),
+          fileName: result.fileName,
+          mime: result.mime,
+          pagesExported: result.pagesExported,
+          data: result.data.toString('base64')
+        }
+      } catch (err) {
+        WIKI.logger.error(`Archive export failed: ${err.message}`)
+        return {
+          responseResult: graphHelper.generateError(err),
+          fileName: null,
+          mime: null,
+          pagesExported: 0,
+          data: null
+        }
+      }
     }
   }
 }
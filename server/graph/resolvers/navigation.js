@@ -1,4 +1,6 @@
+const _ = require('lodash')
 const graphHelper = require('../../helpers/graph')
+const navHelper = require('../../helpers/navigation')
 
 module.exports = {
   Query: {
@@ -18,12 +20,18 @@ module.exports = {
   NavigationMutation: {
     async updateTree (obj, args, context) {
       try {
+        const menus = navHelper.normalizeMenus(args.tree)
+        if (_.uniqBy(menus, menu => `${menu.locale}:${menu.pathPrefix}`).length !== menus.length) {
+          throw new WIKI.Error.NavigationMenuDuplicate()
+        }
+        if (!_.every(menus, menu => navHelper.isValidHierarchy(menu.items))) {
+          throw new WIKI.Error.NavigationInvalidParent()
+        }
+
         await WIKI.models.navigation.query().patch({
-          config: args.tree
+          config: menus
         }).where('key', 'site')
-        for (const tree of args.tree) {
-          await WIKI.cache.set(`nav:sidebar:${tree.locale}`, tree.items, 300)
-        }
+        WIKI.models.navigation.clearCache()
 
         return {
           responseResult: graphHelper.generateSuccess('Navigation updated successfully')
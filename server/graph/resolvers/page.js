@@ -1,6 +1,45 @@
 const _ = require('lodash')
+const crypto = require('crypto')
 const graphHelper = require('../../helpers/graph')
 
+/**
+ * Get the audited state of a page, the content is only represented by its hash
+ */
+async function getPageState (id) {
+  const page = await WIKI.models.pages.query().findById(id).withGraphFetched('tags')
+  if (!page) {
+    return null
+  }
+  return {
+    ..._.pick(page, ['path', 'localeCode', 'title', 'description', 'isPublished', 'isPrivate', 'publishStartDate', 'publishEndDate', 'editorKey', 'contentType']),
+    tags: _.sortBy(_.map(page.tags, 'tag')),
+    properties: _.fromPairs((await WIKI.models.pageProperties.getForPage(id)).map(p => [p.key, p.value])),
+    contentHash: crypto.createHash('sha1').update(_.toString(page.content)).digest('hex')
+  }
+}
+
+/**
+ * Record a change of a page in the audit log
+ */
+async function auditPageChange (context, action, id, before, meta) {
+  const after = await getPageState(id)
+  const state = after || before || {}
+  await WIKI.models.auditLog.record(context, {
+    action,
+    target: { type: 'page', id, name: `${state.localeCode}/${state.path}` },
+    before,
+    after,
+    meta
+  })
+}
+
+/**
+ * Get the locales of the pages using a tag
+ */
+async function getTagLocales (tag) {
+  return _.uniq(_.map(await tag.$relatedQuery('pages').select('pages.localeCode'), 'localeCode'))
+}
+
 module.exports = {
   Query: {
     async pages() { return {} }
@@ -44,6 +83,26 @@ module.exports = {
         throw new WIKI.Error.PageHistoryForbidden()
       }
     },
+    /**
+     * PAGE VERSIONS DIFF
+     */
+    async diff (obj, args, context, info) {
+      const page = await WIKI.models.pages.query().select('path', 'localeCode').findById(args.pageId)
+      if (!page) {
+        throw new WIKI.Error.PageNotFound()
+      }
+      if (!WIKI.auth.checkAccess(context.req.user, ['read:history'], {
+        path: page.path,
+        locale: page.localeCode
+      })) {
+        throw new WIKI.Error.PageHistoryForbidden()
+      }
+      return WIKI.models.pageHistory.getDiff({
+        pageId: args.pageId,
+        fromVersionId: args.fromVersionId,
+        toVersionId: args.toVersionId
+      })
+    },
     /**
      * SEARCH PAGES
      */
@@ -64,7 +123,7 @@ module.exports = {
           }
         }
 
-        const resp = await WIKI.data.searchEngine.query(queryData.query, { ...args, ...queryData })
+        const resp = await WIKI.data.searchEngine.query(queryData.query, { ...args, ...queryData, user: context.req.user })
 
         const filteredResults = _.filter(resp.results, r => {
           return WIKI.auth.checkAccess(context.req.user, ['read:pages'], {
@@ -74,18 +133,25 @@ module.exports = {
           })
         })
 
+        // -> Suggestions and hit counts of engines unaware of permissions may reveal filtered pages
+        const filteredCount = _.size(resp.results) - filteredResults.length
         const searchResult = {
           ...resp,
-          results: filteredResults
+          results: filteredResults,
+          suggestions: filteredCount > 0 ? [] : resp.suggestions,
+          totalHits: Math.max((resp.totalHits || 0) - filteredCount, filteredResults.length)
         }
 
+        // -> Record search for built-in analytics
+        WIKI.analytics.trackSearch(args.query, filteredResults.length)
+
         // -> Trigger search:results hook
         if (WIKI.plugins && WIKI.plugins.hooks) {
           try {
             await WIKI.plugins.hooks.trigger('search:results', {
               query: queryData.query,
               results: filteredResults,
-              totalHits: resp.totalHits,
+              totalHits: searchResult.totalHits,
               relevanceScores: filteredResults.map(r => r.score || 0)
             })
           } catch (hookErr) {
@@ -145,6 +211,9 @@ module.exports = {
           if (args.tags && args.tags.length > 0) {
             queryBuilder.whereIn('tags.tag', args.tags.map(t => _.trim(t).toLowerCase()))
           }
+          if (_.get(args, 'filter.properties', []).length > 0) {
+            WIKI.models.pageProperties.applyFilters(queryBuilder, args.filter.properties)
+          }
           const orderDir = args.orderByDirection === 'DESC' ? 'desc' : 'asc'
           switch (args.orderBy) {
             case 'CREATED':
@@ -176,7 +245,11 @@ module.exports = {
       if (args.tags && args.tags.length > 0) {
         results = _.filter(results, r => _.every(args.tags, t => _.includes(r.tags, t)))
       }
-      return results
+      const properties = await WIKI.models.pageProperties.getForPages(_.map(results, 'id'))
+      return results.map(r => ({
+        ...r,
+        properties: properties[r.id] || []
+      }))
     },
     /**
      * FETCH SINGLE PAGE
@@ -419,6 +492,94 @@ module.exports = {
       } else {
         throw new WIKI.Error.PageNotFound()
       }
+    },
+    /**
+     * MERGE LOCAL CHANGES WITH LATEST VERSION
+     */
+    async conflictMerge (obj, args, context, info) {
+      return WIKI.models.pages.mergeConflict({
+        ...args,
+        user: context.req.user
+      })
+    },
+    /**
+     * FETCH PENDING DRAFT OF A PAGE
+     */
+    async draft (obj, args, context, info) {
+      const draft = await WIKI.models.pageDrafts.getDraft({
+        pageId: args.pageId,
+        user: context.req.user
+      })
+      return draft ? {
+        ...draft,
+        authorName: _.get(draft, 'author.name', null)
+      } : null
+    },
+    /**
+     * LIST PAGE SUBSCRIPTIONS OF CURRENT USER
+     */
+    async subscriptions (obj, args, context, info) {
+      if (context.req.user.id === 2) {
+        return []
+      }
+      const subs = await WIKI.models.pageSubscriptions.query()
+        .select('pageSubscriptions.*', 'pages.title')
+        .leftJoin('pages', function () {
+          this.on('pages.localeCode', '=', 'pageSubscriptions.localeCode').andOn('pages.path', '=', 'pageSubscriptions.path')
+        })
+        .where('pageSubscriptions.userId', context.req.user.id)
+        .orderBy(['pageSubscriptions.localeCode', 'pageSubscriptions.path'])
+      return subs.map(sub => ({
+        ...sub,
+        locale: sub.localeCode,
+        title: sub.isPrefix ? null : sub.title
+      }))
+    },
+    /**
+     * GET SUBSCRIPTION COVERING A PAGE FOR CURRENT USER
+     */
+    async watching (obj, args, context, info) {
+      if (context.req.user.id === 2) {
+        return null
+      }
+      const sub = await WIKI.models.pageSubscriptions.getForPage({
+        user: context.req.user,
+        locale: args.locale,
+        path: args.path
+      })
+      return sub ? { ...sub, locale: sub.localeCode } : null
+    },
+    /**
+     * LIST PAGE TEMPLATES
+     */
+    async templates (obj, args, context, info) {
+      return WIKI.models.pages.getTemplates({
+        locale: args.locale,
+        path: args.path ? _.trim(args.path, '/') : null,
+        user: context.req.user
+      })
+    },
+    /**
+     * LIST PAGE TEMPLATE RULES
+     */
+    async templateRules (obj, args, context, info) {
+      return _.get(WIKI.config, 'pageTemplates.rules', [])
+    },
+    /**
+     * LIST PAGE PROPERTY DEFINITIONS
+     */
+    async propertyDefinitions (obj, args, context, info) {
+      return WIKI.models.pageProperties.getDefinitions()
+    },
+    /**
+     * LIST POSSIBLE VALUES OF A PAGE PROPERTY
+     */
+    async propertyChoices (obj, args, context, info) {
+      return WIKI.models.pageProperties.getChoices({
+        key: args.key,
+        query: args.query || '',
+        user: context.req.user
+      })
     }
   },
   PageMutation: {
@@ -427,10 +588,15 @@ module.exports = {
      */
     async create(obj, args, context) {
       try {
+        const templateRule = await WIKI.models.pages.getTemplateRule({ path: _.trim(args.path, '/'), locale: args.locale })
+        if (templateRule && templateRule.templateId !== args.templateId) {
+          throw new WIKI.Error.PageTemplateRequired()
+        }
         const page = await WIKI.models.pages.createPage({
           ...args,
           user: context.req.user
         })
+        await auditPageChange(context, 'page:create', page.id, null, args.templateId ? { templateId: args.templateId } : undefined)
         return {
           responseResult: graphHelper.generateSuccess('Page created successfully.'),
           page
@@ -444,10 +610,18 @@ module.exports = {
      */
     async update(obj, args, context) {
       try {
+        const before = await getPageState(args.id)
+        if (!args.discardDraft) {
+          await WIKI.models.pageDrafts.ensureNotScheduled(args.id)
+        }
         const page = await WIKI.models.pages.updatePage({
-          ...args,
+          ..._.omit(args, ['discardDraft']),
           user: context.req.user
         })
+        if (args.discardDraft) {
+          await WIKI.models.pageDrafts.query().delete().where('pageId', page.id)
+        }
+        await auditPageChange(context, 'page:update', page.id, before)
         return {
           responseResult: graphHelper.generateSuccess('Page has been updated.'),
           page
@@ -461,10 +635,12 @@ module.exports = {
      */
     async convert(obj, args, context) {
       try {
+        const before = await getPageState(args.id)
         await WIKI.models.pages.convertPage({
           ...args,
           user: context.req.user
         })
+        await auditPageChange(context, 'page:convert', args.id, before)
         return {
           responseResult: graphHelper.generateSuccess('Page has been converted.')
         }
@@ -477,10 +653,12 @@ module.exports = {
      */
     async move(obj, args, context) {
       try {
+        const before = await getPageState(args.id)
         await WIKI.models.pages.movePage({
           ...args,
           user: context.req.user
         })
+        await auditPageChange(context, 'page:move', args.id, before)
         return {
           responseResult: graphHelper.generateSuccess('Page has been moved.')
         }
@@ -493,10 +671,12 @@ module.exports = {
      */
     async delete(obj, args, context) {
       try {
+        const before = await getPageState(args.id)
         await WIKI.models.pages.deletePage({
           ...args,
           user: context.req.user
         })
+        await auditPageChange(context, 'page:delete', args.id, before)
         return {
           responseResult: graphHelper.generateSuccess('Page has been deleted.')
         }
@@ -511,8 +691,17 @@ module.exports = {
       try {
         const tagToDel = await WIKI.models.tags.query().findById(args.id)
         if (tagToDel) {
+          const locales = await getTagLocales(tagToDel)
           await tagToDel.$relatedQuery('pages').unrelate()
           await WIKI.models.tags.query().deleteById(args.id)
+          for (const locale of locales) {
+            WIKI.models.pages.clearPageListCache({ locale })
+          }
+          await WIKI.models.auditLog.record(context, {
+            action: 'page:deleteTag',
+            target: { type: 'tag', id: args.id, name: tagToDel.tag },
+            before: _.pick(tagToDel, ['tag', 'title'])
+          })
         } else {
           throw new Error('This tag does not exist.')
         }
@@ -528,6 +717,7 @@ module.exports = {
      */
     async updateTag (obj, args, context) {
       try {
+        const tagBefore = await WIKI.models.tags.query().findById(args.id)
         const affectedRows = await WIKI.models.tags.query()
           .findById(args.id)
           .patch({
@@ -537,6 +727,15 @@ module.exports = {
         if (affectedRows < 1) {
           throw new Error('This tag does not exist.')
         }
+        for (const locale of await getTagLocales(tagBefore)) {
+          WIKI.models.pages.clearPageListCache({ locale })
+        }
+        await WIKI.models.auditLog.record(context, {
+          action: 'page:updateTag',
+          target: { type: 'tag', id: args.id, name: _.trim(args.tag).toLowerCase() },
+          before: _.pick(tagBefore, ['tag', 'title']),
+          after: { tag: _.trim(args.tag).toLowerCase(), title: _.trim(args.title) }
+        })
         return {
           responseResult: graphHelper.generateSuccess('Tag has been updated successfully.')
         }
@@ -564,6 +763,11 @@ module.exports = {
     async migrateToLocale(obj, args, context) {
       try {
         const count = await WIKI.models.pages.migrateToLocale(args)
+        await WIKI.models.auditLog.record(context, {
+          action: 'page:migrateToLocale',
+          target: { type: 'locale', id: args.targetLocale, name: args.targetLocale },
+          meta: { sourceLocale: args.sourceLocale, count }
+        })
         return {
           responseResult: graphHelper.generateSuccess('Migrated content to target locale successfully.'),
           count
@@ -624,12 +828,50 @@ module.exports = {
           throw new WIKI.Error.PageNotFound()
         }
 
+        const currentPage = await WIKI.models.pages.query().findById(args.pageId)
+        const version = {
+          versionId: targetVersion.versionId,
+          versionDate: targetVersion.versionDate,
+          authorId: targetVersion.authorId,
+          action: targetVersion.action
+        }
+
+        // -> Trigger page:beforeRestore hook (blocking)
+        if (WIKI.plugins && WIKI.plugins.hooks) {
+          try {
+            await WIKI.plugins.hooks.triggerBlocking('page:beforeRestore', {
+              page: WIKI.models.pages.getHookData(currentPage),
+              version,
+              user: WIKI.models.users.getHookData(context.req.user),
+              canProceed: true
+            })
+          } catch (err) {
+            throw new Error(`Page restore blocked: ${err.message}`)
+          }
+        }
+
+        const before = await getPageState(args.pageId)
         await WIKI.models.pages.updatePage({
           ...targetVersion,
           id: targetVersion.pageId,
           user: context.req.user,
           action: 'restored'
         })
+        await auditPageChange(context, 'page:restore', args.pageId, before, { versionId: args.versionId })
+
+        // -> Trigger page:restore hook
+        if (WIKI.plugins && WIKI.plugins.hooks) {
+          try {
+            await WIKI.plugins.hooks.trigger('page:restore', {
+              page: WIKI.models.pages.getHookData(await WIKI.models.pages.query().findById(args.pageId)),
+              before: WIKI.models.pages.getHookData(currentPage),
+              version,
+              user: WIKI.models.users.getHookData(context.req.user)
+            })
+          } catch (hookErr) {
+            WIKI.logger.warn(`Hook execution error (page:restore): ${hookErr.message}`)
+          }
+        }
 
         return {
           responseResult: graphHelper.generateSuccess('Page version restored successfully.')
@@ -644,17 +886,171 @@ module.exports = {
     async purgeHistory (obj, args, context) {
       try {
         await WIKI.models.pageHistory.purge(args.olderThan)
+        await WIKI.models.auditLog.record(context, {
+          action: 'page:purgeHistory',
+          target: { type: 'pageHistory' },
+          meta: { olderThan: args.olderThan }
+        })
         return {
           responseResult: graphHelper.generateSuccess('Page history purged successfully.')
         }
       } catch (err) {
         return graphHelper.generateError(err)
       }
+    },
+    /**
+     * SAVE PAGE DRAFT
+     */
+    async saveDraft (obj, args, context) {
+      try {
+        const draft = await WIKI.models.pageDrafts.saveDraft({
+          ...args,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Draft has been saved.'),
+          draft
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * PUBLISH PAGE DRAFT
+     */
+    async publishDraft (obj, args, context) {
+      try {
+        const result = await WIKI.models.pageDrafts.publishDraft({
+          pageId: args.id,
+          publishAt: args.publishAt,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess(result.draft ? 'Draft has been scheduled for publishing.' : 'Draft has been published.'),
+          ...result
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * DISCARD PAGE DRAFT
+     */
+    async discardDraft (obj, args, context) {
+      try {
+        await WIKI.models.pageDrafts.discardDraft({
+          pageId: args.id,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Draft has been discarded.')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * WATCH PAGE OR PATH
+     */
+    async watch (obj, args, context) {
+      try {
+        const sub = await WIKI.models.pageSubscriptions.watch({
+          locale: args.locale,
+          path: args.path,
+          isPrefix: args.isPrefix === true,
+          mode: args.mode || 'immediate',
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Subscription saved successfully.'),
+          subscription: {
+            ...sub,
+            locale: sub.localeCode
+          }
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * UNWATCH PAGE OR PATH
+     */
+    async unwatch (obj, args, context) {
+      try {
+        await WIKI.models.pageSubscriptions.unwatch({
+          id: args.id,
+          user: context.req.user
+        })
+        return {
+          responseResult: graphHelper.generateSuccess('Subscription removed successfully.')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * UPDATE PAGE PROPERTY DEFINITIONS
+     */
+    async updatePropertyDefinitions (obj, args, context) {
+      try {
+        const before = WIKI.models.pageProperties.getDefinitions()
+        const definitions = await WIKI.models.pageProperties.saveDefinitions(args.definitions)
+        await WIKI.models.auditLog.record(context, {
+          action: 'page:updatePropertyDefinitions',
+          target: { type: 'system', id: 'pageProperties', name: 'Page Properties' },
+          before: { definitions: before },
+          after: { definitions }
+        })
+
+        return {
+          responseResult: graphHelper.generateSuccess('Page property definitions updated successfully.')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * UPDATE PAGE TEMPLATE RULES
+     */
+    async updateTemplateRules (obj, args, context) {
+      try {
+        const rules = _.map(args.rules, rule => ({
+          pathPrefix: _.trim(_.toString(rule.pathPrefix).replace(/\/?\*+$/, ''), '/ '),
+          locale: rule.locale || null,
+          templateId: rule.templateId
+        }))
+        if (_.some(rules, rule => !rule.pathPrefix) || _.uniqBy(rules, rule => `${rule.locale}:${rule.pathPrefix}`).length !== rules.length) {
+          throw new WIKI.Error.PageTemplateRuleInvalid()
+        }
+        const templateIds = _.map(await WIKI.models.pages.getTemplates(), 'id')
+        if (_.some(rules, rule => !_.includes(templateIds, rule.templateId))) {
+          throw new WIKI.Error.PageTemplateNotFound()
+        }
+
+        const before = _.get(WIKI.config, 'pageTemplates.rules', [])
+        _.set(WIKI.config, 'pageTemplates.rules', rules)
+        await WIKI.configSvc.saveToDb(['pageTemplates'])
+        await WIKI.models.auditLog.record(context, {
+          action: 'page:updateTemplateRules',
+          target: { type: 'system', id: 'pageTemplates', name: 'Page Templates' },
+          before: { rules: before },
+          after: { rules }
+        })
+
+        return {
+          responseResult: graphHelper.generateSuccess('Page template rules updated successfully.')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
     }
   },
   Page: {
     async tags (obj) {
       return WIKI.models.pages.relatedQuery('tags').for(obj.id)
+    },
+    async properties (obj) {
+      return WIKI.models.pageProperties.getForPage(obj.id)
     }
     // comments(pg) {
     //   return pg.$relatedQuery('comments')
@@ -1,4 +1,6 @@
 const graphHelper = require('../../helpers/graph')
+const path = require('path')
+const _ = require('lodash')
 const { GraphQLScalarType, Kind } = require('graphql')
 
 // JSON scalar type - passes through any valid JSON value
@@ -94,15 +96,49 @@ module.exports = {
       }
 
       return query.orderBy('createdAt', 'desc').limit(500)
+    },
+
+    /**
+     * Search plugins of the configured registries
+     */
+    async registry(obj, args) {
+      return WIKI.plugins.registry.search({
+        query: args.query || '',
+        compatibleOnly: args.compatibleOnly === true,
+        refresh: args.refresh === true
+      })
+    },
+
+    /**
+     * Get a plugin of a registry
+     */
+    async registryPlugin(obj, args) {
+      return WIKI.plugins.registry.getPlugin(args.registryId, args.id)
+    },
+
+    /**
+     * Get registry settings
+     */
+    async registryConfig() {
+      const config = WIKI.plugins.registry.getConfig()
+      return {
+        ...config,
+        registries: config.registries.map(r => ({ ...r, isEnabled: r.isEnabled !== false }))
+      }
     }
   },
   PluginMutation: {
     /**
      * Install plugin from ZIP file
      */
-    async install(obj, args) {
+    async install(obj, args, context) {
       try {
-        await WIKI.plugins.manager.installPlugin(args.zipPath)
+        const manifest = await WIKI.plugins.manager.installPlugin(args.zipPath)
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:install',
+          target: { type: 'plugin', id: manifest.id, name: manifest.name },
+          after: { version: manifest.version }
+        })
         return {
           responseResult: graphHelper.generateSuccess('Plugin installed successfully')
         }
@@ -114,9 +150,14 @@ module.exports = {
     /**
      * Activate a plugin
      */
-    async activate(obj, args) {
+    async activate(obj, args, context) {
       try {
         const result = await WIKI.plugins.manager.activatePlugin(args.id)
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:activate',
+          target: { type: 'plugin', id: args.id, name: args.id },
+          meta: { requiresRestart: result.requiresRestart }
+        })
 
         // Build detailed message if restart required
         let message = result.requiresRestart ?
@@ -144,9 +185,14 @@ module.exports = {
     /**
      * Deactivate a plugin
      */
-    async deactivate(obj, args) {
+    async deactivate(obj, args, context) {
       try {
         const result = await WIKI.plugins.manager.deactivatePlugin(args.id)
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:deactivate',
+          target: { type: 'plugin', id: args.id, name: args.id },
+          meta: { requiresRestart: result.requiresRestart }
+        })
 
         // Build detailed message if restart required
         let message = result.requiresRestart ?
@@ -171,12 +217,72 @@ module.exports = {
       }
     },
 
+    /**
+     * Upgrade a plugin to its staged version
+     */
+    async upgrade(obj, args, context) {
+      try {
+        const plugin = await WIKI.models.plugins.query().findById(args.id)
+        const result = await WIKI.plugins.manager.upgradePlugin(args.id, {
+          approvedPermissions: args.approvedPermissions || []
+        })
+        const upgraded = await WIKI.models.plugins.query().findById(args.id)
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:upgrade',
+          target: { type: 'plugin', id: args.id, name: upgraded ? upgraded.name : args.id },
+          before: plugin ? { version: plugin.version, permissions: plugin.permissions } : null,
+          after: upgraded ? { version: upgraded.version, permissions: upgraded.permissions } : null,
+          meta: { requiresRestart: result.requiresRestart }
+        })
+
+        let message = `Plugin upgraded from ${result.fromVersion} to ${result.toVersion}`
+        if (result.requiresRestart) {
+          message += '. Server restart required.'
+          if (result.reasons && result.reasons.length > 0) {
+            message += '\n\nReasons:\n' + result.reasons.map(r => `• ${r}`).join('\n')
+          }
+        }
+
+        return {
+          responseResult: graphHelper.generateSuccess(message),
+          requiresRestart: result.requiresRestart,
+          restartReasons: result.reasons || []
+        }
+      } catch (err) {
+        return {
+          responseResult: graphHelper.generateError(err, false),
+          requiresRestart: false,
+          restartReasons: []
+        }
+      }
+    },
+
+    /**
+     * Discard a staged plugin upgrade
+     */
+    async cancelUpgrade(obj, args) {
+      try {
+        await WIKI.plugins.manager.cancelUpgrade(args.id)
+        return {
+          responseResult: graphHelper.generateSuccess('Plugin upgrade cancelled')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+
     /**
      * Uninstall a plugin
      */
-    async uninstall(obj, args) {
+    async uninstall(obj, args, context) {
       try {
+        const plugin = await WIKI.models.plugins.query().findById(args.id)
         await WIKI.plugins.manager.uninstallPlugin(args.id)
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:uninstall',
+          target: { type: 'plugin', id: args.id, name: plugin ? plugin.name : args.id },
+          before: plugin ? { version: plugin.version, config: plugin.config } : null
+        })
         return {
           responseResult: graphHelper.generateSuccess('Plugin uninstalled successfully')
         }
@@ -188,8 +294,10 @@ module.exports = {
     /**
      * Update plugin configuration
      */
-    async updateConfig(obj, args) {
+    async updateConfig(obj, args, context) {
       try {
+        const plugin = await WIKI.models.plugins.query().findById(args.id)
+
         // Update config in database
         await WIKI.models.plugins.query()
           .patch({
@@ -198,6 +306,13 @@ module.exports = {
           })
           .where('id', args.id)
 
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:updateConfig',
+          target: { type: 'plugin', id: args.id, name: plugin ? plugin.name : args.id },
+          before: plugin ? plugin.config : null,
+          after: args.config
+        })
+
         // Refresh plugin config in memory if plugin is loaded
         if (WIKI.plugins && WIKI.plugins.manager) {
           const loadedPlugin = await WIKI.models.plugins.query().findById(args.id)
@@ -215,6 +330,101 @@ module.exports = {
       }
     },
 
+    /**
+     * Install a plugin from a registry, or stage its upgrade if it is already installed
+     */
+    async installFromRegistry(obj, args, context) {
+      try {
+        const result = await WIKI.plugins.registry.installPlugin(args.registryId, args.id, args.version || null)
+
+        if (result.upgrade) {
+          return {
+            responseResult: graphHelper.generateSuccess(`Review the upgrade of ${result.upgrade.name} from ${result.upgrade.fromVersion} to ${result.upgrade.toVersion}`),
+            upgrade: result.upgrade
+          }
+        }
+
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:install',
+          target: { type: 'plugin', id: result.manifest.id, name: result.manifest.name },
+          after: { version: result.manifest.version },
+          meta: { registry: args.registryId, signed: result.signed, keyId: result.keyId }
+        })
+        return {
+          responseResult: graphHelper.generateSuccess(`Plugin ${result.manifest.name} ${result.manifest.version} installed successfully`),
+          upgrade: null
+        }
+      } catch (err) {
+        return {
+          responseResult: graphHelper.generateError(err, false),
+          upgrade: null
+        }
+      }
+    },
+
+    /**
+     * Update registry settings
+     */
+    async updateRegistryConfig(obj, args, context) {
+      try {
+        const crypto = require('crypto')
+
+        const registries = args.registries.map(r => {
+          const url = _.trim(r.url)
+          if (!/^(https?|file):\/\//i.test(url) && !path.isAbsolute(url)) {
+            throw new Error(`Registry ${r.name} must use an HTTP(S) URL or an absolute directory path`)
+          }
+          return {
+            id: r.id || _.kebabCase(r.name),
+            name: _.trim(r.name),
+            url,
+            isEnabled: r.isEnabled
+          }
+        })
+        if (_.uniqBy(registries, 'id').length !== registries.length) {
+          throw new Error('Registry names must be unique')
+        }
+
+        const trustedKeys = args.trustedKeys.map(k => {
+          try {
+            crypto.createPublicKey(k.publicKey)
+          } catch (err) {
+            throw new Error(`Trusted key ${k.id} is not a valid PEM public key`)
+          }
+          return {
+            id: _.trim(k.id),
+            name: _.trim(k.name || ''),
+            publicKey: _.trim(k.publicKey)
+          }
+        })
+        if (_.uniqBy(trustedKeys, 'id').length !== trustedKeys.length) {
+          throw new Error('Trusted key IDs must be unique')
+        }
+
+        const before = WIKI.plugins.registry.getConfig()
+        WIKI.config.pluginRegistry = {
+          registries,
+          trustedKeys,
+          requireSignature: args.requireSignature
+        }
+        await WIKI.configSvc.saveToDb(['pluginRegistry'])
+        WIKI.plugins.registry.clearCache()
+
+        await WIKI.models.auditLog.record(context, {
+          action: 'plugin:updateRegistryConfig',
+          target: { type: 'system', id: 'pluginRegistry', name: 'Plugin Registries' },
+          before: { registries: before.registries, trustedKeys: _.map(before.trustedKeys, 'id'), requireSignature: before.requireSignature },
+          after: { registries, trustedKeys: _.map(trustedKeys, 'id'), requireSignature: args.requireSignature }
+        })
+
+        return {
+          responseResult: graphHelper.generateSuccess('Plugin registry settings updated successfully')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+
     /**
      * Clear logs for a specific plugin
      */
@@ -231,5 +441,36 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     }
+  },
+  Plugin: {
+    /**
+     * Plugins declared as dependencies, with their installed version
+     */
+    async dependencies(plugin) {
+      const declared = WIKI.plugins.dependencies.getDeclared(plugin.manifest)
+      if (declared.length === 0) {
+        return []
+      }
+      const installed = _.keyBy(await WIKI.models.plugins.query()
+        .select('id', 'version', 'isEnabled')
+        .whereIn('id', _.map(declared, 'pluginId')), 'id')
+
+      return declared.map(dep => {
+        const provider = installed[dep.pluginId]
+        return {
+          ...dep,
+          installedVersion: provider ? provider.version : null,
+          isEnabled: provider ? provider.isEnabled : false,
+          isSatisfied: !!provider && WIKI.plugins.dependencies.isSatisfied(dep, provider.version)
+        }
+      })
+    },
+
+    /**
+     * Enabled plugins requiring this plugin
+     */
+    async dependents(plugin) {
+      return _.map(await WIKI.plugins.dependencies.getDependents(plugin.id), 'pluginId')
+    }
   }
 }
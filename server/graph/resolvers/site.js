@@ -22,6 +22,7 @@ module.exports = {
         ...WIKI.config.editShortcuts,
         ...WIKI.config.features,
         ...WIKI.config.security,
+        ...WIKI.config.pdf,
         authAutoLogin: WIKI.config.auth.autoLogin,
         authEnforce2FA: WIKI.config.auth.enforce2FA,
         authHideLocal: WIKI.config.auth.hideLocal,
@@ -123,7 +124,16 @@ module.exports = {
           forceDownload: _.get(args, 'uploadForceDownload', WIKI.config.uploads.forceDownload)
         }
 
-        await WIKI.configSvc.saveToDb(['host', 'title', 'company', 'contentLicense', 'footerOverride', 'seo', 'logoUrl', 'pageExtensions', 'auth', 'editShortcuts', 'features', 'security', 'uploads'])
+        WIKI.config.pdf = {
+          pdfPageSize: _.get(args, 'pdfPageSize', WIKI.config.pdf.pdfPageSize),
+          pdfCover: _.get(args, 'pdfCover', WIKI.config.pdf.pdfCover),
+          pdfCoverText: _.get(args, 'pdfCoverText', WIKI.config.pdf.pdfCoverText),
+          pdfToc: _.get(args, 'pdfToc', WIKI.config.pdf.pdfToc),
+          pdfHeader: _.get(args, 'pdfHeader', WIKI.config.pdf.pdfHeader),
+          pdfFooter: _.get(args, 'pdfFooter', WIKI.config.pdf.pdfFooter)
+        }
+
+        await WIKI.configSvc.saveToDb(['host', 'title', 'company', 'contentLicense', 'footerOverride', 'seo', 'logoUrl', 'pageExtensions', 'auth', 'editShortcuts', 'features', 'security', 'uploads', 'pdf'])
 
         if (WIKI.config.security.securityTrustProxy) {
           WIKI.app.enable('trust proxy')
@@ -1,6 +1,32 @@
 const graphHelper = require('../../helpers/graph')
 const _ = require('lodash')
 
+// User properties written to the audit log
+const auditedUserFields = ['email', 'name', 'providerKey', 'location', 'jobTitle', 'timezone', 'dateFormat', 'appearance', 'isActive', 'isVerified', 'tfaIsActive']
+
+/**
+ * Get the audited state of a user
+ */
+async function getUserState (id) {
+  const usr = await WIKI.models.users.query().findById(id).withGraphFetched('groups').modifyGraph('groups', builder => {
+    builder.select('groups.id')
+  })
+  return usr ? { ..._.pick(usr, auditedUserFields), groups: _.sortBy(_.map(usr.groups, 'id')) } : null
+}
+
+/**
+ * Record a change of a user in the audit log
+ */
+async function auditUserChange (context, action, id, before) {
+  const after = await getUserState(id)
+  await WIKI.models.auditLog.record(context, {
+    action,
+    target: { type: 'user', id, name: _.get(after || before, 'email') },
+    before,
+    after
+  })
+}
+
 module.exports = {
   Query: {
     async users() { return {} }
@@ -60,9 +86,10 @@ module.exports = {
     }
   },
   UserMutation: {
-    async create (obj, args) {
+    async create (obj, args, context) {
       try {
-        await WIKI.models.users.createNewUser(args)
+        const usr = await WIKI.models.users.createNewUser(args)
+        await auditUserChange(context, 'user:create', usr.id, null)
 
         return {
           responseResult: graphHelper.generateSuccess('User created successfully')
@@ -71,12 +98,19 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
-    async delete (obj, args) {
+    async delete (obj, args, context) {
       try {
         if (args.id <= 2) {
           throw new WIKI.Error.UserDeleteProtected()
         }
+        const before = await getUserState(args.id)
         await WIKI.models.users.deleteUser(args.id, args.replaceId)
+        await WIKI.models.auditLog.record(context, {
+          action: 'user:delete',
+          target: { type: 'user', id: args.id, name: _.get(before, 'email') },
+          before,
+          meta: { replaceId: args.replaceId }
+        })
 
         WIKI.auth.revokeUserTokens({ id: args.id, kind: 'u' })
         WIKI.events.outbound.emit('addAuthRevoke', { id: args.id, kind: 'u' })
@@ -92,9 +126,17 @@ module.exports = {
         }
       }
     },
-    async update (obj, args) {
+    async update (obj, args, context) {
       try {
+        const before = await getUserState(args.id)
         await WIKI.models.users.updateUser(args)
+        await auditUserChange(context, 'user:update', args.id, before)
+        if (!_.isEmpty(args.newPassword)) {
+          await WIKI.models.auditLog.record(context, {
+            action: 'user:resetPassword',
+            target: { type: 'user', id: args.id, name: _.get(before, 'email') }
+          })
+        }
 
         return {
           responseResult: graphHelper.generateSuccess('User created successfully')
@@ -103,9 +145,11 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
-    async verify (obj, args) {
+    async verify (obj, args, context) {
       try {
+        const before = await getUserState(args.id)
         await WIKI.models.users.query().patch({ isVerified: true }).findById(args.id)
+        await auditUserChange(context, 'user:verify', args.id, before)
 
         return {
           responseResult: graphHelper.generateSuccess('User verified successfully')
@@ -114,9 +158,11 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
-    async activate (obj, args) {
+    async activate (obj, args, context) {
       try {
+        const before = await getUserState(args.id)
         await WIKI.models.users.query().patch({ isActive: true }).findById(args.id)
+        await auditUserChange(context, 'user:activate', args.id, before)
 
         return {
           responseResult: graphHelper.generateSuccess('User activated successfully')
@@ -125,12 +171,14 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
-    async deactivate (obj, args) {
+    async deactivate (obj, args, context) {
       try {
         if (args.id <= 2) {
           throw new Error('Cannot deactivate system accounts.')
         }
+        const before = await getUserState(args.id)
         await WIKI.models.users.query().patch({ isActive: false }).findById(args.id)
+        await auditUserChange(context, 'user:deactivate', args.id, before)
 
         WIKI.auth.revokeUserTokens({ id: args.id, kind: 'u' })
         WIKI.events.outbound.emit('addAuthRevoke', { id: args.id, kind: 'u' })
@@ -142,9 +190,11 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
-    async enableTFA (obj, args) {
+    async enableTFA (obj, args, context) {
       try {
+        const before = await getUserState(args.id)
         await WIKI.models.users.query().patch({ tfaIsActive: true, tfaSecret: null }).findById(args.id)
+        await auditUserChange(context, 'user:enableTFA', args.id, before)
 
         return {
           responseResult: graphHelper.generateSuccess('User 2FA enabled successfully')
@@ -153,9 +203,11 @@ module.exports = {
         return graphHelper.generateError(err)
       }
     },
-    async disableTFA (obj, args) {
+    async disableTFA (obj, args, context) {
       try {
+        const before = await getUserState(args.id)
         await WIKI.models.users.query().patch({ tfaIsActive: false, tfaSecret: null }).findById(args.id)
+        await auditUserChange(context, 'user:disableTFA', args.id, before)
 
         return {
           responseResult: graphHelper.generateSuccess('User 2FA disabled successfully')
@@ -233,6 +285,10 @@ module.exports = {
           id: usr.id,
           newPassword: args.new
         })
+        await WIKI.models.auditLog.record(context, {
+          action: 'user:changePassword',
+          target: { type: 'user', id: usr.id, name: usr.email }
+        })
 
         const newToken = await WIKI.models.users.refreshToken(usr)
 
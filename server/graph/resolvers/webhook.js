@@ -0,0 +1,120 @@
+const graphHelper = require('../../helpers/graph')
+
+module.exports = {
+  Query: {
+    async webhooks() { return {} }
+  },
+  Mutation: {
+    async webhooks() { return {} }
+  },
+  WebhookQuery: {
+    /**
+     * List all webhooks
+     */
+    async list(obj, args, context, info) {
+      return WIKI.models.webhooks.query().orderBy('name')
+    },
+    /**
+     * Fetch a single webhook
+     */
+    async single(obj, args, context, info) {
+      const webhook = await WIKI.models.webhooks.query().findById(args.id)
+      if (!webhook) {
+        throw new WIKI.Error.WebhookNotFound()
+      }
+      return webhook
+    },
+    /**
+     * List events that can trigger a webhook
+     */
+    events(obj, args, context, info) {
+      return WIKI.webhooks.events
+    },
+    /**
+     * Fetch the delivery log of a webhook
+     */
+    async deliveries(obj, args, context, info) {
+      return WIKI.models.webhookDeliveries.getDeliveries({
+        webhookId: args.webhookId,
+        offsetPage: args.offsetPage || 0,
+        offsetSize: args.offsetSize || 25
+      })
+    }
+  },
+  WebhookMutation: {
+    /**
+     * Create a new webhook
+     */
+    async create(obj, args, context) {
+      try {
+        const webhook = await WIKI.models.webhooks.createWebhook(args)
+        return {
+          responseResult: graphHelper.generateSuccess('Webhook created successfully.'),
+          webhook
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Update an existing webhook
+     */
+    async update(obj, args, context) {
+      try {
+        await WIKI.models.webhooks.updateWebhook(args)
+        return {
+          responseResult: graphHelper.generateSuccess('Webhook updated successfully.')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Delete a webhook
+     */
+    async delete(obj, args, context) {
+      try {
+        await WIKI.models.webhooks.deleteWebhook(args.id)
+        return {
+          responseResult: graphHelper.generateSuccess('Webhook deleted successfully.')
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Send a test event to a webhook
+     */
+    async sendTest(obj, args, context) {
+      try {
+        const delivery = await WIKI.webhooks.sendTest(args.id)
+        if (delivery.status !== 'success') {
+          return {
+            responseResult: graphHelper.generateError(new WIKI.Error.WebhookGenericError(delivery.errorMessage), false),
+            delivery
+          }
+        }
+        return {
+          responseResult: graphHelper.generateSuccess('Test event delivered successfully.'),
+          delivery
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    },
+    /**
+     * Send a past delivery again
+     */
+    async redeliver(obj, args, context) {
+      try {
+        const delivery = await WIKI.webhooks.redeliver(args.deliveryId)
+        return {
+          responseResult: graphHelper.generateSuccess('Delivery has been sent again.'),
+          delivery
+        }
+      } catch (err) {
+        return graphHelper.generateError(err)
+      }
+    }
+  }
+}
@@ -0,0 +1,199 @@
+const _ = require('lodash')
+const cheerio = require('cheerio')
+const crypto = require('crypto')
+
+// Characters of context kept before and after a quote
+const contextLength = 32
+
+// Maximum ratio of edits for a fuzzy match to be accepted
+const maxErrorRatio = 0.25
+
+// Quotes longer than this are fuzzy matched by their head and tail only
+const maxPatternLength = 128
+
+// Maximum number of characters compared by a fuzzy search (text length x pattern length)
+const maxSearchCost = 20000000
+
+/**
+ * Get the number of identical characters at the start of two strings
+ */
+function commonPrefixLength (a, b) {
+  let idx = 0
+  while (idx < a.length && idx < b.length && a[idx] === b[idx]) { idx++ }
+  return idx
+}
+
+/**
+ * Get the number of identical characters at the end of two strings
+ */
+function commonSuffixLength (a, b) {
+  let idx = 0
+  while (idx < a.length && idx < b.length && a[a.length - idx - 1] === b[b.length - idx - 1]) { idx++ }
+  return idx
+}
+
+/**
+ * Find the substring of a text with the lowest edit distance to a pattern
+ *
+ * @param {string} text Text
+ * @param {string} pattern Pattern
+ * @param {Object} opts Options
+ * @param {boolean} opts.anchored Whether the match must start at the beginning of the text
+ * @param {number} opts.expectedEnd Preferred end of the match, used to break ties
+ * @returns {Object} End of the best match (exclusive) and its edit distance
+ */
+function fuzzySearch (text, pattern, { anchored = false, expectedEnd = 0 } = {}) {
+  const m = pattern.length
+  let column = Int32Array.from(_.range(m + 1))
+  let best = { end: 0, distance: anchored ? m : Infinity }
+  for (let j = 0; j < text.length; j++) {
+    const next = new Int32Array(m + 1)
+    next[0] = anchored ? j + 1 : 0
+    for (let i = 1; i <= m; i++) {
+      next[i] = Math.min(
+        column[i] + 1,
+        next[i - 1] + 1,
+        column[i - 1] + (pattern[i - 1] === text[j] ? 0 : 1)
+      )
+    }
+    column = next
+    const isBetter = column[m] < best.distance
+    const isCloser = column[m] === best.distance && Math.abs(j + 1 - expectedEnd) < Math.abs(best.end - expectedEnd)
+    if (isBetter || isCloser) {
+      best = { end: j + 1, distance: column[m] }
+    }
+  }
+  return best
+}
+
+/**
+ * Find the closest match of a pattern in a text, with its start and end
+ *
+ * @param {string} text Text
+ * @param {string} pattern Pattern
+ * @param {number} from Start of the searched region
+ * @param {number} expectedStart Preferred start of the match
+ * @returns {Object|null} Start, end (exclusive) and edit distance of the match, null if none is close enough
+ */
+function fuzzyMatch (text, pattern, from, expectedStart) {
+  const radius = Math.floor(maxSearchCost / Math.max(pattern.length, 1) / 2)
+  const regionStart = Math.max(from, expectedStart - radius)
+  const regionEnd = Math.min(text.length, expectedStart + pattern.length + radius)
+  const region = text.substring(regionStart, regionEnd)
+
+  const endMatch = fuzzySearch(region, pattern, { expectedEnd: expectedStart - regionStart + pattern.length })
+  if (endMatch.distance > Math.floor(pattern.length * maxErrorRatio)) {
+    return null
+  }
+
+  // -> Search backwards from the end of the match to find its start
+  const reverseStart = Math.max(0, endMatch.end - pattern.length * 2)
+  const reversed = region.substring(reverseStart, endMatch.end).split('').reverse().join('')
+  const startMatch = fuzzySearch(reversed, pattern.split('').reverse().join(''), { anchored: true, expectedEnd: pattern.length })
+
+  return {
+    start: regionStart + endMatch.end - startMatch.end,
+    end: regionStart + endMatch.end,
+    distance: endMatch.distance
+  }
+}
+
+module.exports = {
+  /**
+   * Collapse whitespace, the same way anchors are computed in the browser
+   *
+   * @param {string} text Text
+   * @returns {string} Normalized text
+   */
+  normalizeText (text) {
+    return _.toString(text).replace(/\s+/g, ' ').trim()
+  },
+  /**
+   * Get the text of a rendered page, as anchors are computed against it
+   *
+   * @param {string} render Rendered HTML
+   * @returns {string} Normalized text
+   */
+  getPageText (render) {
+    const $ = cheerio.load(_.toString(render))
+    $('script, style').remove()
+    return module.exports.normalizeText($.root().text())
+  },
+  /**
+   * Get the hash of a text
+   *
+   * @param {string} text Text
+   * @returns {string} SHA-1 hash, as hex
+   */
+  hash (text) {
+    return crypto.createHash('sha1').update(_.toString(text)).digest('hex')
+  },
+  /**
+   * Describe a passage of a text as an anchor
+   *
+   * @param {string} text Normalized text
+   * @param {number} offset Start of the passage
+   * @param {number} length Length of the passage
+   * @returns {Object} Anchor, with the quoted passage, its context and its offset
+   */
+  describe (text, offset, length) {
+    return {
+      quote: text.substring(offset, offset + length),
+      prefix: text.substring(Math.max(0, offset - contextLength), offset),
+      suffix: text.substring(offset + length, offset + length + contextLength),
+      offset
+    }
+  },
+  /**
+   * Find the passage of a text an anchor refers to
+   *
+   * Exact occurrences of the quote are preferred, picking the one with the most similar context
+   * and then the closest to the previous offset. Otherwise the closest approximate match is used,
+   * as long as it does not differ by more than a quarter of the quote.
+   *
+   * @param {string} text Normalized text
+   * @param {Object} anchor Anchor, with the quote, prefix, suffix and offset
+   * @returns {Object|null} Offset and length of the passage, and whether it is an exact match
+   */
+  locate (text, anchor) {
+    const quote = module.exports.normalizeText(anchor.quote)
+    const prefix = _.toString(anchor.prefix)
+    const suffix = _.toString(anchor.suffix)
+    const expectedOffset = _.clamp(_.toSafeInteger(anchor.offset), 0, text.length)
+    if (quote.length < 1) {
+      return null
+    }
+
+    // -> Exact matches
+    const candidates = []
+    let idx = text.indexOf(quote)
+    while (idx >= 0 && candidates.length < 1000) {
+      candidates.push(idx)
+      idx = text.indexOf(quote, idx + 1)
+    }
+    if (candidates.length > 0) {
+      const offset = _.maxBy(candidates, pos => {
+        const contextScore = commonSuffixLength(text.substring(pos - prefix.length, pos), prefix) +
+          commonPrefixLength(text.substring(pos + quote.length, pos + quote.length + suffix.length), suffix)
+        return contextScore - Math.abs(pos - expectedOffset) / (text.length + 1)
+      })
+      return { offset, length: quote.length, isExact: true }
+    }
+
+    // -> Approximate match
+    if (quote.length <= maxPatternLength) {
+      const match = fuzzyMatch(text, quote, 0, expectedOffset)
+      return match ? { offset: match.start, length: match.end - match.start, isExact: false } : null
+    }
+    const edgeLength = maxPatternLength / 2
+    const head = fuzzyMatch(text, quote.substring(0, edgeLength), 0, expectedOffset)
+    if (!head) {
+      return null
+    }
+    const tail = fuzzyMatch(text, quote.substring(quote.length - edgeLength), head.end, head.start + quote.length - edgeLength)
+    if (!tail || tail.end - head.start < quote.length / 2 || tail.end - head.start > quote.length * 1.5) {
+      return null
+    }
+    return { offset: head.start, length: tail.end - head.start, isExact: false }
+  }
+}
@@ -0,0 +1,72 @@
+const _ = require('lodash')
+
+const localeSegmentRegex = /^[a-z]{2}(-[a-z]{2})?$/i
+
+module.exports = {
+  /**
+   * Name of the manifest file at the root of an archive
+   */
+  manifestFileName: 'wiki-archive.json',
+  /**
+   * Version of the archive format
+   */
+  formatVersion: 1,
+  /**
+   * Get the new path of a page or asset when moving a subtree to another path
+   *
+   * @param {string} itemPath Path of the page or asset
+   * @param {string} fromPath Root path of the subtree, empty for the whole locale
+   * @param {string} toPath New root path of the subtree
+   * @returns {string|null} New path, null if the item is not in the subtree
+   */
+  remapPath (itemPath, fromPath, toPath) {
+    if (fromPath === '') {
+      return _.compact([toPath, itemPath]).join('/')
+    } else if (itemPath === fromPath) {
+      return toPath
+    } else if (_.startsWith(itemPath, `${fromPath}/`)) {
+      return _.compact([toPath, itemPath.substring(fromPath.length + 1)]).join('/')
+    }
+    return null
+  },
+  /**
+   * Rewrite the links of page content pointing inside a moved subtree
+   *
+   * Both markdown links and HTML href / src attributes are rewritten. Links to other
+   * locales or outside of the subtree are left untouched.
+   *
+   * @param {string} content Page content
+   * @param {Object} mapping Subtree mapping
+   * @param {string} mapping.fromLocale Locale of the subtree
+   * @param {string} mapping.fromPath Root path of the subtree
+   * @param {string} mapping.toLocale New locale of the subtree
+   * @param {string} mapping.toPath New root path of the subtree
+   * @returns {string} Page content
+   */
+  remapLinks (content, { fromLocale, fromPath, toLocale, toPath }) {
+    if (fromLocale === toLocale && fromPath === toPath) {
+      return content
+    }
+    return _.toString(content).replace(/(\]\(\s*<?|\b(?:href|src)=["'])(\/[^\s)"'<>]*)/g, (match, prefix, url) => {
+      const suffixIdx = url.search(/[?#]/)
+      const urlPath = suffixIdx >= 0 ? url.substring(0, suffixIdx) : url
+      const suffix = suffixIdx >= 0 ? url.substring(suffixIdx) : ''
+
+      const segments = _.trim(urlPath, '/').split('/')
+      let hasLocale = false
+      if (segments.length > 1 && localeSegmentRegex.test(segments[0])) {
+        if (segments[0].toLowerCase() !== fromLocale.toLowerCase()) {
+          return match
+        }
+        hasLocale = true
+        segments.shift()
+      }
+
+      const newPath = module.exports.remapPath(segments.join('/'), fromPath, toPath)
+      if (newPath === null) {
+        return match
+      }
+      return `${prefix}/${hasLocale ? `${toLocale}/` : ''}${newPath}${suffix}`
+    })
+  }
+}
@@ -0,0 +1,73 @@
+const _ = require('lodash')
+
+// Properties whose value must never be written to the audit log
+const redactedKeyRegex = /password|secret|token|jwt|privatekey|passphrase|credential|pvk/i
+
+// Columns of CSV exports, in order
+const csvColumns = ['id', 'createdAt', 'category', 'action', 'actorId', 'actorName', 'actorEmail', 'ip', 'targetType', 'targetId', 'targetName', 'changes', 'meta']
+
+module.exports = {
+  /**
+   * Replace the value of sensitive properties, at any depth
+   *
+   * @param {*} value Value
+   * @returns {*} Copy of the value, with sensitive properties redacted
+   */
+  redact (value) {
+    if (_.isArray(value)) {
+      return value.map(v => module.exports.redact(v))
+    } else if (_.isPlainObject(value)) {
+      return _.transform(value, (result, v, k) => {
+        result[k] = redactedKeyRegex.test(k) ? '[REDACTED]' : module.exports.redact(v)
+      }, {})
+    }
+    return value
+  },
+  /**
+   * Get the properties that differ between two states of an object
+   *
+   * @param {Object|null} before State before the change, null on creation
+   * @param {Object|null} after State after the change, null on deletion
+   * @returns {Object|null} Changed properties, before and after, null if nothing changed
+   */
+  diff (before, after) {
+    if (_.isNil(before) && _.isNil(after)) {
+      return null
+    } else if (_.isNil(before)) {
+      return { before: null, after: module.exports.redact(after) }
+    } else if (_.isNil(after)) {
+      return { before: module.exports.redact(before), after: null }
+    }
+
+    const changedKeys = _.union(_.keys(before), _.keys(after)).filter(k => !_.isEqual(before[k], after[k]))
+    if (changedKeys.length < 1) {
+      return null
+    }
+    return {
+      before: module.exports.redact(_.pick(before, changedKeys)),
+      after: module.exports.redact(_.pick(after, changedKeys))
+    }
+  },
+  /**
+   * Convert audit log entries to CSV
+   *
+   * Cells starting with a formula character are prefixed with a quote, so that
+   * spreadsheet applications don't evaluate them.
+   *
+   * @param {Array<Object>} entries Audit log entries
+   * @returns {string} CSV document, with a header row
+   */
+  toCsv (entries) {
+    const formatCell = value => {
+      let cell = _.isObjectLike(value) ? JSON.stringify(value) : _.toString(value)
+      if (/^[=+\-@\t\r]/.test(cell)) {
+        cell = `'${cell}`
+      }
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+    }
+    return [
+      csvColumns.join(','),
+      ...entries.map(entry => csvColumns.map(col => formatCell(entry[col])).join(','))
+    ].join('\r\n') + '\r\n'
+  }
+}
@@ -0,0 +1,181 @@
+const _ = require('lodash')
+const cheerio = require('cheerio')
+const he = require('he')
+const TurndownService = require('turndown')
+
+// Entities that are valid in XML and must not be decoded before parsing
+const xmlEntities = ['amp', 'lt', 'gt', 'quot', 'apos']
+
+// Wiki.js blockquote styles of Confluence panel macros
+const calloutClasses = {
+  info: 'is-info',
+  note: 'is-warning',
+  warning: 'is-danger',
+  tip: 'is-success',
+  panel: 'is-info'
+}
+
+// Macros without an equivalent in page content (e.g. generated by the wiki)
+const droppedMacros = ['toc', 'children', 'pagetree', 'recently-updated', 'contentbylabel', 'anchor', 'livesearch']
+
+/**
+ * Get the value of a macro parameter
+ */
+function macroParam ($, macro, name) {
+  return $(macro).children('ac\\:parameter').filter((i, elm) => $(elm).attr('ac:name') === name).first().text()
+}
+
+/**
+ * Convert a Confluence macro to HTML
+ */
+function convertMacro ($, macro) {
+  const name = $(macro).attr('ac:name')
+  const body = $(macro).children('ac\\:rich-text-body').html() || ''
+  const title = macroParam($, macro, 'title')
+
+  if (name === 'code' || name === 'noformat') {
+    const lang = macroParam($, macro, 'language')
+    const code = $(macro).children('ac\\:plain-text-body').text()
+    return `<pre><code${lang ? ` class="language-${_.escape(lang)}"` : ''}>${_.escape(code)}</code></pre>`
+  } else if (_.has(calloutClasses, name)) {
+    return `<blockquote class="${calloutClasses[name]}">${title ? `<p><strong>${_.escape(title)}</strong></p>` : ''}${body}</blockquote>`
+  } else if (name === 'expand') {
+    return `<details><summary>${_.escape(title || 'Click here to expand...')}</summary>${body}</details>`
+  } else if (name === 'status') {
+    return `<strong>${_.escape(title)}</strong>`
+  } else if (_.includes(droppedMacros, name)) {
+    return ''
+  }
+  return body
+}
+
+module.exports = {
+  /**
+   * Get the path segment of a Confluence page title
+   *
+   * @param {string} title Page title
+   * @param {string} id Page ID, used when the title has no usable characters
+   * @returns {string} Path segment
+   */
+  slugify (title, id) {
+    const slug = _.trim(_.toString(title).toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '').replace(/-+/g, '-'), '-')
+    return slug || `page-${id}`
+  },
+
+  /**
+   * Convert a Confluence page body to plain HTML
+   *
+   * Macros are converted to their closest HTML equivalent, while links to pages and attachments
+   * are resolved to wiki URLs. Links that can't be resolved are replaced by their text.
+   *
+   * @param {string} storage Page body, in Confluence storage format
+   * @param {Object} resolvers URL Resolvers
+   * @param {Function} resolvers.page Get the URL of a page from its { id, title, spaceKey }, null if unknown
+   * @param {Function} resolvers.attachment Get the URL of an attachment from its { filename, pageTitle }, null if unknown
+   * @returns {string} HTML
+   */
+  storageToHtml (storage, resolvers) {
+    const xml = _.toString(storage).replace(/&([a-zA-Z][a-zA-Z0-9]*);/g, (match, name) => _.includes(xmlEntities, name) ? match : he.decode(match))
+    const $ = cheerio.load(xml, { xmlMode: true })
+
+    // -> Macros, innermost first
+    for (const macro of $('ac\\:structured-macro').toArray().reverse()) {
+      $(macro).replaceWith(convertMacro($, macro))
+    }
+
+    // -> Tasks
+    $('ac\\:task-list').each((i, elm) => {
+      const items = $(elm).children('ac\\:task').toArray().map(task => {
+        const status = $(task).children('ac\\:task-status').text() === 'complete' ? 'complete' : 'incomplete'
+        return `<li data-task-status="${status}">${$(task).children('ac\\:task-body').html() || ''}</li>`
+      })
+      $(elm).replaceWith(`<ul>${items.join('')}</ul>`)
+    })
+
+    // -> Links to pages by ID
+    $('a[href]').each((i, elm) => {
+      const href = $(elm).attr('href')
+      const pageIdMatch = href.match(/pageId=(\d+)/) || href.match(/\/pages\/(\d+)(\/|$|#|\?)/)
+      if (pageIdMatch) {
+        const url = resolvers.page({ id: pageIdMatch[1] })
+        if (url) {
+          $(elm).attr('href', url)
+        }
+      }
+    })
+
+    // -> Links to pages and attachments
+    $('ac\\:link').each((i, elm) => {
+      const pageRef = $(elm).children('ri\\:page')
+      const attachmentRef = $(elm).children('ri\\:attachment')
+      let url = null
+      let text = $(elm).children('ac\\:plain-text-link-body').text() ? _.escape($(elm).children('ac\\:plain-text-link-body').text()) : $(elm).children('ac\\:link-body').html()
+      if (attachmentRef.length > 0) {
+        const filename = attachmentRef.attr('ri:filename')
+        url = resolvers.attachment({ filename, pageTitle: attachmentRef.children('ri\\:page').attr('ri:content-title') || null })
+        text = text || _.escape(filename)
+      } else if (pageRef.length > 0) {
+        const title = pageRef.attr('ri:content-title')
+        url = resolvers.page({ title, spaceKey: pageRef.attr('ri:space-key') || null })
+        text = text || _.escape(title)
+      }
+      if ($(elm).attr('ac:anchor')) {
+        url = `${url || ''}#${$(elm).attr('ac:anchor')}`
+      }
+      $(elm).replaceWith(url ? `<a href="${_.escape(url)}">${text || ''}</a>` : (text || ''))
+    })
+
+    // -> Images
+    $('ac\\:image').each((i, elm) => {
+      const attachmentRef = $(elm).children('ri\\:attachment')
+      const urlRef = $(elm).children('ri\\:url')
+      let src = null
+      if (attachmentRef.length > 0) {
+        src = resolvers.attachment({ filename: attachmentRef.attr('ri:filename'), pageTitle: attachmentRef.children('ri\\:page').attr('ri:content-title') || null })
+      } else if (urlRef.length > 0) {
+        src = urlRef.attr('ri:value')
+      }
+      $(elm).replaceWith(src ? `<img src="${_.escape(src)}" alt="${_.escape($(elm).attr('ac:alt') || '')}">` : '')
+    })
+
+    // -> Emoticons
+    $('ac\\:emoticon').each((i, elm) => {
+      $(elm).replaceWith(_.escape($(elm).attr('ac:emoji-fallback') || ''))
+    })
+
+    return $.root().html()
+  },
+
+  /**
+   * Convert HTML to Markdown
+   *
+   * Tables and expandable sections are kept as HTML, panels become Wiki.js styled blockquotes.
+   *
+   * @param {string} html HTML
+   * @returns {string} Markdown
+   */
+  htmlToMarkdown (html) {
+    const turndownService = new TurndownService({
+      headingStyle: 'atx',
+      codeBlockStyle: 'fenced',
+      bulletListMarker: '-'
+    })
+    turndownService.keep(['table', 'details'])
+    turndownService.addRule('callouts', {
+      filter: node => node.nodeName === 'BLOCKQUOTE' && _.some(_.values(calloutClasses), cls => node.classList.contains(cls)),
+      replacement: (content, node) => {
+        const cls = _.find(_.values(calloutClasses), c => node.classList.contains(c))
+        const quote = _.trim(content).split('\n').map(line => `> ${line}`.trimEnd()).join('\n')
+        return `\n\n${quote}\n{.${cls}}\n\n`
+      }
+    })
+    turndownService.addRule('tasks', {
+      filter: node => node.nodeName === 'LI' && node.hasAttribute('data-task-status'),
+      replacement: (content, node) => {
+        const checkbox = node.getAttribute('data-task-status') === 'complete' ? '[x]' : '[ ]'
+        return `- ${checkbox} ${_.trim(content)}\n`
+      }
+    })
+    return turndownService.turndown(html)
+  }
+}
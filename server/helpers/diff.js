@@ -0,0 +1,400 @@
+const _ = require('lodash')
+const Diff = require('diff')
+
+// Minimum amount of non-whitespace characters for a block to be considered moved
+const moveMinLength = 20
+
+// Minimum ratio of unchanged characters for a removed / added line pair to get word-level changes
+const wordDiffMinSimilarity = 0.4
+
+const metadataFields = [
+  'title',
+  'description',
+  'path',
+  'locale',
+  'isPublished',
+  'isPrivate',
+  'publishStartDate',
+  'publishEndDate',
+  'editor',
+  'contentType'
+]
+
+/**
+ * Normalize line endings and ensure the content ends with a line break
+ */
+function normalizeContent (content) {
+  const str = _.toString(content).replace(/\r\n?/g, '\n')
+  return (str.length > 0 && !_.endsWith(str, '\n')) ? `${str}\n` : str
+}
+
+/**
+ * Split content into lines, without the final line break
+ */
+function splitLines (content) {
+  const str = normalizeContent(content)
+  return str.length > 0 ? str.slice(0, -1).split('\n') : []
+}
+
+/**
+ * Join lines into content, with a final line break
+ */
+function joinLines (lines) {
+  return lines.length > 0 ? `${lines.join('\n')}\n` : ''
+}
+
+/**
+ * Get the regions of the base lines that were replaced in the other lines
+ */
+function changeRegions (baseLines, otherLines) {
+  const regions = []
+  let pos = 0
+  let current = null
+  for (const change of Diff.diffArrays(baseLines, otherLines)) {
+    if (!change.added && !change.removed) {
+      pos += change.value.length
+      current = null
+      continue
+    }
+    if (!current) {
+      current = { baseStart: pos, baseEnd: pos, lines: [] }
+      regions.push(current)
+    }
+    if (change.removed) {
+      pos += change.value.length
+      current.baseEnd = pos
+    } else {
+      current.lines.push(...change.value)
+    }
+  }
+  return regions
+}
+
+/**
+ * Length of a line, ignoring whitespace
+ */
+function significantLength (content) {
+  return content.replace(/\s/g, '').length
+}
+
+/**
+ * Convert a field value to a comparable string
+ */
+function fieldToString (key, value) {
+  if (_.isNil(value)) {
+    return ''
+  } else if (_.startsWith(key, 'is')) {
+    return (value === true || value === 1) ? 'true' : 'false'
+  }
+  return _.toString(value)
+}
+
+module.exports = {
+  /**
+   * Compute the line diff of two contents
+   *
+   * Lines are returned in display order, each with its line number on the source and / or target side.
+   * Blocks that were only moved are tagged with a shared moveId on both sides, while removed / added
+   * line pairs that were modified get word-level segments.
+   *
+   * @param {string} before Source content
+   * @param {string} after Target content
+   * @returns {Object} Diff lines, moves and stats
+   */
+  diffContent (before, after) {
+    const changes = Diff.diffLines(normalizeContent(before), normalizeContent(after))
+    const lines = []
+    let oldNumber = 1
+    let newNumber = 1
+
+    for (const change of changes) {
+      const type = change.added ? 'added' : (change.removed ? 'removed' : 'unchanged')
+      const values = _.take(change.value.split('\n'), change.count)
+      for (const content of values) {
+        lines.push({
+          type,
+          oldNumber: type !== 'added' ? oldNumber++ : null,
+          newNumber: type !== 'removed' ? newNumber++ : null,
+          content,
+          moveId: null,
+          segments: null
+        })
+      }
+    }
+
+    const moves = this.detectMoves(lines)
+    this.diffWords(lines)
+
+    return {
+      lines,
+      moves,
+      stats: {
+        added: _.filter(lines, l => l.type === 'added' && !l.moveId).length,
+        removed: _.filter(lines, l => l.type === 'removed' && !l.moveId).length,
+        moved: _.sumBy(moves, 'length')
+      }
+    }
+  },
+
+  /**
+   * Find blocks of removed lines that were added back identically elsewhere
+   *
+   * @param {Array} lines Diff lines, tagged in place with a moveId
+   * @returns {Array} Moved blocks
+   */
+  detectMoves (lines) {
+    const removed = []
+    const added = []
+    const removedByContent = {}
+    lines.forEach((line, idx) => {
+      if (line.type === 'removed') {
+        const key = _.trim(line.content)
+        if (key.length > 0) {
+          removedByContent[key] = removedByContent[key] || []
+          removedByContent[key].push(removed.length)
+        }
+        removed.push(idx)
+      } else if (line.type === 'added') {
+        added.push(idx)
+      }
+    })
+
+    // -> Length of the block of identical lines starting at both positions
+    const blockLength = (r, a) => {
+      let len = 0
+      while (
+        r + len < removed.length &&
+        a + len < added.length &&
+        !lines[removed[r + len]].moveId &&
+        _.trim(lines[removed[r + len]].content) === _.trim(lines[added[a + len]].content) &&
+        (len === 0 || (removed[r + len] === removed[r + len - 1] + 1 && added[a + len] === added[a + len - 1] + 1))
+      ) {
+        len++
+      }
+      return len
+    }
+
+    const moves = []
+    for (let a = 0; a < added.length; a++) {
+      const candidates = removedByContent[_.trim(lines[added[a]].content)]
+      if (!candidates) { continue }
+
+      let best = { r: -1, length: 0 }
+      for (const r of candidates) {
+        const len = blockLength(r, a)
+        if (len > best.length) {
+          best = { r, length: len }
+        }
+      }
+      if (best.length < 1) { continue }
+
+      const blockLines = _.range(best.length).map(offset => lines[added[a + offset]])
+      if (_.sumBy(blockLines, l => significantLength(l.content)) < moveMinLength) { continue }
+
+      const moveId = moves.length + 1
+      for (let offset = 0; offset < best.length; offset++) {
+        lines[removed[best.r + offset]].moveId = moveId
+        lines[added[a + offset]].moveId = moveId
+      }
+      moves.push({
+        id: moveId,
+        oldStart: lines[removed[best.r]].oldNumber,
+        newStart: lines[added[a]].newNumber,
+        length: best.length
+      })
+      a += best.length - 1
+    }
+
+    return moves
+  },
+
+  /**
+   * Add word-level segments to modified lines
+   *
+   * Within each group of consecutive changed lines, removed and added lines that were not moved
+   * are paired in order. Pairs that are too different are left as whole line changes.
+   *
+   * @param {Array} lines Diff lines, tagged in place with segments
+   */
+  diffWords (lines) {
+    let idx = 0
+    while (idx < lines.length) {
+      if (lines[idx].type === 'unchanged') {
+        idx++
+        continue
+      }
+      const group = []
+      while (idx < lines.length && lines[idx].type !== 'unchanged') {
+        group.push(lines[idx++])
+      }
+      const removed = _.filter(group, l => l.type === 'removed' && !l.moveId)
+      const added = _.filter(group, l => l.type === 'added' && !l.moveId)
+
+      for (let i = 0; i < Math.min(removed.length, added.length); i++) {
+        const wordChanges = Diff.diffWordsWithSpace(removed[i].content, added[i].content)
+        const unchangedLength = _.sumBy(wordChanges, c => (c.added || c.removed) ? 0 : c.value.length)
+        const maxLength = Math.max(removed[i].content.length, added[i].content.length)
+        if (maxLength < 1 || unchangedLength / maxLength < wordDiffMinSimilarity) { continue }
+
+        removed[i].segments = wordChanges.filter(c => !c.added).map(c => ({
+          type: c.removed ? 'removed' : 'unchanged',
+          value: c.value
+        }))
+        added[i].segments = wordChanges.filter(c => !c.removed).map(c => ({
+          type: c.added ? 'added' : 'unchanged',
+          value: c.value
+        }))
+      }
+    }
+  },
+
+  /**
+   * Three-way merge of two contents derived from the same base
+   *
+   * Changes that don't touch the same base lines are merged automatically. Overlapping changes
+   * that differ are returned as conflict chunks, with a null merged value, for the user to resolve.
+   *
+   * @param {string} base Common ancestor content
+   * @param {string} local Local content
+   * @param {string} remote Remote content
+   * @returns {Object} Merge chunks, conflicts count and merged content if there are no conflicts
+   */
+  merge3 (base, local, remote) {
+    const baseLines = splitLines(base)
+    const localRegions = changeRegions(baseLines, splitLines(local))
+    const remoteRegions = changeRegions(baseLines, splitLines(remote))
+
+    const chunks = []
+    let basePos = 0
+    let li = 0
+    let ri = 0
+
+    // -> Apply regions of one side to the base lines of a hunk
+    const applyRegions = (regions, start, end) => {
+      const lines = []
+      let pos = start
+      for (const region of regions) {
+        lines.push(...baseLines.slice(pos, region.baseStart), ...region.lines)
+        pos = region.baseEnd
+      }
+      lines.push(...baseLines.slice(pos, end))
+      return lines
+    }
+
+    const pushUnchanged = end => {
+      if (end > basePos) {
+        const lines = baseLines.slice(basePos, end)
+        chunks.push({ type: 'unchanged', base: lines, local: lines, remote: lines, merged: lines })
+      }
+    }
+
+    while (li < localRegions.length || ri < remoteRegions.length) {
+      const isLocalFirst = ri >= remoteRegions.length || (li < localRegions.length && localRegions[li].baseStart <= remoteRegions[ri].baseStart)
+      const first = isLocalFirst ? localRegions[li] : remoteRegions[ri]
+      const start = first.baseStart
+      let end = first.baseEnd
+      const hunkLocal = []
+      const hunkRemote = []
+
+      // -> Extend the hunk until no region of either side overlaps it
+      let isGrowing = true
+      while (isGrowing) {
+        isGrowing = false
+        while (li < localRegions.length && (localRegions[li].baseStart < end || localRegions[li].baseStart === start)) {
+          hunkLocal.push(localRegions[li])
+          end = Math.max(end, localRegions[li++].baseEnd)
+          isGrowing = true
+        }
+        while (ri < remoteRegions.length && (remoteRegions[ri].baseStart < end || remoteRegions[ri].baseStart === start)) {
+          hunkRemote.push(remoteRegions[ri])
+          end = Math.max(end, remoteRegions[ri++].baseEnd)
+          isGrowing = true
+        }
+      }
+
+      pushUnchanged(start)
+
+      const localLines = applyRegions(hunkLocal, start, end)
+      const remoteLines = applyRegions(hunkRemote, start, end)
+      let type = 'conflict'
+      if (hunkRemote.length < 1) {
+        type = 'local'
+      } else if (hunkLocal.length < 1) {
+        type = 'remote'
+      } else if (_.isEqual(localLines, remoteLines)) {
+        type = 'both'
+      }
+      chunks.push({
+        type,
+        base: baseLines.slice(start, end),
+        local: localLines,
+        remote: remoteLines,
+        merged: type === 'conflict' ? null : (type === 'remote' ? remoteLines : localLines)
+      })
+      basePos = end
+    }
+    pushUnchanged(baseLines.length)
+
+    const conflicts = _.filter(chunks, ['type', 'conflict']).length
+    return {
+      chunks,
+      conflicts,
+      content: conflicts > 0 ? null : joinLines(_.flatMap(chunks, 'merged'))
+    }
+  },
+
+  /**
+   * Three-way merge of a single value
+   *
+   * @param {string} base Common ancestor value
+   * @param {string} local Local value
+   * @param {string} remote Remote value
+   * @returns {Object} Merged value, null if both sides changed it differently
+   */
+  mergeField (base, local, remote) {
+    let merged = null
+    if (local === remote || remote === base) {
+      merged = local
+    } else if (local === base) {
+      merged = remote
+    }
+    return {
+      base,
+      local,
+      remote,
+      merged,
+      isConflict: merged === null
+    }
+  },
+
+  /**
+   * Compare title, description, tags and metadata of two page versions
+   *
+   * @param {Object} before Source version
+   * @param {Object} after Target version
+   * @returns {Object} Changed fields and tags
+   */
+  diffFields (before, after) {
+    const beforeTags = _.uniq(_.get(before, 'tags', []))
+    const afterTags = _.uniq(_.get(after, 'tags', []))
+
+    return {
+      fields: _.reduce(metadataFields, (result, key) => {
+        const beforeValue = fieldToString(key, _.get(before, key))
+        const afterValue = fieldToString(key, _.get(after, key))
+        if (beforeValue !== afterValue) {
+          result.push({
+            key,
+            before: beforeValue,
+            after: afterValue
+          })
+        }
+        return result
+      }, []),
+      tags: {
+        added: _.difference(afterTags, beforeTags),
+        removed: _.difference(beforeTags, afterTags)
+      }
+    }
+  }
+}
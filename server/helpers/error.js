@@ -1,6 +1,22 @@
 const CustomError = require('custom-error-instance')
 
 module.exports = {
+  ApiKeyInvalidIpRange: CustomError('ApiKeyInvalidIpRange', {
+    message: 'One or more IP ranges are invalid. Use an IP address or a CIDR range, e.g. 10.0.0.0/8.',
+    code: 1021
+  }),
+  ApiKeyInvalidScope: CustomError('ApiKeyInvalidScope', {
+    message: 'One or more permission scopes are invalid.',
+    code: 1022
+  }),
+  ApiKeyNotFound: CustomError('ApiKeyNotFound', {
+    message: 'This API key does not exist.',
+    code: 1023
+  }),
+  ApiKeyReadOnly: CustomError('ApiKeyReadOnly', {
+    message: 'This API key is read-only and cannot be used for mutations.',
+    code: 1024
+  }),
   AssetDeleteForbidden: CustomError('AssetDeleteForbidden', {
     message: 'You are not authorized to delete this asset.',
     code: 2003
@@ -37,6 +53,14 @@ module.exports = {
     message: 'You are not authorized to rename this asset to the requested name.',
     code: 2009
   }),
+  AuditLogFormatUnsupported: CustomError('AuditLogFormatUnsupported', {
+    message: 'This audit log export format is not supported. Use csv or json.',
+    code: 11002
+  }),
+  AuditLogReadOnly: CustomError('AuditLogReadOnly', {
+    message: 'Audit log entries cannot be modified or deleted.',
+    code: 11001
+  }),
   AuthAccountBanned: CustomError('AuthAccountBanned', {
     message: 'Your account has been disabled.',
     code: 1013
@@ -97,6 +121,10 @@ module.exports = {
     message: 'Too many attempts! Try again later.',
     code: 1008
   }),
+  CommentAnchorNotFound: CustomError('CommentAnchorNotFound', {
+    message: 'The selected text could not be found in the page.',
+    code: 8007
+  }),
   CommentContentMissing: CustomError('CommentContentMissing', {
     message: 'Comment content is missing or too short.',
     code: 8003
@@ -117,10 +145,70 @@ module.exports = {
     message: 'You are not authorized to post a comment on this page.',
     code: 8002
   }),
+  CommentReactionInvalid: CustomError('CommentReactionInvalid', {
+    message: 'This reaction is not allowed.',
+    code: 8008
+  }),
+  CommentRejected: CustomError('CommentRejected', {
+    message: 'Comment was rejected because it is marked as spam.',
+    code: 8009
+  }),
   CommentViewForbidden: CustomError('CommentViewForbidden', {
     message: 'You are not authorized to view comments for this page.',
     code: 8006
   }),
+  ExportGenericError: CustomError('ExportGenericError', {
+    message: 'An unexpected error occured during export.',
+    code: 10001
+  }),
+  ExportFormatUnsupported: CustomError('ExportFormatUnsupported', {
+    message: 'This export format is not supported.',
+    code: 10005
+  }),
+  ExportNoPages: CustomError('ExportNoPages', {
+    message: 'There are no pages you are allowed to export at this path.',
+    code: 10002
+  }),
+  ExportPandocUnavailable: CustomError('ExportPandocUnavailable', {
+    message: 'Exporting to this format requires the Pandoc extension to be installed.',
+    code: 10006
+  }),
+  ExportPdfUnavailable: CustomError('ExportPdfUnavailable', {
+    message: 'PDF export requires the Puppeteer extension to be installed.',
+    code: 10003
+  }),
+  ExportTooManyPages: CustomError('ExportTooManyPages', {
+    message: 'Too many pages to export in a single document.',
+    code: 10004
+  }),
+  ImportArchiveInvalid: CustomError('ImportArchiveInvalid', {
+    message: 'This file is not a valid wiki archive.',
+    code: 10106
+  }),
+  ImportArchiveTooLarge: CustomError('ImportArchiveTooLarge', {
+    message: 'This archive is too large to be imported.',
+    code: 10107
+  }),
+  ImportConversionFailed: CustomError('ImportConversionFailed', {
+    message: 'The file could not be converted. Make sure it is a valid document of the selected format.',
+    code: 10101
+  }),
+  ImportForbidden: CustomError('ImportForbidden', {
+    message: 'You are not authorized to import content at this path.',
+    code: 10102
+  }),
+  ImportFormatUnsupported: CustomError('ImportFormatUnsupported', {
+    message: 'This import format is not supported.',
+    code: 10103
+  }),
+  ImportJobNotFound: CustomError('ImportJobNotFound', {
+    message: 'This import job does not exist.',
+    code: 10105
+  }),
+  ImportPandocUnavailable: CustomError('ImportPandocUnavailable', {
+    message: 'Importing this format requires the Pandoc extension to be installed.',
+    code: 10104
+  }),
   InputInvalid: CustomError('InputInvalid', {
     message: 'Input data is invalid.',
     code: 1012
@@ -149,6 +237,14 @@ module.exports = {
     message: 'Mail template failed to load.',
     code: 3003
   }),
+  NavigationInvalidParent: CustomError('NavigationInvalidParent', {
+    message: 'A navigation item can only be nested in a section, and not in itself.',
+    code: 12002
+  }),
+  NavigationMenuDuplicate: CustomError('NavigationMenuDuplicate', {
+    message: 'Another navigation menu already exists for this locale and path prefix.',
+    code: 12001
+  }),
   PageCreateForbidden: CustomError('PageCreateForbidden', {
     message: 'You are not authorized to create this page.',
     code: 6008
@@ -157,6 +253,18 @@ module.exports = {
     message: 'You are not authorized to delete this page.',
     code: 6010
   }),
+  PageDraftInvalidPublishDate: CustomError('PageDraftInvalidPublishDate', {
+    message: 'The publish date must be a valid date in the future.',
+    code: 6017
+  }),
+  PageDraftNotFound: CustomError('PageDraftNotFound', {
+    message: 'This page has no pending draft.',
+    code: 6016
+  }),
+  PageDraftScheduled: CustomError('PageDraftScheduled', {
+    message: 'This page has a draft scheduled for publishing. Publish or discard the draft first.',
+    code: 6023
+  }),
   PageGenericError: CustomError('PageGenericError', {
     message: 'An unexpected error occured during a page operation.',
     code: 6001
@@ -189,18 +297,46 @@ module.exports = {
     message: 'Destination page path already exists.',
     code: 6006
   }),
+  PagePropertyInvalid: CustomError('PagePropertyInvalid', {
+    message: 'One or more page properties are invalid.',
+    code: 6022
+  }),
   PageRestoreForbidden: CustomError('PageRestoreForbidden', {
     message: 'You are not authorized to restore this page version.',
     code: 6011
   }),
+  PageSubscriptionNotFound: CustomError('PageSubscriptionNotFound', {
+    message: 'This page subscription does not exist.',
+    code: 6015
+  }),
+  PageTemplateNotFound: CustomError('PageTemplateNotFound', {
+    message: 'This page template does not exist.',
+    code: 6019
+  }),
+  PageTemplateRequired: CustomError('PageTemplateRequired', {
+    message: 'Pages under this path must be created from their required template.',
+    code: 6020
+  }),
+  PageTemplateRuleInvalid: CustomError('PageTemplateRuleInvalid', {
+    message: 'Page template rules must have a path prefix, unique for each locale.',
+    code: 6021
+  }),
   PageUpdateForbidden: CustomError('PageUpdateForbidden', {
     message: 'You are not authorized to update this page.',
     code: 6009
   }),
+  PageVersionNotFound: CustomError('PageVersionNotFound', {
+    message: 'This page version does not exist.',
+    code: 6018
+  }),
   PageViewForbidden: CustomError('PageViewForbidden', {
     message: 'You are not authorized to view this page.',
     code: 6013
   }),
+  PageWatchForbidden: CustomError('PageWatchForbidden', {
+    message: 'You are not authorized to watch this page.',
+    code: 6014
+  }),
   SearchActivationFailed: CustomError('SearchActivationFailed', {
     message: 'Search Engine activation failed.',
     code: 4002
@@ -240,5 +376,21 @@ module.exports = {
   UserNotFound: CustomError('UserNotFound', {
     message: 'This user does not exist.',
     code: 1016
+  }),
+  WebhookGenericError: CustomError('WebhookGenericError', {
+    message: 'An unexpected error occured during webhook operation.',
+    code: 9001
+  }),
+  WebhookInvalidEvent: CustomError('WebhookInvalidEvent', {
+    message: 'One or more webhook events are not supported.',
+    code: 9003
+  }),
+  WebhookInvalidUrl: CustomError('WebhookInvalidUrl', {
+    message: 'The webhook URL must be a valid HTTP or HTTPS address.',
+    code: 9002
+  }),
+  WebhookNotFound: CustomError('WebhookNotFound', {
+    message: 'This webhook does not exist.',
+    code: 9004
   })
 }
@@ -0,0 +1,114 @@
+const _ = require('lodash')
+
+// Markdown links, then bare URLs
+const linkRegex = /\[[^\]]*\]\([^)]*\)|\bhttps?:\/\/[^\s<>()]+|\bwww\.[^\s<>()]+/gi
+
+module.exports = {
+  /**
+   * Spam checks run on new comments, in order
+   *
+   * Each check returns the reason why the comment is considered spam, or null.
+   */
+  spamChecks: [
+    {
+      key: 'links',
+      check ({ content, config }) {
+        const maxLinks = _.toSafeInteger(config.maxLinks)
+        const linkCount = module.exports.countLinks(content)
+        return (maxLinks > 0 && linkCount > maxLinks) ? `Too many links (${linkCount})` : null
+      }
+    },
+    {
+      key: 'blocklist',
+      check ({ content, user, config }) {
+        const blocklist = module.exports.parseBlocklist(config.blocklist)
+        const term = module.exports.matchBlocklist([content, user.name, user.email].join('\n'), blocklist)
+        return term ? `Blocked term (${term})` : null
+      }
+    }
+  ],
+  /**
+   * Count the links of a comment
+   *
+   * @param {string} content Markdown content
+   * @returns {number} Number of links
+   */
+  countLinks (content) {
+    return (_.toString(content).match(linkRegex) || []).length
+  },
+  /**
+   * Parse a blocklist, with one term or /regular expression/ per line
+   *
+   * Empty lines, lines starting with # and invalid regular expressions are ignored.
+   *
+   * @param {string} text Blocklist
+   * @returns {Array<Object>} Terms, with their matching regular expression
+   */
+  parseBlocklist (text) {
+    return _.compact(_.toString(text).split(/\r?\n/).map(line => {
+      const term = line.trim()
+      if (term.length < 1 || term.startsWith('#')) {
+        return null
+      }
+      const regexParts = term.match(/^\/(.+)\/([a-z]*)$/)
+      if (regexParts) {
+        try {
+          return { term, regex: new RegExp(regexParts[1], _.uniq(`${regexParts[2]}i`.split('')).join('')) }
+        } catch (err) {
+          return null
+        }
+      }
+      return { term, regex: new RegExp(_.escapeRegExp(term), 'i') }
+    }))
+  },
+  /**
+   * Find the first blocklist term found in a text
+   *
+   * @param {string} text Text
+   * @param {Array<Object>} blocklist Parsed blocklist
+   * @returns {string|null} Matching term
+   */
+  matchBlocklist (text, blocklist) {
+    const match = _.find(blocklist, b => b.regex.test(_.toString(text)))
+    return match ? match.term : null
+  },
+  /**
+   * Run the spam checks on a new comment
+   *
+   * @param {Object} comment Comment, with its content, user and the provider config
+   * @returns {string|null} Reason of the first failed check
+   */
+  runSpamChecks ({ content, user, config }) {
+    for (const spamCheck of module.exports.spamChecks) {
+      const reason = spamCheck.check({ content, user, config })
+      if (reason) {
+        return reason
+      }
+    }
+    return null
+  },
+  /**
+   * Check if a comment must be approved by a moderator before being published
+   *
+   * @param {string} policy Pre-approval policy: none, guests, newUsers or everyone
+   * @param {Object} user Author
+   * @param {number} newUserDays Age of an account, in days, below which it is considered new
+   * @returns {boolean} Whether the comment requires approval
+   */
+  requiresApproval (policy, user, newUserDays = 0) {
+    const isGuest = !user || user.id === 2
+    switch (policy) {
+      case 'everyone':
+        return true
+      case 'newUsers':
+        if (isGuest) {
+          return true
+        }
+        return Boolean(user.createdAt) && Date.now() - new Date(user.createdAt).getTime() < newUserDays * 86400000
+      case 'guests':
+        return isGuest
+      default:
+        return false
+    }
+  }
+}
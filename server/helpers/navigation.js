@@ -0,0 +1,186 @@
+const _ = require('lodash')
+
+// Kinds of items that can contain other items
+const containerKinds = ['section']
+
+module.exports = {
+  /**
+   * Maximum depth of an auto-generated page tree section
+   */
+  maxPageTreeDepth: 5,
+  /**
+   * Normalize the stored menus, upgrading older formats
+   *
+   * @param {Array<Object>} config Stored navigation config
+   * @returns {Array<Object>} Menus, with their locale, path prefix, visibility and items
+   */
+  normalizeMenus (config = []) {
+    // -> Pre-2.3 format: a single flat list of items
+    if (_.has(_.head(config), 'kind')) {
+      config = [{
+        locale: 'en',
+        items: config.map(item => ({
+          ...item,
+          visibilityMode: 'all',
+          visibilityGroups: []
+        }))
+      }]
+    }
+    return config.map(menu => ({
+      ...menu,
+      pathPrefix: module.exports.normalizePathPrefix(menu.pathPrefix),
+      visibilityMode: menu.visibilityMode || 'all',
+      visibilityGroups: menu.visibilityGroups || [],
+      items: _.map(menu.items, item => ({
+        ...item,
+        parentId: item.parentId || null
+      }))
+    }))
+  },
+  /**
+   * Normalize the path prefix of a menu
+   *
+   * @param {string} pathPrefix Path prefix, e.g. /engineering/ or engineering/**
+   * @returns {string} Path prefix, without leading / trailing slashes and wildcards
+   */
+  normalizePathPrefix (pathPrefix) {
+    return _.trim(_.toString(pathPrefix).replace(/\/?\*+$/, ''), '/ ')
+  },
+  /**
+   * Check if a menu or an item is visible to a user
+   *
+   * @param {Object} entity Menu or item
+   * @param {Array<number>} groups Group IDs of the user
+   * @returns {boolean} Whether it is visible
+   */
+  isVisible (entity, groups = []) {
+    return entity.visibilityMode !== 'restricted' || _.intersection(entity.visibilityGroups, groups).length > 0
+  },
+  /**
+   * Select the menu to display for a page, the one with the longest matching path prefix
+   *
+   * @param {Array<Object>} menus Menus of the page locale
+   * @param {Object} opts Options
+   * @param {string} opts.path Path of the page
+   * @param {Array<number>} opts.groups Group IDs of the user
+   * @returns {Object|null} Menu, null if none applies
+   */
+  selectMenu (menus, { path = '', groups = [] } = {}) {
+    const candidates = _.filter(menus, menu => {
+      const prefix = menu.pathPrefix
+      const isMatch = prefix === '' || path === prefix || _.startsWith(path, `${prefix}/`)
+      return isMatch && module.exports.isVisible(menu, groups)
+    })
+    return _.maxBy(candidates, menu => menu.pathPrefix.length) || null
+  },
+  /**
+   * Check that items are only nested in sections, without cycles
+   *
+   * @param {Array<Object>} items Flat list of items, with their parentId
+   * @returns {boolean} Whether the hierarchy is valid
+   */
+  isValidHierarchy (items) {
+    const itemsById = _.keyBy(items, 'id')
+    return _.every(items, item => {
+      const visited = new Set([item.id])
+      let parentId = item.parentId
+      while (parentId) {
+        const parent = itemsById[parentId]
+        if (!parent || !_.includes(containerKinds, parent.kind) || visited.has(parentId)) {
+          return false
+        }
+        visited.add(parentId)
+        parentId = parent.parentId
+      }
+      return true
+    })
+  },
+  /**
+   * Build the nested tree of visible items
+   *
+   * Items of a hidden section are hidden as well. Items whose parent no longer exists are moved to the top level.
+   *
+   * @param {Array<Object>} items Flat list of items, with their parentId
+   * @param {Array<number>} groups Group IDs of the user, null to include all items
+   * @returns {Array<Object>} Top level items, with their children
+   */
+  buildTree (items, groups = null) {
+    const itemIds = new Set(_.map(items, 'id'))
+    const childrenByParent = _.groupBy(items, item => (item.parentId && itemIds.has(item.parentId)) ? item.parentId : 'root')
+    const visited = new Set()
+    const build = parentId => _.reduce(childrenByParent[parentId], (result, item) => {
+      if (visited.has(item.id) || (groups && !module.exports.isVisible(item, groups))) {
+        return result
+      }
+      visited.add(item.id)
+      result.push(_.includes(containerKinds, item.kind) ? { ...item, children: build(item.id) } : item)
+      return result
+    }, [])
+    return build('root')
+  },
+  /**
+   * Build the nested items of an auto-generated section from page tree entries
+   *
+   * Folders holding no visible page are omitted.
+   *
+   * @param {Array<Object>} entries Page tree entries below the root path, already filtered by access
+   * @param {Object} opts Options
+   * @param {string} opts.rootPath Path of the section root, empty for the whole tree
+   * @param {string} opts.locale Locale code
+   * @returns {Array<Object>} Items, as links and sections
+   */
+  buildPageTreeItems (entries, { rootPath = '', locale = 'en' } = {}) {
+    const childrenByParent = _.groupBy(entries, entry => {
+      const parentPath = entry.path.split('/').slice(0, -1).join('/')
+      return parentPath === rootPath ? 'root' : parentPath
+    })
+    const build = parentKey => _.sortBy(childrenByParent[parentKey] || [], [e => !e.isFolder, e => _.toLower(e.title)]).reduce((result, entry) => {
+      const link = {
+        id: `pt-${entry.id}`,
+        kind: 'link',
+        label: entry.title,
+        icon: 'mdi-text-box-outline',
+        targetType: 'page',
+        target: `/${locale}/${entry.path}`
+      }
+      if (!entry.isFolder) {
+        result.push(link)
+        return result
+      }
+      const children = build(entry.path)
+      if (entry.pageId) {
+        children.unshift(link)
+      }
+      if (children.length > 0) {
+        result.push({
+          id: `pt-${entry.id}`,
+          kind: 'section',
+          label: entry.title,
+          icon: 'mdi-folder-outline',
+          children
+        })
+      }
+      return result
+    }, [])
+    return build('root')
+  },
+  /**
+   * Convert nested items to the compact format used by the sidebar
+   *
+   * @param {Array<Object>} items Nested items
+   * @returns {Array<Object>} Compact items
+   */
+  toSidebar (items) {
+    let idx = 1
+    const convert = list => _.map(list, item => ({
+      i: `sdi-${idx++}`,
+      k: item.kind,
+      l: item.label,
+      c: item.icon,
+      y: item.targetType,
+      t: item.target,
+      ...item.children ? { x: item.isExpanded === true, n: convert(item.children) } : {}
+    }))
+    return convert(items)
+  }
+}
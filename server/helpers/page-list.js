@@ -0,0 +1,155 @@
+const _ = require('lodash')
+const { DateTime } = require('luxon')
+
+const paramRegex = /([a-zA-Z]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))/g
+
+const sortFields = ['title', 'path', 'createdAt', 'updatedAt']
+const displayModes = ['table', 'cards']
+
+module.exports = {
+  /**
+   * Cache key prefix of page list results
+   */
+  cachePrefix: 'pagelist:',
+  /**
+   * Maximum number of pages in a list
+   */
+  maxLimit: 100,
+  /**
+   * Parse the parameters of a page list block
+   *
+   * @param {string} str Parameters, e.g. path="/runbooks" tag="prod" limit=20
+   * @returns {Object} Raw parameters, by name
+   */
+  parseParams (str = '') {
+    const params = {}
+    for (const match of str.matchAll(paramRegex)) {
+      params[match[1]] = _.find([match[2], match[3], match[4]], v => !_.isUndefined(v))
+    }
+    return params
+  },
+  /**
+   * Validate and clean up page list parameters, falling back to defaults on invalid values
+   *
+   * @param {Object} raw Raw parameters, by name
+   * @param {Object} opts Options
+   * @param {number} opts.maxLimit Maximum number of pages
+   * @param {string} opts.display Default display mode
+   * @returns {Object} Path, tags, locale, sort field and order, limit and display mode
+   */
+  normalizeParams (raw = {}, { maxLimit = module.exports.maxLimit, display = 'table' } = {}) {
+    const sort = _.includes(sortFields, raw.sort) ? raw.sort : 'title'
+    const defaultOrder = _.includes(['createdAt', 'updatedAt'], sort) ? 'desc' : 'asc'
+    return {
+      path: _.trim(raw.path, '/ '),
+      tags: _.sortBy(_.uniq(_.compact(_.split(raw.tag || raw.tags, ',').map(t => _.trim(t).toLowerCase())))),
+      locale: _.trim(raw.locale) || null,
+      sort,
+      order: _.includes(['asc', 'desc'], raw.order) ? raw.order : defaultOrder,
+      limit: _.clamp(_.toSafeInteger(raw.limit) || 10, 1, Math.min(maxLimit, module.exports.maxLimit)),
+      display: _.includes(displayModes, raw.display) ? raw.display : (_.includes(displayModes, display) ? display : 'table')
+    }
+  },
+  /**
+   * Convert page list parameters to the data attributes of its placeholder
+   *
+   * @param {Object} params Normalized parameters
+   * @returns {Object} Attributes, by name
+   */
+  toAttributes (params) {
+    return {
+      class: 'page-list',
+      'data-path': params.path,
+      'data-tags': params.tags.join(','),
+      'data-locale': params.locale || '',
+      'data-sort': params.sort,
+      'data-order': params.order,
+      'data-limit': _.toString(params.limit),
+      'data-display': params.display
+    }
+  },
+  /**
+   * Read page list parameters back from the data attributes of its placeholder
+   *
+   * @param {Object} attrs Attributes, by name
+   * @returns {Object} Normalized parameters
+   */
+  fromAttributes (attrs = {}) {
+    return module.exports.normalizeParams({
+      path: attrs['data-path'],
+      tags: attrs['data-tags'],
+      locale: attrs['data-locale'],
+      sort: attrs['data-sort'],
+      order: attrs['data-order'],
+      limit: attrs['data-limit'],
+      display: attrs['data-display']
+    })
+  },
+  /**
+   * Get the cache key of the pages matching a list
+   *
+   * @param {Object} params Normalized parameters
+   * @param {string} locale Locale of the listed pages
+   * @returns {string} Cache key
+   */
+  cacheKey (params, locale) {
+    return `${module.exports.cachePrefix}${JSON.stringify({ locale, path: params.path, tags: params.tags, sort: params.sort, order: params.order })}`
+  },
+  /**
+   * Check whether a page could appear in the list cached under a key
+   *
+   * Tags are ignored, so that pages whose tags changed are also matched.
+   * Without a path, every list of the locale is matched.
+   *
+   * @param {string} key Cache key
+   * @param {Object} page Page, with its locale and path
+   * @returns {boolean} Whether the page could be listed
+   */
+  isCacheKeyMatch (key, { locale, path }) {
+    if (!_.startsWith(key, module.exports.cachePrefix)) {
+      return false
+    }
+    let query
+    try {
+      query = JSON.parse(key.substring(module.exports.cachePrefix.length))
+    } catch (err) {
+      return false
+    }
+    if (query.locale !== locale) {
+      return false
+    }
+    return _.isNil(path) || !query.path || path === query.path || _.startsWith(path, `${query.path}/`)
+  },
+  /**
+   * Render a page list to HTML
+   *
+   * @param {Object} params Normalized parameters
+   * @param {Array<Object>} pages Pages, with their locale, path, title, description and last update date
+   * @returns {string} HTML
+   */
+  renderHtml (params, pages) {
+    if (pages.length < 1) {
+      return '<div class="page-list page-list-empty" v-pre><em>No pages found.</em></div>'
+    }
+    const formatDate = dt => _.escape(DateTime.fromJSDate(new Date(dt)).toUTC().toISODate() || '')
+    const link = p => _.escape(`/${p.locale}/${p.path}`)
+    if (params.display === 'cards') {
+      const cards = pages.map(p => [
+        `<a class="page-list-card" href="${link(p)}">`,
+        `<span class="page-list-card-title">${_.escape(p.title)}</span>`,
+        p.description ? `<span class="page-list-card-description">${_.escape(p.description)}</span>` : '',
+        `<span class="page-list-card-date">${formatDate(p.updatedAt)}</span>`,
+        '</a>'
+      ].join(''))
+      return `<div class="page-list page-list-cards" v-pre>${cards.join('')}</div>`
+    }
+    const rows = pages.map(p => [
+      '<tr>',
+      `<td><a href="${link(p)}">${_.escape(p.title)}</a></td>`,
+      `<td>${_.escape(p.description)}</td>`,
+      `<td>${formatDate(p.updatedAt)}</td>`,
+      '</tr>'
+    ].join(''))
+    return `<div class="page-list page-list-table" v-pre><table><thead><tr><th>Page</th><th>Description</th><th>Last Updated</th></tr></thead><tbody>${rows.join('')}</tbody></table></div>`
+  }
+}
@@ -0,0 +1,230 @@
+const _ = require('lodash')
+const { DateTime } = require('luxon')
+
+const keyRegex = /^[a-z][a-zA-Z0-9_]{0,63}$/
+const relativeDateRegex = /^(now|today)(?:\s*([+-])\s*(\d+)\s*([dwMy]))?$/
+
+// Types whose values are compared as numbers
+const numericTypes = ['number', 'user', 'group']
+
+const relativeDateUnits = {
+  d: 'days',
+  w: 'weeks',
+  M: 'months',
+  y: 'years'
+}
+
+const filterOperators = {
+  EQ: '=',
+  NE: '<>',
+  LT: '<',
+  LTE: '<=',
+  GT: '>',
+  GTE: '>=',
+  IN: 'in',
+  CONTAINS: 'like',
+  EXISTS: 'exists',
+  NOT_EXISTS: 'not exists'
+}
+
+module.exports = {
+  /**
+   * Supported property types
+   */
+  types: ['string', 'number', 'date', 'boolean', 'enum', 'user', 'group'],
+  /**
+   * Validate and clean up property definitions
+   *
+   * @param {Array<Object>} definitions Definitions, with their key, label, type, options and whether they are required
+   * @returns {Array<Object>} Cleaned up definitions
+   */
+  normalizeDefinitions (definitions = []) {
+    const result = _.map(definitions, def => {
+      const key = _.trim(def.key)
+      if (!keyRegex.test(key)) {
+        throw new Error(`Invalid property key: ${key}. Use letters, numbers and underscores, starting with a lowercase letter.`)
+      }
+      if (!_.includes(module.exports.types, def.type)) {
+        throw new Error(`Invalid type for property ${key}: ${def.type}`)
+      }
+      const options = def.type === 'enum' ? _.uniq(_.compact(_.map(def.options, _.trim))) : []
+      if (def.type === 'enum' && options.length < 1) {
+        throw new Error(`Property ${key} must have at least one option.`)
+      }
+      return {
+        key,
+        label: _.trim(def.label) || _.startCase(key),
+        type: def.type,
+        options,
+        isRequired: def.isRequired === true
+      }
+    })
+    if (_.uniqBy(result, 'key').length !== result.length) {
+      throw new Error('Property keys must be unique.')
+    }
+    return result
+  },
+  /**
+   * Resolve a date value, absolute or relative to now
+   *
+   * @param {string} raw Date, e.g. 2024-03-01, now, today or now-6M
+   * @param {Date} now Current date
+   * @returns {string|null} ISO date, null if invalid
+   */
+  resolveDate (raw, now = new Date()) {
+    const str = _.trim(raw)
+    const relative = str.match(relativeDateRegex)
+    if (relative) {
+      let dt = DateTime.fromJSDate(now).toUTC()
+      if (relative[2]) {
+        const duration = { [relativeDateUnits[relative[4]]]: _.toSafeInteger(relative[3]) }
+        dt = relative[2] === '+' ? dt.plus(duration) : dt.minus(duration)
+      }
+      return dt.toISODate()
+    }
+    const dt = DateTime.fromISO(str, { zone: 'UTC' })
+    return dt.isValid ? dt.toISODate() : null
+  },
+  /**
+   * Convert a raw value to its stored form
+   *
+   * @param {Object} definition Property definition
+   * @param {*} raw Raw value
+   * @returns {Object|null} Stored value and numeric value, null when the value is empty
+   */
+  coerceValue (definition, raw) {
+    if (_.isNil(raw) || _.trim(_.toString(raw)) === '') {
+      return null
+    }
+    const str = _.trim(_.toString(raw))
+    const invalid = () => new Error(`Invalid value for property ${definition.label}: ${str}`)
+    switch (definition.type) {
+      case 'number': {
+        const num = _.toNumber(str)
+        if (!_.isFinite(num)) {
+          throw invalid()
+        }
+        return { value: _.toString(num), valueNumber: num }
+      }
+      case 'user':
+      case 'group': {
+        const id = _.toNumber(str)
+        if (!_.isSafeInteger(id) || id < 1) {
+          throw invalid()
+        }
+        return { value: _.toString(id), valueNumber: id }
+      }
+      case 'date': {
+        const date = module.exports.resolveDate(str)
+        if (!date) {
+          throw invalid()
+        }
+        return { value: date, valueNumber: null }
+      }
+      case 'boolean': {
+        const bool = _.toLower(str)
+        if (!_.includes(['true', 'false', '1', '0'], bool)) {
+          throw invalid()
+        }
+        return { value: (bool === 'true' || bool === '1') ? 'true' : 'false', valueNumber: null }
+      }
+      case 'enum': {
+        if (!_.includes(definition.options, str)) {
+          throw invalid()
+        }
+        return { value: str, valueNumber: null }
+      }
+      default:
+        return { value: str.substring(0, 255), valueNumber: null }
+    }
+  },
+  /**
+   * Convert the properties of a page to the rows to store
+   *
+   * @param {Array<Object>} definitions Property definitions
+   * @param {Array<Object>} properties Properties, with their key and raw value
+   * @returns {Array<Object>} Rows, with their key, value and numeric value
+   */
+  toRows (definitions, properties = []) {
+    const definitionsByKey = _.keyBy(definitions, 'key')
+    const rows = []
+    for (const prop of properties) {
+      const definition = definitionsByKey[prop.key]
+      if (!definition) {
+        throw new Error(`Unknown property: ${prop.key}`)
+      }
+      const coerced = module.exports.coerceValue(definition, prop.value)
+      if (coerced && !_.some(rows, ['key', prop.key])) {
+        rows.push({ key: prop.key, ...coerced })
+      }
+    }
+    const missing = _.find(definitions, def => def.isRequired && !_.some(rows, ['key', def.key]))
+    if (missing) {
+      throw new Error(`Property ${missing.label} is required.`)
+    }
+    return rows
+  },
+  /**
+   * Convert stored rows to typed properties, in the order of their definitions
+   *
+   * Rows of properties that are no longer defined are ignored.
+   *
+   * @param {Array<Object>} definitions Property definitions
+   * @param {Array<Object>} rows Stored rows
+   * @returns {Array<Object>} Properties, with their key, label, type and value
+   */
+  fromRows (definitions, rows = []) {
+    const rowsByKey = _.keyBy(rows, 'key')
+    return _.compact(_.map(definitions, def => {
+      const row = rowsByKey[def.key]
+      return row ? { key: def.key, label: def.label, type: def.type, value: row.value } : null
+    }))
+  },
+  /**
+   * Parse a property filter
+   *
+   * @param {Array<Object>} definitions Property definitions
+   * @param {Object} filter Filter, with its key, operator, value or values, and whether pages without the property match
+   * @returns {Object} Filter, with the column and SQL operator to use, and the coerced values
+   */
+  parseFilter (definitions, filter) {
+    const definition = _.find(definitions, ['key', filter.key])
+    if (!definition) {
+      throw new Error(`Unknown property: ${filter.key}`)
+    }
+    const operator = filterOperators[filter.operator]
+    if (!operator) {
+      throw new Error(`Invalid operator: ${filter.operator}`)
+    }
+    const isNumeric = _.includes(numericTypes, definition.type)
+    const result = {
+      key: definition.key,
+      column: isNumeric ? 'valueNumber' : 'value',
+      operator,
+      values: [],
+      includeMissing: filter.includeMissing === true
+    }
+    if (operator === 'exists' || operator === 'not exists') {
+      return result
+    }
+    if (operator === 'like') {
+      if (definition.type !== 'string') {
+        throw new Error('Operator CONTAINS is only supported on text properties.')
+      }
+      result.values = [`%${_.trim(filter.value)}%`]
+      return result
+    }
+    const rawValues = operator === 'in' ? filter.values : [filter.value]
+    result.values = _.map(rawValues, raw => {
+      const coerced = module.exports.coerceValue(definition, raw)
+      if (!coerced) {
+        throw new Error(`Missing value for property filter ${definition.key}`)
+      }
+      return isNumeric ? coerced.valueNumber : coerced.value
+    })
+    if (result.values.length < 1) {
+      throw new Error(`Missing value for property filter ${definition.key}`)
+    }
+    return result
+  }
+}
@@ -0,0 +1,318 @@
+const _ = require('lodash')
+const { compileFilter } = require('scim-query-filter-parser')
+
+const schemas = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error'
+}
+
+// Attribute path of a PATCH operation: attribute, optional value filter and optional sub-attribute
+const pathRegex = /^([a-z][\w$-]*)(?:\[(.+)\])?(?:\.([a-z][\w$-]*))?$/i
+
+/**
+ * Get the key of an object matching an attribute name, which are case insensitive in SCIM
+ *
+ * @param {Object} obj Object
+ * @param {string} attr Attribute name
+ * @returns {string} Existing key, or the attribute name if not found
+ */
+function getKey (obj, attr) {
+  return _.find(_.keys(obj), k => _.toLower(k) === _.toLower(attr)) || attr
+}
+
+/**
+ * Remove the schema URN prefix of a core attribute path
+ *
+ * @param {string} path Attribute path
+ * @returns {string} Attribute path, without the schema URN
+ */
+function stripSchema (path) {
+  for (const urn of [schemas.user, schemas.group]) {
+    if (_.startsWith(_.toLower(path), _.toLower(`${urn}:`))) {
+      return path.substring(urn.length + 1)
+    }
+  }
+  return path
+}
+
+/**
+ * Apply a single PATCH operation to a resource
+ *
+ * @param {Object} resource SCIM resource, modified in place
+ * @param {string} op Operation: add, replace or remove
+ * @param {string} path Attribute path
+ * @param {*} value Value
+ */
+function applyOperation (resource, op, path, value) {
+  // -> No path: value holds the attributes to set
+  if (_.isEmpty(path)) {
+    if (op === 'remove' || !_.isPlainObject(value)) {
+      throw module.exports.createError(400, 'A path is required to remove attributes.', op === 'remove' ? 'noTarget' : 'invalidValue')
+    }
+    for (const [attrPath, attrValue] of _.toPairs(value)) {
+      applyOperation(resource, op, attrPath, attrValue)
+    }
+    return
+  }
+
+  path = stripSchema(path)
+  if (_.startsWith(path, 'urn:')) {
+    // Extension attributes are not stored
+    return
+  }
+  const match = pathRegex.exec(path)
+  if (!match) {
+    throw module.exports.createError(400, `Invalid attribute path: ${path}`, 'invalidPath')
+  }
+  const [, attr, filter, subAttr] = match
+  const key = getKey(resource, attr)
+
+  // -> Attribute with a value filter, e.g. members[value eq "2"] or emails[type eq "work"].value
+  if (filter) {
+    let isMatch
+    try {
+      isMatch = compileFilter(filter)
+    } catch (err) {
+      throw module.exports.createError(400, `Invalid value filter: ${filter}`, 'invalidFilter')
+    }
+    const items = _.castArray(resource[key] || [])
+    if (op === 'remove') {
+      resource[key] = subAttr ? items.map(item => isMatch(item) ? _.omit(item, getKey(item, subAttr)) : item) : _.reject(items, isMatch)
+    } else if (_.some(items, isMatch)) {
+      resource[key] = items.map(item => {
+        if (!isMatch(item)) {
+          return item
+        }
+        return subAttr ? { ...item, [getKey(item, subAttr)]: value } : { ...item, ...value }
+      })
+    } else if (subAttr) {
+      // Azure AD adds missing values this way, e.g. emails[type eq "work"].value
+      const filterMatch = /^\s*(\w+)\s+eq\s+"([^"]*)"\s*$/i.exec(filter)
+      resource[key] = [...items, filterMatch ? { [filterMatch[1]]: filterMatch[2], [subAttr]: value } : { [subAttr]: value }]
+    } else {
+      throw module.exports.createError(400, `No value matches the filter: ${filter}`, 'noTarget')
+    }
+    return
+  }
+
+  // -> Sub-attribute of a complex attribute, e.g. name.givenName
+  if (subAttr) {
+    const parent = _.isPlainObject(resource[key]) ? resource[key] : {}
+    const subKey = getKey(parent, subAttr)
+    if (op === 'remove') {
+      resource[key] = _.omit(parent, subKey)
+    } else {
+      resource[key] = { ...parent, [subKey]: value }
+    }
+    return
+  }
+
+  // -> Simple or multi-valued attribute
+  if (op === 'remove') {
+    if (_.isArray(resource[key]) && _.isArray(value)) {
+      // Azure AD removes members by listing them as the value
+      const removed = value.map(v => _.toString(v.value))
+      resource[key] = resource[key].filter(item => !_.includes(removed, _.toString(item.value)))
+    } else {
+      delete resource[key]
+    }
+  } else if (op === 'add' && _.isArray(resource[key])) {
+    resource[key] = _.uniqBy([...resource[key], ..._.castArray(value)], item => _.isPlainObject(item) ? _.toString(item.value) : item)
+  } else if (op === 'add' && _.isPlainObject(resource[key]) && _.isPlainObject(value)) {
+    resource[key] = { ...resource[key], ...value }
+  } else {
+    resource[key] = value
+  }
+}
+
+module.exports = {
+  schemas,
+  /**
+   * Create an error, sent to the client as a SCIM error response
+   *
+   * @param {number} status HTTP status code
+   * @param {string} detail Error message
+   * @param {string} scimType SCIM error type (e.g. uniqueness, invalidFilter)
+   * @returns {Error} Error
+   */
+  createError (status, detail, scimType) {
+    const err = new Error(detail)
+    err.status = status
+    err.scimType = scimType
+    return err
+  },
+  /**
+   * Convert an error to a SCIM error response
+   *
+   * @param {Error} err Error
+   * @returns {Object} SCIM error response
+   */
+  toErrorResponse (err) {
+    return _.omitBy({
+      schemas: [schemas.error],
+      status: _.toString(err.status || 500),
+      scimType: err.scimType,
+      detail: err.message
+    }, _.isNil)
+  },
+  /**
+   * Convert a user to a SCIM User resource
+   *
+   * @param {Object} usr User, with its groups
+   * @param {string} baseUrl URL of the SCIM endpoint
+   * @returns {Object} SCIM User resource
+   */
+  toUserResource (usr, baseUrl) {
+    return {
+      schemas: [schemas.user],
+      id: _.toString(usr.id),
+      externalId: usr.scimExternalId || undefined,
+      userName: usr.email,
+      name: {
+        formatted: usr.name
+      },
+      displayName: usr.name,
+      emails: [{ value: usr.email, type: 'work', primary: true }],
+      active: usr.isActive,
+      timezone: usr.timezone,
+      groups: _.map(usr.groups, grp => ({
+        value: _.toString(grp.id),
+        display: grp.name,
+        $ref: `${baseUrl}/Groups/${grp.id}`
+      })),
+      meta: {
+        resourceType: 'User',
+        created: usr.createdAt,
+        lastModified: usr.updatedAt,
+        location: `${baseUrl}/Users/${usr.id}`
+      }
+    }
+  },
+  /**
+   * Convert a group to a SCIM Group resource
+   *
+   * @param {Object} grp Group, with its users
+   * @param {string} baseUrl URL of the SCIM endpoint
+   * @returns {Object} SCIM Group resource
+   */
+  toGroupResource (grp, baseUrl) {
+    return {
+      schemas: [schemas.group],
+      id: _.toString(grp.id),
+      externalId: grp.scimExternalId || undefined,
+      displayName: grp.name,
+      members: _.map(grp.users, usr => ({
+        value: _.toString(usr.id),
+        display: usr.name,
+        $ref: `${baseUrl}/Users/${usr.id}`
+      })),
+      meta: {
+        resourceType: 'Group',
+        created: grp.createdAt,
+        lastModified: grp.updatedAt,
+        location: `${baseUrl}/Groups/${grp.id}`
+      }
+    }
+  },
+  /**
+   * Get the user properties of a SCIM User resource
+   *
+   * @param {Object} resource SCIM User resource
+   * @returns {Object} Email, name, active state, external ID and timezone
+   */
+  parseUser (resource) {
+    const emails = _.filter(_.castArray(resource[getKey(resource, 'emails')] || []), e => _.isString(e.value))
+    const primaryEmail = _.find(emails, 'primary') || _.find(emails, e => _.toLower(e.type) === 'work') || _.head(emails)
+    const userName = resource[getKey(resource, 'userName')]
+    let email = _.toLower(_.trim(primaryEmail ? primaryEmail.value : userName))
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      email = _.toLower(_.trim(userName))
+    }
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      throw module.exports.createError(400, 'A valid email address is required, as userName or in emails.', 'invalidValue')
+    }
+
+    const name = resource[getKey(resource, 'name')] || {}
+    const fullName = _.trim(`${name[getKey(name, 'givenName')] || ''} ${name[getKey(name, 'familyName')] || ''}`)
+    const displayName = resource[getKey(resource, 'displayName')] || name[getKey(name, 'formatted')] || fullName || email.split('@')[0]
+
+    const active = resource[getKey(resource, 'active')]
+    return {
+      email,
+      name: _.truncate(_.trim(displayName), { length: 255, omission: '' }),
+      isActive: active !== false && _.toLower(active) !== 'false',
+      scimExternalId: resource[getKey(resource, 'externalId')] || null,
+      timezone: resource[getKey(resource, 'timezone')] || null
+    }
+  },
+  /**
+   * Get the group properties of a SCIM Group resource
+   *
+   * @param {Object} resource SCIM Group resource
+   * @returns {Object} Name, external ID and member user IDs
+   */
+  parseGroup (resource) {
+    const name = _.trim(resource[getKey(resource, 'displayName')])
+    if (name.length < 1) {
+      throw module.exports.createError(400, 'The displayName of the group is required.', 'invalidValue')
+    }
+    return {
+      name: _.truncate(name, { length: 255, omission: '' }),
+      scimExternalId: resource[getKey(resource, 'externalId')] || null,
+      memberIds: _.uniq(_.castArray(resource[getKey(resource, 'members')] || []).map(m => _.toSafeInteger(m.value)).filter(id => id > 0))
+    }
+  },
+  /**
+   * Apply the operations of a PATCH request to a resource
+   *
+   * @param {Object} resource SCIM resource
+   * @param {Object} body PATCH request body, with its Operations
+   * @returns {Object} Patched copy of the resource
+   */
+  applyPatch (resource, body) {
+    const operations = _.get(body, getKey(body, 'Operations'))
+    if (!_.isArray(operations) || operations.length < 1) {
+      throw module.exports.createError(400, 'The request contains no operation.', 'invalidSyntax')
+    }
+    const result = _.cloneDeep(resource)
+    for (const operation of operations) {
+      const op = _.toLower(operation.op)
+      if (!_.includes(['add', 'replace', 'remove'], op)) {
+        throw module.exports.createError(400, `Unsupported operation: ${operation.op}`, 'invalidSyntax')
+      }
+      applyOperation(result, op, operation.path, operation.value)
+    }
+    return result
+  },
+  /**
+   * Filter and paginate resources as a SCIM list response
+   *
+   * @param {Array<Object>} resources SCIM resources
+   * @param {Object} query Query parameters: filter, startIndex (1-based) and count
+   * @returns {Object} SCIM list response
+   */
+  toListResponse (resources, { filter, startIndex, count } = {}) {
+    if (!_.isEmpty(filter)) {
+      let isMatch
+      try {
+        isMatch = compileFilter(filter)
+      } catch (err) {
+        throw module.exports.createError(400, `Invalid filter: ${filter}`, 'invalidFilter')
+      }
+      resources = resources.filter(isMatch)
+    }
+    const start = Math.max(_.toSafeInteger(startIndex) || 1, 1)
+    const size = _.isNil(count) ? resources.length : _.clamp(_.toSafeInteger(count), 0, 1000)
+    const page = resources.slice(start - 1, start - 1 + size)
+    return {
+      schemas: [schemas.listResponse],
+      totalResults: resources.length,
+      startIndex: start,
+      itemsPerPage: page.length,
+      Resources: page
+    }
+  }
+}
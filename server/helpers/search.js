@@ -0,0 +1,218 @@
+const _ = require('lodash')
+const he = require('he')
+const striptags = require('striptags')
+
+// Tokens longer than this are not indexed
+const maxTokenLength = 100
+
+// Maximum number of clauses of a query
+const maxQueryClauses = 10
+
+// BM25 term frequency saturation and length normalization
+const bm25K1 = 1.2
+const bm25B = 0.75
+
+// Length of excerpts, in characters
+const excerptLength = 240
+
+// Characters of context kept before the first match of an excerpt
+const excerptLead = 60
+
+const wordRegex = /[\p{L}\p{N}\p{M}]+/gu
+
+/**
+ * Normalize a word to its indexed form (lowercase, without diacritics)
+ */
+function normalizeWord (word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+}
+
+module.exports = {
+  /**
+   * Weight of each indexed field in the ranking
+   */
+  fieldWeights: {
+    title: 4,
+    description: 2,
+    content: 1
+  },
+  /**
+   * Split text into normalized tokens
+   *
+   * @param {string} text Text
+   * @returns {Array<string>} Tokens, in order of appearance
+   */
+  tokenize (text) {
+    return _.toString(text).split(/[^\p{L}\p{N}\p{M}]+/u).reduce((result, word) => {
+      const token = normalizeWord(word)
+      if (token.length > 0 && token.length <= maxTokenLength) {
+        result.push(token)
+      }
+      return result
+    }, [])
+  },
+  /**
+   * Get the positions of each token of a text
+   *
+   * @param {string} text Text
+   * @returns {Object} Positions, by token, and the total number of tokens
+   */
+  getPostings (text) {
+    const tokens = module.exports.tokenize(text)
+    const positions = new Map()
+    tokens.forEach((token, idx) => {
+      if (!positions.has(token)) {
+        positions.set(token, [])
+      }
+      positions.get(token).push(idx)
+    })
+    return {
+      positions: Object.fromEntries(positions),
+      length: tokens.length
+    }
+  },
+  /**
+   * Convert rendered HTML to plain text
+   *
+   * @param {string} html Rendered HTML
+   * @returns {string} Text
+   */
+  htmlToText (html) {
+    return he.decode(striptags(_.toString(html), [], ' ')).replace(/\s+/g, ' ').trim()
+  },
+  /**
+   * Parse a search query
+   *
+   * Double-quoted parts are phrases and words ending with * are prefixes. The last word
+   * is also matched as a prefix while it is being typed, i.e. not followed by a space.
+   *
+   * @param {string} q Query
+   * @returns {Array<Object>} Clauses, each with a type (term, prefix or phrase) and tokens
+   */
+  parseQuery (q) {
+    const clauses = []
+    const query = _.toString(q)
+    const partRegex = /"([^"]*)"?|(\S+)/g
+    let match
+    while ((match = partRegex.exec(query)) !== null) {
+      const isPhrase = !_.isUndefined(match[1])
+      const isLast = partRegex.lastIndex >= query.length
+      const tokens = module.exports.tokenize(isPhrase ? match[1] : match[2])
+      if (tokens.length < 1) {
+        continue
+      } else if (isPhrase || tokens.length > 1) {
+        clauses.push({ type: tokens.length > 1 ? 'phrase' : 'term', tokens })
+      } else if (_.endsWith(match[2], '*') || isLast) {
+        clauses.push({ type: 'prefix', tokens })
+      } else {
+        clauses.push({ type: 'term', tokens })
+      }
+    }
+    return _.uniqBy(clauses, c => `${c.type}:${c.tokens.join(' ')}`).slice(0, maxQueryClauses)
+  },
+  /**
+   * Count the occurrences of a phrase
+   *
+   * @param {Array<Array<number>>} positions Positions of each token of the phrase, in order
+   * @returns {number} Number of occurrences
+   */
+  countPhrase (positions) {
+    if (positions.length < 1 || _.some(positions, p => !p || p.length < 1)) {
+      return 0
+    }
+    const following = positions.slice(1).map(p => new Set(p))
+    return _.filter(positions[0], start => _.every(following, (p, idx) => p.has(start + idx + 1))).length
+  },
+  /**
+   * Get the BM25 score of a term for a document
+   *
+   * @param {Object} stats Term and document statistics
+   * @param {number} stats.tf Term frequency in the document
+   * @param {number} stats.df Number of documents containing the term
+   * @param {number} stats.docCount Number of documents
+   * @param {number} stats.length Length of the document
+   * @param {number} stats.avgLength Average length of documents
+   * @returns {number} Score
+   */
+  bm25 ({ tf, df, docCount, length, avgLength }) {
+    const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5))
+    const norm = bm25K1 * (1 - bm25B + bm25B * (avgLength > 0 ? length / avgLength : 1))
+    return idf * (tf * (bm25K1 + 1)) / (tf + norm)
+  },
+  /**
+   * Build an excerpt of a text around its first match, with matches highlighted
+   *
+   * @param {string} text Text
+   * @param {Array<Object>} clauses Query clauses
+   * @returns {string} Excerpt, as HTML
+   */
+  buildExcerpt (text, clauses) {
+    const terms = new Set(_.flatten(clauses.filter(c => c.type !== 'prefix').map(c => c.tokens)))
+    const prefixes = _.flatten(clauses.filter(c => c.type === 'prefix').map(c => c.tokens))
+    const isMatch = word => {
+      const token = normalizeWord(word)
+      return terms.has(token) || _.some(prefixes, p => _.startsWith(token, p))
+    }
+
+    // -> Find the first match
+    const str = _.toString(text)
+    let firstMatch = -1
+    let match
+    wordRegex.lastIndex = 0
+    while ((match = wordRegex.exec(str)) !== null) {
+      if (isMatch(match[0])) {
+        firstMatch = match.index
+        break
+      }
+    }
+
+    // -> Cut the excerpt on word boundaries
+    let start = Math.max(0, firstMatch - excerptLead)
+    if (start > 0) {
+      const spaceIdx = str.indexOf(' ', start)
+      start = (spaceIdx >= 0 && spaceIdx < firstMatch) ? spaceIdx + 1 : start
+    }
+    let end = Math.min(str.length, start + excerptLength)
+    if (end < str.length) {
+      const spaceIdx = str.lastIndexOf(' ', end)
+      end = spaceIdx > start ? spaceIdx : end
+    }
+    const excerpt = str.substring(start, end)
+
+    const highlighted = excerpt.split(/([\p{L}\p{N}\p{M}]+)/u).map((part, idx) => {
+      return (idx % 2 === 1 && isMatch(part)) ? `<mark>${_.escape(part)}</mark>` : _.escape(part)
+    }).join('')
+    return `${start > 0 ? '… ' : ''}${highlighted}${end < str.length ? ' …' : ''}`
+  },
+  /**
+   * Escape the wildcards of a LIKE pattern, to be matched with ESCAPE '\\'
+   *
+   * @param {string} str Literal text
+   * @returns {string} Escaped text
+   */
+  escapeLike (str) {
+    return str.replace(/[\\%_]/g, '\\$&')
+  },
+  /**
+   * Get the edit distance between two words
+   *
+   * @param {string} a First word
+   * @param {string} b Second word
+   * @returns {number} Levenshtein distance
+   */
+  editDistance (a, b) {
+    let prev = _.range(b.length + 1)
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i]
+      for (let j = 1; j <= b.length; j++) {
+        current.push(Math.min(
+          prev[j] + 1,
+          current[j - 1] + 1,
+          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        ))
+      }
+      prev = current
+    }
+    return prev[b.length]
+  }
+}
@@ -1,5 +1,6 @@
 const Promise = require('bluebird')
 const crypto = require('crypto')
+const net = require('net')
 const passportJWT = require('passport-jwt')
 
 module.exports = {
@@ -24,6 +25,46 @@ module.exports = {
     })
   },
 
+  /**
+   * Parse a list of IP addresses and CIDR ranges
+   *
+   * @param {Array<string>} ranges IP addresses (e.g. 192.168.1.10) or CIDR ranges (e.g. 10.0.0.0/8, fd00::/8)
+   * @returns {net.BlockList} List of ranges, throws if a range is invalid
+   */
+  parseIpRanges (ranges) {
+    const blockList = new net.BlockList()
+    for (const range of ranges) {
+      const [address, prefix] = range.trim().split('/')
+      const type = net.isIPv4(address) ? 'ipv4' : (net.isIPv6(address) ? 'ipv6' : null)
+      const maxPrefix = type === 'ipv4' ? 32 : 128
+      if (!type || (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) || parseInt(prefix, 10) > maxPrefix) {
+        throw new Error(`Invalid IP range: ${range}`)
+      }
+      if (prefix === undefined) {
+        blockList.addAddress(address, type)
+      } else {
+        blockList.addSubnet(address, parseInt(prefix, 10), type)
+      }
+    }
+    return blockList
+  },
+  /**
+   * Check if an IP address is part of a list of ranges
+   *
+   * @param {string} ip IP address, IPv4-mapped IPv6 addresses are checked as IPv4
+   * @param {net.BlockList} blockList List of ranges, from parseIpRanges
+   * @returns {boolean} Whether the address is in the list
+   */
+  isIpInRanges (ip, blockList) {
+    const address = (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')
+    if (net.isIPv4(address)) {
+      return blockList.check(address, 'ipv4')
+    } else if (net.isIPv6(address)) {
+      return blockList.check(address, 'ipv6')
+    }
+    return false
+  },
+
   extractJWT: passportJWT.ExtractJwt.fromExtractors([
     passportJWT.ExtractJwt.fromAuthHeaderAsBearerToken(),
     (req) => {
@@ -32,7 +73,7 @@ module.exports = {
         token = req.cookies['jwt']
       }
       // Force uploads to use Auth headers
-      if (req.path.toLowerCase() === '/u') {
+      if (['/u', '/u/import', '/u/import/archive'].includes(req.path.toLowerCase())) {
         return null
       }
       return token
@@ -0,0 +1,102 @@
+const _ = require('lodash')
+const { DateTime } = require('luxon')
+
+// Matches {{key}} and {{key:Prompt label}} placeholders
+const placeholderRegex = /\{\{\s*([a-z][a-z0-9_]*)\s*(?::\s*([^}]*?)\s*)?\}\}/gi
+
+// Placeholders filled in automatically, without prompting the user
+const builtInPlaceholders = {
+  title: 'Title',
+  date: 'Date',
+  author: 'Author',
+  path: 'Path'
+}
+
+module.exports = {
+  /**
+   * Path under which template pages are stored
+   */
+  templatesPath: '_templates',
+  /**
+   * Check if a page path is a template
+   *
+   * @param {string} path Page path
+   * @returns {boolean} Whether the page is a template
+   */
+  isTemplatePath (path) {
+    return _.startsWith(path, `${module.exports.templatesPath}/`)
+  },
+  /**
+   * List the placeholders of a template, in order of appearance
+   *
+   * @param {string} content Template content
+   * @returns {Array<Object>} Placeholders, with their key, label and whether they are built-in
+   */
+  parsePlaceholders (content) {
+    const placeholders = []
+    for (const match of _.toString(content).matchAll(placeholderRegex)) {
+      const key = _.toLower(match[1])
+      const existing = _.find(placeholders, ['key', key])
+      if (existing) {
+        existing.label = existing.label || match[2]
+        continue
+      }
+      placeholders.push({
+        key,
+        label: match[2],
+        isBuiltIn: _.has(builtInPlaceholders, key)
+      })
+    }
+    return placeholders.map(p => ({
+      ...p,
+      label: p.label || builtInPlaceholders[p.key] || _.startCase(p.key)
+    }))
+  },
+  /**
+   * Fill the placeholders of a template
+   *
+   * Built-in placeholders are always computed, custom ones left without value are replaced by an empty string.
+   *
+   * @param {string} content Template content
+   * @param {Object} opts Options
+   * @param {string} opts.title Title of the new page
+   * @param {string} opts.path Path of the new page
+   * @param {Object} opts.user Author of the new page
+   * @param {Object} opts.values Values of the custom placeholders, by key
+   * @param {Date} opts.date Creation date
+   * @returns {string} Filled content
+   */
+  fillPlaceholders (content, { title = '', path = '', user = {}, values = {}, date = new Date() } = {}) {
+    const builtInValues = {
+      title,
+      path,
+      author: _.get(user, 'name', ''),
+      date: DateTime.fromJSDate(date).setZone(_.get(user, 'timezone') || 'UTC').toISODate()
+    }
+    const customValues = _.mapKeys(values, (v, k) => _.toLower(k))
+    return _.toString(content).replace(placeholderRegex, (match, key) => {
+      key = _.toLower(key)
+      return _.toString(_.has(builtInValues, key) ? builtInValues[key] : customValues[key])
+    })
+  },
+  /**
+   * Find the rule forcing a template for a path, the one with the longest matching path prefix
+   *
+   * @param {Array<Object>} rules Rules, with their pathPrefix, locale (empty for all locales) and templateId
+   * @param {Object} opts Options
+   * @param {string} opts.path Page path
+   * @param {string} opts.locale Page locale
+   * @returns {Object|null} Rule, null if none applies
+   */
+  findRule (rules, { path, locale }) {
+    if (module.exports.isTemplatePath(path)) {
+      return null
+    }
+    const candidates = _.filter(rules, rule => {
+      const prefix = _.trim(_.toString(rule.pathPrefix).replace(/\/?\*+$/, ''), '/ ')
+      const isMatch = prefix !== '' && (path === prefix || _.startsWith(path, `${prefix}/`))
+      return isMatch && (!rule.locale || rule.locale === locale)
+    })
+    return _.maxBy(candidates, rule => _.trim(rule.pathPrefix, '/* ').length) || null
+  }
+}
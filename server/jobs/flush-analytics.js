@@ -0,0 +1,11 @@
+module.exports = async () => {
+  WIKI.logger.debug('Flushing built-in analytics...')
+
+  try {
+    await WIKI.analytics.flush()
+    WIKI.logger.debug('Flushing built-in analytics: [ COMPLETED ]')
+  } catch (err) {
+    WIKI.logger.error('Flushing built-in analytics: [ FAILED ]')
+    WIKI.logger.error(err.message)
+  }
+}
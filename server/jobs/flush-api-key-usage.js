@@ -0,0 +1,11 @@
+module.exports = async () => {
+  WIKI.logger.debug('Flushing API key usage...')
+
+  try {
+    await WIKI.auth.flushApiKeyUsage()
+    WIKI.logger.debug('Flushing API key usage: [ COMPLETED ]')
+  } catch (err) {
+    WIKI.logger.error('Flushing API key usage: [ FAILED ]')
+    WIKI.logger.error(err.message)
+  }
+}
@@ -0,0 +1,11 @@
+module.exports = async (opts) => {
+  WIKI.logger.info(`Running Confluence import #${opts.importId}...`)
+
+  try {
+    await WIKI.models.import.runConfluenceImport(opts)
+    WIKI.logger.info(`Running Confluence import #${opts.importId}: [ COMPLETED ]`)
+  } catch (err) {
+    WIKI.logger.error(`Running Confluence import #${opts.importId}: [ FAILED ]`)
+    WIKI.logger.error(err.message)
+  }
+}
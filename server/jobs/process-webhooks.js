@@ -0,0 +1,11 @@
+module.exports = async () => {
+  WIKI.logger.debug('Processing pending webhook deliveries...')
+
+  try {
+    await WIKI.webhooks.processQueue()
+    WIKI.logger.debug('Processing pending webhook deliveries: [ COMPLETED ]')
+  } catch (err) {
+    WIKI.logger.error('Processing pending webhook deliveries: [ FAILED ]')
+    WIKI.logger.error(err.message)
+  }
+}
@@ -0,0 +1,11 @@
+module.exports = async () => {
+  WIKI.logger.debug('Publishing scheduled page drafts...')
+
+  try {
+    await WIKI.models.pageDrafts.publishScheduled()
+    WIKI.logger.debug('Publishing scheduled page drafts: [ COMPLETED ]')
+  } catch (err) {
+    WIKI.logger.error('Publishing scheduled page drafts: [ FAILED ]')
+    WIKI.logger.error(err.message)
+  }
+}
@@ -0,0 +1,11 @@
+module.exports = async () => {
+  WIKI.logger.info('Sending daily page digests...')
+
+  try {
+    await WIKI.notifications.sendDigests('daily')
+    WIKI.logger.info('Sending daily page digests: [ COMPLETED ]')
+  } catch (err) {
+    WIKI.logger.error('Sending daily page digests: [ FAILED ]')
+    WIKI.logger.error(err.message)
+  }
+}
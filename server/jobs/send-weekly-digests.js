@@ -0,0 +1,11 @@
+module.exports = async () => {
+  WIKI.logger.info('Sending weekly page digests...')
+
+  try {
+    await WIKI.notifications.sendDigests('weekly')
+    WIKI.logger.info('Sending weekly page digests: [ COMPLETED ]')
+  } catch (err) {
+    WIKI.logger.error('Sending weekly page digests: [ FAILED ]')
+    WIKI.logger.error(err.message)
+  }
+}
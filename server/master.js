@@ -19,6 +19,9 @@ module.exports = async () => {
   WIKI.lang = require('./core/localization').init()
   WIKI.mail = require('./core/mail').init()
   WIKI.system = require('./core/system').init()
+  WIKI.webhooks = require('./core/webhooks').init()
+  WIKI.notifications = require('./core/notifications').init()
+  WIKI.analytics = require('./core/analytics').init()
 
   // ----------------------------------------
   // Load middlewares
@@ -171,6 +174,7 @@ module.exports = async () => {
 
   app.use('/', ctrl.auth)
   app.use('/', ctrl.upload)
+  app.use('/scim/v2', ctrl.scim)
 
   // ----------------------------------------
   // Admin Plugin Upload
@@ -208,6 +212,10 @@ module.exports = async () => {
           path: []
         }]
       })
+    } else if (_.startsWith(req.path, '/scim/')) {
+      // Errors of the authentication middleware are invalid or revoked API keys
+      err.status = err.status || 401
+      res.status(err.status).type('application/scim+json').send(JSON.stringify(require('./helpers/scim').toErrorResponse(err)))
     } else {
       res.status(err.status || 500)
       _.set(res.locals, 'pageMeta.title', 'Error')
@@ -1,8 +1,10 @@
 
 const Model = require('objection').Model
+const _ = require('lodash')
 const moment = require('moment')
 const ms = require('ms')
 const jwt = require('jsonwebtoken')
+const securityHelper = require('../helpers/security')
 
 /**
  * Users model
@@ -21,12 +23,22 @@ module.exports = class ApiKey extends Model {
         key: {type: 'string'},
         expiration: {type: 'string'},
         isRevoked: {type: 'boolean'},
+        groupId: {type: ['integer', 'null']},
+        isReadOnly: {type: 'boolean'},
+        lastUsedAt: {type: ['string', 'null']},
+        lastUsedIp: {type: ['string', 'null']},
+        requestCount: {type: 'integer'},
+        replacedById: {type: ['integer', 'null']},
         createdAt: {type: 'string'},
         validUntil: {type: 'string'}
       }
     }
   }
 
+  static get jsonAttributes() {
+    return ['scopes', 'pageRules', 'ipRanges']
+  }
+
   async $beforeUpdate(opt, context) {
     await super.$beforeUpdate(opt, context)
 
@@ -39,17 +51,43 @@ module.exports = class ApiKey extends Model {
     this.updatedAt = moment.utc().toISOString()
   }
 
-  static async createNewKey ({ name, expiration, fullAccess, group }) {
+  static async createNewKey ({ name, expiration, fullAccess, group, scopes = [], pageRules = [], ipRanges = [], isReadOnly = false }) {
+    // -> Validate restrictions
+    scopes = _.uniq(_.compact(scopes))
+    if (_.difference(scopes, WIKI.data.groups.permissions).length > 0) {
+      throw new WIKI.Error.ApiKeyInvalidScope()
+    }
+    ipRanges = _.uniq(_.compact(_.map(ipRanges, _.trim)))
+    try {
+      securityHelper.parseIpRanges(ipRanges)
+    } catch (err) {
+      throw new WIKI.Error.ApiKeyInvalidIpRange()
+    }
+    pageRules = _.map(pageRules, (rule, idx) => ({
+      id: rule.id || `key${idx}`,
+      deny: rule.deny === true,
+      match: _.includes(['START', 'END', 'REGEX', 'TAG', 'EXACT'], rule.match) ? rule.match : 'START',
+      roles: _.intersection(rule.roles || [], WIKI.data.groups.permissions),
+      path: _.trim(rule.path || '', '/ '),
+      locales: rule.locales || []
+    }))
+
+    const groupId = fullAccess ? 1 : group
     const entry = await WIKI.models.apiKeys.query().insert({
       name,
       key: 'pending',
       expiration: moment.utc().add(ms(expiration), 'ms').toISOString(),
-      isRevoked: true
+      isRevoked: true,
+      groupId,
+      scopes,
+      pageRules,
+      ipRanges,
+      isReadOnly: isReadOnly === true
     })
 
     const key = jwt.sign({
       api: entry.id,
-      grp: fullAccess ? 1 : group
+      grp: groupId
     }, {
       key: WIKI.config.certs.private,
       passphrase: WIKI.config.sessionSecret
@@ -65,6 +103,51 @@ module.exports = class ApiKey extends Model {
       isRevoked: false
     })
 
-    return key
+    return {
+      id: entry.id,
+      key
+    }
+  }
+
+  /**
+   * Replace a key with a new one with the same settings, keeping the old key valid during a grace period
+   *
+   * @param {Object} param0 Key to rotate
+   * @param {number} param0.id ID of the key to rotate
+   * @param {string} param0.gracePeriod Time during which the old key remains valid (e.g. 24h), 0 to revoke it immediately
+   * @returns {Promise<Object>} ID and JWT of the new key
+   */
+  static async rotateKey ({ id, gracePeriod = '24h' }) {
+    const oldKey = await WIKI.models.apiKeys.query().findById(id)
+    if (!oldKey || oldKey.isRevoked || moment.utc(oldKey.expiration).isSameOrBefore(moment.utc())) {
+      throw new WIKI.Error.ApiKeyNotFound()
+    }
+    const graceMs = _.isNil(gracePeriod) ? ms('24h') : ms(_.toString(gracePeriod) || '0')
+    if (!_.isFinite(graceMs) || graceMs < 0) {
+      throw new WIKI.Error.InputInvalid()
+    }
+
+    // -> Create the replacement key, with the same lifetime as the original one
+    const lifetime = Math.max(60, Math.round(moment.utc(oldKey.expiration).diff(moment.utc(oldKey.createdAt), 'seconds')))
+    const newKey = await WIKI.models.apiKeys.createNewKey({
+      name: oldKey.name,
+      expiration: `${lifetime}s`,
+      fullAccess: false,
+      group: oldKey.groupId || _.get(jwt.decode(oldKey.key), 'grp', 2),
+      scopes: oldKey.scopes || [],
+      pageRules: oldKey.pageRules || [],
+      ipRanges: oldKey.ipRanges || [],
+      isReadOnly: oldKey.isReadOnly
+    })
+
+    // -> Expire the old key at the end of the grace period
+    const graceEnd = moment.utc().add(graceMs, 'ms')
+    await WIKI.models.apiKeys.query().findById(oldKey.id).patch({
+      expiration: moment.min(moment.utc(oldKey.expiration), graceEnd).toISOString(),
+      isRevoked: graceMs === 0,
+      replacedById: newKey.id
+    })
+
+    return newKey
   }
 }
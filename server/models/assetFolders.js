@@ -1,5 +1,6 @@
 const Model = require('objection').Model
 const _ = require('lodash')
+const sanitize = require('sanitize-filename')
 
 /**
  * Users model
@@ -56,6 +57,24 @@ module.exports = class AssetFolder extends Model {
     return _.reverse(hier)
   }
 
+  /**
+   * Get the folder at the specified path, creating any missing folder along the way
+   *
+   * @param {String} folderPath Path of the folder, e.g. docs/images
+   * @returns {Promise} Promise of the folder id, null for the root folder
+   */
+  static async ensurePath (folderPath) {
+    let parentId = null
+    for (const slug of _.compact(_.split(folderPath, '/').map(s => sanitize(s).toLowerCase()))) {
+      let folder = await WIKI.models.assetFolders.query().where({ parentId, slug }).first()
+      if (!folder) {
+        folder = await WIKI.models.assetFolders.query().insert({ slug, name: slug, parentId })
+      }
+      parentId = folder.id
+    }
+    return parentId
+  }
+
   /**
    * Get full folder paths
    */
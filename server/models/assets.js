@@ -97,6 +97,28 @@ module.exports = class Asset extends Model {
       fileSize: opts.size,
       folderId: opts.folderId
     }
+    const previous = asset ? WIKI.models.assets.getHookData(asset, opts.assetPath) : null
+
+    // -> Trigger asset:beforeUpload hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('asset:beforeUpload', {
+          asset: {
+            ..._.pick(assetRow, ['filename', 'folderId', 'ext', 'kind', 'mime', 'fileSize']),
+            path: opts.assetPath
+          },
+          before: previous,
+          mode: opts.mode,
+          user: WIKI.models.users.getHookData(opts.user),
+          canProceed: true
+        })
+      } catch (err) {
+        if (opts.mode === 'upload') {
+          await fs.remove(opts.path)
+        }
+        throw new Error(`Upload blocked: ${err.message}`)
+      }
+    }
 
     // Sanitize SVG contents
     if (
@@ -160,11 +182,39 @@ module.exports = class Asset extends Model {
           }
         })
       }
+
+      // -> Trigger asset:upload hook
+      if (WIKI.plugins && WIKI.plugins.hooks) {
+        try {
+          await WIKI.plugins.hooks.trigger('asset:upload', {
+            asset: WIKI.models.assets.getHookData(await WIKI.models.assets.query().findById(asset.id), opts.assetPath),
+            before: previous,
+            mode: opts.mode,
+            user: WIKI.models.users.getHookData(opts.user)
+          })
+        } catch (hookErr) {
+          WIKI.logger.warn(`Hook execution error (asset:upload): ${hookErr.message}`)
+        }
+      }
     } catch (err) {
       WIKI.logger.warn(err)
     }
   }
 
+  /**
+   * Get the asset fields passed to plugin hooks
+   *
+   * @param {Object} asset Asset Model Instance
+   * @param {string} assetPath Full path of the asset
+   * @returns {Object} Asset fields
+   */
+  static getHookData(asset, assetPath) {
+    return {
+      ..._.pick(asset, ['id', 'filename', 'folderId', 'ext', 'kind', 'mime', 'fileSize', 'authorId', 'createdAt', 'updatedAt']),
+      path: assetPath
+    }
+  }
+
   static async getAsset(assetPath, res) {
     try {
       const fileInfo = assetHelper.getPathInfo(assetPath)
@@ -0,0 +1,167 @@
+const Model = require('objection').Model
+const _ = require('lodash')
+const { DateTime } = require('luxon')
+const auditHelper = require('../helpers/audit')
+
+/**
+ * Audit Log model
+ *
+ * Entries are append-only: updates and deletions are rejected.
+ */
+module.exports = class AuditLog extends Model {
+  static get tableName() { return 'auditLog' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['action', 'category'],
+
+      properties: {
+        id: {type: 'integer'},
+        action: {type: 'string'},
+        category: {type: 'string'},
+        targetType: {type: ['string', 'null']},
+        targetId: {type: ['string', 'null']},
+        targetName: {type: ['string', 'null']},
+        actorId: {type: ['integer', 'null']},
+        actorName: {type: ['string', 'null']},
+        actorEmail: {type: ['string', 'null']},
+        ip: {type: ['string', 'null']},
+        createdAt: {type: 'string'}
+      }
+    }
+  }
+
+  static get jsonAttributes() {
+    return ['changes', 'meta']
+  }
+
+  static get maxExportEntries() {
+    return 100000
+  }
+
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+  }
+
+  static beforeUpdate() {
+    throw new WIKI.Error.AuditLogReadOnly()
+  }
+
+  static beforeDelete() {
+    throw new WIKI.Error.AuditLogReadOnly()
+  }
+
+  /**
+   * Record an action
+   *
+   * Failures are logged but never prevent the action itself.
+   *
+   * @param {Object} context GraphQL context, with the request of the actor
+   * @param {Object} entry Entry
+   * @param {string} entry.action Action, as category:verb (e.g. group:update)
+   * @param {Object} entry.target Affected object, with its type, id and name
+   * @param {Object} entry.before State of the object before the action
+   * @param {Object} entry.after State of the object after the action
+   * @param {Object} entry.meta Additional details
+   */
+  static async record (context, { action, target = {}, before = null, after = null, meta = null }) {
+    const user = _.get(context, 'req.user') || {}
+    const apiKeyId = _.get(user, 'apiKey.id', null)
+    try {
+      await WIKI.models.auditLog.query().insert({
+        action,
+        category: _.head(action.split(':')),
+        targetType: target.type || null,
+        targetId: _.isNil(target.id) ? null : _.toString(target.id),
+        targetName: _.isNil(target.name) ? null : _.toString(target.name),
+        actorId: user.id || null,
+        actorName: user.name || null,
+        actorEmail: user.email || null,
+        ip: _.get(context, 'req.ip', null),
+        changes: auditHelper.diff(before, after),
+        meta: (meta || apiKeyId) ? auditHelper.redact({ ...meta, ...apiKeyId ? { apiKeyId } : {} }) : null
+      })
+    } catch (err) {
+      WIKI.logger.error(`Failed to write audit log entry (${action}): ${err.message}`)
+    }
+  }
+
+  /**
+   * Apply filters to an audit log query
+   *
+   * @param {Object} builder Query builder
+   * @param {Object} filter Filters
+   */
+  static applyFilter (builder, { category, action, actorId, targetType, targetId, search, dateFrom, dateTo } = {}) {
+    if (category) {
+      builder.where('category', category)
+    }
+    if (action) {
+      builder.where('action', action)
+    }
+    if (actorId) {
+      builder.where('actorId', actorId)
+    }
+    if (targetType) {
+      builder.where('targetType', targetType)
+    }
+    if (targetId) {
+      builder.where('targetId', _.toString(targetId))
+    }
+    if (search) {
+      const term = `%${_.toLower(search)}%`
+      builder.where(qb => {
+        qb.whereRaw('LOWER(??) LIKE ?', ['targetName', term])
+          .orWhereRaw('LOWER(??) LIKE ?', ['actorName', term])
+          .orWhereRaw('LOWER(??) LIKE ?', ['actorEmail', term])
+          .orWhereRaw('LOWER(??) LIKE ?', ['ip', term])
+      })
+    }
+    const from = DateTime.fromISO(_.toString(dateFrom), { zone: 'utc' })
+    if (from.isValid) {
+      builder.where('createdAt', '>=', from.startOf('day').toISO())
+    }
+    const to = DateTime.fromISO(_.toString(dateTo), { zone: 'utc' })
+    if (to.isValid) {
+      builder.where('createdAt', '<=', to.endOf('day').toISO())
+    }
+  }
+
+  /**
+   * Get a page of audit log entries, most recent first
+   *
+   * @param {Object} opts Filters, offset and limit
+   * @returns {Promise<Object>} Total number of matching entries and the requested entries
+   */
+  static async getEntries ({ offset = 0, limit = 50, ...filter } = {}) {
+    const total = await WIKI.models.auditLog.query().modify(builder => this.applyFilter(builder, filter)).resultSize()
+    const entries = await WIKI.models.auditLog.query()
+      .modify(builder => this.applyFilter(builder, filter))
+      .orderBy('id', 'desc')
+      .offset(Math.max(offset, 0))
+      .limit(_.clamp(limit, 1, 500))
+    return { total, entries }
+  }
+
+  /**
+   * Export audit log entries, oldest first
+   *
+   * @param {Object} opts Format (csv or json) and filters
+   * @returns {Promise<Object>} File name, mime type and content
+   */
+  static async exportEntries ({ format = 'json', ...filter } = {}) {
+    if (!_.includes(['csv', 'json'], format)) {
+      throw new WIKI.Error.AuditLogFormatUnsupported()
+    }
+    const entries = await WIKI.models.auditLog.query()
+      .modify(builder => this.applyFilter(builder, filter))
+      .orderBy('id', 'asc')
+      .limit(this.maxExportEntries)
+    const fileName = `audit-log-${DateTime.utc().toFormat('yyyyLLdd-HHmmss')}.${format}`
+    if (format === 'csv') {
+      return { fileName, mime: 'text/csv', data: auditHelper.toCsv(entries) }
+    }
+    return { fileName, mime: 'application/json', data: JSON.stringify(entries.map(e => e.toJSON()), null, 2) }
+  }
+}
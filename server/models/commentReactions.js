@@ -0,0 +1,103 @@
+const Model = require('objection').Model
+const _ = require('lodash')
+
+/**
+ * Comment Reactions model
+ */
+module.exports = class CommentReaction extends Model {
+  static get tableName() { return 'commentReactions' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['commentId', 'userId', 'reaction'],
+
+      properties: {
+        id: {type: 'integer'},
+        commentId: {type: 'integer'},
+        userId: {type: 'integer'},
+        reaction: {type: 'string'},
+        createdAt: {type: 'string'}
+      }
+    }
+  }
+
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+  }
+
+  /**
+   * Add or remove a reaction of the current user on a comment
+   *
+   * @param {Object} param0 Reaction to toggle
+   * @param {number} param0.id Comment ID
+   * @param {string} param0.reaction Reaction key, from the list of allowed reactions
+   * @param {Object} param0.user Current user
+   * @returns {Promise<Array<Object>>} Updated reactions of the comment
+   */
+  static async toggleReaction ({ id, reaction, user }) {
+    if (!_.includes(WIKI.data.comments.reactions, reaction)) {
+      throw new WIKI.Error.CommentReactionInvalid()
+    }
+    if (!user || user.id === 2) {
+      throw new WIKI.Error.CommentPostForbidden()
+    }
+
+    // -> Load Comment and Page
+    const cm = await WIKI.models.comments.query().select('id', 'pageId', 'status').findById(id)
+    if (!cm || cm.status !== 'approved') {
+      throw new WIKI.Error.CommentNotFound()
+    }
+    const page = await WIKI.models.pages.getPageFromDb(cm.pageId)
+    if (!page) {
+      throw new WIKI.Error.PageNotFound()
+    }
+    if (!WIKI.auth.checkAccess(user, ['write:comments'], {
+      path: page.path,
+      locale: page.localeCode,
+      tags: page.tags
+    })) {
+      throw new WIKI.Error.CommentPostForbidden()
+    }
+
+    // -> Toggle
+    const existing = await WIKI.models.commentReactions.query().findOne({ commentId: id, userId: user.id, reaction })
+    if (existing) {
+      await WIKI.models.commentReactions.query().deleteById(existing.id)
+    } else {
+      await WIKI.models.commentReactions.query().insert({ commentId: id, userId: user.id, reaction })
+    }
+
+    const reactions = await WIKI.models.commentReactions.getReactions([id], user.id)
+    return _.get(reactions, id, [])
+  }
+
+  /**
+   * Get the reaction counts of comments
+   *
+   * @param {Array<number>} commentIds Comment IDs
+   * @param {number} userId Current user ID, to flag its own reactions
+   * @returns {Promise<Object>} Reactions, by comment ID, in the order of the allowed reactions
+   */
+  static async getReactions (commentIds, userId) {
+    if (commentIds.length < 1) {
+      return {}
+    }
+    const counts = await WIKI.models.knex('commentReactions')
+      .select('commentId', 'reaction')
+      .count('* as count')
+      .whereIn('commentId', commentIds)
+      .groupBy('commentId', 'reaction')
+    const own = await WIKI.models.knex('commentReactions')
+      .select('commentId', 'reaction')
+      .whereIn('commentId', commentIds)
+      .andWhere('userId', userId)
+    const ownKeys = new Set(own.map(r => `${r.commentId}:${r.reaction}`))
+
+    return _.mapValues(_.groupBy(counts, 'commentId'), reactions => _.sortBy(reactions.map(r => ({
+      reaction: r.reaction,
+      count: _.toSafeInteger(r.count),
+      hasReacted: ownKeys.has(`${r.commentId}:${r.reaction}`)
+    })), r => _.indexOf(WIKI.data.comments.reactions, r.reaction)))
+  }
+}
@@ -1,6 +1,7 @@
 const Model = require('objection').Model
 const validate = require('validate.js')
 const _ = require('lodash')
+const anchorHelper = require('../helpers/anchor')
 
 /**
  * Comments model
@@ -20,6 +21,20 @@ module.exports = class Comment extends Model {
         name: {type: 'string'},
         email: {type: 'string'},
         ip: {type: 'string'},
+        anchorQuote: {type: ['string', 'null']},
+        anchorPrefix: {type: ['string', 'null']},
+        anchorSuffix: {type: ['string', 'null']},
+        anchorOffset: {type: ['integer', 'null']},
+        anchorHash: {type: ['string', 'null']},
+        anchorContentHash: {type: ['string', 'null']},
+        anchorStatus: {type: ['string', 'null']},
+        isResolved: {type: 'boolean'},
+        resolvedAt: {type: ['string', 'null']},
+        resolvedById: {type: ['integer', 'null']},
+        status: {type: 'string'},
+        spamReason: {type: ['string', 'null']},
+        moderatedAt: {type: ['string', 'null']},
+        moderatedById: {type: ['integer', 'null']},
         createdAt: {type: 'string'},
         updatedAt: {type: 'string'}
       }
@@ -58,7 +73,7 @@ module.exports = class Comment extends Model {
   /**
    * Post New Comment
    */
-  static async postNewComment ({ pageId, replyTo, content, guestName, guestEmail, user, ip }) {
+  static async postNewComment ({ pageId, replyTo, content, anchor, guestName, guestEmail, user, ip }) {
     // -> Input validation
     if (user.id === 2) {
       const validation = validate({
@@ -106,18 +121,130 @@ module.exports = class Comment extends Model {
       throw new WIKI.Error.PageNotFound()
     }
 
+    // -> Locate the anchored passage, replies belong to the anchor of their parent
+    let anchorData = null
+    if (anchor && !(replyTo > 0)) {
+      const pageText = anchorHelper.getPageText(page.render)
+      const location = anchorHelper.locate(pageText, anchor)
+      if (!location) {
+        throw new WIKI.Error.CommentAnchorNotFound()
+      }
+      anchorData = this.getAnchorData(pageText, location)
+    }
+
+    const author = {
+      ...user,
+      ...(user.id === 2) ? {
+        name: guestName,
+        email: guestEmail
+      } : {},
+      ip
+    }
+
+    // -> Trigger comment:validate hook (blocking)
+    let requiresApproval = false
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        const result = await WIKI.plugins.hooks.triggerBlocking('comment:validate', {
+          comment: {
+            content,
+            replyTo,
+            quote: _.get(anchorData, 'anchorQuote', null)
+          },
+          page: {
+            id: page.id,
+            path: page.path,
+            locale: page.localeCode
+          },
+          user: {
+            id: author.id,
+            name: author.name,
+            email: author.email,
+            ip
+          },
+          requiresApproval: false,
+          canProceed: true
+        })
+        requiresApproval = _.get(result, 'requiresApproval', false) === true
+      } catch (err) {
+        throw new Error(`Comment rejected: ${err.message}`)
+      }
+    }
+
     // -> Process by comment provider
-    return WIKI.data.commentProvider.create({
+    const commentId = await WIKI.data.commentProvider.create({
       page,
       replyTo,
       content,
-      user: {
-        ...user,
-        ...(user.id === 2) ? {
-          name: guestName,
-          email: guestEmail
-        } : {},
-        ip
+      anchor: anchorData,
+      user: author,
+      requiresApproval,
+      isModerator: user.id !== 2 && WIKI.auth.checkAccess(user, ['manage:comments'], {
+        path: page.path,
+        locale: page.localeCode,
+        tags: page.tags
+      })
+    })
+
+    // -> Notify page subscribers, once the comment is published
+    const cm = await WIKI.data.commentProvider.getCommentById(commentId)
+    const status = _.get(cm, 'status', 'approved')
+    if (status === 'approved') {
+      await WIKI.notifications.notify({
+        event: 'commented',
+        page,
+        actor: {
+          id: user.id,
+          name: author.name
+        }
+      })
+    }
+
+    return { id: commentId, status }
+  }
+
+  /**
+   * Approve a Pending Comment
+   */
+  static async approveComment ({ id, user }) {
+    // -> Load Comment and Page
+    const cm = await WIKI.data.commentProvider.getCommentById(id)
+    if (!cm || !cm.pageId) {
+      throw new WIKI.Error.CommentNotFound()
+    }
+    const page = await WIKI.models.pages.getPageFromDb(cm.pageId)
+    if (page) {
+      if (!WIKI.auth.checkAccess(user, ['manage:comments'], {
+        path: page.path,
+        locale: page.localeCode,
+        tags: page.tags
+      })) {
+        throw new WIKI.Error.CommentManageForbidden()
+      }
+    } else {
+      throw new WIKI.Error.PageNotFound()
+    }
+    if (cm.status === 'approved') {
+      return
+    }
+
+    // -> Process by comment provider
+    if (!_.isFunction(WIKI.data.commentProvider.approve)) {
+      throw new WIKI.Error.CommentGenericError()
+    }
+    await WIKI.data.commentProvider.approve({
+      id,
+      page,
+      user
+    })
+
+    // -> Notify page subscribers
+    await WIKI.notifications.notify({
+      event: 'commented',
+      page,
+      actor: {
+        id: cm.authorId,
+        name: cm.name
       }
     })
   }
@@ -187,5 +314,106 @@ module.exports = class Comment extends Model {
         ip
       }
     })
+    await WIKI.models.commentReactions.query().delete().where('commentId', id)
+  }
+
+  /**
+   * Resolve or Reopen an Existing Comment
+   */
+  static async setCommentResolved ({ id, isResolved, user }) {
+    // -> Load Comment and Page
+    const cm = await WIKI.data.commentProvider.getCommentById(id)
+    if (!cm || !cm.pageId) {
+      throw new WIKI.Error.CommentNotFound()
+    }
+    const page = await WIKI.models.pages.getPageFromDb(cm.pageId)
+    if (page) {
+      const pageContext = {
+        path: page.path,
+        locale: page.localeCode,
+        tags: page.tags
+      }
+      const isAuthor = user.id !== 2 && cm.authorId === user.id && WIKI.auth.checkAccess(user, ['write:comments'], pageContext)
+      if (!isAuthor && !WIKI.auth.checkAccess(user, ['manage:comments'], pageContext)) {
+        throw new WIKI.Error.CommentManageForbidden()
+      }
+    } else {
+      throw new WIKI.Error.PageNotFound()
+    }
+
+    // -> Process by comment provider
+    if (!_.isFunction(WIKI.data.commentProvider.resolve)) {
+      throw new WIKI.Error.CommentGenericError()
+    }
+    await WIKI.data.commentProvider.resolve({
+      id,
+      isResolved,
+      page,
+      user
+    })
+  }
+
+  /**
+   * Get the anchor columns of a located passage
+   *
+   * @param {string} pageText Normalized page text
+   * @param {Object} location Offset and length of the passage
+   * @returns {Object} Anchor columns
+   */
+  static getAnchorData (pageText, location) {
+    const anchor = anchorHelper.describe(pageText, location.offset, location.length)
+    return {
+      anchorQuote: anchor.quote,
+      anchorPrefix: anchor.prefix,
+      anchorSuffix: anchor.suffix,
+      anchorOffset: anchor.offset,
+      anchorHash: anchorHelper.hash(anchor.quote),
+      anchorContentHash: anchorHelper.hash(pageText),
+      anchorStatus: 'anchored'
+    }
+  }
+
+  /**
+   * Re-anchor comments of a page to its current content
+   *
+   * Only comments anchored to a previous version of the content are processed. Comments whose
+   * passage can no longer be found are marked as orphaned and keep their last known quote.
+   *
+   * @param {Object} page Page, with its rendered content
+   * @param {Array<Object>} comments Comments of the page, updated in place
+   */
+  static async reanchorComments (page, comments) {
+    const anchored = comments.filter(c => c.anchorQuote)
+    if (anchored.length < 1) {
+      return
+    }
+    const pageText = anchorHelper.getPageText(page.render)
+    const contentHash = anchorHelper.hash(pageText)
+    for (const cm of anchored) {
+      if (cm.anchorContentHash === contentHash) {
+        continue
+      }
+
+      let changes = null
+      const currentQuote = pageText.substring(cm.anchorOffset, cm.anchorOffset + cm.anchorQuote.length)
+      if (anchorHelper.hash(currentQuote) === cm.anchorHash) {
+        changes = this.getAnchorData(pageText, { offset: cm.anchorOffset, length: cm.anchorQuote.length })
+      } else {
+        const location = anchorHelper.locate(pageText, {
+          quote: cm.anchorQuote,
+          prefix: cm.anchorPrefix,
+          suffix: cm.anchorSuffix,
+          offset: cm.anchorOffset
+        })
+        changes = location ? this.getAnchorData(pageText, location) : {
+          anchorContentHash: contentHash,
+          anchorStatus: 'orphaned'
+        }
+      }
+
+      // -> Bypass the model to keep the comment modification date
+      await WIKI.models.knex('comments').where('id', cm.id).update(changes)
+      Object.assign(cm, changes)
+    }
   }
 }
@@ -1,4 +1,45 @@
 const Model = require('objection').Model
+const _ = require('lodash')
+const cheerio = require('cheerio')
+const fs = require('fs-extra')
+const path = require('path')
+const { DateTime } = require('luxon')
+const AdmZip = require('adm-zip')
+const archiveHelper = require('../helpers/archive')
+const assetHelper = require('../helpers/asset')
+const pageHelper = require('../helpers/page')
+
+// Maximum number of pages to export in a single document
+const exportMaxPages = 250
+
+// Maximum number of pages to export in a single archive
+const archiveMaxPages = 2000
+
+/**
+ * Rewrite links to exported pages to point to their anchor in the document
+ */
+function rewritePageLinks ($, pageAnchors, locale) {
+  $('a[href]').each((i, elm) => {
+    const href = $(elm).attr('href').split('#')[0]
+    const target = pageAnchors[href] || pageAnchors[`/${locale}${href}`]
+    if (target) {
+      $(elm).attr('href', target)
+    }
+  })
+}
+
+/**
+ * Make relative links and images absolute, so they keep working outside of the wiki
+ */
+function absolutizeUrls ($) {
+  $('a[href^="/"], img[src^="/"]').each((i, elm) => {
+    const attr = elm.tagName === 'img' ? 'src' : 'href'
+    const val = $(elm).attr(attr)
+    if (!_.startsWith(val, '//')) {
+      $(elm).attr(attr, `${WIKI.config.host}${val}`)
+    }
+  })
+}
 
 /**
  * Export Model
@@ -154,11 +195,604 @@ module.exports = class Export extends Model {
     }
   }
 
+  /**
+   * Get the pages of a path the user is allowed to export
+   *
+   * @param {Object} opts Export Options
+   * @param {string} opts.locale Locale
+   * @param {string} opts.path Path of the page or folder, empty for all pages of the locale
+   * @param {boolean} opts.includeChildren Include all pages under the path
+   * @param {boolean} opts.includeSource Only include the pages whose source the user can read
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the pages, ordered by path
+   */
+  static async getExportablePages(opts) {
+    const isRoot = _.isEmpty(opts.path)
+    if (isRoot && !opts.includeChildren) {
+      return []
+    }
+
+    const pages = await WIKI.models.pages.query()
+      .select('id', 'path', 'localeCode', 'title', 'description', 'content', 'contentType', 'render', 'toc', 'editorKey', 'isPublished', 'publishStartDate', 'publishEndDate', 'createdAt', 'updatedAt')
+      .withGraphFetched('tags')
+      .where('localeCode', opts.locale)
+      .andWhere(builder => {
+        if (!isRoot) {
+          builder.where('path', opts.path)
+          if (opts.includeChildren) {
+            builder.orWhere('path', 'like', `${opts.path}/%`)
+          }
+        }
+      })
+      .orderBy('path')
+
+    return pages.filter(page => {
+      if (!isRoot && page.path !== opts.path && !_.startsWith(page.path, `${opts.path}/`)) {
+        return false
+      }
+      const pageArgs = {
+        path: page.path,
+        locale: page.localeCode,
+        tags: page.tags
+      }
+      if (!WIKI.auth.checkAccess(opts.user, ['read:pages'], pageArgs)) {
+        return false
+      }
+      if (opts.includeSource && !WIKI.auth.checkAccess(opts.user, ['read:source'], pageArgs)) {
+        return false
+      }
+
+      // -> Unpublished pages are only exported for editors
+      let isPublished = page.isPublished === true || page.isPublished === 1
+      if (isPublished && !_.isEmpty(page.publishStartDate)) {
+        isPublished = DateTime.fromISO(page.publishStartDate) <= DateTime.utc()
+      }
+      if (isPublished && !_.isEmpty(page.publishEndDate)) {
+        isPublished = DateTime.fromISO(page.publishEndDate) >= DateTime.utc()
+      }
+      return isPublished || WIKI.auth.checkAccess(opts.user, ['write:pages'], pageArgs)
+    })
+  }
+
+  /**
+   * Export a page, or a page and all pages under it, as a single PDF document
+   *
+   * @param {Object} opts Export Options
+   * @param {string} opts.locale Locale
+   * @param {string} opts.path Path of the page or folder
+   * @param {boolean} opts.includeChildren Include all pages under the path
+   * @param {boolean} opts.cover Include a cover page, uses the site configuration if not set
+   * @param {boolean} opts.toc Include a table of contents, uses the site configuration if not set
+   * @param {string} opts.authToken Token of the user, used to load protected assets
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the file name and PDF buffer
+   */
+  static async exportToPdf(opts) {
+    const pdfExt = _.get(WIKI, 'extensions.ext.puppeteer', null)
+    if (!pdfExt || !pdfExt.isInstalled) {
+      throw new WIKI.Error.ExportPdfUnavailable()
+    }
+
+    const pages = await WIKI.models.export.getExportablePages(opts)
+    if (pages.length < 1) {
+      throw new WIKI.Error.ExportNoPages()
+    } else if (pages.length > exportMaxPages) {
+      throw new WIKI.Error.ExportTooManyPages()
+    }
+
+    // -> Trigger content:beforeExport hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('content:beforeExport', {
+          destination: {
+            type: 'pdf',
+            locale: opts.locale,
+            path: opts.path
+          },
+          pageIds: pages.map(p => p.id),
+          pages: pages.map(p => ({ id: p.id, path: p.path, title: p.title })),
+          user: {
+            id: opts.user.id,
+            name: opts.user.name,
+            email: opts.user.email
+          },
+          canProceed: true
+        })
+      } catch (hookErr) {
+        throw new Error(`Export blocked: ${hookErr.message}`)
+      }
+    }
+
+    const rootPage = _.find(pages, ['path', opts.path])
+    const pdfConfig = WIKI.config.pdf
+    const title = rootPage ? rootPage.title : _.startCase(_.last(opts.path.split('/')))
+    const dateFormatted = DateTime.utc().toISODate()
+
+    const html = WIKI.models.export.buildPdfDocument({
+      title,
+      description: rootPage ? rootPage.description : '',
+      pages,
+      rootPath: opts.path,
+      cover: _.isBoolean(opts.cover) ? opts.cover : pdfConfig.pdfCover,
+      coverText: pdfConfig.pdfCoverText,
+      toc: _.isBoolean(opts.toc) ? opts.toc : pdfConfig.pdfToc,
+      author: opts.user.name,
+      date: dateFormatted,
+      stylesheets: await WIKI.models.export.getThemeStylesheets()
+    })
+
+    const fillTemplate = tmpl => _.isEmpty(tmpl) ? '' : `<div style="width: 100%; padding: 0 15mm; font-size: 8px; color: #777; text-align: center;">${_.escape(tmpl)
+      .replace(/{title}/g, _.escape(title))
+      .replace(/{date}/g, dateFormatted)
+      .replace(/{page}/g, '<span class="pageNumber"></span>')
+      .replace(/{pages}/g, '<span class="totalPages"></span>')}</div>`
+
+    const data = await pdfExt.renderPdf({
+      html,
+      pageSize: pdfConfig.pdfPageSize,
+      headerTemplate: fillTemplate(pdfConfig.pdfHeader),
+      footerTemplate: fillTemplate(pdfConfig.pdfFooter),
+      cookies: opts.authToken ? [{
+        name: 'jwt',
+        value: opts.authToken,
+        url: WIKI.config.host
+      }] : []
+    })
+
+    // -> Trigger content:afterExport hook
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.trigger('content:afterExport', {
+          destination: {
+            type: 'pdf',
+            locale: opts.locale,
+            path: opts.path
+          },
+          pages: pages.map(p => ({ id: p.id, path: p.path, title: p.title })),
+          success: true,
+          errors: [],
+          totalExported: pages.length
+        })
+      } catch (hookErr) {
+        WIKI.logger.warn(`Hook execution error (content:afterExport): ${hookErr.message}`)
+      }
+    }
+
+    return {
+      fileName: `${_.last(opts.path.split('/')) || 'export'}.pdf`,
+      pagesExported: pages.length,
+      data
+    }
+  }
+
+  /**
+   * Get the stylesheets of the active theme, as referenced by the client app
+   *
+   * @returns {Promise} Promise of the stylesheet URLs
+   */
+  static async getThemeStylesheets() {
+    try {
+      const masterTmpl = await fs.readFile(path.join(WIKI.SERVERPATH, 'views/master.pug'), 'utf8')
+      return _.uniq(Array.from(masterTmpl.matchAll(/href='(\/_assets\/css\/[^']+\.css)'/g), m => m[1]))
+    } catch (err) {
+      WIKI.logger.warn(`Could not resolve theme stylesheets for export: ${err.message}`)
+      return []
+    }
+  }
+
+  /**
+   * Build the printable HTML document of exported pages
+   *
+   * Links to other exported pages are rewritten to point to their section in the document.
+   *
+   * @param {Object} opts Document Options
+   * @returns {string} HTML document
+   */
+  static buildPdfDocument(opts) {
+    const pageAnchors = _.fromPairs(opts.pages.map(p => [`/${p.localeCode}/${p.path}`, `#page-${p.id}`]))
+    const depthOffset = opts.rootPath.split('/').length
+    const isMultiPage = opts.pages.length > 1
+
+    const sections = opts.pages.map(page => {
+      const $ = cheerio.load(page.render || '', { decodeEntities: true })
+      rewritePageLinks($, pageAnchors, page.localeCode)
+      return `<section class="pdf-page" id="page-${page.id}">
+        ${isMultiPage ? `<h1 class="pdf-page-title">${_.escape(page.title)}</h1>` : ''}
+        <div class="contents">${$('body').html()}</div>
+      </section>`
+    })
+
+    let toc = ''
+    if (opts.toc && isMultiPage) {
+      toc = opts.pages.map(page => {
+        const depth = Math.max(page.path.split('/').length - depthOffset, 0)
+        return `<li style="margin-left: ${depth * 16}px;"><a href="#page-${page.id}">${_.escape(page.title)}</a></li>`
+      }).join('')
+    } else if (opts.toc) {
+      let headers = []
+      try {
+        headers = JSON.parse(opts.pages[0].toc || '[]')
+      } catch (err) {}
+      const renderHeaders = items => items.map(h => `<li><a href="${_.escape(h.anchor)}">${_.escape(h.title)}</a>${_.isEmpty(h.children) ? '' : `<ul>${renderHeaders(h.children)}</ul>`}</li>`).join('')
+      toc = renderHeaders(headers)
+    }
+
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <base href="${_.escape(WIKI.config.host)}/">
+    <title>${_.escape(opts.title)}</title>
+    ${opts.stylesheets.map(href => `<link rel="stylesheet" href="${_.escape(href)}">`).join('\n')}
+    <style>
+      html, body { background-color: #FFF; }
+      .pdf-cover { height: 240mm; display: flex; flex-direction: column; justify-content: center; text-align: center; page-break-after: always; }
+      .pdf-cover h1 { font-size: 32px; margin-bottom: 12px; }
+      .pdf-cover .pdf-cover-site { font-size: 14px; color: #777; text-transform: uppercase; letter-spacing: 2px; margin-bottom: 48px; }
+      .pdf-cover .pdf-cover-meta { margin-top: 48px; font-size: 12px; color: #777; }
+      .pdf-cover .pdf-cover-text { margin-top: 24px; font-size: 12px; white-space: pre-wrap; }
+      .pdf-toc { page-break-after: always; }
+      .pdf-toc ul { list-style: none; padding-left: 0; }
+      .pdf-toc ul ul { padding-left: 16px; }
+      .pdf-toc li { padding: 2px 0; }
+      .pdf-toc a { color: #000; text-decoration: none; }
+      .pdf-page + .pdf-page { page-break-before: always; }
+      .pdf-page-title { font-size: 28px; margin-bottom: 16px; }
+    </style>
+  </head>
+  <body>
+    <div class="v-application v-application--is-ltr theme--light">
+      <div class="v-main">
+        ${opts.cover ? `<div class="pdf-cover">
+          <div class="pdf-cover-site">${_.escape(WIKI.config.title)}</div>
+          <h1>${_.escape(opts.title)}</h1>
+          <div>${_.escape(opts.description)}</div>
+          <div class="pdf-cover-meta">${_.escape(opts.date)} &middot; ${_.escape(opts.author)}${isMultiPage ? ` &middot; ${opts.pages.length} pages` : ''}</div>
+          ${_.isEmpty(opts.coverText) ? '' : `<div class="pdf-cover-text">${_.escape(opts.coverText)}</div>`}
+        </div>` : ''}
+        ${toc ? `<div class="pdf-toc contents"><h2>Table of Contents</h2><ul>${toc}</ul></div>` : ''}
+        ${sections.join('\n')}
+      </div>
+    </div>
+  </body>
+</html>`
+  }
+
+  /**
+   * Export a page, or a page and all pages under it, to a format supported by pandoc
+   *
+   * Document formats (DOCX, ODT, EPUB) combine all pages into a single document. Markup formats
+   * (reStructuredText, MediaWiki, Textile) of several pages are exported as a zip of one file per page.
+   *
+   * @param {Object} opts Export Options
+   * @param {string} opts.format Format key, as defined by the pandoc extension
+   * @param {string} opts.locale Locale
+   * @param {string} opts.path Path of the page or folder
+   * @param {boolean} opts.includeChildren Include all pages under the path
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the file name, mime type and file buffer
+   */
+  static async exportToFormat(opts) {
+    const pandoc = _.get(WIKI, 'extensions.ext.pandoc', null)
+    if (!pandoc || !pandoc.isInstalled) {
+      throw new WIKI.Error.ExportPandocUnavailable()
+    }
+    const format = _.get(pandoc.formats, opts.format, null)
+    if (!format) {
+      throw new WIKI.Error.ExportFormatUnsupported()
+    }
+
+    const pages = await WIKI.models.export.getExportablePages(opts)
+    if (pages.length < 1) {
+      throw new WIKI.Error.ExportNoPages()
+    } else if (pages.length > exportMaxPages) {
+      throw new WIKI.Error.ExportTooManyPages()
+    }
+
+    const destination = {
+      type: opts.format,
+      locale: opts.locale,
+      path: opts.path
+    }
+
+    // -> Trigger content:beforeExport hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('content:beforeExport', {
+          destination,
+          pageIds: pages.map(p => p.id),
+          pages: pages.map(p => ({ id: p.id, path: p.path, title: p.title })),
+          user: {
+            id: opts.user.id,
+            name: opts.user.name,
+            email: opts.user.email
+          },
+          canProceed: true
+        })
+      } catch (hookErr) {
+        throw new Error(`Export blocked: ${hookErr.message}`)
+      }
+    }
+
+    const baseName = _.last(opts.path.split('/')) || 'export'
+    const workDir = await fs.mkdtemp(path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, 'uploads', 'pandoc-'))
+    let result = null
+    try {
+      // -> Convert an HTML document with pandoc
+      const convert = async (html, fileName, args = []) => {
+        const inputPath = path.join(workDir, 'input.html')
+        const outputPath = path.join(workDir, fileName)
+        await fs.writeFile(inputPath, html)
+        await pandoc.convert({
+          inputPath,
+          outputPath,
+          from: 'html',
+          to: opts.format,
+          cwd: workDir,
+          args: ['--standalone', ...args]
+        })
+        return fs.readFile(outputPath)
+      }
+
+      if (format.isDocument || pages.length === 1) {
+        const pageAnchors = _.fromPairs(pages.map(p => [`/${p.localeCode}/${p.path}`, `#page-${p.id}`]))
+        const rootPage = _.find(pages, ['path', opts.path])
+        const sections = []
+        const assetCache = {}
+        for (const page of pages) {
+          const $ = cheerio.load(page.render || '', { decodeEntities: true })
+          if (pages.length > 1) {
+            rewritePageLinks($, pageAnchors, page.localeCode)
+          }
+          if (format.isDocument) {
+            await WIKI.models.export.embedAssets($, opts.user, assetCache)
+          }
+          absolutizeUrls($)
+          sections.push(pages.length > 1 ? `<h1 id="page-${page.id}">${_.escape(page.title)}</h1>\n${$('body').html()}` : $('body').html())
+        }
+        const title = rootPage ? rootPage.title : _.startCase(baseName)
+        const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${_.escape(title)}</title></head><body>${sections.join('\n')}</body></html>`
+        const fileName = `${baseName}.${format.ext}`
+        result = {
+          fileName,
+          mime: format.mime,
+          data: await convert(html, fileName, pages.length > 1 ? ['--toc'] : [])
+        }
+      } else {
+        const zip = new AdmZip()
+        const parentPath = opts.path.includes('/') ? opts.path.substring(0, opts.path.lastIndexOf('/') + 1) : ''
+        for (const page of pages) {
+          const $ = cheerio.load(page.render || '', { decodeEntities: true })
+          absolutizeUrls($)
+          const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${_.escape(page.title)}</title></head><body>${$('body').html()}</body></html>`
+          zip.addFile(`${page.path.substring(parentPath.length)}.${format.ext}`, await convert(html, `page.${format.ext}`))
+        }
+        result = {
+          fileName: `${baseName}.zip`,
+          mime: 'application/zip',
+          data: zip.toBuffer()
+        }
+      }
+    } catch (err) {
+      WIKI.logger.warn(`Failed to export ${opts.locale}/${opts.path} to ${opts.format}: ${err.message}`)
+      throw new WIKI.Error.ExportGenericError()
+    } finally {
+      await fs.remove(workDir)
+    }
+
+    // -> Trigger content:afterExport hook
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.trigger('content:afterExport', {
+          destination,
+          pages: pages.map(p => ({ id: p.id, path: p.path, title: p.title })),
+          success: true,
+          errors: [],
+          totalExported: pages.length
+        })
+      } catch (hookErr) {
+        WIKI.logger.warn(`Hook execution error (content:afterExport): ${hookErr.message}`)
+      }
+    }
+
+    return {
+      ...result,
+      pagesExported: pages.length
+    }
+  }
+
+  /**
+   * Export a page and all pages under it as a zip archive
+   *
+   * Pages are saved in their source format (markdown / HTML) with their metadata as front matter,
+   * along with the assets they reference. The archive can be restored with Import.importFromArchive.
+   * Only pages the user can read the source of are included.
+   *
+   * @param {Object} opts Export Options
+   * @param {string} opts.locale Locale
+   * @param {string} opts.path Path of the page or folder, empty for all pages of the locale
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the file name, mime type and file buffer
+   */
+  static async exportToArchive(opts) {
+    opts = {
+      ...opts,
+      path: _.trim(opts.path, '/')
+    }
+    const pages = await WIKI.models.export.getExportablePages({
+      ...opts,
+      includeChildren: true,
+      includeSource: true
+    })
+    if (pages.length < 1) {
+      throw new WIKI.Error.ExportNoPages()
+    } else if (pages.length > archiveMaxPages) {
+      throw new WIKI.Error.ExportTooManyPages()
+    }
+
+    const destination = {
+      type: 'archive',
+      locale: opts.locale,
+      path: opts.path
+    }
+
+    // -> Trigger content:beforeExport hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('content:beforeExport', {
+          destination,
+          pageIds: pages.map(p => p.id),
+          pages: pages.map(p => ({ id: p.id, path: p.path, title: p.title })),
+          user: {
+            id: opts.user.id,
+            name: opts.user.name,
+            email: opts.user.email
+          },
+          canProceed: true
+        })
+      } catch (hookErr) {
+        throw new Error(`Export blocked: ${hookErr.message}`)
+      }
+    }
+
+    const zip = new AdmZip()
+    const manifest = {
+      version: archiveHelper.formatVersion,
+      locale: opts.locale,
+      path: opts.path,
+      host: WIKI.config.host,
+      exportedAt: new Date().toISOString(),
+      pages: [],
+      assets: []
+    }
+
+    try {
+      // -> Pages
+      const assetPaths = new Set()
+      for (const page of pages) {
+        const fileName = `pages/${page.path}.${pageHelper.getFileExtension(page.contentType)}`
+        const contents = pageHelper.injectPageMetadata(page)
+        zip.addFile(fileName, Buffer.from(_.isString(contents) ? contents : JSON.stringify(contents, null, 2), 'utf8'))
+        manifest.pages.push({
+          path: page.path,
+          file: fileName,
+          contentType: page.contentType
+        })
+
+        const $ = cheerio.load(page.render || '', { decodeEntities: true })
+        $('a[href^="/"], img[src^="/"], source[src^="/"], video[src^="/"], audio[src^="/"]').each((i, elm) => {
+          const url = $(elm).attr(elm.tagName === 'a' ? 'href' : 'src')
+          if (!_.startsWith(url, '//')) {
+            assetPaths.add(pageHelper.parsePath(url.split(/[?#]/)[0]).path)
+          }
+        })
+      }
+
+      // -> Referenced assets
+      for (const assetPath of assetPaths) {
+        if (!WIKI.auth.checkAccess(opts.user, ['read:assets'], { path: assetPath })) {
+          continue
+        }
+        const asset = await WIKI.models.assets.query().select('id').where('hash', assetHelper.generateHash(assetPath)).first()
+        if (!asset) {
+          continue
+        }
+        const assetData = await WIKI.models.knex('assetData').where('id', asset.id).first()
+        if (!assetData) {
+          continue
+        }
+        const fileName = `assets/${assetPath}`
+        zip.addFile(fileName, assetData.data)
+        manifest.assets.push({
+          path: assetPath,
+          file: fileName
+        })
+      }
+
+      zip.addFile(archiveHelper.manifestFileName, Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'))
+    } catch (err) {
+      WIKI.logger.warn(`Failed to export ${opts.locale}/${opts.path} as an archive: ${err.message}`)
+      throw new WIKI.Error.ExportGenericError()
+    }
+
+    // -> Trigger content:afterExport hook
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.trigger('content:afterExport', {
+          destination,
+          pages: pages.map(p => ({ id: p.id, path: p.path, title: p.title })),
+          success: true,
+          errors: [],
+          totalExported: pages.length
+        })
+      } catch (hookErr) {
+        WIKI.logger.warn(`Hook execution error (content:afterExport): ${hookErr.message}`)
+      }
+    }
+
+    return {
+      fileName: `${_.last(opts.path.split('/')) || 'export'}.zip`,
+      mime: 'application/zip',
+      data: zip.toBuffer(),
+      pagesExported: pages.length,
+      assetsExported: manifest.assets.length
+    }
+  }
+
+  /**
+   * Embed the images of a page the user is allowed to read as data URIs
+   *
+   * Pandoc runs sandboxed and cannot read other files, so only wiki assets are embedded.
+   * Any other image is replaced by its alternative text.
+   *
+   * @param {Object} $ Page content, loaded with cheerio
+   * @param {Object} user User
+   * @param {Object} cache Data URIs of the assets already embedded, by path
+   */
+  static async embedAssets($, user, cache = {}) {
+    for (const elm of $('img').toArray()) {
+      const src = $(elm).attr('src') || ''
+      let dataUri = null
+      if (_.startsWith(src, '/') && !_.startsWith(src, '//')) {
+        const assetArgs = pageHelper.parsePath(src.split(/[?#]/)[0])
+        if (WIKI.auth.checkAccess(user, ['read:assets'], assetArgs)) {
+          if (!_.has(cache, assetArgs.path)) {
+            cache[assetArgs.path] = await WIKI.models.export.getAssetDataUri(assetArgs.path)
+          }
+          dataUri = cache[assetArgs.path]
+        }
+      }
+      if (dataUri) {
+        $(elm).attr('src', dataUri).removeAttr('srcset')
+      } else {
+        $(elm).replaceWith(_.escape($(elm).attr('alt') || ''))
+      }
+    }
+  }
+
+  /**
+   * Get the content of an asset as data URI
+   *
+   * @param {string} assetPath Asset path
+   * @returns {Promise<string>} Data URI, null if the asset does not exist
+   */
+  static async getAssetDataUri(assetPath) {
+    const asset = await WIKI.models.assets.query().select('id', 'mime').where('hash', assetHelper.generateHash(assetPath)).first()
+    if (!asset) {
+      return null
+    }
+    const assetData = await WIKI.models.knex('assetData').where('id', asset.id).first()
+    if (!assetData) {
+      return null
+    }
+    return `data:${asset.mime || 'application/octet-stream'};base64,${Buffer.from(assetData.data).toString('base64')}`
+  }
+
   /**
    * Export content to generic format
    */
   static async exportContent(opts) {
-    // Future: Support other export formats (PDF, Markdown ZIP, etc.)
+    // Future: Support other export formats
     throw new Error('Generic export not yet implemented')
   }
 }
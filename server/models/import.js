@@ -1,4 +1,37 @@
 const Model = require('objection').Model
+const _ = require('lodash')
+const fs = require('fs-extra')
+const mime = require('mime-types')
+const path = require('path')
+const sanitize = require('sanitize-filename')
+const AdmZip = require('adm-zip')
+const archiveHelper = require('../helpers/archive')
+const assetHelper = require('../helpers/asset')
+const confluenceHelper = require('../helpers/confluence')
+const pageHelper = require('../helpers/page')
+
+// Maximum number of errors kept on an import job
+const importMaxErrors = 500
+
+// Maximum number of entries of an imported archive
+const archiveMaxEntries = 10000
+
+// Maximum total uncompressed size of an imported archive, in bytes
+const archiveMaxSize = 1024 * 1024 * 1024
+
+// Compressed size of an empty deflated entry, in bytes
+const emptyEntryMaxCompressedSize = 2
+
+/**
+ * Check an archive entry does not expand to more than maxSize bytes
+ *
+ * Decompressed data is capped to the size declared by the entry, except when it declares
+ * none, so entries declaring no size must not hold compressed data either.
+ */
+function isEntryWithinLimit (entry, maxSize) {
+  const { size, compressedSize } = entry.header
+  return size <= maxSize && (size > 0 || compressedSize <= emptyEntryMaxCompressedSize)
+}
 
 /**
  * Import Model
@@ -7,42 +40,159 @@ const Model = require('objection').Model
 module.exports = class Import extends Model {
   static get tableName() { return 'imports' }
 
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['source'],
+
+      properties: {
+        id: {type: 'integer'},
+        source: {type: 'string'},
+        status: {type: 'string'},
+        total: {type: 'integer'},
+        processed: {type: 'integer'},
+        created: {type: 'integer'},
+        updated: {type: 'integer'},
+        skipped: {type: 'integer'},
+        failed: {type: 'integer'},
+        attachments: {type: 'integer'},
+        message: {type: ['string', 'null']},
+        userId: {type: ['integer', 'null']},
+        createdAt: {type: 'string'},
+        updatedAt: {type: 'string'},
+        completedAt: {type: ['string', 'null']}
+      }
+    }
+  }
+
+  static get jsonAttributes() {
+    return ['config', 'errors']
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString()
+  }
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = new Date().toISOString()
+  }
+
   /**
-   * Import content from Confluence
+   * Start the import of a Confluence space
+   *
+   * The import runs in the background, its progress can be polled from the returned import job.
+   * Running it again on the same space only updates the pages that changed since the last run.
+   *
+   * @param {Object} opts Import Options
+   * @param {string} opts.url Confluence base URL
+   * @param {string} opts.spaceKey Space key
+   * @param {string} opts.username Username, for basic authentication
+   * @param {string} opts.password Password or API token, for basic authentication
+   * @param {string} opts.token Personal access token, for bearer authentication
+   * @param {string} opts.locale Locale of the imported pages
+   * @param {string} opts.pathPrefix Path under which the space hierarchy is imported
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the import job
    */
   static async importFromConfluence(opts) {
-    const axios = require('axios')
-    const TurndownService = require('turndown')
-
     if (!opts.url || !opts.spaceKey) {
       throw new Error('Confluence URL and space key are required')
     }
 
-    const auth = opts.token ?
-      { headers: { Authorization: `Bearer ${opts.token}` } } :
-      { auth: { username: opts.username, password: opts.password } }
-
-    const importResults = {
-      pagesImported: 0,
+    const job = await WIKI.models.import.query().insert({
+      source: 'confluence',
+      status: 'pending',
+      config: {
+        url: opts.url.replace(/\/$/, ''),
+        spaceKey: opts.spaceKey,
+        locale: opts.locale || WIKI.config.lang.code,
+        pathPrefix: _.trim(opts.pathPrefix || '', '/')
+      },
       errors: [],
-      pages: []
+      userId: opts.user.id
+    })
+
+    // -> Credentials are only kept in memory, for the duration of the import
+    WIKI.scheduler.registerJob({
+      name: 'import-confluence',
+      immediate: true
+    }, {
+      importId: job.id,
+      auth: opts.token ? { headers: { Authorization: `Bearer ${opts.token}` } } : { auth: { username: opts.username, password: opts.password } },
+      user: opts.user
+    })
+
+    return job
+  }
+
+  /**
+   * Run the import of a Confluence space
+   *
+   * @param {Object} opts Job Options
+   * @param {number} opts.importId Import job ID
+   * @param {Object} opts.auth Request authentication options
+   * @param {Object} opts.user User
+   */
+  static async runConfluenceImport({ importId, auth, user }) {
+    const axios = require('axios')
+
+    const job = await WIKI.models.import.query().findById(importId)
+    const { url: baseUrl, spaceKey, locale, pathPrefix } = job.config
+    const apiUrl = `${baseUrl}/rest/api/content`
+    const source = {
+      type: 'confluence',
+      url: baseUrl,
+      spaceKey
+    }
+    const sourceKey = `${baseUrl}/${spaceKey}`
+    const progress = {
+      total: 0,
+      processed: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      failed: 0,
+      attachments: 0,
+      errors: []
+    }
+    const importedPages = []
+
+    // -> Fetch all results of a paginated Confluence API endpoint
+    const fetchAll = async (endpoint, params) => {
+      const results = []
+      const limit = 50
+      let start = 0
+      while (true) {
+        const response = await axios.get(endpoint, { ...auth, params: { ...params, start, limit } })
+        const batch = _.get(response, 'data.results', [])
+        results.push(...batch)
+        if (batch.length < limit) {
+          return results
+        }
+        start += limit
+      }
+    }
+
+    const addError = (page, message) => {
+      progress.failed++
+      if (progress.errors.length < importMaxErrors) {
+        progress.errors.push({ page, message })
+      }
     }
 
+    await WIKI.models.import.query().patch({ status: 'running' }).findById(importId)
+
     try {
       // -> Trigger content:beforeImport hook (blocking)
       if (WIKI.plugins && WIKI.plugins.hooks) {
         try {
           await WIKI.plugins.hooks.triggerBlocking('content:beforeImport', {
-            source: {
-              type: 'confluence',
-              url: opts.url,
-              spaceKey: opts.spaceKey
-            },
+            source,
             pages: [],
             user: {
-              id: opts.user.id,
-              name: opts.user.name,
-              email: opts.user.email
+              id: user.id,
+              name: user.name,
+              email: user.email
             },
             canProceed: true
           })
@@ -51,151 +201,427 @@ module.exports = class Import extends Model {
         }
       }
 
-      // Fetch all pages from Confluence space
-      const baseUrl = opts.url.replace(/\/$/, '')
-      const apiUrl = `${baseUrl}/rest/api/content`
+      // -> List all pages of the space, with their position in the hierarchy
+      const confluencePages = await fetchAll(apiUrl, {
+        spaceKey,
+        type: 'page',
+        expand: 'version,ancestors'
+      })
+      progress.total = confluencePages.length
+      await WIKI.models.import.query().patch({ total: progress.total, message: 'Importing pages...' }).findById(importId)
 
-      let start = 0
-      const limit = 25
-      let hasMore = true
-
-      while (hasMore) {
-        const response = await axios.get(apiUrl, {
-          ...auth,
-          params: {
-            spaceKey: opts.spaceKey,
-            type: 'page',
-            expand: 'body.storage,version,metadata.labels',
-            start,
-            limit
-          }
-        })
+      // -> Map the hierarchy of pages to paths
+      const usedPaths = new Set()
+      const targetPaths = {}
+      for (const confluencePage of _.sortBy(confluencePages, p => _.get(p, 'ancestors', []).length)) {
+        const parentId = _.get(_.last(confluencePage.ancestors), 'id', null)
+        const parentPath = parentId && targetPaths[parentId] ? targetPaths[parentId] : pathPrefix
+        let slug = confluenceHelper.slugify(confluencePage.title, confluencePage.id)
+        let pagePath = _.compact([parentPath, slug]).join('/')
+        if (usedPaths.has(pagePath)) {
+          slug = `${slug}-${confluencePage.id}`
+          pagePath = _.compact([parentPath, slug]).join('/')
+        }
+        usedPaths.add(pagePath)
+        targetPaths[confluencePage.id] = pagePath
+      }
+      const pathsByTitle = _.fromPairs(confluencePages.map(p => [p.title, targetPaths[p.id]]))
 
-        const pages = response.data.results || []
+      // -> Load mappings of previous runs
+      const mappings = _.keyBy(await WIKI.models.importMappings.query().where({
+        source: 'confluence',
+        sourceKey
+      }), 'sourceId')
+      const mappedPageIds = _.compact(_.map(_.filter(mappings, ['kind', 'page']), 'pageId'))
+      const mappedPages = mappedPageIds.length > 0 ? _.keyBy(await WIKI.models.pages.query().select('id', 'path', 'localeCode', 'description').whereIn('id', mappedPageIds), 'id') : {}
 
-        if (pages.length === 0) {
-          hasMore = false
-          break
-        }
+      for (const confluencePage of confluencePages) {
+        const targetPath = targetPaths[confluencePage.id]
+        const mapping = mappings[confluencePage.id]
+        const wikiPage = mapping ? mappedPages[mapping.pageId] : null
+        const version = _.get(confluencePage, 'version.number', 0)
 
-        for (const confluencePage of pages) {
-          try {
-            // Convert Confluence storage format to Markdown
-            const turndownService = new TurndownService({
-              headingStyle: 'atx',
-              codeBlockStyle: 'fenced'
-            })
+        try {
+          // -> Skip pages that didn't change since the last run
+          if (wikiPage && mapping.sourceVersion === version && wikiPage.path === targetPath && wikiPage.localeCode === locale) {
+            progress.skipped++
+            continue
+          }
 
-            // Handle Confluence macros
-            turndownService.addRule('confluenceMacros', {
-              filter: node => node.nodeName === 'AC:STRUCTURED-MACRO',
-              replacement: (content, node) => {
-                const macroName = node.getAttribute('ac:name')
-
-                // Convert common macros
-                if (macroName === 'code') {
-                  const language = node.querySelector('ac\\:parameter[ac\\:name="language"]')?.textContent || ''
-                  const code = node.querySelector('ac\\:plain-text-body')?.textContent || ''
-                  return `\`\`\`${language}\n${code}\n\`\`\``
-                }
+          const pageResp = await axios.get(`${apiUrl}/${confluencePage.id}`, {
+            ...auth,
+            params: {
+              expand: 'body.storage,metadata.labels'
+            }
+          })
+          const pageDetails = pageResp.data
 
-                if (macroName === 'info' || macroName === 'note' || macroName === 'warning') {
-                  return `> **${macroName.toUpperCase()}**: ${content}`
+          // -> Import attachments as assets
+          const attachmentPaths = {}
+          const attachments = await fetchAll(`${apiUrl}/${confluencePage.id}/child/attachment`, { expand: 'version' })
+          if (attachments.length > 0) {
+            const folderId = await WIKI.models.assetFolders.ensurePath(targetPath)
+            for (const attachment of attachments) {
+              const fileName = sanitize(attachment.title.toLowerCase().replace(/[\s,;#]+/g, '_'))
+              const assetPath = `${targetPath}/${fileName}`
+              attachmentPaths[attachment.title] = `/${assetPath}`
+              try {
+                const attachmentMapping = mappings[attachment.id]
+                const attachmentVersion = _.get(attachment, 'version.number', 0)
+                if (attachmentMapping && attachmentMapping.assetId && attachmentMapping.sourceVersion === attachmentVersion) {
+                  continue
+                }
+                const fileResp = await axios.get(`${baseUrl}${attachment._links.download}`, { ...auth, responseType: 'arraybuffer' })
+                const tempPath = path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, 'uploads', `confluence-${attachment.id}`)
+                await fs.outputFile(tempPath, Buffer.from(fileResp.data))
+                await WIKI.models.assets.upload({
+                  originalname: fileName,
+                  mimetype: _.get(attachment, 'extensions.mediaType') || mime.lookup(fileName) || 'application/octet-stream',
+                  size: fileResp.data.byteLength,
+                  path: tempPath,
+                  mode: 'import',
+                  folderId,
+                  assetPath,
+                  user
+                })
+                await fs.remove(tempPath)
+                const asset = await WIKI.models.assets.query().select('id').where('hash', assetHelper.generateHash(assetPath)).first()
+                await WIKI.models.importMappings.upsert({
+                  source: 'confluence',
+                  sourceKey,
+                  sourceId: attachment.id,
+                  sourceVersion: attachmentVersion,
+                  kind: 'attachment',
+                  assetId: asset ? asset.id : null
+                })
+                progress.attachments++
+              } catch (attErr) {
+                WIKI.logger.warn(`Failed to import Confluence attachment ${attachment.title}: ${attErr.message}`)
+                if (progress.errors.length < importMaxErrors) {
+                  progress.errors.push({ page: `${confluencePage.title} / ${attachment.title}`, message: attErr.message })
                 }
+              }
+            }
+          }
 
-                return content
+          // -> Convert content, resolving links to other pages of the space and attachments
+          const htmlContent = _.get(pageDetails, 'body.storage.value', '')
+          const html = confluenceHelper.storageToHtml(htmlContent, {
+            page: ({ id, title, spaceKey: linkSpaceKey }) => {
+              if (linkSpaceKey && linkSpaceKey !== spaceKey) {
+                return null
               }
-            })
+              const linkPath = id ? targetPaths[id] : pathsByTitle[title]
+              return linkPath ? `/${locale}/${linkPath}` : null
+            },
+            attachment: ({ filename, pageTitle }) => {
+              if (pageTitle && pageTitle !== confluencePage.title) {
+                return pathsByTitle[pageTitle] ? `/${pathsByTitle[pageTitle]}/${sanitize(filename.toLowerCase().replace(/[\s,;#]+/g, '_'))}` : null
+              }
+              return attachmentPaths[filename] || null
+            }
+          })
+          const markdown = confluenceHelper.htmlToMarkdown(html)
 
-            const htmlContent = confluencePage.body.storage.value
-            let markdown = turndownService.turndown(htmlContent)
+          const pageData = {
+            id: confluencePage.id,
+            title: confluencePage.title,
+            content: htmlContent,
+            labels: _.map(_.get(pageDetails, 'metadata.labels.results', []), 'name'),
+            lastModified: _.get(confluencePage, 'version.when', null)
+          }
 
-            const pageData = {
-              id: confluencePage.id,
-              title: confluencePage.title,
-              content: htmlContent,
-              labels: confluencePage.metadata?.labels?.results?.map(l => l.name) || [],
-              lastModified: confluencePage.version.when
+          // -> Trigger content:import hook
+          let transformedData = {
+            content: markdown,
+            path: targetPath,
+            metadata: {
+              confluenceId: confluencePage.id,
+              confluenceUrl: `${baseUrl}/pages/viewpage.action?pageId=${confluencePage.id}`,
+              labels: pageData.labels,
+              lastModified: pageData.lastModified
             }
+          }
 
-            // -> Trigger content:import hook
-            let transformedData = {
-              content: markdown,
-              path: confluencePage.title.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
-              metadata: {
-                confluenceId: confluencePage.id,
-                confluenceUrl: `${baseUrl}/pages/viewpage.action?pageId=${confluencePage.id}`,
-                labels: pageData.labels,
-                lastModified: pageData.lastModified
-              }
+          if (WIKI.plugins && WIKI.plugins.hooks) {
+            try {
+              const hookResult = await WIKI.plugins.hooks.triggerMutable('content:import', {
+                page: pageData,
+                source,
+                transformed: transformedData
+              })
+              transformedData = hookResult.transformed || transformedData
+            } catch (hookErr) {
+              WIKI.logger.warn(`Hook execution error (content:import): ${hookErr.message}`)
             }
+          }
 
-            if (WIKI.plugins && WIKI.plugins.hooks) {
-              try {
-                const hookResult = await WIKI.plugins.hooks.triggerMutable('content:import', {
-                  page: pageData,
-                  source: {
-                    type: 'confluence',
-                    url: baseUrl,
-                    spaceKey: opts.spaceKey
-                  },
-                  transformed: transformedData
-                })
-                transformedData = hookResult.transformed || transformedData
-              } catch (hookErr) {
-                WIKI.logger.warn(`Hook execution error (content:import): ${hookErr.message}`)
-              }
+          let pageId
+          if (wikiPage) {
+            // -> Update page imported by a previous run
+            if (wikiPage.path !== transformedData.path || wikiPage.localeCode !== locale) {
+              await WIKI.models.pages.movePage({
+                id: wikiPage.id,
+                destinationLocale: locale,
+                destinationPath: transformedData.path,
+                user
+              })
             }
-
-            // Create page in Wiki.js
+            await WIKI.models.pages.updatePage({
+              id: wikiPage.id,
+              locale,
+              path: transformedData.path,
+              title: confluencePage.title,
+              description: wikiPage.description,
+              content: transformedData.content,
+              isPublished: true,
+              tags: transformedData.metadata.labels || [],
+              user
+            })
+            pageId = wikiPage.id
+            progress.updated++
+          } else {
             const createdPage = await WIKI.models.pages.createPage({
-              path: opts.pathPrefix ? `${opts.pathPrefix}/${transformedData.path}` : transformedData.path,
-              locale: opts.locale || 'en',
+              path: transformedData.path,
+              locale,
               title: confluencePage.title,
               description: `Imported from Confluence: ${confluencePage.title}`,
               content: transformedData.content,
               isPublished: true,
               isPrivate: false,
               editor: 'markdown',
-              user: opts.user,
+              user,
               tags: transformedData.metadata.labels || []
             })
+            pageId = createdPage.id
+            progress.created++
+          }
 
-            importResults.pagesImported++
-            importResults.pages.push({
-              id: createdPage.id,
-              path: createdPage.path,
-              title: createdPage.title,
-              confluenceId: confluencePage.id
-            })
+          await WIKI.models.importMappings.upsert({
+            source: 'confluence',
+            sourceKey,
+            sourceId: confluencePage.id,
+            sourceVersion: version,
+            kind: 'page',
+            pageId
+          })
+          importedPages.push({
+            id: pageId,
+            path: transformedData.path,
+            title: confluencePage.title,
+            confluenceId: confluencePage.id
+          })
 
-            WIKI.logger.info(`Imported Confluence page: ${confluencePage.title}`)
-          } catch (pageErr) {
-            WIKI.logger.error(`Failed to import Confluence page ${confluencePage.title}: ${pageErr.message}`)
-            importResults.errors.push({
-              page: confluencePage.title,
-              message: pageErr.message
-            })
+          WIKI.logger.info(`Imported Confluence page: ${confluencePage.title}`)
+        } catch (pageErr) {
+          WIKI.logger.error(`Failed to import Confluence page ${confluencePage.title}: ${pageErr.message}`)
+          addError(confluencePage.title, pageErr.message)
+        } finally {
+          progress.processed++
+          await WIKI.models.import.query().patch(progress).findById(importId)
+        }
+      }
+
+      // -> Trigger content:afterImport hook
+      if (WIKI.plugins && WIKI.plugins.hooks) {
+        try {
+          await WIKI.plugins.hooks.trigger('content:afterImport', {
+            source,
+            pages: importedPages,
+            success: progress.failed === 0,
+            errors: progress.errors,
+            totalImported: progress.created + progress.updated
+          })
+        } catch (hookErr) {
+          WIKI.logger.warn(`Hook execution error (content:afterImport): ${hookErr.message}`)
+        }
+      }
+
+      await WIKI.models.import.query().patch({
+        ...progress,
+        status: 'completed',
+        message: `Imported ${progress.created} new and ${progress.updated} updated pages, ${progress.skipped} unchanged.`,
+        completedAt: new Date().toISOString()
+      }).findById(importId)
+    } catch (err) {
+      WIKI.logger.error(`Confluence import failed: ${err.message}`)
+      await WIKI.models.import.query().patch({
+        ...progress,
+        status: 'failed',
+        message: err.message,
+        completedAt: new Date().toISOString()
+      }).findById(importId)
+    }
+  }
+
+  /**
+   * Import a document (DOCX, ODT, EPUB, reStructuredText, MediaWiki, Textile) as a markdown page
+   *
+   * Embedded images are uploaded as assets, in a folder matching the page path.
+   *
+   * @param {Object} opts Import Options
+   * @param {string} opts.filePath Path of the uploaded file
+   * @param {string} opts.fileName Original file name
+   * @param {string} opts.format Format of the file, detected from the file name if not set
+   * @param {string} opts.locale Locale of the page
+   * @param {string} opts.path Path of the page
+   * @param {string} opts.title Title of the page, derived from the file name if not set
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the import results
+   */
+  static async importFromFile(opts) {
+    const pandoc = _.get(WIKI, 'extensions.ext.pandoc', null)
+    if (!pandoc || !pandoc.isInstalled) {
+      throw new WIKI.Error.ImportPandocUnavailable()
+    }
+
+    const format = opts.format || pandoc.getFormatFromFileName(opts.fileName)
+    if (!format || !_.has(pandoc.formats, format)) {
+      throw new WIKI.Error.ImportFormatUnsupported()
+    }
+
+    const pagePath = _.trim(opts.path, '/')
+    const locale = opts.locale || WIKI.config.lang.code
+    if (!WIKI.auth.checkAccess(opts.user, ['write:pages'], { locale, path: pagePath })) {
+      throw new WIKI.Error.ImportForbidden()
+    }
+
+    const source = {
+      type: 'pandoc',
+      format,
+      fileName: opts.fileName
+    }
+    const errors = []
+
+    // -> Trigger content:beforeImport hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('content:beforeImport', {
+          source,
+          pages: [{ locale, path: pagePath }],
+          user: {
+            id: opts.user.id,
+            name: opts.user.name,
+            email: opts.user.email
+          },
+          canProceed: true
+        })
+      } catch (hookErr) {
+        throw new Error(`Import blocked: ${hookErr.message}`)
+      }
+    }
+
+    const workDir = await fs.mkdtemp(path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, 'uploads', 'pandoc-'))
+    try {
+      // -> Convert to markdown, extracting the media embedded in documents
+      const outputPath = path.join(workDir, 'page.md')
+      try {
+        await pandoc.convert({
+          inputPath: path.resolve(opts.filePath),
+          outputPath,
+          from: format,
+          to: 'gfm',
+          cwd: workDir,
+          args: pandoc.formats[format].isDocument ? ['--extract-media=media', '--wrap=none'] : ['--wrap=none']
+        })
+      } catch (err) {
+        WIKI.logger.warn(`Failed to convert ${opts.fileName} from ${format}: ${err.message}`)
+        throw new WIKI.Error.ImportConversionFailed()
+      }
+      let markdown = await fs.readFile(outputPath, 'utf8')
+
+      // -> Upload embedded media as assets
+      const assets = []
+      const mediaDir = path.join(workDir, 'media')
+      if (await fs.pathExists(mediaDir)) {
+        const mediaFiles = await fs.readdir(mediaDir, { recursive: true, withFileTypes: true })
+        const folderId = mediaFiles.length > 0 ? await WIKI.models.assetFolders.ensurePath(pagePath) : null
+        for (const mediaFile of _.filter(mediaFiles, f => f.isFile())) {
+          const mediaPath = path.join(mediaFile.parentPath || mediaFile.path, mediaFile.name)
+          const fileName = sanitize(mediaFile.name.toLowerCase().replace(/[\s,;#]+/g, '_'))
+          const mimetype = mime.lookup(fileName) || 'application/octet-stream'
+          if (!/^(image|audio|video)\//.test(mimetype)) {
+            errors.push({ page: `${pagePath}/${fileName}`, message: 'Only images, audio and video files are imported.' })
+            continue
+          }
+          const assetPath = `${pagePath}/${fileName}`
+          if (!WIKI.auth.checkAccess(opts.user, ['write:assets'], { path: assetPath })) {
+            errors.push({ page: assetPath, message: 'You are not authorized to upload files to this folder.' })
+            continue
           }
+          const stat = await fs.stat(mediaPath)
+          await WIKI.models.assets.upload({
+            originalname: fileName,
+            mimetype,
+            size: stat.size,
+            path: mediaPath,
+            mode: 'import',
+            folderId,
+            assetPath,
+            user: opts.user
+          })
+          markdown = _.split(markdown, path.relative(workDir, mediaPath).split(path.sep).join('/')).join(`/${assetPath}`)
+          assets.push(assetPath)
         }
+      }
 
-        start += limit
-        hasMore = pages.length === limit
+      // -> Trigger content:import hook
+      const title = opts.title || _.startCase(path.parse(opts.fileName).name)
+      let transformedData = {
+        content: markdown,
+        path: pagePath,
+        metadata: {
+          fileName: opts.fileName,
+          format,
+          assets,
+          tags: []
+        }
       }
 
+      if (WIKI.plugins && WIKI.plugins.hooks) {
+        try {
+          const hookResult = await WIKI.plugins.hooks.triggerMutable('content:import', {
+            page: {
+              title,
+              fileName: opts.fileName
+            },
+            source,
+            transformed: transformedData
+          })
+          transformedData = hookResult.transformed || transformedData
+        } catch (hookErr) {
+          WIKI.logger.warn(`Hook execution error (content:import): ${hookErr.message}`)
+        }
+      }
+
+      const createdPage = await WIKI.models.pages.createPage({
+        path: transformedData.path,
+        locale,
+        title,
+        description: `Imported from ${opts.fileName}`,
+        content: transformedData.content,
+        isPublished: true,
+        isPrivate: false,
+        editor: 'markdown',
+        user: opts.user,
+        tags: transformedData.metadata.tags || []
+      })
+
+      WIKI.logger.info(`Imported ${opts.fileName} as ${locale}/${createdPage.path}`)
+
       // -> Trigger content:afterImport hook
       if (WIKI.plugins && WIKI.plugins.hooks) {
         try {
           await WIKI.plugins.hooks.trigger('content:afterImport', {
-            source: {
-              type: 'confluence',
-              url: baseUrl,
-              spaceKey: opts.spaceKey
-            },
-            pages: importResults.pages,
-            success: importResults.errors.length === 0,
-            errors: importResults.errors,
-            totalImported: importResults.pagesImported
+            source,
+            pages: [{
+              id: createdPage.id,
+              path: createdPage.path,
+              title: createdPage.title
+            }],
+            success: errors.length === 0,
+            errors,
+            totalImported: 1
           })
         } catch (hookErr) {
           WIKI.logger.warn(`Hook execution error (content:afterImport): ${hookErr.message}`)
@@ -204,12 +630,262 @@ module.exports = class Import extends Model {
 
       return {
         success: true,
-        pagesImported: importResults.pagesImported,
-        errors: importResults.errors
+        pagesImported: 1,
+        page: {
+          id: createdPage.id,
+          locale: createdPage.localeCode,
+          path: createdPage.path
+        },
+        assets,
+        errors
       }
+    } finally {
+      await fs.remove(workDir)
+    }
+  }
+
+  /**
+   * Import a zip archive created by Export.exportToArchive
+   *
+   * Pages and assets under the archived path are moved to the target path, along with the links
+   * pointing to them. Existing pages and assets are either skipped or overwritten.
+   *
+   * @param {Object} opts Import Options
+   * @param {string} opts.filePath Path of the uploaded archive
+   * @param {string} opts.locale Target locale, the locale of the archive if not set
+   * @param {string} opts.path Target path, the path of the archive if not set
+   * @param {string} opts.policy Existing pages and assets policy, either skip or overwrite
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the import results
+   */
+  static async importFromArchive(opts) {
+    let zip
+    let entries
+    let manifest
+    try {
+      zip = new AdmZip(opts.filePath)
+      entries = zip.getEntries()
     } catch (err) {
-      WIKI.logger.error(`Confluence import failed: ${err.message}`)
-      throw err
+      throw new WIKI.Error.ImportArchiveInvalid()
+    }
+
+    // -> Check the uncompressed sizes before reading any entry
+    if (entries.length > archiveMaxEntries ||
+      _.sumBy(entries, 'header.size') > archiveMaxSize ||
+      !_.every(entries, entry => isEntryWithinLimit(entry, WIKI.config.uploads.maxFileSize))) {
+      throw new WIKI.Error.ImportArchiveTooLarge()
+    }
+
+    try {
+      manifest = JSON.parse(zip.readAsText(archiveHelper.manifestFileName))
+    } catch (err) {
+      throw new WIKI.Error.ImportArchiveInvalid()
+    }
+    if (!manifest || manifest.version !== archiveHelper.formatVersion || !_.isString(manifest.path) || !_.isArray(manifest.pages)) {
+      throw new WIKI.Error.ImportArchiveInvalid()
+    }
+    if (!_.isString(manifest.locale) || !manifest.locale) {
+      manifest.locale = WIKI.config.lang.code
+    }
+
+    const mapping = {
+      fromLocale: manifest.locale,
+      fromPath: manifest.path,
+      toLocale: opts.locale || manifest.locale,
+      toPath: _.trim(opts.path, '/') || manifest.path
+    }
+    const overwrite = opts.policy === 'overwrite'
+    if (!WIKI.auth.checkAccess(opts.user, ['write:pages'], { locale: mapping.toLocale, path: mapping.toPath })) {
+      throw new WIKI.Error.ImportForbidden()
+    }
+
+    const source = {
+      type: 'archive',
+      locale: manifest.locale,
+      path: manifest.path,
+      host: manifest.host || null
+    }
+    const result = {
+      pagesCreated: 0,
+      pagesUpdated: 0,
+      pagesSkipped: 0,
+      assetsImported: 0,
+      assetsSkipped: 0,
+      errors: []
+    }
+
+    // -> Trigger content:beforeImport hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('content:beforeImport', {
+          source,
+          pages: manifest.pages.map(p => ({ locale: mapping.toLocale, path: archiveHelper.remapPath(p.path, mapping.fromPath, mapping.toPath) })),
+          user: {
+            id: opts.user.id,
+            name: opts.user.name,
+            email: opts.user.email
+          },
+          canProceed: true
+        })
+      } catch (hookErr) {
+        throw new Error(`Import blocked: ${hookErr.message}`)
+      }
+    }
+
+    // -> Assets
+    const workDir = await fs.mkdtemp(path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, 'uploads', 'archive-'))
+    try {
+      for (const archiveAsset of _.filter(manifest.assets, a => _.isString(a.path) && _.isString(a.file))) {
+        const assetPath = archiveHelper.remapPath(archiveAsset.path, mapping.fromPath, mapping.toPath) || archiveAsset.path
+        try {
+          const fileName = sanitize(_.last(assetPath.split('/')))
+          const folderPath = _.initial(assetPath.split('/')).join('/')
+          if (!fileName || !WIKI.auth.checkAccess(opts.user, ['write:assets'], { path: assetPath })) {
+            throw new Error('You are not authorized to upload files to this folder.')
+          }
+          if (!overwrite && await WIKI.models.assets.query().select('id').where('hash', assetHelper.generateHash(assetPath)).first()) {
+            result.assetsSkipped++
+            continue
+          }
+          const entry = zip.getEntry(archiveAsset.file)
+          if (!entry) {
+            throw new Error('File is missing from the archive.')
+          }
+          const tempPath = path.join(workDir, `asset-${result.assetsImported}`)
+          await fs.writeFile(tempPath, entry.getData())
+          await WIKI.models.assets.upload({
+            originalname: fileName,
+            mimetype: mime.lookup(fileName) || 'application/octet-stream',
+            size: entry.header.size,
+            path: tempPath,
+            mode: 'import',
+            folderId: await WIKI.models.assetFolders.ensurePath(folderPath),
+            assetPath: _.compact([folderPath, fileName]).join('/'),
+            user: opts.user
+          })
+          await fs.remove(tempPath)
+          result.assetsImported++
+        } catch (err) {
+          result.errors.push({ page: assetPath, message: err.message })
+        }
+      }
+    } finally {
+      await fs.remove(workDir)
+    }
+
+    // -> Pages
+    const importedPages = []
+    for (const archivePage of _.sortBy(manifest.pages, 'path')) {
+      const pagePath = archiveHelper.remapPath(_.trim(archivePage.path, '/'), mapping.fromPath, mapping.toPath)
+      try {
+        const contentType = pageHelper.getContentType(_.toString(archivePage.file))
+        const entry = contentType ? zip.getEntry(archivePage.file) : null
+        if (!pagePath || !entry) {
+          throw new Error('Page is missing from the archive.')
+        }
+
+        const existingPage = await WIKI.models.pages.query().findOne({ localeCode: mapping.toLocale, path: pagePath })
+        if (existingPage && !overwrite) {
+          result.pagesSkipped++
+          continue
+        }
+
+        const pageData = WIKI.models.pages.parseMetadata(entry.getData().toString('utf8'), contentType)
+        const tags = _.isString(pageData.tags) ? _.compact(pageData.tags.split(',').map(t => _.trim(t))) : []
+        const isPublished = _.isNil(pageData.published) ? true : _.includes([true, 1, 'true', '1'], pageData.published)
+
+        // -> Trigger content:import hook
+        let transformedData = {
+          content: archiveHelper.remapLinks(pageData.content, mapping),
+          path: pagePath,
+          metadata: {
+            archivePath: archivePage.path,
+            tags
+          }
+        }
+
+        if (WIKI.plugins && WIKI.plugins.hooks) {
+          try {
+            const hookResult = await WIKI.plugins.hooks.triggerMutable('content:import', {
+              page: {
+                title: pageData.title,
+                path: archivePage.path
+              },
+              source,
+              transformed: transformedData
+            })
+            transformedData = hookResult.transformed || transformedData
+          } catch (hookErr) {
+            WIKI.logger.warn(`Hook execution error (content:import): ${hookErr.message}`)
+          }
+        }
+
+        let pageId
+        if (existingPage) {
+          await WIKI.models.pages.updatePage({
+            id: existingPage.id,
+            locale: mapping.toLocale,
+            path: pagePath,
+            title: pageData.title || existingPage.title,
+            description: _.isNil(pageData.description) ? existingPage.description : _.toString(pageData.description),
+            content: transformedData.content,
+            isPublished,
+            tags: transformedData.metadata.tags || [],
+            user: opts.user
+          })
+          pageId = existingPage.id
+          result.pagesUpdated++
+        } else {
+          const editor = _.some(WIKI.data.editors, ['key', pageData.editor]) ? pageData.editor : await WIKI.models.editors.getDefaultEditor(contentType)
+          const createdPage = await WIKI.models.pages.createPage({
+            path: transformedData.path,
+            locale: mapping.toLocale,
+            title: pageData.title || _.startCase(_.last(pagePath.split('/'))),
+            description: _.toString(pageData.description),
+            content: transformedData.content,
+            isPublished,
+            isPrivate: false,
+            editor,
+            user: opts.user,
+            tags: transformedData.metadata.tags || []
+          })
+          pageId = createdPage.id
+          result.pagesCreated++
+        }
+        importedPages.push({
+          id: pageId,
+          path: transformedData.path,
+          title: pageData.title
+        })
+      } catch (err) {
+        WIKI.logger.warn(`Failed to import ${archivePage.path} from archive: ${err.message}`)
+        result.errors.push({ page: _.toString(archivePage.path), message: err.message })
+      }
+    }
+
+    WIKI.logger.info(`Imported archive of ${manifest.locale}/${manifest.path} to ${mapping.toLocale}/${mapping.toPath}: ${importedPages.length} page(s), ${result.assetsImported} asset(s)`)
+
+    // -> Trigger content:afterImport hook
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.trigger('content:afterImport', {
+          source,
+          pages: importedPages,
+          success: result.errors.length === 0,
+          errors: result.errors,
+          totalImported: importedPages.length
+        })
+      } catch (hookErr) {
+        WIKI.logger.warn(`Hook execution error (content:afterImport): ${hookErr.message}`)
+      }
+    }
+
+    return {
+      success: true,
+      locale: mapping.toLocale,
+      path: mapping.toPath,
+      pagesImported: importedPages.length,
+      ...result
     }
   }
 
@@ -0,0 +1,55 @@
+const Model = require('objection').Model
+
+/**
+ * Import Mappings model
+ * Links content of an external source to the pages and assets it was imported as
+ */
+module.exports = class ImportMapping extends Model {
+  static get tableName() { return 'importMappings' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['source', 'sourceKey', 'sourceId'],
+
+      properties: {
+        id: {type: 'integer'},
+        source: {type: 'string'},
+        sourceKey: {type: 'string'},
+        sourceId: {type: 'string'},
+        sourceVersion: {type: 'integer'},
+        kind: {type: 'string'},
+        pageId: {type: ['integer', 'null']},
+        assetId: {type: ['integer', 'null']},
+        createdAt: {type: 'string'},
+        updatedAt: {type: 'string'}
+      }
+    }
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString()
+  }
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = new Date().toISOString()
+  }
+
+  /**
+   * Create or update the mapping of an external item
+   *
+   * @param {Object} mapping Mapping, identified by source, sourceKey and sourceId
+   */
+  static async upsert (mapping) {
+    const existing = await WIKI.models.importMappings.query().findOne({
+      source: mapping.source,
+      sourceKey: mapping.sourceKey,
+      sourceId: mapping.sourceId
+    })
+    if (existing) {
+      await WIKI.models.importMappings.query().patch(mapping).findById(existing.id)
+    } else {
+      await WIKI.models.importMappings.query().insert(mapping)
+    }
+  }
+}
@@ -1,5 +1,6 @@
 const Model = require('objection').Model
 const _ = require('lodash')
+const navHelper = require('../helpers/navigation')
 
 /**
  * Navigation model
@@ -20,41 +21,52 @@ module.exports = class Navigation extends Model {
     }
   }
 
-  static async getTree({ cache = false, locale = 'en', groups = [], bypassAuth = false } = {}) {
-    if (cache) {
-      const navTreeCached = await WIKI.cache.get(`nav:sidebar:${locale}`)
-      if (navTreeCached) {
-        return bypassAuth ? navTreeCached : WIKI.models.navigation.getAuthorizedItems(navTreeCached, groups)
+  /**
+   * Get the navigation menus of a locale
+   *
+   * @param {Object} opts Options
+   * @param {boolean} opts.cache Whether to use the cache
+   * @param {string} opts.locale Locale code, all for the menus of every locale
+   * @returns {Promise<Array<Object>>} Menus
+   */
+  static async getMenus({ cache = false, locale = 'all' } = {}) {
+    if (cache && locale !== 'all') {
+      const menusCached = await WIKI.cache.get(`nav:menus:${locale}`)
+      if (menusCached) {
+        return menusCached
       }
     }
     const navTree = await WIKI.models.navigation.query().findOne('key', `site`)
-    if (navTree) {
-      // Check for pre-2.3 format
-      if (_.has(navTree.config[0], 'kind')) {
-        navTree.config = [{
-          locale: 'en',
-          items: navTree.config.map(item => ({
-            ...item,
-            visibilityMode: 'all',
-            visibilityGroups: []
-          }))
-        }]
-      }
-
-      for (const tree of navTree.config) {
-        if (cache) {
-          await WIKI.cache.set(`nav:sidebar:${tree.locale}`, tree.items, 300)
-        }
-      }
-      if (bypassAuth) {
-        return locale === 'all' ? navTree.config : WIKI.cache.get(`nav:sidebar:${locale}`)
-      } else {
-        return locale === 'all' ? WIKI.models.navigation.getAuthorizedItems(navTree.config, groups) : WIKI.models.navigation.getAuthorizedItems(WIKI.cache.get(`nav:sidebar:${locale}`), groups)
-      }
-    } else {
+    if (!navTree) {
       WIKI.logger.warn('Site Navigation is missing or corrupted.')
       return []
     }
+    const menus = navHelper.normalizeMenus(navTree.config)
+    if (cache) {
+      for (const [menuLocale, localeMenus] of _.toPairs(_.groupBy(menus, 'locale'))) {
+        await WIKI.cache.set(`nav:menus:${menuLocale}`, localeMenus, 300)
+      }
+    }
+    return locale === 'all' ? menus : _.filter(menus, ['locale', locale])
+  }
+
+  /**
+   * Clear the cached menus of all locales
+   */
+  static clearCache() {
+    WIKI.cache.del(WIKI.cache.keys().filter(k => _.startsWith(k, 'nav:menus:')))
+  }
+
+  /**
+   * Get the items of the default menu of a locale, as a flat list
+   */
+  static async getTree({ cache = false, locale = 'en', groups = [], bypassAuth = false } = {}) {
+    const menus = await WIKI.models.navigation.getMenus({ cache, locale })
+    if (locale === 'all') {
+      return bypassAuth ? menus : menus.filter(menu => navHelper.isVisible(menu, groups))
+    }
+    const items = _.get(_.find(menus, ['pathPrefix', '']), 'items', [])
+    return bypassAuth ? items : WIKI.models.navigation.getAuthorizedItems(items, groups)
   }
 
   static getAuthorizedItems(tree = [], groups = []) {
@@ -62,4 +74,79 @@ module.exports = class Navigation extends Model {
       return leaf.visibilityMode === 'all' || _.intersection(leaf.visibilityGroups, groups).length > 0
     })
   }
+
+  /**
+   * Get the sidebar navigation of a page
+   *
+   * Uses the menu with the longest path prefix matching the page, and expands auto-generated sections from the page tree.
+   *
+   * @param {Object} opts Options
+   * @param {string} opts.locale Locale of the page
+   * @param {string} opts.path Path of the page
+   * @param {Object} opts.user Current user
+   * @returns {Promise<Array<Object>>} Nested items, in the compact sidebar format
+   */
+  static async getSidebar({ locale, path, user }) {
+    const menus = await WIKI.models.navigation.getMenus({ cache: true, locale })
+    const menu = navHelper.selectMenu(menus, { path, groups: user.groups })
+    if (!menu) {
+      return []
+    }
+
+    const expand = async items => {
+      const result = []
+      for (const item of items) {
+        if (item.kind === 'pageTree') {
+          result.push({
+            ...item,
+            kind: 'section',
+            children: await WIKI.models.navigation.getPageTreeItems({ locale, rootPath: item.target, depth: item.depth, user })
+          })
+        } else if (item.children) {
+          result.push({ ...item, children: await expand(item.children) })
+        } else {
+          result.push(item)
+        }
+      }
+      return result
+    }
+
+    return navHelper.toSidebar(await expand(navHelper.buildTree(menu.items, user.groups)))
+  }
+
+  /**
+   * Get the items of an auto-generated section, from the page tree
+   *
+   * @param {Object} opts Options
+   * @param {string} opts.locale Locale code
+   * @param {string} opts.rootPath Path of the section root, empty for the whole tree
+   * @param {number} opts.depth Number of levels to include
+   * @param {Object} opts.user Current user, only pages they can read are included
+   * @returns {Promise<Array<Object>>} Nested items
+   */
+  static async getPageTreeItems({ locale, rootPath = '', depth = 2, user }) {
+    rootPath = navHelper.normalizePathPrefix(rootPath)
+    const rootDepth = rootPath ? rootPath.split('/').length : 0
+    const entries = await WIKI.models.knex.table('pageTree')
+      .select('id', 'path', 'title', 'isFolder', 'pageId')
+      .where('localeCode', locale)
+      .andWhere('depth', '>', rootDepth)
+      .andWhere('depth', '<=', rootDepth + _.clamp(_.toSafeInteger(depth) || 2, 1, navHelper.maxPageTreeDepth))
+      .modify(builder => {
+        if (rootPath) {
+          builder.where('path', 'like', `${rootPath}/%`)
+        }
+      })
+      .orderBy('path')
+
+    // -> Folders are kept without their page when it cannot be read, for the pages they contain.
+    //    They are labeled with their path segment, as the page title must not be shown.
+    const visibleEntries = _.compact(entries.map(entry => {
+      if (!entry.pageId || WIKI.auth.checkAccess(user, ['read:pages'], { locale, path: entry.path })) {
+        return entry
+      }
+      return entry.isFolder ? { ...entry, pageId: null, title: _.last(entry.path.split('/')) } : null
+    }))
+    return navHelper.buildPageTreeItems(visibleEntries, { rootPath, locale })
+  }
 }
@@ -0,0 +1,279 @@
+const Model = require('objection').Model
+const _ = require('lodash')
+const { DateTime } = require('luxon')
+
+/**
+ * Page Drafts model
+ */
+module.exports = class PageDraft extends Model {
+  static get tableName() { return 'pageDrafts' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['pageId', 'title'],
+
+      properties: {
+        id: {type: 'integer'},
+        pageId: {type: 'integer'},
+        title: {type: 'string'},
+        description: {type: ['string', 'null']},
+        content: {type: ['string', 'null']},
+        scriptCss: {type: ['string', 'null']},
+        scriptJs: {type: ['string', 'null']},
+        authorId: {type: ['integer', 'null']},
+        publishAt: {type: ['string', 'null']},
+        publishError: {type: ['string', 'null']},
+        createdAt: {type: 'string'},
+        updatedAt: {type: 'string'}
+      }
+    }
+  }
+
+  static get jsonAttributes() {
+    return ['tags']
+  }
+
+  static get relationMappings() {
+    return {
+      page: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: require('./pages'),
+        join: {
+          from: 'pageDrafts.pageId',
+          to: 'pages.id'
+        }
+      },
+      author: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: require('./users'),
+        join: {
+          from: 'pageDrafts.authorId',
+          to: 'users.id'
+        }
+      }
+    }
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString()
+  }
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = new Date().toISOString()
+  }
+
+  /**
+   * Fetch a page and ensure the user is allowed to edit it
+   *
+   * @param {number} pageId Page ID
+   * @param {Object} user User
+   * @returns {Promise} Promise of the Page Model Instance
+   */
+  static async getEditablePage (pageId, user) {
+    const page = await WIKI.models.pages.query().findById(pageId)
+    if (!page) {
+      throw new WIKI.Error.PageNotFound()
+    }
+    if (!WIKI.auth.checkAccess(user, ['write:pages'], {
+      locale: page.localeCode,
+      path: page.path
+    })) {
+      throw new WIKI.Error.PageUpdateForbidden()
+    }
+    return page
+  }
+
+  /**
+   * Get the pending draft of a page
+   *
+   * @param {Object} opts Draft Options
+   * @returns {Promise} Promise of the draft or null
+   */
+  static async getDraft ({ pageId, user }) {
+    await WIKI.models.pageDrafts.getEditablePage(pageId, user)
+    const draft = await WIKI.models.pageDrafts.query().findOne({ pageId }).withGraphFetched('author')
+    return draft || null
+  }
+
+  /**
+   * Save pending changes of a page without publishing them
+   *
+   * @param {Object} opts Draft Properties
+   * @returns {Promise} Promise of the draft
+   */
+  static async saveDraft (opts) {
+    const page = await WIKI.models.pageDrafts.getEditablePage(opts.id, opts.user)
+
+    if (!opts.content || _.trim(opts.content).length < 1) {
+      throw new WIKI.Error.PageEmptyContent()
+    }
+
+    // -> Scripts and styles are only kept from users allowed to write them, null keeps those of the page
+    const pageRule = { locale: page.localeCode, path: page.path }
+    const canWriteStyles = WIKI.auth.checkAccess(opts.user, ['write:styles'], pageRule)
+    const canWriteScripts = WIKI.auth.checkAccess(opts.user, ['write:scripts'], pageRule)
+
+    const draftData = {
+      title: opts.title || page.title,
+      description: _.isString(opts.description) ? opts.description : page.description,
+      content: opts.content,
+      tags: _.isArray(opts.tags) ? opts.tags : _.map(await page.$relatedQuery('tags'), 'tag'),
+      scriptCss: (canWriteStyles && _.isString(opts.scriptCss)) ? opts.scriptCss : null,
+      scriptJs: (canWriteScripts && _.isString(opts.scriptJs)) ? opts.scriptJs : null,
+      authorId: opts.user.id
+    }
+
+    const existing = await WIKI.models.pageDrafts.query().findOne({ pageId: page.id })
+    if (existing) {
+      await WIKI.models.pageDrafts.query().patch(draftData).findById(existing.id)
+      return WIKI.models.pageDrafts.query().findById(existing.id)
+    } else {
+      return WIKI.models.pageDrafts.query().insert({
+        ...draftData,
+        pageId: page.id,
+        publishAt: null
+      })
+    }
+  }
+
+  /**
+   * Discard the pending draft of a page
+   *
+   * @param {Object} opts Draft Options
+   */
+  static async discardDraft ({ pageId, user }) {
+    await WIKI.models.pageDrafts.getEditablePage(pageId, user)
+    const affectedRows = await WIKI.models.pageDrafts.query().delete().where('pageId', pageId)
+    if (affectedRows < 1) {
+      throw new WIKI.Error.PageDraftNotFound()
+    }
+  }
+
+  /**
+   * Publish the draft of a page, now or at a later date
+   *
+   * @param {Object} opts Publish Options
+   * @param {number} opts.pageId Page ID
+   * @param {string} opts.publishAt ISO date to publish at, publish immediately if empty
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the published page or the scheduled draft
+   */
+  static async publishDraft ({ pageId, publishAt, user }) {
+    await WIKI.models.pageDrafts.getEditablePage(pageId, user)
+    const draft = await WIKI.models.pageDrafts.query().findOne({ pageId })
+    if (!draft) {
+      throw new WIKI.Error.PageDraftNotFound()
+    }
+
+    if (!_.isEmpty(publishAt)) {
+      const publishDate = DateTime.fromISO(publishAt)
+      if (!publishDate.isValid || publishDate <= DateTime.utc()) {
+        throw new WIKI.Error.PageDraftInvalidPublishDate()
+      }
+      await WIKI.models.pageDrafts.query().patch({
+        publishAt: publishDate.toUTC().toISO(),
+        publishError: null
+      }).findById(draft.id)
+      return {
+        draft: await WIKI.models.pageDrafts.query().findById(draft.id)
+      }
+    }
+
+    return {
+      page: await WIKI.models.pageDrafts.applyDraft(draft, user)
+    }
+  }
+
+  /**
+   * Replace the live content of a page with a draft, removing the draft
+   *
+   * Scripts and styles of the draft are only published if its author may still write them.
+   *
+   * @param {Object} draft Draft
+   * @param {Object} user User publishing the draft
+   * @returns {Promise} Promise of the Page Model Instance
+   */
+  static async applyDraft (draft, user) {
+    const page = await WIKI.models.pages.query().findById(draft.pageId)
+    if (!page) {
+      throw new WIKI.Error.PageNotFound()
+    }
+
+    let author = null
+    if (draft.authorId === user.id) {
+      author = user
+    } else if (draft.authorId) {
+      author = await WIKI.models.users.query().findById(draft.authorId).withGraphFetched('groups')
+    }
+    const authorCan = (permission, value) => !_.isNil(value) && !!author && WIKI.auth.checkAccess(author, [permission], {
+      locale: page.localeCode,
+      path: page.path
+    })
+
+    const updatedPage = await WIKI.models.pages.updatePage({
+      id: page.id,
+      locale: page.localeCode,
+      path: page.path,
+      content: draft.content,
+      description: draft.description,
+      title: draft.title,
+      tags: draft.tags,
+      scriptCss: authorCan('write:styles', draft.scriptCss) ? draft.scriptCss : _.get(page, 'extra.css', ''),
+      scriptJs: authorCan('write:scripts', draft.scriptJs) ? draft.scriptJs : _.get(page, 'extra.js', ''),
+      isPublished: page.isPublished === true || page.isPublished === 1,
+      publishStartDate: page.publishStartDate,
+      publishEndDate: page.publishEndDate,
+      user
+    })
+    await WIKI.models.pageDrafts.query().delete().where('pageId', page.id)
+    return updatedPage
+  }
+
+  /**
+   * Ensure a page has no scheduled draft, which would overwrite a direct update
+   *
+   * @param {number} pageId Page ID
+   */
+  static async ensureNotScheduled (pageId) {
+    const draft = await WIKI.models.pageDrafts.query().findOne({ pageId })
+    if (draft && !_.isEmpty(draft.publishAt)) {
+      throw new WIKI.Error.PageDraftScheduled()
+    }
+  }
+
+  /**
+   * Publish all scheduled drafts that are due
+   *
+   * A draft that fails to publish is kept, unscheduled, with the error in publishError.
+   */
+  static async publishScheduled () {
+    const dueDrafts = await WIKI.models.pageDrafts.query()
+      .whereNotNull('publishAt')
+      .andWhere('publishAt', '<=', DateTime.utc().toISO())
+      .orderBy('publishAt')
+
+    for (const draft of dueDrafts) {
+      // -> Claim the draft so that other instances don't publish it twice
+      const claimed = await WIKI.models.pageDrafts.query()
+        .patch({ publishAt: null })
+        .where({
+          id: draft.id,
+          publishAt: draft.publishAt
+        })
+      if (claimed < 1) { continue }
+
+      try {
+        const user = draft.authorId ? await WIKI.models.users.query().findById(draft.authorId).withGraphFetched('groups') : null
+        if (!user) {
+          throw new Error('Author of the scheduled draft no longer exists.')
+        }
+        await WIKI.models.pageDrafts.applyDraft(draft, user)
+        WIKI.logger.info(`Published scheduled draft of page ${draft.pageId}.`)
+      } catch (err) {
+        WIKI.logger.warn(`Failed to publish scheduled draft of page ${draft.pageId}: ${err.message}`)
+        await WIKI.models.pageDrafts.query().patch({ publishError: _.truncate(err.message, { length: 255 }) }).findById(draft.id)
+      }
+    }
+  }
+}
@@ -1,6 +1,7 @@
 const Model = require('objection').Model
 const _ = require('lodash')
 const { DateTime, Duration } = require('luxon')
+const diffHelper = require('../helpers/diff')
 
 /**
  * Page History model
@@ -87,7 +88,7 @@ module.exports = class PageHistory extends Model {
    * Create Page Version
    */
   static async addVersion(opts) {
-    await WIKI.models.pageHistory.query().insert({
+    const version = await WIKI.models.pageHistory.query().insert({
       pageId: opts.id,
       authorId: opts.authorId,
       content: opts.content,
@@ -105,6 +106,15 @@ module.exports = class PageHistory extends Model {
       action: opts.action || 'updated',
       versionDate: opts.versionDate
     })
+
+    // -> Snapshot current page tags
+    const pageTags = await WIKI.models.knex('pageTags').select('tagId').where('pageId', opts.id)
+    if (pageTags.length > 0) {
+      await WIKI.models.knex('pageHistoryTags').insert(pageTags.map(t => ({
+        pageId: version.id,
+        tagId: t.tagId
+      })))
+    }
   }
 
   /**
@@ -140,16 +150,74 @@ module.exports = class PageHistory extends Model {
         'pageHistory.pageId': pageId
       }).first()
     if (version) {
+      const tags = await WIKI.models.tags.query()
+        .column('tags.tag')
+        .join('pageHistoryTags', 'tags.id', 'pageHistoryTags.tagId')
+        .where('pageHistoryTags.pageId', versionId)
+        .orderBy('tags.tag')
       return {
         ...version,
         updatedAt: version.createdAt || null,
-        tags: []
+        tags: _.map(tags, 'tag')
       }
     } else {
       return null
     }
   }
 
+  /**
+   * Get the Page Version that was live at a given date
+   */
+  static async getVersionAtDate({ pageId, versionDate }) {
+    const version = await WIKI.models.pageHistory.query()
+      .select('id')
+      .where('pageId', pageId)
+      .andWhere('versionDate', '<=', versionDate)
+      .orderBy('versionDate', 'desc')
+      .orderBy('id', 'desc')
+      .first()
+    return version ? WIKI.models.pageHistory.getVersion({ pageId, versionId: version.id }) : null
+  }
+
+  /**
+   * Get a Page Version, or the live page if versionId is 0
+   */
+  static async getVersionOrLive({ pageId, versionId }) {
+    if (versionId > 0) {
+      const version = await WIKI.models.pageHistory.getVersion({ pageId, versionId })
+      if (!version) {
+        throw new WIKI.Error.PageVersionNotFound()
+      }
+      return version
+    }
+    const page = await WIKI.models.pages.getPageFromDb(pageId)
+    if (!page) {
+      throw new WIKI.Error.PageNotFound()
+    }
+    return {
+      ...page,
+      versionId: 0,
+      editor: page.editorKey,
+      locale: page.localeCode,
+      tags: _.map(page.tags, 'tag')
+    }
+  }
+
+  /**
+   * Get Differences between two Page Versions
+   */
+  static async getDiff({ pageId, fromVersionId, toVersionId }) {
+    const source = await WIKI.models.pageHistory.getVersionOrLive({ pageId, versionId: fromVersionId })
+    const target = await WIKI.models.pageHistory.getVersionOrLive({ pageId, versionId: toVersionId })
+    return {
+      pageId,
+      fromVersionId,
+      toVersionId,
+      ...diffHelper.diffContent(source.content, target.content),
+      ...diffHelper.diffFields(source, target)
+    }
+  }
+
   /**
    * Get History Trail of a Page
    */
@@ -237,5 +305,6 @@ module.exports = class PageHistory extends Model {
     const dur = Duration.fromISO(olderThan)
     const olderThanISO = DateTime.utc().minus(dur)
     await WIKI.models.pageHistory.query().where('versionDate', '<', olderThanISO.toISO()).del()
+    await WIKI.models.knex('pageHistoryTags').whereNotIn('pageId', WIKI.models.knex('pageHistory').select('id')).del()
   }
 }
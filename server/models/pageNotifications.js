@@ -0,0 +1,45 @@
+const Model = require('objection').Model
+
+/**
+ * Page Notifications model
+ */
+module.exports = class PageNotification extends Model {
+  static get tableName() { return 'pageNotifications' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['mode', 'event', 'localeCode', 'path', 'title'],
+
+      properties: {
+        id: {type: 'integer'},
+        userId: {type: 'integer'},
+        mode: {type: 'string'},
+        event: {type: 'string'},
+        pageId: {type: ['integer', 'null']},
+        localeCode: {type: 'string'},
+        path: {type: 'string'},
+        title: {type: 'string'},
+        actorName: {type: ['string', 'null']},
+        createdAt: {type: 'string'}
+      }
+    }
+  }
+
+  static get relationMappings() {
+    return {
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: require('./users'),
+        join: {
+          from: 'pageNotifications.userId',
+          to: 'users.id'
+        }
+      }
+    }
+  }
+
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+  }
+}
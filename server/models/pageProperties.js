@@ -0,0 +1,229 @@
+const Model = require('objection').Model
+const _ = require('lodash')
+const propertyHelper = require('../helpers/property')
+
+/**
+ * Page Properties model
+ */
+module.exports = class PageProperty extends Model {
+  static get tableName() { return 'pageProperties' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['pageId', 'key', 'value'],
+
+      properties: {
+        id: {type: 'integer'},
+        pageId: {type: 'integer'},
+        key: {type: 'string'},
+        value: {type: 'string'},
+        valueNumber: {type: ['number', 'null']}
+      }
+    }
+  }
+
+  static get relationMappings() {
+    return {
+      page: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: require('./pages'),
+        join: {
+          from: 'pageProperties.pageId',
+          to: 'pages.id'
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the property definitions
+   *
+   * @returns {Array<Object>} Definitions
+   */
+  static getDefinitions() {
+    return _.get(WIKI.config, 'pageProperties.definitions', [])
+  }
+
+  /**
+   * Save the property definitions
+   *
+   * @param {Array<Object>} definitions Definitions
+   * @returns {Promise<Array<Object>>} Saved definitions
+   */
+  static async saveDefinitions(definitions) {
+    try {
+      definitions = propertyHelper.normalizeDefinitions(definitions)
+    } catch (err) {
+      throw new WIKI.Error.PagePropertyInvalid(err.message)
+    }
+    _.set(WIKI.config, 'pageProperties.definitions', definitions)
+    await WIKI.configSvc.saveToDb(['pageProperties'])
+    return definitions
+  }
+
+  /**
+   * Validate the properties of a page
+   *
+   * @param {Array<Object>} properties Properties, with their key and raw value
+   * @returns {Array<Object>} Rows to store
+   */
+  static validate(properties) {
+    try {
+      return propertyHelper.toRows(WIKI.models.pageProperties.getDefinitions(), properties)
+    } catch (err) {
+      throw new WIKI.Error.PagePropertyInvalid(err.message)
+    }
+  }
+
+  /**
+   * Replace the properties of a page
+   *
+   * @param {number} pageId Page ID
+   * @param {Array<Object>} rows Validated rows
+   * @returns {Promise} Promise with no value
+   */
+  static async setForPage(pageId, rows) {
+    await WIKI.models.knex.transaction(async trx => {
+      await WIKI.models.pageProperties.query(trx).delete().where('pageId', pageId)
+      for (const row of rows) {
+        await WIKI.models.pageProperties.query(trx).insert({ pageId, ...row })
+      }
+    })
+  }
+
+  /**
+   * Get the properties of pages
+   *
+   * @param {Array<number>} pageIds Page IDs
+   * @returns {Promise<Object>} Typed properties, by page ID
+   */
+  static async getForPages(pageIds) {
+    if (pageIds.length < 1) {
+      return {}
+    }
+    const definitions = WIKI.models.pageProperties.getDefinitions()
+    const rows = await WIKI.models.pageProperties.query().select('pageId', 'key', 'value').whereIn('pageId', pageIds)
+    const properties = _.mapValues(_.groupBy(rows, 'pageId'), pageRows => propertyHelper.fromRows(definitions, pageRows))
+
+    // -> Resolve the names of users and groups
+    const allProperties = _.flatten(_.values(properties))
+    const getIds = type => _.uniq(_.filter(allProperties, ['type', type]).map(p => _.toSafeInteger(p.value)))
+    const userIds = getIds('user')
+    const groupIds = getIds('group')
+    const names = {
+      user: userIds.length > 0 ? _.fromPairs((await WIKI.models.users.query().select('id', 'name').whereIn('id', userIds)).map(u => [u.id, u.name])) : {},
+      group: groupIds.length > 0 ? _.fromPairs((await WIKI.models.groups.query().select('id', 'name').whereIn('id', groupIds)).map(g => [g.id, g.name])) : {}
+    }
+    for (const prop of allProperties) {
+      prop.text = _.has(names, prop.type) ? _.get(names[prop.type], prop.value, prop.value) : prop.value
+    }
+    return properties
+  }
+
+  /**
+   * Get the properties of a page
+   *
+   * @param {number} pageId Page ID
+   * @returns {Promise<Array<Object>>} Typed properties
+   */
+  static async getForPage(pageId) {
+    const properties = await WIKI.models.pageProperties.getForPages([pageId])
+    return properties[pageId] || []
+  }
+
+  /**
+   * Restrict a pages query to the pages matching property filters
+   *
+   * @param {Object} builder Query builder on the pages table
+   * @param {Array<Object>} filters Filters, with their key, operator, value or values, and whether pages without the property match
+   */
+  static applyFilters(builder, filters = []) {
+    const definitions = WIKI.models.pageProperties.getDefinitions()
+    const knex = WIKI.models.knex
+    for (const rawFilter of filters) {
+      let filter
+      try {
+        filter = propertyHelper.parseFilter(definitions, rawFilter)
+      } catch (err) {
+        throw new WIKI.Error.PagePropertyInvalid(err.message)
+      }
+      const withKey = () => knex('pageProperties').select('pageId').where('key', filter.key)
+      switch (filter.operator) {
+        case 'exists':
+          builder.whereIn('pages.id', withKey())
+          break
+        case 'not exists':
+          builder.whereNotIn('pages.id', withKey())
+          break
+        default:
+          builder.where(function () {
+            if (filter.operator === 'in') {
+              this.whereIn('pages.id', withKey().whereIn(filter.column, filter.values))
+            } else {
+              this.whereIn('pages.id', withKey().where(filter.column, filter.operator, filter.values[0]))
+            }
+            if (filter.includeMissing) {
+              this.orWhereNotIn('pages.id', withKey())
+            }
+          })
+          break
+      }
+    }
+  }
+
+  /**
+   * Get the possible values of a property
+   *
+   * Emails and groups the user is not a member of are only listed to users who can manage users or groups.
+   *
+   * @param {Object} opts Options
+   * @param {string} opts.key Property key
+   * @param {string} opts.query Search query, for users and groups
+   * @param {Object} opts.user User requesting the choices
+   * @returns {Promise<Array<Object>>} Choices, with their value and display text
+   */
+  static async getChoices({ key, query = '', user }) {
+    const definition = _.find(WIKI.models.pageProperties.getDefinitions(), ['key', key])
+    if (!definition) {
+      throw new WIKI.Error.PagePropertyInvalid(`Unknown property: ${key}`)
+    }
+    const search = `%${_.trim(query)}%`
+    const canManage = WIKI.auth.checkAccess(user, ['write:groups', 'manage:groups', 'write:users', 'manage:users', 'manage:system'])
+    switch (definition.type) {
+      case 'enum':
+        return definition.options.map(opt => ({ value: opt, text: opt }))
+      case 'boolean':
+        return [{ value: 'true', text: 'Yes' }, { value: 'false', text: 'No' }]
+      case 'user': {
+        const users = await WIKI.models.users.query()
+          .select('id', 'name', 'email')
+          .where('isActive', true)
+          .whereNot('id', 2)
+          .where(builder => {
+            builder.where('name', 'like', search)
+            if (canManage) {
+              builder.orWhere('email', 'like', search)
+            }
+          })
+          .orderBy('name')
+          .limit(25)
+        return users.map(usr => ({ value: _.toString(usr.id), text: canManage ? `${usr.name} (${usr.email})` : usr.name }))
+      }
+      case 'group': {
+        let groupsQuery = WIKI.models.groups.query()
+          .select('id', 'name')
+          .where('name', 'like', search)
+        if (!canManage) {
+          groupsQuery = groupsQuery.whereIn('id', _.map(user.groups, grp => _.isObject(grp) ? grp.id : grp))
+        }
+        const groups = await groupsQuery
+          .orderBy('name')
+          .limit(25)
+        return groups.map(grp => ({ value: _.toString(grp.id), text: grp.name }))
+      }
+      default:
+        return []
+    }
+  }
+}
@@ -0,0 +1,192 @@
+const Model = require('objection').Model
+const _ = require('lodash')
+
+/**
+ * Page Subscriptions model
+ */
+module.exports = class PageSubscription extends Model {
+  static get tableName() { return 'pageSubscriptions' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['localeCode', 'path', 'mode'],
+
+      properties: {
+        id: {type: 'integer'},
+        userId: {type: 'integer'},
+        localeCode: {type: 'string'},
+        path: {type: 'string'},
+        isPrefix: {type: 'boolean'},
+        mode: {type: 'string'},
+        createdAt: {type: 'string'},
+        updatedAt: {type: 'string'}
+      }
+    }
+  }
+
+  static get relationMappings() {
+    return {
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: require('./users'),
+        join: {
+          from: 'pageSubscriptions.userId',
+          to: 'users.id'
+        }
+      }
+    }
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString()
+  }
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = new Date().toISOString()
+  }
+
+  /**
+   * Subscribe a user to a page or to every page under a path
+   *
+   * @param {Object} opts Subscription Options
+   * @returns {Promise} Promise of the subscription
+   */
+  static async watch ({ user, locale, path, isPrefix = false, mode = 'immediate' }) {
+    if (!user || user.id === 2) {
+      throw new WIKI.Error.PageWatchForbidden()
+    }
+    if (!_.includes(WIKI.notifications.modes, mode)) {
+      throw new WIKI.Error.InputInvalid(`Invalid notification mode: ${mode}`)
+    }
+
+    path = _.trim(path, '/ ')
+    if (!isPrefix && path.length < 1) {
+      throw new WIKI.Error.PageIllegalPath()
+    }
+
+    if (!WIKI.auth.checkAccess(user, ['read:pages'], { locale, path })) {
+      throw new WIKI.Error.PageWatchForbidden()
+    }
+
+    const existing = await WIKI.models.pageSubscriptions.query().findOne({
+      userId: user.id,
+      localeCode: locale,
+      path,
+      isPrefix
+    })
+    if (existing) {
+      await WIKI.models.pageSubscriptions.query().patch({ mode }).findById(existing.id)
+      return WIKI.models.pageSubscriptions.query().findById(existing.id)
+    }
+
+    return WIKI.models.pageSubscriptions.query().insert({
+      userId: user.id,
+      localeCode: locale,
+      path,
+      isPrefix,
+      mode
+    })
+  }
+
+  /**
+   * Remove a subscription owned by a user
+   *
+   * @param {Object} opts Subscription Options
+   */
+  static async unwatch ({ user, id }) {
+    const affectedRows = await WIKI.models.pageSubscriptions.query().delete().where({
+      id,
+      userId: user.id
+    })
+    if (affectedRows < 1) {
+      throw new WIKI.Error.PageSubscriptionNotFound()
+    }
+  }
+
+  /**
+   * Point the subscriptions of a moved page to its new location
+   *
+   * @param {Object} opts Move Options
+   */
+  static async relocate ({ sourceLocale, sourcePath, locale, path }) {
+    const existing = await WIKI.models.pageSubscriptions.query().select('userId').where({
+      localeCode: locale,
+      path,
+      isPrefix: false
+    })
+    await WIKI.models.pageSubscriptions.query()
+      .patch({
+        localeCode: locale,
+        path
+      })
+      .where({
+        localeCode: sourceLocale,
+        path: sourcePath,
+        isPrefix: false
+      })
+      .whereNotIn('userId', _.map(existing, 'userId'))
+  }
+
+  /**
+   * Check whether a subscription covers a page path
+   *
+   * @param {Object} sub Subscription
+   * @param {string} path Page Path
+   * @returns {boolean} Subscription matches
+   */
+  static isMatch (sub, path) {
+    if (!sub.isPrefix) {
+      return sub.path === path
+    }
+    return sub.path === '' || path === sub.path || _.startsWith(path, `${sub.path}/`)
+  }
+
+  /**
+   * Pick the most specific subscription from a list, exact matches first then longest prefix
+   *
+   * @param {Array} subs Subscriptions
+   * @returns {Object} Subscription
+   */
+  static getMostSpecific (subs) {
+    return _.head(_.orderBy(subs, [s => s.isPrefix ? 1 : 0, s => s.path.length], ['asc', 'desc']))
+  }
+
+  /**
+   * Get the subscription of a user that applies to a page
+   *
+   * @param {Object} opts Page Location
+   * @returns {Promise} Promise of the subscription or null
+   */
+  static async getForPage ({ user, locale, path }) {
+    const subs = await WIKI.models.pageSubscriptions.query()
+      .where({
+        userId: user.id,
+        localeCode: locale
+      })
+      .andWhere(builder => {
+        builder.where('path', path).orWhere('isPrefix', true)
+      })
+    return WIKI.models.pageSubscriptions.getMostSpecific(subs.filter(s => WIKI.models.pageSubscriptions.isMatch(s, path))) || null
+  }
+
+  /**
+   * Get the subscriptions that apply to a page, one per user
+   *
+   * @param {Object} opts Page Location
+   * @returns {Promise} Promise of the subscriptions with their users
+   */
+  static async getSubscribers ({ locale, path }) {
+    const subs = await WIKI.models.pageSubscriptions.query()
+      .where('localeCode', locale)
+      .andWhere(builder => {
+        builder.where('path', path).orWhere('isPrefix', true)
+      })
+      .withGraphFetched('user.groups')
+
+    return _.values(_.mapValues(
+      _.groupBy(subs.filter(s => WIKI.models.pageSubscriptions.isMatch(s, path)), 'userId'),
+      userSubs => WIKI.models.pageSubscriptions.getMostSpecific(userSubs)
+    ))
+  }
+}
@@ -2,6 +2,9 @@ const Model = require('objection').Model
 const _ = require('lodash')
 const JSBinType = require('js-binary').Type
 const pageHelper = require('../helpers/page')
+const diffHelper = require('../helpers/diff')
+const templateHelper = require('../helpers/template')
+const pageListHelper = require('../helpers/page-list')
 const path = require('path')
 const fs = require('fs-extra')
 const yaml = require('js-yaml')
@@ -230,6 +233,71 @@ module.exports = class Page extends Model {
     }
   }
 
+  /**
+   * Get the page templates
+   *
+   * When a rule forces a template for the given path, only that template is returned.
+   * Otherwise only the templates the user can read are returned.
+   *
+   * @param {Object} opts Options
+   * @param {string} opts.locale Locale code, all locales if empty
+   * @param {string} opts.path Path of the page to create
+   * @param {Object} opts.user User, all templates are returned if not set
+   * @returns {Promise<Array<Object>>} Templates, with their placeholders
+   */
+  static async getTemplates({ locale, path, user } = {}) {
+    const templates = await WIKI.models.pages.query()
+      .select('id', 'path', 'localeCode', 'title', 'description', 'editorKey', 'content')
+      .where('path', 'like', `${templateHelper.templatesPath}/%`)
+      .modify(builder => {
+        if (locale) {
+          builder.where('localeCode', locale)
+        }
+      })
+      .orderBy('title')
+    const rule = path ? await WIKI.models.pages.getTemplateRule({ path, locale }) : null
+    return templates.filter(tmpl => {
+      if (!templateHelper.isTemplatePath(tmpl.path)) {
+        return false
+      } else if (rule) {
+        return tmpl.id === rule.templateId
+      }
+      return !user || WIKI.auth.checkAccess(user, ['read:pages'], { path: tmpl.path, locale: tmpl.localeCode })
+    }).map(tmpl => ({
+      id: tmpl.id,
+      path: tmpl.path,
+      locale: tmpl.localeCode,
+      title: tmpl.title,
+      description: tmpl.description,
+      editor: tmpl.editorKey,
+      isRequired: !!rule,
+      placeholders: templateHelper.parsePlaceholders(tmpl.content)
+    }))
+  }
+
+  /**
+   * Get the rule forcing a template for a new page
+   *
+   * Rules pointing to a template that no longer exists are ignored.
+   *
+   * @param {Object} opts Options
+   * @param {string} opts.path Page path
+   * @param {string} opts.locale Page locale
+   * @returns {Promise<Object|null>} Rule, null if the page can be created freely
+   */
+  static async getTemplateRule({ path, locale }) {
+    const rule = templateHelper.findRule(_.get(WIKI.config, 'pageTemplates.rules', []), { path, locale })
+    if (!rule) {
+      return null
+    }
+    const template = await WIKI.models.pages.query().select('id', 'path').findById(rule.templateId)
+    if (!template || !templateHelper.isTemplatePath(template.path)) {
+      WIKI.logger.warn(`Page template ${rule.templateId} required for path ${rule.pathPrefix} no longer exists. Ignoring rule.`)
+      return null
+    }
+    return rule
+  }
+
   /**
    * Create a New Page
    *
@@ -266,11 +334,37 @@ module.exports = class Page extends Model {
       throw new WIKI.Error.PageDuplicateCreate()
     }
 
+    // -> Fill from template
+    if (opts.templateId) {
+      const template = await WIKI.models.pages.query().findById(opts.templateId)
+      if (!template || !templateHelper.isTemplatePath(template.path)) {
+        throw new WIKI.Error.PageTemplateNotFound()
+      }
+      // -> Templates the user cannot read can only be used when a rule requires them
+      if (!WIKI.auth.checkAccess(opts.user, ['read:pages'], { path: template.path, locale: template.localeCode })) {
+        const rule = await WIKI.models.pages.getTemplateRule({ path: opts.path, locale: opts.locale })
+        if (!rule || rule.templateId !== template.id) {
+          throw new WIKI.Error.PageTemplateNotFound()
+        }
+      }
+      opts.content = templateHelper.fillPlaceholders(template.content, {
+        title: opts.title,
+        path: opts.path,
+        user: opts.user,
+        values: _.fromPairs(_.map(opts.templateValues, v => [v.key, v.value]))
+      })
+      opts.editor = template.editorKey
+      opts.description = opts.description || template.description
+    }
+
     // -> Check for empty content
     if (!opts.content || _.trim(opts.content).length < 1) {
       throw new WIKI.Error.PageEmptyContent()
     }
 
+    // -> Validate properties
+    const propertyRows = opts.properties ? WIKI.models.pageProperties.validate(opts.properties) : null
+
     // -> Format CSS Scripts
     let scriptCss = ''
     if (WIKI.auth.checkAccess(opts.user, ['write:styles'], {
@@ -348,6 +442,11 @@ module.exports = class Page extends Model {
       isPrivate: opts.isPrivate
     })
 
+    // -> Save properties
+    if (propertyRows) {
+      await WIKI.models.pageProperties.setForPage(page.id, propertyRows)
+    }
+
     // -> Trigger page:create hook (and page:save for backward compatibility)
     if (WIKI.plugins && WIKI.plugins.hooks) {
       const hookData = {
@@ -394,6 +493,7 @@ module.exports = class Page extends Model {
 
     // -> Render page to HTML
     await WIKI.models.pages.renderPage(page)
+    WIKI.models.pages.clearPageListCache({ locale: page.localeCode, path: page.path })
 
     // -> Rebuild page tree
     await WIKI.models.pages.rebuildTree()
@@ -488,6 +588,9 @@ module.exports = class Page extends Model {
       throw new WIKI.Error.PageEmptyContent()
     }
 
+    // -> Validate properties
+    const propertyRows = opts.properties ? WIKI.models.pageProperties.validate(opts.properties) : null
+
     // -> Create version snapshot
     await WIKI.models.pageHistory.addVersion({
       ...ogPage,
@@ -572,6 +675,11 @@ module.exports = class Page extends Model {
     }).where('id', ogPage.id)
     let page = await WIKI.models.pages.getPageFromDb(ogPage.id)
 
+    // -> Save properties
+    if (propertyRows) {
+      await WIKI.models.pageProperties.setForPage(page.id, propertyRows)
+    }
+
     // -> Trigger page:update hook (and page:save for backward compatibility)
     if (WIKI.plugins && WIKI.plugins.hooks) {
       const hookData = {
@@ -621,6 +729,7 @@ module.exports = class Page extends Model {
     // -> Render page to HTML
     await WIKI.models.pages.renderPage(page)
     WIKI.events.outbound.emit('deletePageFromCache', page.hash)
+    WIKI.models.pages.clearPageListCache({ locale: page.localeCode, path: page.path })
 
     // -> Update Search Index
     const pageContents = await WIKI.models.pages.query().findById(page.id).select('render')
@@ -702,6 +811,66 @@ module.exports = class Page extends Model {
     return page
   }
 
+  /**
+   * Merge local changes with the latest version of a page
+   *
+   * The version that was live when the editor checked out the page is used as the common base.
+   *
+   * @param {Object} opts Merge Options
+   * @param {number} opts.id Page ID
+   * @param {Date} opts.checkoutDate Date of the page version the editor started from
+   * @param {string} opts.content Local content
+   * @param {string} opts.title Local title, remote title is kept if empty
+   * @param {string} opts.description Local description, remote description is kept if empty
+   * @param {Object} opts.user User
+   * @returns {Promise} Promise of the merge result
+   */
+  static async mergeConflict(opts) {
+    const page = await WIKI.models.pages.getPageFromDb(opts.id)
+    if (!page) {
+      throw new WIKI.Error.PageNotFound()
+    }
+    if (!WIKI.auth.checkAccess(opts.user, ['write:pages', 'manage:pages'], {
+      locale: page.localeCode,
+      path: page.path
+    })) {
+      throw new WIKI.Error.PageUpdateForbidden()
+    }
+
+    // -> Find the version the editor started from
+    const checkoutDate = new Date(opts.checkoutDate).toISOString()
+    const base = page.updatedAt > checkoutDate ? await WIKI.models.pageHistory.getVersionAtDate({
+      pageId: page.id,
+      versionDate: checkoutDate
+    }) : { ...page, versionId: 0 }
+
+    const contentMerge = diffHelper.merge3(_.get(base, 'content', ''), opts.content, page.content)
+    const title = diffHelper.mergeField(
+      _.get(base, 'title', null),
+      _.isString(opts.title) ? opts.title : _.get(base, 'title', page.title),
+      page.title
+    )
+    const description = diffHelper.mergeField(
+      _.get(base, 'description', null),
+      _.isString(opts.description) ? opts.description : _.get(base, 'description', page.description),
+      page.description
+    )
+
+    return {
+      latest: {
+        ...page,
+        tags: page.tags.map(t => t.tag),
+        locale: page.localeCode
+      },
+      hasBase: !!base,
+      baseVersionId: base ? base.versionId : null,
+      isClean: contentMerge.conflicts < 1 && !title.isConflict && !description.isConflict,
+      ...contentMerge,
+      title,
+      description
+    }
+  }
+
   /**
    * Convert an Existing Page
    *
@@ -929,6 +1098,23 @@ module.exports = class Page extends Model {
       throw new WIKI.Error.PagePathCollision()
     }
 
+    // -> Trigger page:beforeMove hook (blocking)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.triggerBlocking('page:beforeMove', {
+          page: WIKI.models.pages.getHookData(page),
+          destination: {
+            path: opts.destinationPath,
+            locale: opts.destinationLocale
+          },
+          user: WIKI.models.users.getHookData(opts.user),
+          canProceed: true
+        })
+      } catch (err) {
+        throw new Error(`Page move blocked: ${err.message}`)
+      }
+    }
+
     // -> Create version snapshot
     await WIKI.models.pageHistory.addVersion({
       ...page,
@@ -948,6 +1134,8 @@ module.exports = class Page extends Model {
     }).findById(page.id)
     await WIKI.models.pages.deletePageFromCache(page.hash)
     WIKI.events.outbound.emit('deletePageFromCache', page.hash)
+    WIKI.models.pages.clearPageListCache({ locale: page.localeCode, path: page.path })
+    WIKI.models.pages.clearPageListCache({ locale: opts.destinationLocale, path: opts.destinationPath })
 
     // -> Rebuild page tree
     await WIKI.models.pages.rebuildTree()
@@ -994,6 +1182,27 @@ module.exports = class Page extends Model {
       path: opts.destinationPath,
       mode: 'create'
     })
+
+    // -> Trigger page:move hook (subscribers are notified from it)
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.trigger('page:move', {
+          page: WIKI.models.pages.getHookData(await WIKI.models.pages.query().findById(page.id)),
+          before: WIKI.models.pages.getHookData(page),
+          user: WIKI.models.users.getHookData(opts.user)
+        })
+      } catch (hookErr) {
+        WIKI.logger.warn(`Hook execution error (page:move): ${hookErr.message}`)
+      }
+    }
+
+    // -> Carry page subscriptions over to the new path
+    await WIKI.models.pageSubscriptions.relocate({
+      sourceLocale: page.localeCode,
+      sourcePath: page.path,
+      locale: opts.destinationLocale,
+      path: opts.destinationPath
+    })
   }
 
   /**
@@ -1051,9 +1260,11 @@ module.exports = class Page extends Model {
     }
 
     // -> Delete page
+    await WIKI.models.pageProperties.query().delete().where('pageId', page.id)
     await WIKI.models.pages.query().delete().where('id', page.id)
     await WIKI.models.pages.deletePageFromCache(page.hash)
     WIKI.events.outbound.emit('deletePageFromCache', page.hash)
+    WIKI.models.pages.clearPageListCache({ locale: page.localeCode, path: page.path })
 
     // -> Rebuild page tree
     await WIKI.models.pages.rebuildTree()
@@ -1184,6 +1395,16 @@ module.exports = class Page extends Model {
     return renderJob.finished
   }
 
+  /**
+   * Get the page fields passed to plugin hooks
+   *
+   * @param {Object} page Page Model Instance
+   * @returns {Object} Page fields
+   */
+  static getHookData(page) {
+    return _.pick(page, ['id', 'path', 'localeCode', 'title', 'description', 'content', 'contentType', 'isPublished', 'isPrivate', 'authorId', 'createdAt', 'updatedAt'])
+  }
+
   /**
    * Fetch an Existing Page from Cache if possible, from DB otherwise and save render to Cache
    *
@@ -1363,6 +1584,123 @@ module.exports = class Page extends Model {
     return fs.emptyDir(path.resolve(WIKI.ROOTPATH, WIKI.config.dataPath, `cache`))
   }
 
+  /**
+   * Get the pages matching an embedded page list, before access checks
+   *
+   * @param {Object} opts Options
+   * @param {Object} opts.params Normalized page list parameters
+   * @param {string} opts.locale Locale of the listed pages
+   * @returns {Promise<Array<Object>>} Pages, in list order
+   */
+  static async getPageListEntries({ params, locale }) {
+    const cacheKey = pageListHelper.cacheKey(params, locale)
+    const cached = WIKI.cache.get(cacheKey)
+    if (cached) {
+      return cached
+    }
+
+    const pages = await WIKI.models.pages.query()
+      .select('pages.id', 'pages.path', 'pages.localeCode', 'pages.title', 'pages.description', 'pages.isPublished', 'pages.publishStartDate', 'pages.publishEndDate', 'pages.createdAt', 'pages.updatedAt')
+      .withGraphFetched('tags')
+      .modifyGraph('tags', builder => {
+        builder.select('tag')
+      })
+      .where('pages.localeCode', locale)
+      .andWhere('pages.isPrivate', false)
+      .modify(builder => {
+        if (params.path) {
+          builder.where(function () {
+            this.where('pages.path', params.path).orWhere('pages.path', 'like', `${params.path}/%`)
+          })
+        }
+        for (const tag of params.tags) {
+          builder.whereIn('pages.id', WIKI.models.knex('pageTags').select('pageTags.pageId').innerJoin('tags', 'tags.id', 'pageTags.tagId').where('tags.tag', tag))
+        }
+      })
+      .orderBy(`pages.${params.sort}`, params.order)
+      .orderBy('pages.id')
+      .limit(1000)
+
+    // -> Templates are only listed when the list targets them
+    const listsTemplates = templateHelper.isTemplatePath(`${params.path}/`)
+    const entries = pages.filter(p => listsTemplates || !templateHelper.isTemplatePath(p.path)).map(p => ({
+      ..._.pick(p, ['id', 'path', 'title', 'description', 'isPublished', 'publishStartDate', 'publishEndDate', 'createdAt', 'updatedAt']),
+      locale: p.localeCode,
+      tags: _.map(p.tags, t => _.pick(t, ['tag']))
+    }))
+    WIKI.cache.set(cacheKey, entries, 3600)
+    return entries
+  }
+
+  /**
+   * Fill in the page lists embedded in rendered content, with the pages the user can read
+   *
+   * @param {Object} opts Options
+   * @param {string} opts.render Rendered content
+   * @param {string} opts.locale Locale of the page, used for lists without a locale
+   * @param {Object} opts.user Current user
+   * @returns {Promise<string>} Rendered content
+   */
+  static async renderPageLists({ render, locale, user }) {
+    if (!render || render.indexOf('page-list') < 0) {
+      return render
+    }
+    const $ = cheerio.load(render, null, false)
+    const placeholders = $('div.page-list[data-sort]').toArray()
+    if (placeholders.length < 1) {
+      return render
+    }
+    const now = new Date()
+    for (const elm of placeholders) {
+      const params = pageListHelper.fromAttributes(elm.attribs)
+      const entries = await WIKI.models.pages.getPageListEntries({ params, locale: params.locale || locale })
+      const visible = _.take(_.filter(entries, p => {
+        if (!WIKI.auth.checkAccess(user, ['read:pages'], p)) {
+          return false
+        }
+        const isPublished = p.isPublished &&
+          (_.isEmpty(p.publishStartDate) || new Date(p.publishStartDate) <= now) &&
+          (_.isEmpty(p.publishEndDate) || new Date(p.publishEndDate) >= now)
+        return isPublished || WIKI.auth.checkAccess(user, ['write:pages'], p)
+      }), params.limit)
+      $(elm).replaceWith(pageListHelper.renderHtml(params, visible))
+    }
+    return $.html()
+  }
+
+  /**
+   * Sanitize HTML changed after the rendering pipeline, with the settings of the html-security renderer
+   *
+   * @param {string} render Rendered content
+   * @returns {Promise<string>} Sanitized content
+   */
+  static async sanitizeRender(render) {
+    const renderer = await WIKI.models.renderers.query().findOne({ key: 'htmlSecurity', isEnabled: true })
+    if (!renderer) {
+      return render
+    }
+    return require('../modules/rendering/html-security/renderer.js').init(render, renderer.config || {})
+  }
+
+  /**
+   * Clear the cached page lists that could contain a page, on all instances
+   *
+   * @param {Object} page Page, with its locale and path (all lists of the locale without a path)
+   */
+  static clearPageListCache({ locale, path }) {
+    WIKI.models.pages.deletePageListsFromCache({ locale, path })
+    WIKI.events.outbound.emit('deletePageListsFromCache', { locale, path })
+  }
+
+  /**
+   * Delete the cached page lists that could contain a page
+   *
+   * @param {Object} page Page, with its locale and path (all lists of the locale without a path)
+   */
+  static deletePageListsFromCache({ locale, path }) {
+    WIKI.cache.del(WIKI.cache.keys().filter(k => pageListHelper.isCacheKeyMatch(k, { locale, path })))
+  }
+
   /**
    * Migrate all pages from a source locale to the target locale
    *
@@ -1411,5 +1749,8 @@ module.exports = class Page extends Model {
     WIKI.events.inbound.on('flushCache', () => {
       WIKI.models.pages.flushCache()
     })
+    WIKI.events.inbound.on('deletePageListsFromCache', page => {
+      WIKI.models.pages.deletePageListsFromCache(page)
+    })
   }
 }
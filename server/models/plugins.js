@@ -75,6 +75,7 @@ module.exports = class Plugin extends Model {
           id: manifest.id,
           name: manifest.name,
           version: manifest.version,
+          permissions: manifest.permissions || [],
           installPath: pluginPath
         })
 
@@ -157,6 +158,10 @@ module.exports = class Plugin extends Model {
 
           WIKI.logger.info(`[Plugins] Discovered new plugin: ${manifest.id}`)
         }
+
+        // Track dependencies on other plugins
+        const dependencies = require('../plugins/dependencies')
+        await dependencies.syncRecords(manifest.id, manifest)
       } catch (err) {
         WIKI.logger.warn(`[Plugins] Failed to process plugin ${pluginId}: ${err.message}`)
       }
@@ -168,6 +173,7 @@ module.exports = class Plugin extends Model {
       if (!diskPluginIds.has(existingId)) {
         WIKI.logger.warn(`[Plugins] Plugin ${existingId} removed from disk, deleting from database`)
         await WIKI.models.plugins.query().deleteById(existingId)
+        await WIKI.models.pluginDependencies.query().delete().where('pluginId', existingId)
       }
     }
 
@@ -176,7 +182,8 @@ module.exports = class Plugin extends Model {
 
   /**
    * Initialize enabled plugins
-   * Loads and activates all plugins where isEnabled = true
+   * Loads and activates all plugins where isEnabled = true,
+   * after the plugins they depend on
    */
   static async initPlugins() {
     WIKI.logger.info('[Plugins] Initializing enabled plugins...')
@@ -195,21 +202,49 @@ module.exports = class Plugin extends Model {
 
     const runtime = require('../plugins/runtime')
     const hooks = require('../plugins/hooks')
+    const dependencies = require('../plugins/dependencies')
+
+    // Load plugins after their dependencies, skipping dependency cycles
+    const { sorted, cyclic } = dependencies.sortByDependencies(enabledPlugins)
+
+    // Installed plugins by ID, to check the dependencies of each plugin against
+    const providers = {}
+    for (const p of await WIKI.models.plugins.query().select('id', 'version', 'isEnabled')) {
+      providers[p.id] = { version: p.version, isEnabled: p.isEnabled }
+    }
+
+    for (const plugin of cyclic) {
+      providers[plugin.id].isFailed = true
+      const message = `Circular dependency between plugins: ${cyclic.map(p => p.id).join(', ')}`
+      WIKI.logger.error(`[Plugins] Failed to initialize plugin ${plugin.id}: ${message}`)
+      await WIKI.models.plugins.query()
+        .patch({
+          status: 'error',
+          state: { status: 'error', message }
+        })
+        .where('id', plugin.id)
+    }
 
     // Load each plugin
-    for (const plugin of enabledPlugins) {
+    for (const plugin of sorted) {
       try {
         WIKI.logger.info(`[Plugins] Initializing plugin: ${plugin.id}`)
 
+        // Required plugins must have been initialized successfully
+        const unmet = dependencies.findUnmet(plugin.manifest, providers)
+        if (unmet.length > 0) {
+          throw new Error(`Unmet dependencies: ${unmet.join('; ')}`)
+        }
+
         // Load plugin from disk
         await runtime.loadPlugin(plugin)
 
         // Run database migrations
         const manager = require('../plugins/manager')
-        await manager.runMigrations(plugin.id, plugin.installPath)
+        await manager.runMigrations(plugin.id, plugin.installPath, plugin.permissions)
 
-        // Discover and register database models
-        if (WIKI.plugins.modelLoader) {
+        // Discover and register database models, which run in the main process
+        if (WIKI.plugins.modelLoader && (plugin.permissions || []).includes('database:core')) {
           const models = await WIKI.plugins.modelLoader.discoverModels(plugin.id, plugin.installPath)
           if (models.size > 0) {
             WIKI.plugins.modelLoader.registerPluginModels(plugin.id, models, WIKI.models.knex)
@@ -248,6 +283,7 @@ module.exports = class Plugin extends Model {
         WIKI.logger.info(`[Plugins] Successfully initialized plugin: ${plugin.id}`)
       } catch (err) {
         WIKI.logger.error(`[Plugins] Failed to initialize plugin ${plugin.id}: ${err.message}`)
+        providers[plugin.id].isFailed = true
 
         // Update status to error
         await WIKI.models.plugins.query()
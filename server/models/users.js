@@ -777,6 +777,8 @@ module.exports = class User extends Model {
           text: `You've been invited to the wiki ${WIKI.config.title}: ${WIKI.config.host}/login`
         })
       }
+
+      return newUsr
     } else {
       throw new WIKI.Error.AuthAccountAlreadyExists()
     }
@@ -851,8 +853,21 @@ module.exports = class User extends Model {
    * @param {*} id User ID
    */
   static async deleteUser (id, replaceId) {
-    const usr = await WIKI.models.users.query().findById(id)
+    const usr = await WIKI.models.users.query().findById(id).withGraphFetched('groups')
     if (usr) {
+      // -> Trigger user:beforeDelete hook (blocking)
+      if (WIKI.plugins && WIKI.plugins.hooks) {
+        try {
+          await WIKI.plugins.hooks.triggerBlocking('user:beforeDelete', {
+            user: WIKI.models.users.getHookData(usr),
+            replaceId,
+            canProceed: true
+          })
+        } catch (err) {
+          throw new Error(`User deletion blocked: ${err.message}`)
+        }
+      }
+
       await WIKI.models.assets.query().patch({ authorId: replaceId }).where('authorId', id)
       await WIKI.models.comments.query().patch({ authorId: replaceId }).where('authorId', id)
       await WIKI.models.pageHistory.query().patch({ authorId: replaceId }).where('authorId', id)
@@ -861,6 +876,18 @@ module.exports = class User extends Model {
 
       await WIKI.models.userKeys.query().delete().where('userId', id)
       await WIKI.models.users.query().deleteById(id)
+
+      // -> Trigger user:delete hook
+      if (WIKI.plugins && WIKI.plugins.hooks) {
+        try {
+          await WIKI.plugins.hooks.trigger('user:delete', {
+            user: WIKI.models.users.getHookData(usr),
+            replaceId
+          })
+        } catch (hookErr) {
+          WIKI.logger.warn(`Hook execution error (user:delete): ${hookErr.message}`)
+        }
+      }
     } else {
       throw new WIKI.Error.UserNotFound()
     }
@@ -982,9 +1009,35 @@ module.exports = class User extends Model {
     }
     const usr = await WIKI.models.users.query().findById(context.req.user.id).select('providerKey')
     const provider = _.find(WIKI.auth.strategies, ['key', usr.providerKey])
+
+    // -> Trigger user:logout hook
+    if (WIKI.plugins && WIKI.plugins.hooks) {
+      try {
+        await WIKI.plugins.hooks.trigger('user:logout', {
+          user: WIKI.models.users.getHookData({ ...context.req.user, providerKey: usr.providerKey }),
+          ip: context.req.ip
+        })
+      } catch (hookErr) {
+        WIKI.logger.warn(`Hook execution error (user:logout): ${hookErr.message}`)
+      }
+    }
+
     return provider.logout ? provider.logout(provider.config, context) : '/'
   }
 
+  /**
+   * Get the user fields passed to plugin hooks
+   *
+   * @param {Object} user User Model Instance or authenticated user
+   * @returns {Object} User fields
+   */
+  static getHookData (user) {
+    return {
+      ..._.pick(user, ['id', 'name', 'email', 'providerKey']),
+      isAdmin: _.some(user.groups, grp => (_.isObject(grp) ? grp.id : grp) === 1)
+    }
+  }
+
   static async getGuestUser () {
     const user = await WIKI.models.users.query().findById(2).withGraphJoined('groups').modifyGraph('groups', builder => {
       builder.select('groups.id', 'permissions')
@@ -0,0 +1,71 @@
+const Model = require('objection').Model
+
+/**
+ * Webhook Deliveries model
+ */
+module.exports = class WebhookDelivery extends Model {
+  static get tableName() { return 'webhookDeliveries' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['event', 'payload'],
+
+      properties: {
+        id: {type: 'integer'},
+        webhookId: {type: 'integer'},
+        event: {type: 'string'},
+        payload: {type: 'string'},
+        status: {type: 'string'},
+        attempts: {type: 'integer'},
+        responseStatus: {type: ['integer', 'null']},
+        responseBody: {type: ['string', 'null']},
+        errorMessage: {type: ['string', 'null']},
+        duration: {type: ['integer', 'null']},
+        isTest: {type: 'boolean'},
+        nextAttemptAt: {type: ['string', 'null']},
+        createdAt: {type: 'string'},
+        updatedAt: {type: 'string'}
+      }
+    }
+  }
+
+  static get relationMappings() {
+    return {
+      webhook: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: require('./webhooks'),
+        join: {
+          from: 'webhookDeliveries.webhookId',
+          to: 'webhooks.id'
+        }
+      }
+    }
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString()
+  }
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = new Date().toISOString()
+  }
+
+  /**
+   * Get paginated delivery log for a webhook
+   *
+   * @param {Object} opts Query Options
+   * @returns {Promise} Promise of the deliveries with total count
+   */
+  static async getDeliveries ({ webhookId, offsetPage = 0, offsetSize = 25 }) {
+    const deliveries = await WIKI.models.webhookDeliveries.query()
+      .where('webhookId', webhookId)
+      .orderBy('id', 'desc')
+      .page(offsetPage, offsetSize)
+
+    return {
+      trail: deliveries.results,
+      total: deliveries.total
+    }
+  }
+}
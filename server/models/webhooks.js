@@ -0,0 +1,145 @@
+const Model = require('objection').Model
+const _ = require('lodash')
+const crypto = require('crypto')
+
+/**
+ * Webhooks model
+ */
+module.exports = class Webhook extends Model {
+  static get tableName() { return 'webhooks' }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      required: ['name', 'url', 'secret'],
+
+      properties: {
+        id: {type: 'integer'},
+        name: {type: 'string'},
+        url: {type: 'string'},
+        secret: {type: 'string'},
+        isEnabled: {type: 'boolean'},
+        createdAt: {type: 'string'},
+        updatedAt: {type: 'string'}
+      }
+    }
+  }
+
+  static get jsonAttributes() {
+    return ['events']
+  }
+
+  static get relationMappings() {
+    return {
+      deliveries: {
+        relation: Model.HasManyRelation,
+        modelClass: require('./webhookDeliveries'),
+        join: {
+          from: 'webhooks.id',
+          to: 'webhookDeliveries.webhookId'
+        }
+      }
+    }
+  }
+
+  $beforeUpdate() {
+    this.updatedAt = new Date().toISOString()
+  }
+  $beforeInsert() {
+    this.createdAt = new Date().toISOString()
+    this.updatedAt = new Date().toISOString()
+  }
+
+  /**
+   * Validate and normalize webhook properties
+   *
+   * @param {Object} opts Webhook Properties
+   * @returns {Object} Normalized Properties
+   */
+  static validateInput ({ name, url, events }) {
+    if (_.trim(name).length < 1) {
+      throw new WIKI.Error.InputInvalid('Webhook name cannot be empty.')
+    }
+    let parsedUrl
+    try {
+      parsedUrl = new URL(url)
+    } catch (err) {
+      throw new WIKI.Error.WebhookInvalidUrl()
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new WIKI.Error.WebhookInvalidUrl()
+    }
+    const unsupportedEvents = _.difference(events, WIKI.webhooks.events)
+    if (unsupportedEvents.length > 0) {
+      throw new WIKI.Error.WebhookInvalidEvent(`Unsupported webhook event: ${unsupportedEvents[0]}`)
+    }
+    return {
+      name: _.trim(name),
+      url: parsedUrl.toString(),
+      events: _.uniq(events)
+    }
+  }
+
+  /**
+   * Generate a random signing secret
+   *
+   * @returns {string} Secret
+   */
+  static generateSecret () {
+    return crypto.randomBytes(24).toString('hex')
+  }
+
+  /**
+   * Create a New Webhook
+   *
+   * @param {Object} opts Webhook Properties
+   * @returns {Promise} Promise of the Webhook Model Instance
+   */
+  static async createWebhook ({ name, url, secret, events = [], isEnabled = true }) {
+    const webhook = await WIKI.models.webhooks.query().insertAndFetch({
+      ...WIKI.models.webhooks.validateInput({ name, url, events }),
+      secret: _.isEmpty(secret) ? WIKI.models.webhooks.generateSecret() : secret,
+      isEnabled
+    })
+    await WIKI.webhooks.reload()
+    WIKI.events.outbound.emit('reloadWebhooks')
+    return webhook
+  }
+
+  /**
+   * Update an Existing Webhook
+   *
+   * @param {Object} opts Webhook Properties
+   * @returns {Promise} Promise with no value
+   */
+  static async updateWebhook ({ id, name, url, secret, events = [], isEnabled }) {
+    const webhook = await WIKI.models.webhooks.query().findById(id)
+    if (!webhook) {
+      throw new WIKI.Error.WebhookNotFound()
+    }
+    await WIKI.models.webhooks.query().patch({
+      ...WIKI.models.webhooks.validateInput({ name, url, events }),
+      secret: _.isEmpty(secret) ? webhook.secret : secret,
+      isEnabled
+    }).findById(id)
+    await WIKI.webhooks.reload()
+    WIKI.events.outbound.emit('reloadWebhooks')
+  }
+
+  /**
+   * Delete an Existing Webhook and its delivery log
+   *
+   * @param {number} id Webhook ID
+   * @returns {Promise} Promise with no value
+   */
+  static async deleteWebhook (id) {
+    const webhook = await WIKI.models.webhooks.query().findById(id)
+    if (!webhook) {
+      throw new WIKI.Error.WebhookNotFound()
+    }
+    await WIKI.models.webhookDeliveries.query().delete().where('webhookId', id)
+    await WIKI.models.webhooks.query().deleteById(id)
+    await WIKI.webhooks.reload()
+    WIKI.events.outbound.emit('reloadWebhooks')
+  }
+}
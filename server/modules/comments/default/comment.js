@@ -5,6 +5,7 @@ const createDOMPurify = require('dompurify')
 const _ = require('lodash')
 const { AkismetClient } = require('akismet-api')
 const moment = require('moment')
+const moderationHelper = require('../../../helpers/moderation')
 
 const window = new JSDOM('').window
 const DOMPurify = createDOMPurify(window)
@@ -59,7 +60,7 @@ module.exports = {
   /**
    * Create New Comment
    */
-  async create ({ page, replyTo, content, user }) {
+  async create ({ page, replyTo, content, anchor, user, requiresApproval = false, isModerator = false }) {
     // -> Build New Comment
     const newComment = {
       content,
@@ -69,7 +70,8 @@ module.exports = {
       authorId: user.id,
       name: user.name,
       email: user.email,
-      ip: user.ip
+      ip: user.ip,
+      ...anchor
     }
 
     // -> Check for Spam with Akismet
@@ -112,6 +114,19 @@ module.exports = {
       }
     }
 
+    // -> Run spam checks
+    const config = WIKI.data.commentProvider.config
+    const spamReason = moderationHelper.runSpamChecks({ content, user, config })
+    if (spamReason) {
+      if (config.spamAction === 'reject') {
+        throw new WIKI.Error.CommentRejected()
+      }
+      newComment.status = 'spam'
+      newComment.spamReason = spamReason
+    } else if (!isModerator && (requiresApproval || moderationHelper.requiresApproval(config.moderation, user, config.newUserDays))) {
+      newComment.status = 'pending'
+    }
+
     // -> Save Comment to DB
     const cm = await WIKI.models.comments.query().insert(newComment)
 
@@ -129,6 +144,28 @@ module.exports = {
     })
     return renderedContent
   },
+  /**
+   * Approve a pending comment
+   */
+  async approve ({ id, user }) {
+    // -> Bypass the model to keep the comment modification date
+    await WIKI.models.knex('comments').where('id', id).update({
+      status: 'approved',
+      moderatedAt: moment.utc().toISOString(),
+      moderatedById: user.id
+    })
+  },
+  /**
+   * Resolve or reopen an existing comment
+   */
+  async resolve ({ id, isResolved, user }) {
+    // -> Bypass the model to keep the comment modification date
+    await WIKI.models.knex('comments').where('id', id).update({
+      isResolved,
+      resolvedAt: isResolved ? moment.utc().toISOString() : null,
+      resolvedById: isResolved ? user.id : null
+    })
+  },
   /**
    * Delete an existing comment by ID
    */
@@ -152,7 +189,7 @@ module.exports = {
    * Get the total comments count for a page ID
    */
   async count (pageId) {
-    const result = await WIKI.models.comments.query().count('* as total').where('pageId', pageId).first()
+    const result = await WIKI.models.comments.query().count('* as total').where({ pageId, status: 'approved' }).first()
     return _.toSafeInteger(result.total)
   }
 }
@@ -1,21 +1,103 @@
 const cmdExists = require('command-exists')
 const os = require('os')
+const semver = require('semver')
+const util = require('util')
+const execFile = util.promisify(require('child_process').execFile)
 
 module.exports = {
   key: 'pandoc',
   title: 'Pandoc',
   description: 'Convert between markup formats. Required for converting from other formats such as MediaWiki, AsciiDoc, Textile and other wikis.',
+  formats: {
+    docx: { title: 'Word (DOCX)', ext: 'docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', isDocument: true },
+    odt: { title: 'OpenDocument (ODT)', ext: 'odt', mime: 'application/vnd.oasis.opendocument.text', isDocument: true },
+    epub: { title: 'EPUB', ext: 'epub', mime: 'application/epub+zip', isDocument: true },
+    rst: { title: 'reStructuredText', ext: 'rst', mime: 'text/x-rst', isDocument: false },
+    mediawiki: { title: 'MediaWiki', ext: 'wiki', mime: 'text/plain', isDocument: false },
+    textile: { title: 'Textile', ext: 'textile', mime: 'text/plain', isDocument: false }
+  },
   async isCompatible () {
     return os.arch() === 'x64'
   },
+  /**
+   * Oldest pandoc release supporting --sandbox
+   */
+  minVersion: '2.15.0',
   isInstalled: false,
+  version: null,
   async check () {
     try {
       await cmdExists('pandoc')
-      this.isInstalled = true
+      this.version = await this.getVersion()
+      this.isInstalled = this.isSupported(this.version)
+      if (!this.isInstalled) {
+        WIKI.logger.warn(`Pandoc ${this.version || '(unknown version)'} is too old, version ${this.minVersion} or later is required.`)
+      }
     } catch (err) {
       this.isInstalled = false
     }
     return this.isInstalled
+  },
+  /**
+   * Get the version of the installed pandoc
+   *
+   * @returns {Promise<string>} Version, null if it could not be determined
+   */
+  async getVersion () {
+    const { stdout } = await execFile('pandoc', ['--version'], { timeout: 10000 })
+    const match = /^pandoc(?:\.exe)?\s+(\d+(?:\.\d+)*)/m.exec(stdout)
+    return match ? semver.coerce(match[1]).version : null
+  },
+  /**
+   * Check if a pandoc version supports --sandbox
+   *
+   * @param {string} version Pandoc version
+   * @returns {boolean} True if the version is supported
+   */
+  isSupported (version) {
+    return !!version && semver.gte(version, this.minVersion)
+  },
+  /**
+   * Get the format matching a file name extension
+   *
+   * @param {string} fileName File name
+   * @returns {string} Format key, null if not supported
+   */
+  getFormatFromFileName (fileName) {
+    const ext = (fileName || '').split('.').pop().toLowerCase()
+    for (const [key, format] of Object.entries(this.formats)) {
+      if (format.ext === ext || key === ext) {
+        return key
+      }
+    }
+    return null
+  },
+  /**
+   * Convert a file from one format to another
+   *
+   * Pandoc runs with --sandbox: it only reads the input file and never fetches
+   * the local files or URLs referenced by the document.
+   *
+   * @param {Object} opts Conversion Options
+   * @param {string} opts.inputPath Path of the file to convert
+   * @param {string} opts.outputPath Path of the converted file
+   * @param {string} opts.from Pandoc reader (e.g. docx, html)
+   * @param {string} opts.to Pandoc writer (e.g. gfm, odt)
+   * @param {string} opts.cwd Working directory, relative media paths are resolved from it
+   * @param {Array} opts.args Additional pandoc arguments
+   * @returns {Promise} Promise of the conversion completion
+   */
+  async convert ({ inputPath, outputPath, from, to, cwd, args = [] }) {
+    if (!this.isInstalled) {
+      throw new Error('Pandoc is not installed.')
+    }
+    if (!this.isSupported(this.version)) {
+      throw new Error(`Pandoc ${this.minVersion} or later is required.`)
+    }
+    await execFile('pandoc', [inputPath, '-f', from, '-t', to, '-o', outputPath, '--sandbox', ...args], {
+      cwd,
+      timeout: 120000,
+      maxBuffer: 10 * 1024 * 1024
+    })
   }
 }
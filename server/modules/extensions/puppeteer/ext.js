@@ -1,6 +1,22 @@
-const cmdExists = require('command-exists')
+const _ = require('lodash')
+const fs = require('fs-extra')
 const os = require('os')
 
+/**
+ * Get the origin of a URL
+ *
+ * @param {string} url URL
+ * @returns {string} Origin, or null if the URL is invalid
+ */
+const getOrigin = url => {
+  try {
+    const origin = new URL(url).origin
+    return origin === 'null' ? null : origin
+  } catch (err) {
+    return null
+  }
+}
+
 module.exports = {
   key: 'puppeteer',
   title: 'Puppeteer',
@@ -11,11 +27,141 @@ module.exports = {
   isInstalled: false,
   async check () {
     try {
-      await cmdExists('pandoc')
-      this.isInstalled = true
+      const puppeteer = require('puppeteer')
+      this.isInstalled = await fs.pathExists(puppeteer.executablePath())
     } catch (err) {
       this.isInstalled = false
     }
     return this.isInstalled
+  },
+  browser: null,
+  activeRenders: 0,
+  queue: [],
+  /**
+   * Get the shared browser instance, launching it if needed
+   *
+   * Chromium runs with its sandbox unless pdfRenderer.noSandbox is set in config.yml.
+   *
+   * @returns {Promise} Promise of the browser
+   */
+  getBrowser () {
+    if (!this.browser) {
+      const puppeteer = require('puppeteer')
+      const args = ['--disable-dev-shm-usage']
+      if (_.get(WIKI.config, 'pdfRenderer.noSandbox', false) === true) {
+        args.unshift('--no-sandbox')
+      }
+      this.browser = puppeteer.launch({ args }).then(browser => {
+        browser.on('disconnected', () => {
+          this.browser = null
+        })
+        return browser
+      }).catch(err => {
+        this.browser = null
+        throw err
+      })
+    }
+    return this.browser
+  },
+  /**
+   * Wait for a render slot, at most pdfRenderer.maxConcurrency renders run at once
+   *
+   * @returns {Promise} Promise resolved once the slot is acquired
+   */
+  async acquireSlot () {
+    if (this.activeRenders < Math.max(_.get(WIKI.config, 'pdfRenderer.maxConcurrency', 2), 1)) {
+      this.activeRenders++
+      return
+    }
+    await new Promise(resolve => this.queue.push(resolve))
+  },
+  /**
+   * Release a render slot, handing it over to the next queued render
+   */
+  releaseSlot () {
+    const next = this.queue.shift()
+    if (next) {
+      next()
+    } else {
+      this.activeRenders--
+    }
+  },
+  /**
+   * Close the shared browser instance
+   */
+  async close () {
+    if (this.browser) {
+      const browser = await this.browser.catch(() => null)
+      this.browser = null
+      if (browser) {
+        await browser.close()
+      }
+    }
+  },
+  /**
+   * Render an HTML document to PDF
+   *
+   * Each render uses its own browser context, so cookies are never shared between users.
+   * The document may only load resources from the wiki (WIKI.config.host) and data: URLs,
+   * and cookies are only set for the wiki origin.
+   *
+   * @param {Object} opts Render Options
+   * @param {string} opts.html Full HTML document
+   * @param {Array} opts.cookies Cookies of the wiki origin to set before loading the document
+   * @param {string} opts.pageSize Paper format (e.g. A4, Letter)
+   * @param {string} opts.headerTemplate HTML template of the page header
+   * @param {string} opts.footerTemplate HTML template of the page footer
+   * @returns {Promise} Promise of the PDF buffer
+   */
+  async renderPdf ({ html, cookies = [], pageSize = 'A4', headerTemplate = '', footerTemplate = '' }) {
+    if (!this.isInstalled) {
+      throw new WIKI.Error.ExportPdfUnavailable()
+    }
+    await this.acquireSlot()
+    let context = null
+    try {
+      const browser = await this.getBrowser()
+      context = browser.createBrowserContext ? await browser.createBrowserContext() : await browser.createIncognitoBrowserContext()
+      const page = await context.newPage()
+
+      // -> Abort every request that is not to the wiki itself
+      const wikiOrigin = getOrigin(WIKI.config.host)
+      await page.setRequestInterception(true)
+      page.on('request', request => {
+        const url = request.url()
+        if (url.startsWith('data:') || (wikiOrigin && getOrigin(url) === wikiOrigin)) {
+          request.continue()
+        } else {
+          request.abort()
+        }
+      })
+
+      const wikiCookies = wikiOrigin ? _.filter(cookies, c => getOrigin(c.url) === wikiOrigin) : []
+      if (wikiCookies.length > 0) {
+        await page.setCookie(...wikiCookies.map(c => ({ ..._.omit(c, ['domain']), url: wikiOrigin })))
+      }
+      await page.setContent(html, {
+        waitUntil: 'networkidle0',
+        timeout: 60000
+      })
+      return await page.pdf({
+        format: pageSize,
+        printBackground: true,
+        displayHeaderFooter: Boolean(headerTemplate || footerTemplate),
+        headerTemplate: headerTemplate || '<span></span>',
+        footerTemplate: footerTemplate || '<span></span>',
+        margin: {
+          top: '20mm',
+          bottom: '20mm',
+          left: '15mm',
+          right: '15mm'
+        }
+      })
+    } finally {
+      if (context) {
+        await context.close().catch(() => {})
+      }
+      this.releaseSlot()
+    }
   }
 }
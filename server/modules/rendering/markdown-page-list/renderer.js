@@ -0,0 +1,45 @@
+const _ = require('lodash')
+const pageListHelper = require('../../../helpers/page-list')
+
+const blockRegex = /^:::\s*pages\b(.*?)(?::::)?\s*$/
+
+// ------------------------------------
+// Markdown - Page List
+// ------------------------------------
+//
+// Renders ::: pages path="/runbooks" tag="prod" sort="updatedAt" limit=20 :::
+// to a placeholder, filled in with the pages the viewer can read when the page is served.
+
+module.exports = {
+  init (mdinst, conf) {
+    mdinst.block.ruler.before('fence', 'page_list', (state, startLine, endLine, silent) => {
+      const start = state.bMarks[startLine] + state.tShift[startLine]
+      const max = state.eMarks[startLine]
+
+      if (state.src.charCodeAt(start) !== 0x3A /* : */) { return false }
+
+      const match = state.src.slice(start, max).match(blockRegex)
+      if (!match) { return false }
+      if (silent) { return true }
+
+      const params = pageListHelper.normalizeParams(pageListHelper.parseParams(match[1]), {
+        maxLimit: _.toSafeInteger(conf.maxLimit) || pageListHelper.maxLimit,
+        display: conf.defaultDisplay
+      })
+
+      const token = state.push('page_list', 'div', 0)
+      token.attrs = _.toPairs(pageListHelper.toAttributes(params))
+      token.block = true
+      token.map = [startLine, startLine + 1]
+      token.markup = ':::'
+
+      state.line = startLine + 1
+      return true
+    }, {
+      alt: ['paragraph', 'reference', 'blockquote', 'list']
+    })
+    mdinst.renderer.rules.page_list = (tokens, idx, opts, env, self) => {
+      return `<div${self.renderAttrs(tokens[idx])}></div>\n`
+    }
+  }
+}
@@ -1,55 +1,289 @@
+const _ = require('lodash')
+const searchHelper = require('../../../helpers/search')
+
+// Maximum number of indexed tokens a prefix is expanded to
+const maxPrefixExpansions = 50
+
+// Number of postings inserted per query
+const postingsBatchSize = 100
+
+// Number of pages loaded per query
+const pagesBatchSize = 500
+
+/**
+ * Index a page, replacing its previous postings
+ *
+ * @param {Object} page Page, with its id, localeCode, path, title, description and render
+ */
+async function indexPage (page) {
+  const content = searchHelper.htmlToText(page.render)
+  const fields = {
+    title: searchHelper.getPostings(page.title),
+    description: searchHelper.getPostings(page.description),
+    content: searchHelper.getPostings(content)
+  }
+  const postings = _.flatMap(fields, (field, fieldName) => _.map(field.positions, (positions, token) => ({
+    token,
+    pageId: page.id,
+    field: fieldName,
+    frequency: positions.length,
+    positions: positions.join(',')
+  })))
+
+  await WIKI.models.knex.transaction(async trx => {
+    await trx('pagesPostings').where('pageId', page.id).del()
+    await trx('pagesIndex').where('id', page.id).del()
+    await trx('pagesIndex').insert({
+      id: page.id,
+      locale: page.localeCode,
+      path: page.path,
+      content,
+      length: _.sumBy(_.values(fields), 'length')
+    })
+    for (const chunk of _.chunk(postings, postingsBatchSize)) {
+      await trx('pagesPostings').insert(chunk)
+    }
+  })
+}
+
+/**
+ * Get the matching pages of a query clause, with their weighted term frequencies
+ *
+ * @param {Object} clause Query clause
+ * @param {Object} postingsByToken Postings of the clause tokens, grouped by token
+ * @returns {Array<Object>} Terms of the clause, each with the term frequency of every matching page
+ */
+function matchClause (clause, postingsByToken) {
+  if (clause.type === 'phrase') {
+    const frequencies = {}
+    const postingsByField = clause.tokens.map(token => _.keyBy(postingsByToken[token], p => `${p.pageId}:${p.field}`))
+    for (const [key, posting] of _.toPairs(postingsByField[0])) {
+      const positions = postingsByField.map(tokenPostings => _.has(tokenPostings, key) ? tokenPostings[key].positions.split(',').map(_.toNumber) : null)
+      const count = searchHelper.countPhrase(positions)
+      if (count > 0) {
+        frequencies[posting.pageId] = (frequencies[posting.pageId] || 0) + count * searchHelper.fieldWeights[posting.field]
+      }
+    }
+    return [frequencies]
+  }
+
+  return _.map(clause.expansions, token => _.reduce(postingsByToken[token], (frequencies, p) => {
+    frequencies[p.pageId] = (frequencies[p.pageId] || 0) + p.frequency * searchHelper.fieldWeights[p.field]
+    return frequencies
+  }, {}))
+}
+
+/**
+ * Load the published pages the user can read
+ *
+ * @param {Array<number>} pageIds Page IDs
+ * @param {Object} user User, all published pages are returned if not set
+ * @returns {Promise<Array<Object>>} Pages, with their id, path, locale and tags
+ */
+async function getReadablePages (pageIds, user) {
+  const pages = []
+  for (const chunk of _.chunk(pageIds, pagesBatchSize)) {
+    const chunkPages = await WIKI.models.pages.query()
+      .column('pages.id', 'path', 'localeCode as locale')
+      .withGraphJoined('tags') // Adding page tags since they can be used to check resource access permissions
+      .modifyGraph('tags', builder => {
+        builder.select('tag')
+      })
+      .whereIn('pages.id', chunk)
+      .where('isPublished', true)
+    pages.push(...chunkPages.filter(page => !user || WIKI.auth.checkAccess(user, ['read:pages'], {
+      path: page.path,
+      locale: page.locale,
+      tags: page.tags
+    })))
+  }
+  return pages
+}
+
+/**
+ * Get indexed words close to the words of a query
+ *
+ * Only words found in pages the user can read are suggested.
+ *
+ * @param {Array<Object>} clauses Query clauses
+ * @param {Object} user User
+ * @returns {Promise<Array<string>>} Suggested words
+ */
+async function getSuggestions (clauses, user) {
+  const words = _.uniq(_.flatMap(clauses, 'tokens')).filter(w => w.length > 2)
+  const lengthFn = _.get({ mssql: 'LEN', mysql: 'CHAR_LENGTH', mariadb: 'CHAR_LENGTH' }, WIKI.config.db.type, 'LENGTH')
+  const suggestions = []
+  for (const word of words) {
+    const candidates = await WIKI.models.knex('pagesPostings')
+      .select('token')
+      .sum('frequency as frequency')
+      .where('token', 'like', `${word.substring(0, 1)}%`)
+      .whereBetween(WIKI.models.knex.raw(`${lengthFn}(token)`), [word.length - 2, word.length + 2])
+      .groupBy('token')
+      .limit(1000)
+    for (const candidate of candidates) {
+      const distance = searchHelper.editDistance(word, candidate.token)
+      if (distance > 0 && distance <= (word.length > 5 ? 2 : 1)) {
+        suggestions.push({ word: candidate.token, distance, frequency: _.toNumber(candidate.frequency) })
+      }
+    }
+  }
+  const readableSuggestions = []
+  for (const suggestion of _.uniq(_.map(_.orderBy(suggestions, ['distance', 'frequency'], ['asc', 'desc']), 'word'))) {
+    const pageIds = await WIKI.models.knex('pagesPostings').distinct('pageId').where('token', suggestion).limit(pagesBatchSize)
+    if ((await getReadablePages(_.map(pageIds, 'pageId'), user)).length > 0) {
+      readableSuggestions.push(suggestion)
+      if (readableSuggestions.length >= 5) {
+        break
+      }
+    }
+  }
+  return readableSuggestions
+}
 
 module.exports = {
-  activate() {
+  async activate() {
     // not used
   },
-  deactivate() {
-    // not used
+  async deactivate() {
+    WIKI.logger.info(`(SEARCH/DB) Dropping index tables...`)
+    await WIKI.models.knex.schema.dropTableIfExists('pagesPostings')
+    await WIKI.models.knex.schema.dropTableIfExists('pagesIndex')
+    WIKI.logger.info(`(SEARCH/DB) Index tables have been dropped.`)
   },
   /**
    * INIT
    */
-  init() {
-    // not used
+  async init() {
+    WIKI.logger.info(`(SEARCH/DB) Initializing...`)
+
+    let isNewIndex = false
+    if (!await WIKI.models.knex.schema.hasTable('pagesIndex')) {
+      WIKI.logger.info(`(SEARCH/DB) Creating Pages Index table...`)
+      await WIKI.models.knex.schema.createTable('pagesIndex', table => {
+        table.integer('id').unsigned().primary()
+        table.string('locale')
+        table.string('path')
+        table.text('content')
+        table.integer('length').notNullable().defaultTo(0)
+        table.index(['locale', 'path'])
+      })
+      isNewIndex = true
+    }
+    if (!await WIKI.models.knex.schema.hasTable('pagesPostings')) {
+      WIKI.logger.info(`(SEARCH/DB) Creating Pages Postings table...`)
+      await WIKI.models.knex.schema.createTable('pagesPostings', table => {
+        table.increments('id').primary()
+        table.string('token', 100).notNullable()
+        table.integer('pageId').unsigned().notNullable()
+        table.string('field', 20).notNullable()
+        table.integer('frequency').notNullable().defaultTo(1)
+        table.text('positions')
+        table.index('token')
+        table.index('pageId')
+      })
+      isNewIndex = true
+    }
+
+    // -> Index existing pages in the background
+    if (isNewIndex) {
+      this.rebuild().catch(err => {
+        WIKI.logger.warn(`(SEARCH/DB) Failed to build index: ${err.message}`)
+      })
+    }
+
+    WIKI.logger.info(`(SEARCH/DB) Initialization completed.`)
   },
   /**
    * QUERY
    *
    * @param {String} q Query
    * @param {Object} opts Additional options
+   * @param {Object} opts.user User, only the pages they can read are returned
    */
   async query(q, opts) {
-    const results = await WIKI.models.pages.query()
-      .column('pages.id', 'title', 'description', 'path', 'localeCode as locale')
-      .withGraphJoined('tags') // Adding page tags since they can be used to check resource access permissions
-      .modifyGraph('tags', builder => {
-        builder.select('tag')
-      })
-      .where(builder => {
-        builder.where('isPublished', true)
+    try {
+      const clauses = searchHelper.parseQuery(q)
+      if (clauses.length < 1) {
+        return { results: [], suggestions: [], totalHits: 0 }
+      }
+
+      // -> Expand prefixes to indexed tokens
+      for (const clause of clauses) {
+        if (clause.type === 'prefix') {
+          const tokens = await WIKI.models.knex('pagesPostings').distinct('token').where('token', 'like', `${clause.tokens[0]}%`).orderBy('token').limit(maxPrefixExpansions)
+          clause.expansions = _.map(tokens, 'token')
+        } else {
+          clause.expansions = clause.tokens
+        }
+      }
+
+      // -> Fetch postings of all query tokens
+      const filterPages = builder => {
         if (opts.locale) {
-          builder.andWhere('localeCode', opts.locale)
+          builder.where('pagesIndex.locale', opts.locale)
         }
         if (opts.path) {
-          builder.andWhere('path', 'like', `${opts.path}%`)
+          builder.whereRaw('?? like ? escape ?', ['pagesIndex.path', `${searchHelper.escapeLike(opts.path)}%`, '\\'])
         }
-        builder.andWhere(builderSub => {
-          if (WIKI.config.db.type === 'postgres') {
-            builderSub.where('title', 'ILIKE', `%${q}%`)
-            builderSub.orWhere('description', 'ILIKE', `%${q}%`)
-            builderSub.orWhere('path', 'ILIKE', `%${q.toLowerCase()}%`)
-          } else {
-            builderSub.where('title', 'LIKE', `%${q}%`)
-            builderSub.orWhere('description', 'LIKE', `%${q}%`)
-            builderSub.orWhere('path', 'LIKE', `%${q.toLowerCase()}%`)
-          }
-        })
-      })
-      .limit(WIKI.config.search.maxHits)
-    return {
-      results,
-      suggestions: [],
-      totalHits: results.length
+      }
+      const tokens = _.uniq(_.flatMap(clauses, 'expansions'))
+      const postings = tokens.length < 1 ? [] : await WIKI.models.knex('pagesPostings')
+        .select('pagesPostings.token', 'pagesPostings.pageId', 'pagesPostings.field', 'pagesPostings.frequency', 'pagesPostings.positions', 'pagesIndex.length')
+        .join('pagesIndex', 'pagesIndex.id', 'pagesPostings.pageId')
+        .whereIn('pagesPostings.token', tokens)
+        .where(filterPages)
+      const postingsByToken = _.groupBy(postings, 'token')
+      const lengths = _.fromPairs(postings.map(p => [p.pageId, p.length]))
+
+      // -> Keep pages matching every clause
+      const clauseTerms = clauses.map(clause => matchClause(clause, postingsByToken))
+      const matchingIds = _.intersection(...clauseTerms.map(terms => _.uniq(_.flatMap(terms, _.keys))))
+
+      // -> Keep the published pages the user can read
+      const readablePages = _.keyBy(await getReadablePages(matchingIds.map(_.toInteger), opts.user), 'id')
+      const pageIds = matchingIds.filter(pageId => _.has(readablePages, pageId))
+
+      // -> Rank with BM25
+      const stats = await WIKI.models.knex('pagesIndex').count('* as docCount').avg('length as avgLength').where(filterPages).first()
+      const docCount = _.toNumber(stats.docCount)
+      const avgLength = _.toNumber(stats.avgLength)
+      const scores = pageIds.map(pageId => ({
+        pageId: _.toInteger(pageId),
+        score: _.sum(_.flatMap(clauseTerms, terms => terms.map(frequencies => {
+          if (!frequencies[pageId]) { return 0 }
+          return searchHelper.bm25({
+            tf: frequencies[pageId],
+            df: _.size(frequencies),
+            docCount,
+            length: lengths[pageId],
+            avgLength
+          })
+        })))
+      }))
+
+      // -> Load the best pages
+      const results = _.orderBy(scores, ['score'], ['desc']).slice(0, WIKI.config.search.maxHits)
+      const details = await WIKI.models.pages.query().select('id', 'title', 'description').whereIn('id', _.map(results, 'pageId'))
+      const detailsById = _.keyBy(details, 'id')
+
+      // -> Build excerpts
+      const contents = await WIKI.models.knex('pagesIndex').select('id', 'content').whereIn('id', _.map(results, 'pageId'))
+      const contentsById = _.keyBy(contents, 'id')
+
+      return {
+        results: results.map(r => ({
+          ...readablePages[r.pageId],
+          ..._.pick(detailsById[r.pageId], ['title', 'description']),
+          score: r.score,
+          excerpt: searchHelper.buildExcerpt(_.get(contentsById, [r.pageId, 'content'], ''), clauses)
+        })),
+        suggestions: pageIds.length < 5 ? await getSuggestions(clauses, opts.user) : [],
+        totalHits: pageIds.length
+      }
+    } catch (err) {
+      WIKI.logger.warn('Search Engine Error:')
+      WIKI.logger.warn(err)
     }
   },
   /**
@@ -58,7 +292,11 @@ module.exports = {
    * @param {Object} page Page to create
    */
   async created(page) {
-    // not used
+    const pageContents = await WIKI.models.pages.query().findById(page.id).select('render')
+    await indexPage({
+      ...page,
+      render: _.get(pageContents, 'render', '')
+    })
   },
   /**
    * UPDATE
@@ -66,7 +304,7 @@ module.exports = {
    * @param {Object} page Page to update
    */
   async updated(page) {
-    // not used
+    await this.created(page)
   },
   /**
    * DELETE
@@ -74,7 +312,8 @@ module.exports = {
    * @param {Object} page Page to delete
    */
   async deleted(page) {
-    // not used
+    await WIKI.models.knex('pagesPostings').where('pageId', page.id).del()
+    await WIKI.models.knex('pagesIndex').where('id', page.id).del()
   },
   /**
    * RENAME
@@ -82,12 +321,28 @@ module.exports = {
    * @param {Object} page Page to rename
    */
   async renamed(page) {
-    // not used
+    await this.created({
+      ...page,
+      localeCode: page.destinationLocaleCode,
+      path: page.destinationPath
+    })
   },
   /**
    * REBUILD INDEX
    */
   async rebuild() {
-    // not used
+    WIKI.logger.info(`(SEARCH/DB) Rebuilding Index...`)
+    await WIKI.models.knex('pagesPostings').del()
+    await WIKI.models.knex('pagesIndex').del()
+
+    const pages = await WIKI.models.knex('pages').select('id').where('isPrivate', false).orderBy('id')
+    for (const page of pages) {
+      const pageData = await WIKI.models.knex('pages').select('id', 'localeCode', 'path', 'title', 'description', 'render').where('id', page.id).first()
+      if (pageData) {
+        await indexPage(pageData)
+      }
+    }
+
+    WIKI.logger.info(`(SEARCH/DB) Index rebuilt successfully.`)
   }
 }
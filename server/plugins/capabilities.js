@@ -0,0 +1,196 @@
+const _ = require('lodash')
+const security = require('./security')
+
+/**
+ * Plugin Capabilities Module
+ * Main-process handlers for the calls a sandboxed plugin makes over RPC
+ */
+
+const QUERY_ACTIONS = {
+  select: 'database:read',
+  first: 'database:read',
+  count: 'database:read',
+  insert: 'database:write',
+  update: 'database:write',
+  delete: 'database:write'
+}
+
+const QUERY_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'like', 'not like', 'in', 'not in']
+
+module.exports = {
+  QUERY_ACTIONS,
+  QUERY_OPERATORS,
+
+  /**
+   * RPC methods available to sandboxed plugins
+   * Each method declares the permission it requires, checked before the handler runs,
+   * or null when the handler checks access itself
+   */
+  methods: {
+    'config.set': {
+      permission: 'config:write',
+      handler: ({ plugin }, key, value) => {
+        const runtime = require('./runtime')
+        return runtime.createConfigAPI(plugin).set(key, value)
+      }
+    },
+    'db.query': {
+      permission: 'database:read',
+      handler: ({ plugin }, spec) => module.exports.runQuery(plugin, spec)
+    },
+    'db.raw': {
+      permission: 'database:core',
+      handler: ({ plugin }, sql, bindings) => module.exports.runRaw(plugin, sql, bindings)
+    },
+    'cache.get': {
+      permission: 'cache:read',
+      handler: ({ plugin }, key) => WIKI.cache.get(module.exports.getCacheKey(plugin, key))
+    },
+    'cache.set': {
+      permission: 'cache:write',
+      handler: ({ plugin }, key, value, ttl) => {
+        WIKI.cache.set(module.exports.getCacheKey(plugin, key), value, ttl)
+      }
+    },
+    'cache.del': {
+      permission: 'cache:write',
+      handler: ({ plugin }, key) => {
+        WIKI.cache.del(module.exports.getCacheKey(plugin, key))
+      }
+    },
+    'events.emit': {
+      permission: 'events:emit',
+      handler: (ctx, eventName, data) => {
+        WIKI.events.outbound.emit(eventName, data)
+      }
+    },
+    'events.subscribe': {
+      permission: 'events:listen',
+      handler: ({ sandbox }, eventName) => sandbox.subscribe(eventName)
+    },
+    'events.unsubscribe': {
+      permission: 'events:listen',
+      handler: ({ sandbox }, eventName) => sandbox.unsubscribe(eventName)
+    },
+    'services.describe': {
+      permission: null,
+      handler: ({ plugin }, providerId) => require('./services').describe(plugin, providerId)
+    },
+    'services.call': {
+      permission: null,
+      handler: ({ plugin }, providerId, serviceName, method, args) => {
+        return require('./services').call(plugin, providerId, serviceName, method, args)
+      }
+    }
+  },
+
+  /**
+   * Scope a cache key to the plugin, so plugins cannot read or evict core entries
+   * @param {Object} plugin - Plugin object from database
+   * @param {string} key - Cache key requested by the plugin
+   * @returns {string} Scoped cache key
+   */
+  getCacheKey(plugin, key) {
+    return `plugin:${plugin.id}:${key}`
+  },
+
+  /**
+   * Ensure a plugin may access a table
+   * Tables prefixed with plugin_<pluginId>_ belong to the plugin, any other table requires database:core
+   * @param {Object} plugin - Plugin object from database
+   * @param {string} table - Table name
+   * @throws {Error} If the table is not accessible
+   */
+  async enforceTableAccess(plugin, table) {
+    if (!_.isString(table) || table.length < 1) {
+      throw new Error('Invalid table name')
+    }
+    if (!table.startsWith(`plugin_${plugin.id}_`)) {
+      await security.enforcePermission(plugin, 'database:core')
+    }
+  },
+
+  /**
+   * Execute a serialized query built by a sandboxed plugin
+   * @param {Object} plugin - Plugin object from database
+   * @param {Object} spec - Query spec { table, action, columns, where, orderBy, limit, offset, data }
+   * @returns {Promise<any>} Rows, row, count or affected rows depending on the action
+   */
+  async runQuery(plugin, spec = {}) {
+    const action = spec.action || 'select'
+    if (!_.has(QUERY_ACTIONS, action)) {
+      throw new Error(`Invalid query action: ${action}`)
+    }
+    await security.enforcePermission(plugin, QUERY_ACTIONS[action])
+    await this.enforceTableAccess(plugin, spec.table)
+
+    const where = spec.where || []
+    if (['update', 'delete'].includes(action) && where.length < 1) {
+      throw new Error(`Refusing to ${action} every row of ${spec.table}: add a where condition.`)
+    }
+
+    const query = WIKI.models.knex(spec.table)
+    for (const [column, operator, value] of where) {
+      if (!QUERY_OPERATORS.includes(operator)) {
+        throw new Error(`Invalid query operator: ${operator}`)
+      }
+      if (operator === 'in' || operator === 'not in') {
+        if (!Array.isArray(value)) {
+          throw new Error(`Operator ${operator} requires an array of values`)
+        }
+        query[operator === 'in' ? 'whereIn' : 'whereNotIn'](column, value)
+      } else if (value === null) {
+        query[['!=', '<>'].includes(operator) ? 'whereNotNull' : 'whereNull'](column)
+      } else {
+        query.where(column, operator, value)
+      }
+    }
+
+    switch (action) {
+      case 'insert':
+        return query.insert(spec.data)
+      case 'update':
+        return query.update(spec.data)
+      case 'delete':
+        return query.delete()
+      case 'count': {
+        const result = await query.count('* as count').first()
+        return _.toSafeInteger(_.get(result, 'count', 0))
+      }
+    }
+
+    for (const [column, direction] of (spec.orderBy || [])) {
+      query.orderBy(column, direction === 'desc' ? 'desc' : 'asc')
+    }
+    if (spec.offset) {
+      query.offset(_.toSafeInteger(spec.offset))
+    }
+    if (action === 'first') {
+      return query.first(spec.columns || '*')
+    }
+    if (spec.limit) {
+      query.limit(_.toSafeInteger(spec.limit))
+    }
+    return query.select(spec.columns || '*')
+  },
+
+  /**
+   * Execute a raw SQL statement and return its rows, whatever the database client
+   * @param {Object} plugin - Plugin object from database
+   * @param {string} sql - SQL statement with ? placeholders
+   * @param {Array} bindings - Placeholder values
+   * @returns {Promise<Array>} Result rows
+   */
+  async runRaw(plugin, sql, bindings = []) {
+    const result = await WIKI.models.knex.raw(sql, bindings)
+    switch (WIKI.config.db.type) {
+      case 'postgres':
+        return result.rows
+      case 'mysql':
+      case 'mariadb':
+        return result[0]
+      default:
+        return result
+    }
+  }
+}
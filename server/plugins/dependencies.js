@@ -0,0 +1,213 @@
+const semver = require('semver')
+const _ = require('lodash')
+
+/**
+ * Plugin Dependencies Module
+ * Resolves the dependencies plugins declare on each other in their manifest:
+ *
+ *   dependencies:
+ *     search-core: '>=1.2.0'
+ *   optionalDependencies:
+ *     analytics: '^2.0.0'
+ *
+ * Required dependencies must be installed, enabled and in range for a plugin to be activated.
+ * Optional dependencies only affect load order and access to services.
+ */
+
+module.exports = {
+  /**
+   * Get the dependencies declared in a plugin manifest
+   * @param {Object|string} manifest - Plugin manifest
+   * @returns {Array<Object>} Dependencies { pluginId, versionRange, isOptional }
+   */
+  getDeclared(manifest) {
+    if (typeof manifest === 'string') {
+      try {
+        manifest = JSON.parse(manifest)
+      } catch (err) {
+        return []
+      }
+    }
+
+    const declared = []
+    for (const [key, isOptional] of [['dependencies', false], ['optionalDependencies', true]]) {
+      _.forOwn(_.get(manifest, key) || {}, (versionRange, pluginId) => {
+        declared.push({ pluginId, versionRange: versionRange || '*', isOptional })
+      })
+    }
+    return declared
+  },
+
+  /**
+   * Validate the dependencies declared in a plugin manifest
+   * @param {Object} manifest - Plugin manifest
+   * @throws {Error} If a dependency is invalid
+   */
+  validateManifest(manifest) {
+    const declared = this.getDeclared(manifest)
+
+    for (const dep of declared) {
+      if (dep.pluginId === manifest.id) {
+        throw new Error(`Plugin ${manifest.id} cannot depend on itself`)
+      }
+      if (!_.isString(dep.versionRange) || !semver.validRange(dep.versionRange)) {
+        throw new Error(`Invalid version range for dependency ${dep.pluginId}: ${dep.versionRange}`)
+      }
+    }
+
+    const duplicates = _.keys(_.pickBy(_.countBy(declared, 'pluginId'), count => count > 1))
+    if (duplicates.length > 0) {
+      throw new Error(`Dependencies cannot be both required and optional: ${duplicates.join(', ')}`)
+    }
+  },
+
+  /**
+   * Check if a plugin version meets a dependency
+   * @param {Object} dep - Dependency { versionRange }
+   * @param {string} version - Version of the depended-on plugin
+   * @returns {boolean} True if the version is in range
+   */
+  isSatisfied(dep, version) {
+    return !!version && semver.satisfies(version, dep.versionRange, { includePrerelease: true })
+  },
+
+  /**
+   * List the required dependencies of a manifest that are not met
+   * @param {Object} manifest - Plugin manifest
+   * @param {Object} providers - Installed plugins, by ID { version, isEnabled, isFailed }
+   * @returns {Array<string>} Description of each unmet dependency
+   */
+  findUnmet(manifest, providers) {
+    const unmet = []
+    for (const dep of this.getDeclared(manifest)) {
+      if (dep.isOptional) {
+        continue
+      }
+      const provider = providers[dep.pluginId]
+      if (!provider) {
+        unmet.push(`${dep.pluginId} ${dep.versionRange} is not installed`)
+      } else if (!this.isSatisfied(dep, provider.version)) {
+        unmet.push(`${dep.pluginId} ${dep.versionRange} is required, but ${provider.version} is installed`)
+      } else if (!provider.isEnabled) {
+        unmet.push(`${dep.pluginId} is not enabled`)
+      } else if (provider.isFailed) {
+        unmet.push(`${dep.pluginId} failed to load`)
+      }
+    }
+    return unmet
+  },
+
+  /**
+   * Ensure the required dependencies of a plugin are installed, enabled and in range
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} manifest - Plugin manifest
+   * @throws {Error} If a dependency is not met
+   */
+  async enforceDependencies(pluginId, manifest) {
+    const required = this.getDeclared(manifest).filter(d => !d.isOptional)
+    if (required.length === 0) {
+      return
+    }
+
+    const providers = _.keyBy(await WIKI.models.plugins.query()
+      .select('id', 'version', 'isEnabled')
+      .whereIn('id', _.map(required, 'pluginId')), 'id')
+
+    const unmet = this.findUnmet(manifest, providers)
+    if (unmet.length > 0) {
+      throw new Error(`Plugin ${pluginId} has unmet dependencies: ${unmet.join('; ')}`)
+    }
+  },
+
+  /**
+   * Get the enabled plugins depending on a plugin
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} options - Options
+   * @param {boolean} options.includeOptional - Include optional dependencies
+   * @returns {Array<Object>} Dependents { pluginId, versionRange, isOptional }
+   */
+  async getDependents(pluginId, { includeOptional = false } = {}) {
+    let query = WIKI.models.pluginDependencies.query().where('dependsOn', pluginId)
+    if (!includeOptional) {
+      query = query.where('isOptional', false)
+    }
+    const records = await query
+    if (records.length === 0) {
+      return []
+    }
+
+    const enabled = await WIKI.models.plugins.query()
+      .select('id')
+      .whereIn('id', _.map(records, 'pluginId'))
+      .where('isEnabled', true)
+    const enabledIds = new Set(_.map(enabled, 'id'))
+
+    return records
+      .filter(r => enabledIds.has(r.pluginId))
+      .map(r => ({ pluginId: r.pluginId, versionRange: r.versionRange, isOptional: !!r.isOptional }))
+  },
+
+  /**
+   * Replace the dependency records of a plugin with the ones of its manifest
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} manifest - Plugin manifest
+   */
+  async syncRecords(pluginId, manifest) {
+    await WIKI.models.pluginDependencies.query().delete().where('pluginId', pluginId)
+
+    const records = this.getDeclared(manifest).map(dep => ({
+      pluginId,
+      dependsOn: dep.pluginId,
+      versionRange: dep.versionRange,
+      isOptional: dep.isOptional
+    }))
+    if (records.length > 0) {
+      await WIKI.models.pluginDependencies.query().insert(records)
+    }
+  },
+
+  /**
+   * Sort plugins so that each one comes after the plugins it depends on
+   * Plugins keep their relative order otherwise.
+   * @param {Array<Object>} plugins - Plugin objects with their manifest
+   * @returns {Object} { sorted, cyclic } where cyclic lists plugins in a dependency cycle
+   */
+  sortByDependencies(plugins) {
+    const byId = _.keyBy(plugins, 'id')
+    const state = {}
+    const sorted = []
+    const cyclic = new Set()
+
+    const visit = (plugin, stack) => {
+      if (state[plugin.id] === 'done') {
+        return
+      }
+      if (state[plugin.id] === 'visiting') {
+        for (const id of stack.slice(stack.indexOf(plugin.id))) {
+          cyclic.add(id)
+        }
+        return
+      }
+
+      state[plugin.id] = 'visiting'
+      stack.push(plugin.id)
+      for (const dep of this.getDeclared(plugin.manifest)) {
+        if (byId[dep.pluginId]) {
+          visit(byId[dep.pluginId], stack)
+        }
+      }
+      stack.pop()
+      state[plugin.id] = 'done'
+      sorted.push(plugin)
+    }
+
+    for (const plugin of plugins) {
+      visit(plugin, [])
+    }
+
+    return {
+      sorted: sorted.filter(p => !cyclic.has(p.id)),
+      cyclic: sorted.filter(p => cyclic.has(p.id))
+    }
+  }
+}
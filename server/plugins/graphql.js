@@ -0,0 +1,57 @@
+const { parse } = require('graphql')
+const _ = require('lodash')
+
+/**
+ * Plugin GraphQL Module
+ * Plugins extend the root types in graphql/schema.graphql and resolve the added fields
+ * in graphql/resolvers.js, which runs in the plugin sandbox:
+ *
+ *   extend type Query {
+ *     approvalStats: ApprovalStats
+ *   }
+ *
+ * The main process only registers a resolver forwarding each added field to the sandbox.
+ * Fields of other types use the default resolvers on the returned data.
+ */
+
+const ROOT_TYPES = ['Query', 'Mutation']
+
+module.exports = {
+  /**
+   * Get the fields a plugin schema adds to the root types
+   * @param {string} schema - Plugin GraphQL schema
+   * @returns {Object} Field names by root type, e.g. { Query: ['approvalStats'] }
+   */
+  getRootFields(schema) {
+    const fields = {}
+    for (const definition of parse(schema).definitions) {
+      if (definition.kind === 'ObjectTypeExtension' && ROOT_TYPES.includes(definition.name.value)) {
+        const typeName = definition.name.value
+        fields[typeName] = _.union(fields[typeName], _.map(definition.fields, 'name.value'))
+      }
+    }
+    return fields
+  },
+
+  /**
+   * Build the resolvers forwarding the root fields of a plugin schema to its sandbox
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} rootFields - Field names by root type, from getRootFields()
+   * @returns {Object} Resolvers by root type
+   */
+  createResolvers(pluginId, rootFields) {
+    return _.mapValues(rootFields, (fieldNames, typeName) => _.fromPairs(_.map(fieldNames, fieldName => [
+      fieldName,
+      async (parent, args, context) => {
+        const sandbox = WIKI.plugins.runtime.getSandbox(pluginId)
+        if (!sandbox) {
+          throw new Error(`Plugin ${pluginId} is not running`)
+        }
+        const user = _.get(context, 'req.user')
+        return sandbox.resolve(typeName, fieldName, parent, args, {
+          user: (user && user.id !== 2) ? WIKI.models.users.getHookData(user) : null
+        })
+      }
+    ])))
+  }
+}
@@ -5,6 +5,7 @@ const yaml = require('js-yaml')
 const { Validator } = require('jsonschema')
 const semver = require('semver')
 const security = require('./security')
+const dependencies = require('./dependencies')
 
 /**
  * Plugin Loader Module
@@ -70,6 +71,14 @@ const MANIFEST_SCHEMA = {
       type: 'array',
       items: { type: 'string' }
     },
+    dependencies: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    optionalDependencies: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
     config: {
       type: 'object',
       properties: {
@@ -139,6 +148,33 @@ module.exports = {
     }
   },
 
+  /**
+   * Read plugin manifest from ZIP file without extracting it
+   * @param {string} zipPath - Absolute path to ZIP file
+   * @returns {Object} Parsed manifest object
+   */
+  readManifestFromZip(zipPath) {
+    const zip = new AdmZip(zipPath)
+
+    // Find manifest file
+    const manifestEntry = zip.getEntries().find(e =>
+      e.entryName.endsWith('plugin.yml') || e.entryName.endsWith('plugin.json')
+    )
+
+    if (!manifestEntry) {
+      throw new Error('No plugin.yml or plugin.json found in ZIP file')
+    }
+
+    const manifestContent = manifestEntry.getData().toString('utf8')
+    const manifest = manifestEntry.entryName.endsWith('.yml') ? yaml.load(manifestContent) : JSON.parse(manifestContent)
+
+    if (!manifest || !manifest.id) {
+      throw new Error('Plugin manifest does not contain an id field')
+    }
+
+    return manifest
+  },
+
   /**
    * Load plugin manifest from directory
    * @param {string} pluginPath - Absolute path to plugin directory
@@ -206,6 +242,9 @@ module.exports = {
       security.validateManifestPermissions(manifest.permissions)
     }
 
+    // Validate dependencies on other plugins
+    dependencies.validateManifest(manifest)
+
     return true
   },
 
@@ -2,9 +2,13 @@ const fs = require('fs-extra')
 const path = require('path')
 const { exec } = require('child_process')
 const util = require('util')
+const _ = require('lodash')
+const semver = require('semver')
 const loader = require('./loader')
 const runtime = require('./runtime')
 const hooks = require('./hooks')
+const security = require('./security')
+const dependencies = require('./dependencies')
 
 const execAsync = util.promisify(exec)
 
@@ -26,39 +30,14 @@ module.exports = {
     try {
       WIKI.logger.info(`[Plugin Manager] Installing plugin from ${zipPath}`)
 
-      // Read ZIP to get plugin ID from manifest
-      const AdmZip = require('adm-zip')
-      const zip = new AdmZip(zipPath)
-      const entries = zip.getEntries()
-
-      // Find manifest file
-      const manifestEntry = entries.find(e =>
-        e.entryName.endsWith('plugin.yml') || e.entryName.endsWith('plugin.json')
-      )
-
-      if (!manifestEntry) {
-        throw new Error('No plugin.yml or plugin.json found in ZIP file')
-      }
-
-      // Parse manifest to get ID
-      const manifestContent = manifestEntry.getData().toString('utf8')
-      if (manifestEntry.entryName.endsWith('.yml')) {
-        const yaml = require('js-yaml')
-        manifest = yaml.load(manifestContent)
-      } else {
-        manifest = JSON.parse(manifestContent)
-      }
-
+      // Read manifest from ZIP to get plugin ID
+      manifest = loader.readManifestFromZip(zipPath)
       pluginId = manifest.id
 
-      if (!pluginId) {
-        throw new Error('Plugin manifest does not contain an id field')
-      }
-
       // Check if plugin already installed
       const existing = await WIKI.models.plugins.query().findById(pluginId)
       if (existing) {
-        throw new Error(`Plugin ${pluginId} is already installed. Please uninstall it first.`)
+        throw new Error(`Plugin ${pluginId} is already installed. Upload the new version to upgrade it.`)
       }
 
       // Extract plugin
@@ -70,22 +49,10 @@ module.exports = {
       const installPath = path.join(WIKI.ROOTPATH, 'plugins', 'installed', pluginId)
 
       // Install npm dependencies if package.json exists
-      const pkgPath = path.join(installPath, 'package.json')
-      if (await fs.pathExists(pkgPath)) {
-        WIKI.logger.info(`[Plugin Manager] Installing dependencies for ${pluginId}`)
-        try {
-          await execAsync('yarn install --production', {
-            cwd: installPath,
-            timeout: 300000 // 5 minutes
-          })
-        } catch (err) {
-          WIKI.logger.warn(`[Plugin Manager] Failed to install dependencies: ${err.message}`)
-          // Continue anyway, dependencies might not be critical
-        }
-      }
+      await this.installDependencies(pluginId, installPath)
 
       // Run migrations
-      await this.runMigrations(pluginId, installPath)
+      await this.runMigrations(pluginId, installPath, manifest.permissions)
 
       // Initialize config with defaults from schema
       const defaultConfig = loader.initializeConfigDefaults(manifest)
@@ -124,6 +91,9 @@ module.exports = {
         await WIKI.models.pluginPermissions.query().insert(permissionRecords)
       }
 
+      // Track dependencies on other plugins
+      await dependencies.syncRecords(pluginId, manifest)
+
       WIKI.logger.info(`[Plugin Manager] Successfully installed plugin ${pluginId}`)
 
       return manifest
@@ -179,6 +149,9 @@ module.exports = {
       const loader = require('./loader')
       const manifest = await loader.loadManifest(plugin.installPath)
 
+      // Required plugins must be enabled first
+      await dependencies.enforceDependencies(pluginId, manifest)
+
       // Check if plugin requires restart (GraphQL, Vue components, etc.)
       const restartCheck = await this.requiresRestart(plugin.installPath, manifest)
 
@@ -202,31 +175,7 @@ module.exports = {
       // If no restart required, load plugin immediately
       if (!restartCheck.requiresRestart) {
         const updatedPlugin = await WIKI.models.plugins.query().findById(pluginId)
-        await runtime.loadPlugin(updatedPlugin)
-
-        // Discover and register database models
-        if (WIKI.plugins.modelLoader) {
-          const models = await WIKI.plugins.modelLoader.discoverModels(pluginId, updatedPlugin.installPath)
-          if (models.size > 0) {
-            WIKI.plugins.modelLoader.registerPluginModels(pluginId, models, WIKI.models.knex)
-          }
-        }
-
-        // Discover and register API routes
-        if (WIKI.plugins.routeLoader && WIKI.app) {
-          const router = await WIKI.plugins.routeLoader.discoverRoutes(pluginId, updatedPlugin.installPath)
-          if (router) {
-            WIKI.plugins.routeLoader.registerPluginRoutes(WIKI.app, pluginId, router, updatedPlugin)
-          }
-        }
-
-        // Register hooks
-        await hooks.registerPluginHooks(updatedPlugin)
-
-        // Call activated lifecycle hook
-        if (updatedPlugin.instance && typeof updatedPlugin.instance.activated === 'function') {
-          await runtime.executePlugin(updatedPlugin, 'activated')
-        }
+        await this.startPlugin(updatedPlugin)
 
         // Update status
         await WIKI.models.plugins.query()
@@ -291,6 +240,12 @@ module.exports = {
         throw new Error(`Plugin ${pluginId} is not enabled`)
       }
 
+      // Plugins requiring this one must be deactivated first
+      const dependents = await dependencies.getDependents(pluginId)
+      if (dependents.length > 0) {
+        throw new Error(`Cannot deactivate ${pluginId}: required by ${_.map(dependents, 'pluginId').join(', ')}. Deactivate them first.`)
+      }
+
       // Load manifest to check features
       const loader = require('./loader')
       const manifest = await loader.loadManifest(plugin.installPath)
@@ -299,22 +254,13 @@ module.exports = {
       const restartCheck = await this.requiresRestart(plugin.installPath, manifest)
 
       // Call deactivated lifecycle hook if plugin is loaded
+      plugin.instance = runtime.getPluginInstance(pluginId)
       if (plugin.instance && typeof plugin.instance.deactivated === 'function') {
         await runtime.executePlugin(plugin, 'deactivated')
       }
 
-      // Unregister hooks
-      hooks.unregisterPluginHooks(pluginId)
-
-      // Unregister API routes
-      if (WIKI.plugins.routeLoader && WIKI.app) {
-        WIKI.plugins.routeLoader.unregisterPluginRoutes(WIKI.app, pluginId)
-      }
-
-      // Unregister database models
-      if (WIKI.plugins.modelLoader) {
-        WIKI.plugins.modelLoader.unregisterPluginModels(pluginId)
-      }
+      // Unregister hooks, routes and models, and stop plugin worker
+      await this.stopPlugin(plugin)
 
       // Update database
       await WIKI.models.plugins.query()
@@ -384,6 +330,7 @@ module.exports = {
 
       // Delete from database (cascade will handle related tables)
       await WIKI.models.plugins.query().deleteById(pluginId)
+      await WIKI.models.pluginDependencies.query().delete().where('pluginId', pluginId)
 
       // Remove files from disk
       if (plugin.installPath && await fs.pathExists(plugin.installPath)) {
@@ -400,17 +347,401 @@ module.exports = {
   },
 
   /**
-   * Run plugin database migrations
+   * Stage an upgrade of an installed plugin from ZIP file
+   * The ZIP is kept until the upgrade is applied or cancelled, so permission
+   * changes can be reviewed by an administrator first.
+   * @param {string} zipPath - Absolute path to ZIP file
+   * @returns {Object} Upgrade plan
+   */
+  async prepareUpgrade(zipPath) {
+    const manifest = loader.readManifestFromZip(zipPath)
+    const pluginId = manifest.id
+
+    const plugin = await WIKI.models.plugins.query().findById(pluginId)
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} not found`)
+    }
+
+    await this.validateUpgrade(plugin, manifest)
+
+    const stagedPath = this.getStagedUpgradePath(pluginId)
+    await fs.move(zipPath, stagedPath, { overwrite: true })
+
+    WIKI.logger.info(`[Plugin Manager] Staged upgrade of plugin ${pluginId} from ${plugin.version} to ${manifest.version}`)
+
+    const diff = security.diffPermissions(plugin.permissions, manifest.permissions)
+    const describe = permission => ({
+      permission,
+      description: security.PERMISSIONS[permission] || permission
+    })
+
+    return {
+      pluginId,
+      name: manifest.name,
+      fromVersion: plugin.version,
+      toVersion: manifest.version,
+      compatibility: manifest.compatibility || null,
+      addedPermissions: diff.added.map(describe),
+      removedPermissions: diff.removed.map(describe),
+      requiresApproval: diff.added.length > 0
+    }
+  },
+
+  /**
+   * Upgrade an installed plugin to the staged version
+   * Rolls back to the previous version if any step fails.
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} options - Upgrade options
+   * @param {Array<string>} options.approvedPermissions - Newly requested permissions approved by the administrator
+   * @returns {Object} { fromVersion, toVersion, requiresRestart, reasons }
+   */
+  async upgradePlugin(pluginId, { approvedPermissions = [] } = {}) {
+    const zipPath = this.getStagedUpgradePath(pluginId)
+    if (!await fs.pathExists(zipPath)) {
+      throw new Error(`No pending upgrade for plugin ${pluginId}. Upload the new version first.`)
+    }
+
+    const plugin = await WIKI.models.plugins.query().findById(pluginId)
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} not found`)
+    }
+
+    const manifest = loader.readManifestFromZip(zipPath)
+    await this.validateUpgrade(plugin, manifest)
+
+    // New permissions must be granted explicitly
+    const { added } = security.diffPermissions(plugin.permissions, manifest.permissions)
+    const unapproved = _.difference(added, approvedPermissions || [])
+    if (unapproved.length > 0) {
+      throw new Error(`New permissions must be approved before upgrading ${pluginId}: ${unapproved.join(', ')}`)
+    }
+
+    WIKI.logger.info(`[Plugin Manager] Upgrading plugin ${pluginId} from ${plugin.version} to ${manifest.version}`)
+
+    const installPath = plugin.installPath || path.join(WIKI.ROOTPATH, 'plugins', 'installed', pluginId)
+    const backupPath = path.join(WIKI.ROOTPATH, 'plugins', 'backup', pluginId)
+    const upgrade = {
+      previous: plugin,
+      backupPath,
+      executedMigrations: [],
+      wasEnabled: plugin.isEnabled
+    }
+    let restartCheck = { requiresRestart: false, reasons: [] }
+
+    try {
+      if (upgrade.wasEnabled) {
+        await this.stopPlugin(plugin)
+      }
+
+      // Keep previous version files for rollback
+      await fs.remove(backupPath)
+      await fs.ensureDir(path.dirname(backupPath))
+      await fs.move(installPath, backupPath)
+
+      // Extract new version
+      const newManifest = await loader.extractPlugin(zipPath, pluginId)
+      await this.installDependencies(pluginId, installPath)
+
+      // Run pending migrations
+      upgrade.executedMigrations = await this.runMigrations(pluginId, installPath, newManifest.permissions)
+
+      // Keep existing config, only adding defaults of new settings
+      const config = _.defaults({}, plugin.config, loader.initializeConfigDefaults(newManifest))
+
+      await WIKI.models.plugins.query()
+        .patch({
+          name: newManifest.name,
+          version: newManifest.version,
+          description: newManifest.description || '',
+          author: newManifest.author || null,
+          license: newManifest.license || 'UNLICENSED',
+          repository: newManifest.repository || null,
+          homepage: newManifest.homepage || '',
+          keywords: newManifest.keywords || [],
+          compatibility: newManifest.compatibility || null,
+          config,
+          manifest: newManifest,
+          permissions: newManifest.permissions || [],
+          installPath,
+          updatedAt: new Date().toISOString()
+        })
+        .where('id', pluginId)
+      await this.replacePermissions(pluginId, newManifest.permissions)
+      await dependencies.syncRecords(pluginId, newManifest)
+
+      if (upgrade.wasEnabled) {
+        // Start the server side of the new version right away, so a failing activation can be rolled back
+        const updatedPlugin = await WIKI.models.plugins.query().findById(pluginId)
+        await this.startPlugin(updatedPlugin)
+
+        restartCheck = await this.requiresRestart(installPath, newManifest)
+        await WIKI.models.plugins.query()
+          .patch({
+            status: 'active',
+            state: restartCheck.requiresRestart ? {
+              status: 'pending_restart',
+              message: 'Server restart required for changes to take effect',
+              reasons: restartCheck.reasons
+            } : { status: 'active', message: `Plugin upgraded to ${newManifest.version}` }
+          })
+          .where('id', pluginId)
+      }
+    } catch (err) {
+      WIKI.logger.error(`[Plugin Manager] Failed to upgrade plugin ${pluginId}: ${err.message}`)
+      await this.rollbackUpgrade(pluginId, upgrade, err)
+      throw new Error(`Upgrade of ${pluginId} to ${manifest.version} failed and was rolled back: ${err.message}`)
+    }
+
+    // Cleanup
+    await fs.remove(backupPath)
+    await fs.remove(zipPath)
+
+    WIKI.logger.info(`[Plugin Manager] Plugin ${pluginId} upgraded to ${manifest.version}`)
+
+    // Trigger automatic restart if needed
+    if (restartCheck.requiresRestart && WIKI.config.autoRestartOnPluginChange !== false) {
+      WIKI.logger.info(`[Plugin Manager] Triggering automatic restart for plugin ${pluginId}`)
+      setImmediate(async () => {
+        try {
+          await WIKI.servers.triggerRestart(3000) // 3 second delay
+        } catch (err) {
+          WIKI.logger.error(`[Plugin Manager] Auto restart failed: ${err.message}`)
+        }
+      })
+    }
+
+    return {
+      fromVersion: plugin.version,
+      toVersion: manifest.version,
+      requiresRestart: restartCheck.requiresRestart,
+      reasons: restartCheck.reasons
+    }
+  },
+
+  /**
+   * Restore the previous version of a plugin after a failed upgrade
+   * @param {string} pluginId - Plugin identifier
+   * @param {Object} upgrade - Upgrade state { previous, backupPath, executedMigrations, wasEnabled }
+   * @param {Error} err - Error that caused the rollback
+   */
+  async rollbackUpgrade(pluginId, upgrade, err) {
+    const { previous, backupPath, executedMigrations, wasEnabled } = upgrade
+    const installPath = previous.installPath || path.join(WIKI.ROOTPATH, 'plugins', 'installed', pluginId)
+
+    WIKI.logger.warn(`[Plugin Manager] Rolling back plugin ${pluginId} to ${previous.version}`)
+
+    try {
+      await this.stopPlugin({ ...previous, installPath })
+    } catch (stopErr) {
+      WIKI.logger.warn(`[Plugin Manager] Failed to stop plugin ${pluginId}: ${stopErr.message}`)
+    }
+
+    // Revert migrations with the new version's files, before they are removed
+    if (executedMigrations.length > 0) {
+      try {
+        await this.revertMigrations(pluginId, installPath, executedMigrations)
+      } catch (revertErr) {
+        WIKI.logger.error(`[Plugin Manager] Failed to revert migrations of ${pluginId}: ${revertErr.message}`)
+      }
+    }
+
+    // Restore previous version files
+    if (await fs.pathExists(backupPath)) {
+      await fs.remove(installPath)
+      await fs.move(backupPath, installPath)
+    }
+
+    // Restore database record
+    await WIKI.models.plugins.query()
+      .patch({
+        ..._.pick(previous, [
+          'name', 'version', 'description', 'author', 'license', 'repository', 'homepage',
+          'keywords', 'compatibility', 'config', 'manifest', 'permissions', 'status', 'state'
+        ]),
+        installPath,
+        updatedAt: new Date().toISOString()
+      })
+      .where('id', pluginId)
+    await this.replacePermissions(pluginId, previous.permissions)
+    await dependencies.syncRecords(pluginId, previous.manifest)
+
+    if (wasEnabled) {
+      try {
+        await this.startPlugin(await WIKI.models.plugins.query().findById(pluginId))
+      } catch (startErr) {
+        WIKI.logger.error(`[Plugin Manager] Failed to restart plugin ${pluginId} after rollback: ${startErr.message}`)
+        await WIKI.models.plugins.query()
+          .patch({
+            status: 'error',
+            state: { status: 'error', message: startErr.message }
+          })
+          .where('id', pluginId)
+      }
+    }
+
+    await runtime.logPluginError(pluginId, 'upgrade_error', err)
+  },
+
+  /**
+   * Discard a staged plugin upgrade
+   * @param {string} pluginId - Plugin identifier
+   */
+  async cancelUpgrade(pluginId) {
+    const zipPath = this.getStagedUpgradePath(pluginId)
+    if (!await fs.pathExists(zipPath)) {
+      throw new Error(`No pending upgrade for plugin ${pluginId}`)
+    }
+    await fs.remove(zipPath)
+    WIKI.logger.info(`[Plugin Manager] Cancelled upgrade of plugin ${pluginId}`)
+  },
+
+  /**
+   * Check that a manifest is a valid upgrade of an installed plugin
+   * @param {Object} plugin - Plugin object from database
+   * @param {Object} manifest - Manifest of the new version
+   * @throws {Error} If the new version cannot replace the installed one
+   */
+  async validateUpgrade(plugin, manifest) {
+    await loader.validateManifest(manifest)
+
+    if (!semver.gt(manifest.version, plugin.version)) {
+      throw new Error(`Plugin ${plugin.id} ${manifest.version} is not newer than the installed version ${plugin.version}`)
+    }
+
+    // Enabled plugins requiring this one must accept the new version
+    const dependents = await dependencies.getDependents(plugin.id)
+    const broken = dependents.filter(dep => !dependencies.isSatisfied(dep, manifest.version))
+    if (broken.length > 0) {
+      throw new Error(`Plugin ${plugin.id} ${manifest.version} does not satisfy the version required by ${broken.map(dep => `${dep.pluginId} (${dep.versionRange})`).join(', ')}`)
+    }
+
+    if (plugin.isEnabled) {
+      await dependencies.enforceDependencies(plugin.id, manifest)
+    }
+  },
+
+  /**
+   * Get the path of the staged upgrade ZIP of a plugin
+   * @param {string} pluginId - Plugin identifier
+   * @returns {string} Absolute path to ZIP file
+   */
+  getStagedUpgradePath(pluginId) {
+    return path.join(WIKI.ROOTPATH, 'data', 'plugin-upgrades', `${pluginId}.zip`)
+  },
+
+  /**
+   * Replace the permission tracking records of a plugin
+   * @param {string} pluginId - Plugin identifier
+   * @param {Array<string>} permissions - Granted permissions
+   */
+  async replacePermissions(pluginId, permissions) {
+    await WIKI.models.pluginPermissions.query().delete().where('pluginId', pluginId)
+    if (permissions && permissions.length > 0) {
+      await WIKI.models.pluginPermissions.query().insert(permissions.map(permission => ({
+        pluginId,
+        permission,
+        grantedAt: new Date().toISOString()
+      })))
+    }
+  },
+
+  /**
+   * Install npm dependencies of a plugin if it has a package.json
+   * @param {string} pluginId - Plugin identifier
+   * @param {string} pluginPath - Absolute path to plugin directory
+   */
+  async installDependencies(pluginId, pluginPath) {
+    const pkgPath = path.join(pluginPath, 'package.json')
+    if (!await fs.pathExists(pkgPath)) {
+      return
+    }
+
+    WIKI.logger.info(`[Plugin Manager] Installing dependencies for ${pluginId}`)
+    try {
+      await execAsync('yarn install --production', {
+        cwd: pluginPath,
+        timeout: 300000 // 5 minutes
+      })
+    } catch (err) {
+      WIKI.logger.warn(`[Plugin Manager] Failed to install dependencies: ${err.message}`)
+      // Continue anyway, dependencies might not be critical
+    }
+  },
+
+  /**
+   * Load a plugin and register its models, routes and hooks
+   * @param {Object} plugin - Plugin object from database
+   */
+  async startPlugin(plugin) {
+    await runtime.loadPlugin(plugin)
+
+    // Discover and register database models, which run in the main process
+    if (WIKI.plugins.modelLoader && security.checkPermission(plugin, 'database:core')) {
+      const models = await WIKI.plugins.modelLoader.discoverModels(plugin.id, plugin.installPath)
+      if (models.size > 0) {
+        WIKI.plugins.modelLoader.registerPluginModels(plugin.id, models, WIKI.models.knex)
+      }
+    }
+
+    // Discover and register API routes
+    if (WIKI.plugins.routeLoader && WIKI.pluginRouter) {
+      await this.loadPluginRoutes(plugin)
+    }
+
+    // Register hooks
+    await hooks.registerPluginHooks(plugin)
+
+    // Call activated lifecycle hook
+    if (plugin.instance && typeof plugin.instance.activated === 'function') {
+      await runtime.executePlugin(plugin, 'activated')
+    }
+  },
+
+  /**
+   * Unregister the hooks, routes and models of a plugin and stop its worker
+   * @param {Object} plugin - Plugin object from database
+   */
+  async stopPlugin(plugin) {
+    hooks.unregisterPluginHooks(plugin.id)
+
+    await runtime.unloadPlugin(plugin.id)
+
+    if (WIKI.plugins.routeLoader && WIKI.pluginRouter) {
+      WIKI.plugins.routeLoader.unregisterPluginRoutes(WIKI.pluginRouter, plugin.id)
+    }
+
+    if (WIKI.plugins.modelLoader) {
+      WIKI.plugins.modelLoader.unregisterPluginModels(plugin.id)
+    }
+
+    // Forget cached modules, so a new version of the files is loaded next time
+    if (plugin.installPath) {
+      const prefix = path.resolve(plugin.installPath) + path.sep
+      for (const modulePath of Object.keys(require.cache)) {
+        if (modulePath.startsWith(prefix)) {
+          delete require.cache[modulePath]
+        }
+      }
+    }
+  },
+
+  /**
+   * Run pending plugin database migrations
+   * All pending migrations run in a single transaction, so a failing migration leaves no partial changes
+   * (except on MySQL / MariaDB, where schema changes are committed implicitly).
+   * Migrations run in the main process with the wiki database connection, so they require database:core.
    * @param {string} pluginId - Plugin identifier
    * @param {string} pluginPath - Absolute path to plugin directory
+   * @param {Array<string>} permissions - Permissions granted to the plugin
+   * @returns {Array<string>} Names of the executed migrations
    */
-  async runMigrations(pluginId, pluginPath) {
+  async runMigrations(pluginId, pluginPath, permissions = []) {
     const migrationsDir = path.join(pluginPath, 'migrations')
 
     // Check if migrations directory exists
     if (!await fs.pathExists(migrationsDir)) {
       WIKI.logger.debug(`[Plugin Manager] No migrations found for plugin ${pluginId}`)
-      return
+      return []
     }
 
     // Read migration files
@@ -420,51 +751,92 @@ module.exports = {
       .sort() // Execute in order
 
     if (migrationFiles.length === 0) {
-      return
+      return []
     }
 
-    WIKI.logger.info(`[Plugin Manager] Running ${migrationFiles.length} migrations for plugin ${pluginId}`)
-
     // Get executed migrations from database
     const executed = await WIKI.models.pluginMigrations.query()
       .where('pluginId', pluginId)
       .select('migrationName')
 
     const executedNames = new Set(executed.map(m => m.migrationName))
+    const pending = migrationFiles.filter(file => !executedNames.has(file))
+
+    if (pending.length === 0) {
+      WIKI.logger.debug(`[Plugin Manager] No pending migrations for plugin ${pluginId}`)
+      return []
+    }
+
+    if (!_.includes(permissions, 'database:core')) {
+      throw new Error(`Plugin ${pluginId} requires the database:core permission to run migrations`)
+    }
+
+    WIKI.logger.info(`[Plugin Manager] Running ${pending.length} migrations for plugin ${pluginId}`)
+
+    await WIKI.models.knex.transaction(async trx => {
+      for (const file of pending) {
+        try {
+          WIKI.logger.info(`[Plugin Manager] Running migration ${file} for plugin ${pluginId}`)
+
+          const migrationPath = path.join(migrationsDir, file)
+          delete require.cache[migrationPath]
+          const migration = require(migrationPath)
+
+          // Execute migration up
+          if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${file} does not export an 'up' function`)
+          }
+
+          await migration.up(trx)
+
+          // Record migration
+          await WIKI.models.pluginMigrations.query(trx).insert({
+            pluginId,
+            migrationName: file,
+            executedAt: new Date().toISOString()
+          })
 
-    // Run pending migrations
-    for (const file of migrationFiles) {
-      if (executedNames.has(file)) {
-        WIKI.logger.debug(`[Plugin Manager] Skipping already executed migration: ${file}`)
-        continue
+          WIKI.logger.info(`[Plugin Manager] Successfully executed migration ${file}`)
+        } catch (err) {
+          WIKI.logger.error(`[Plugin Manager] Migration ${file} failed: ${err.message}`)
+          throw new Error(`Migration ${file} failed: ${err.message}`)
+        }
       }
+    })
 
-      try {
-        WIKI.logger.info(`[Plugin Manager] Running migration ${file} for plugin ${pluginId}`)
+    return pending
+  },
 
+  /**
+   * Revert plugin database migrations, in reverse order
+   * @param {string} pluginId - Plugin identifier
+   * @param {string} pluginPath - Absolute path to plugin directory
+   * @param {Array<string>} migrationNames - Names of the migrations to revert
+   */
+  async revertMigrations(pluginId, pluginPath, migrationNames) {
+    const migrationsDir = path.join(pluginPath, 'migrations')
+
+    WIKI.logger.info(`[Plugin Manager] Reverting ${migrationNames.length} migrations for plugin ${pluginId}`)
+
+    await WIKI.models.knex.transaction(async trx => {
+      for (const file of [...migrationNames].reverse()) {
         const migrationPath = path.join(migrationsDir, file)
+        delete require.cache[migrationPath]
         const migration = require(migrationPath)
 
-        // Execute migration up
-        if (typeof migration.up !== 'function') {
-          throw new Error(`Migration ${file} does not export an 'up' function`)
+        if (typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} does not export a 'down' function`)
         }
 
-        await migration.up(WIKI.models.knex)
+        await migration.down(trx)
 
-        // Record migration
-        await WIKI.models.pluginMigrations.query().insert({
-          pluginId,
-          migrationName: file,
-          executedAt: new Date().toISOString()
-        })
+        await WIKI.models.pluginMigrations.query(trx)
+          .delete()
+          .where({ pluginId, migrationName: file })
 
-        WIKI.logger.info(`[Plugin Manager] Successfully executed migration ${file}`)
-      } catch (err) {
-        WIKI.logger.error(`[Plugin Manager] Migration ${file} failed: ${err.message}`)
-        throw new Error(`Migration ${file} failed: ${err.message}`)
+        WIKI.logger.info(`[Plugin Manager] Reverted migration ${file}`)
       }
-    }
+    })
   },
 
   /**
@@ -605,118 +977,26 @@ module.exports = {
 
   /**
    * Discover and register API routes for a plugin
+   * Routes run in the plugin sandbox and require the api:extend permission.
    * @param {Object} plugin - Plugin record from database
    * @returns {Promise<Object>} Route registration result
    */
   async loadPluginRoutes(plugin) {
-    const pluginDiskPath = path.join(WIKI.ROOTPATH, 'plugins', 'installed', plugin.id)
-    const routesPath = path.join(pluginDiskPath, 'server', 'routes', 'index.js')
-
-    // Check if routes file exists
-    if (!await fs.pathExists(routesPath)) {
-      WIKI.logger.debug(`[PLUGIN ${plugin.id}] No API routes found`)
+    const routeLoader = WIKI.plugins.routeLoader
+    if (!await routeLoader.discoverRoutes(plugin)) {
       return { registered: 0, routes: [] }
     }
 
-    try {
-      // Clear require cache for HMR support
-      delete require.cache[require.resolve(routesPath)]
-
-      // Load route module
-      const routes = require(routesPath)
-
-      // Validate route module exports a router
-      if (typeof routes !== 'function' && (!routes.router || typeof routes.router !== 'function')) {
-        throw new Error('Route module must export Express router or middleware function')
-      }
-
-      // Create middleware to inject plugin context
-      const pluginContextMiddleware = (req, res, next) => {
-        try {
-          // Inject plugin context into request
-          const pluginModels = WIKI.plugins.modelLoader ? WIKI.plugins.modelLoader.getPluginModelsObject(plugin.id) : {}
-
-          // Debug: Log if models are missing when expected
-          if (Object.keys(pluginModels).length === 0) {
-            const hasDbPermission = plugin.permissions && (
-              plugin.permissions.includes('database:read') ||
-              plugin.permissions.includes('database:write')
-            )
-            if (hasDbPermission) {
-              WIKI.logger.warn(`[PLUGIN ${plugin.id}] No models registered but plugin has database permissions`)
-            }
-          }
-
-          req.pluginContext = {
-            logger: WIKI.logger,
-            config: plugin.config || {},
-            db: {
-              knex: WIKI.models.knex,
-              pluginModels
-            },
-            plugin: {
-              id: plugin.id,
-              version: plugin.version,
-              path: pluginDiskPath
-            },
-            WIKI: {
-              models: WIKI.models
-            }
-          }
-          WIKI.logger.info(`[PLUGIN ${plugin.id}] Context middleware executed for ${req.method} ${req.path}`)
-          next()
-        } catch (err) {
-          WIKI.logger.error(`[PLUGIN ${plugin.id}] Context middleware error: ${err.message}`)
-          next(err)
-        }
-      }
-
-      // Register routes with the pluginRouter (not the app directly)
-      const router = routes.router || routes
-      const fullPath = `/api/plugin/${plugin.id}`
-
-      if (!WIKI.pluginRouter) {
-        WIKI.logger.error(`[PLUGIN ${plugin.id}] Plugin router not available - routes cannot be registered`)
-        throw new Error('Plugin router not initialized. Ensure master.js has created WIKI.pluginRouter')
-      }
-
-      // Create a wrapper middleware that includes context + router
-      const combinedMiddleware = (req, res, next) => {
-        pluginContextMiddleware(req, res, (err) => {
-          if (err) return next(err)
-          router(req, res, next)
-        })
-      }
-
-      // Add the route to pluginRouter (which is already mounted at /api/plugin in master.js)
-      // Use relative path: /${plugin.id} instead of absolute path /api/plugin/${plugin.id}
-      WIKI.pluginRouter.use(`/${plugin.id}`, combinedMiddleware)
-
-      WIKI.logger.info(`[PLUGIN ${plugin.id}] Registered API routes at ${fullPath}`)
-      WIKI.logger.info(`[PLUGIN ${plugin.id}] DEBUG: pluginRouter stack layers: ${WIKI.pluginRouter.stack.length}`)
+    if (!WIKI.pluginRouter) {
+      WIKI.logger.error(`[PLUGIN ${plugin.id}] Plugin router not available - routes cannot be registered`)
+      throw new Error('Plugin router not initialized. Ensure master.js has created WIKI.pluginRouter')
+    }
 
-      // Log route details for debugging
-      WIKI.logger.info(`[PLUGIN ${plugin.id}] Full test URL: http://localhost:3000${fullPath}/stats`)
+    routeLoader.registerPluginRoutes(WIKI.pluginRouter, plugin)
 
-      // Debug: Log the routes in the plugin router
-      if (router.stack) {
-        WIKI.logger.info(`[PLUGIN ${plugin.id}] Routes defined in plugin:`)
-        router.stack.forEach((layer, idx) => {
-          if (layer.route) {
-            const methods = Object.keys(layer.route.methods).join(',').toUpperCase()
-            WIKI.logger.info(`  ${idx}: ${methods} ${fullPath}${layer.route.path}`)
-          }
-        })
-      }
-
-      return {
-        registered: 1,
-        routes: [{ basePath: fullPath }]
-      }
-    } catch (err) {
-      WIKI.logger.error(`[PLUGIN ${plugin.id}] Failed to load API routes: ${err.message}`)
-      WIKI.logger.error(`[PLUGIN ${plugin.id}] Stack trace:`, err.stack)
-      throw err
+    return {
+      registered: 1,
+      routes: [{ basePath: `/api/plugin/${plugin.id}` }]
     }
   }
 }
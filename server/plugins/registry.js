@@ -0,0 +1,426 @@
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const { URL, fileURLToPath } = require('url')
+const request = require('request-promise')
+const semver = require('semver')
+const _ = require('lodash')
+const loader = require('./loader')
+
+/**
+ * Plugin Registry Module
+ * Browses plugin registries and installs their packages
+ *
+ * A registry is an index JSON listing plugins and their versions, served over HTTP
+ * or read from a local directory (for air-gapped installs):
+ *
+ *   {
+ *     "name": "Example Registry",
+ *     "plugins": [{
+ *       "id": "hello-world",
+ *       "name": "Hello World",
+ *       "versions": [{
+ *         "version": "1.2.0",
+ *         "compatibility": { "wikijs": ">=2.5.0" },
+ *         "permissions": ["config:read"],
+ *         "download": "hello-world-1.2.0.zip",
+ *         "sha256": "<hex digest of the ZIP>",
+ *         "keyId": "<trusted key id>",
+ *         "signature": "<base64 signature of the ZIP>"
+ *       }]
+ *     }]
+ *   }
+ */
+
+const INDEX_CACHE_TTL = 5 * 60 * 1000 // 5 minutes
+const REQUEST_TIMEOUT = 30000
+
+const indexCache = new Map()
+
+module.exports = {
+  /**
+   * Get the registry settings
+   * @returns {Object} { registries, trustedKeys, requireSignature }
+   */
+  getConfig() {
+    return _.defaults({}, WIKI.config.pluginRegistry, {
+      registries: [],
+      trustedKeys: [],
+      requireSignature: true
+    })
+  },
+
+  /**
+   * Get enabled registries, in priority order
+   * @returns {Array<Object>} Registries { id, name, url }
+   */
+  getRegistries() {
+    return this.getConfig().registries.filter(r => r.isEnabled !== false && r.url)
+  },
+
+  /**
+   * Get a registry by ID
+   * @param {string} registryId - Registry identifier
+   * @returns {Object} Registry
+   */
+  getRegistry(registryId) {
+    const registry = _.find(this.getRegistries(), ['id', registryId])
+    if (!registry) {
+      throw new Error(`Plugin registry ${registryId} not found`)
+    }
+    return registry
+  },
+
+  /**
+   * Forget cached registry indexes
+   */
+  clearCache() {
+    indexCache.clear()
+  },
+
+  /**
+   * Resolve the location of a registry index or of a file it references
+   * @param {Object} registry - Registry
+   * @param {string} file - Relative path or URL of the file, or null for the index itself
+   * @returns {Object} { local: boolean, location: string }
+   */
+  resolveLocation(registry, file = null) {
+    let base = registry.url
+    if (base.startsWith('file://')) {
+      base = fileURLToPath(base)
+    }
+
+    if (/^https?:\/\//i.test(base)) {
+      const indexUrl = base.endsWith('.json') ? base : `${_.trimEnd(base, '/')}/index.json`
+      return { local: false, location: file ? new URL(file, indexUrl).href : indexUrl }
+    }
+
+    // Local directory, relative paths are resolved from the wiki root
+    const dir = path.resolve(WIKI.ROOTPATH, base.endsWith('.json') ? path.dirname(base) : base)
+    if (!file) {
+      return { local: true, location: base.endsWith('.json') ? path.resolve(WIKI.ROOTPATH, base) : path.join(dir, 'index.json') }
+    }
+    if (/^https?:\/\//i.test(file)) {
+      return { local: false, location: file }
+    }
+    const location = path.resolve(dir, file)
+    if (!location.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid package path in registry ${registry.id}: ${file}`)
+    }
+    return { local: true, location }
+  },
+
+  /**
+   * Read a file from a registry
+   * @param {Object} registry - Registry
+   * @param {string} file - Relative path or URL of the file, or null for the index itself
+   * @param {boolean} binary - Return a Buffer instead of parsed JSON
+   * @returns {Promise<Object|Buffer>} File contents
+   */
+  async fetchFile(registry, file, binary = false) {
+    const { local, location } = this.resolveLocation(registry, file)
+
+    if (local) {
+      return binary ? fs.readFile(location) : fs.readJson(location)
+    }
+
+    if (WIKI.config.offline) {
+      throw new Error(`Cannot reach plugin registry ${registry.name || registry.id} in offline mode`)
+    }
+
+    return request({
+      method: 'GET',
+      uri: location,
+      headers: {
+        'User-Agent': `Wiki.js/${WIKI.version}`
+      },
+      json: !binary,
+      encoding: binary ? null : undefined,
+      timeout: REQUEST_TIMEOUT
+    })
+  },
+
+  /**
+   * Get the plugins listed by a registry
+   * @param {Object} registry - Registry
+   * @param {boolean} refresh - Ignore the cached index
+   * @returns {Promise<Array<Object>>} Plugin entries, with versions sorted newest first
+   */
+  async fetchIndex(registry, refresh = false) {
+    const cached = indexCache.get(registry.id)
+    if (!refresh && cached && cached.url === registry.url && Date.now() - cached.fetchedAt < INDEX_CACHE_TTL) {
+      return cached.plugins
+    }
+
+    const index = await this.fetchFile(registry, null)
+    if (!index || !Array.isArray(index.plugins)) {
+      throw new Error(`Plugin registry ${registry.name || registry.id} returned an invalid index`)
+    }
+
+    const plugins = []
+    for (const entry of index.plugins) {
+      if (!_.isPlainObject(entry) || !_.isString(entry.id) || !Array.isArray(entry.versions)) {
+        WIKI.logger.warn(`[Plugin Registry] Skipping invalid entry in registry ${registry.id}`)
+        continue
+      }
+      const versions = entry.versions
+        .filter(v => _.isPlainObject(v) && semver.valid(v.version) && _.isString(v.download))
+        .sort((a, b) => semver.rcompare(a.version, b.version))
+      if (versions.length === 0) {
+        WIKI.logger.warn(`[Plugin Registry] Skipping ${entry.id} in registry ${registry.id}: no valid versions`)
+        continue
+      }
+      plugins.push({ ...entry, versions })
+    }
+
+    indexCache.set(registry.id, { url: registry.url, fetchedAt: Date.now(), plugins })
+    return plugins
+  },
+
+  /**
+   * Check if a plugin version can run on this wiki
+   * @param {Object} version - Version entry from a registry index
+   * @returns {boolean} True if compatible
+   */
+  isCompatible(version) {
+    const compatibility = version.compatibility || {}
+    if (compatibility.wikijs && !semver.satisfies(WIKI.version || '2.5.0', compatibility.wikijs)) {
+      return false
+    }
+    if (compatibility.node && !semver.satisfies(process.version, compatibility.node)) {
+      return false
+    }
+    return true
+  },
+
+  /**
+   * Build the listing of a registry plugin, compared with the installed version
+   * @param {Object} registry - Registry
+   * @param {Object} entry - Plugin entry from the registry index
+   * @param {Object} installed - Installed plugin record, if any
+   * @returns {Object} Registry plugin listing
+   */
+  describePlugin(registry, entry, installed) {
+    const versions = entry.versions.map(v => ({
+      version: v.version,
+      compatibility: v.compatibility || null,
+      permissions: v.permissions || [],
+      publishedAt: v.publishedAt || null,
+      notes: v.notes || null,
+      isCompatible: this.isCompatible(v),
+      isSigned: !!v.signature
+    }))
+    const compatible = _.find(versions, 'isCompatible')
+    const installedVersion = installed ? installed.version : null
+
+    return {
+      id: entry.id,
+      registryId: registry.id,
+      registryName: registry.name || registry.id,
+      name: entry.name || entry.id,
+      description: entry.description || '',
+      author: entry.author || null,
+      homepage: entry.homepage || null,
+      keywords: entry.keywords || [],
+      readme: entry.readme || null,
+      latestVersion: versions[0].version,
+      compatibleVersion: compatible ? compatible.version : null,
+      isCompatible: !!compatible,
+      permissions: (compatible || versions[0]).permissions,
+      installedVersion,
+      updateAvailable: !!(installedVersion && compatible && semver.valid(installedVersion) && semver.gt(compatible.version, installedVersion)),
+      versions
+    }
+  },
+
+  /**
+   * Search the plugins of all enabled registries
+   * A plugin listed by several registries is taken from the first one.
+   * @param {Object} options - Search options
+   * @param {string} options.query - Text to match in ID, name, description or keywords
+   * @param {boolean} options.compatibleOnly - Only list plugins with a version compatible with this wiki
+   * @param {boolean} options.refresh - Ignore cached indexes
+   * @returns {Promise<Array<Object>>} Registry plugin listings
+   */
+  async search({ query = '', compatibleOnly = false, refresh = false } = {}) {
+    const installed = _.keyBy(await WIKI.models.plugins.query().select('id', 'version'), 'id')
+    const terms = _.compact(_.toLower(query).split(/\s+/))
+    const results = new Map()
+
+    for (const registry of this.getRegistries()) {
+      let plugins = []
+      try {
+        plugins = await this.fetchIndex(registry, refresh)
+      } catch (err) {
+        WIKI.logger.warn(`[Plugin Registry] Failed to load registry ${registry.id}: ${err.message}`)
+        continue
+      }
+      for (const entry of plugins) {
+        if (results.has(entry.id)) {
+          continue
+        }
+        const haystack = _.toLower([entry.id, entry.name, entry.description, ...(entry.keywords || [])].join(' '))
+        if (!terms.every(term => haystack.includes(term))) {
+          continue
+        }
+        const listing = this.describePlugin(registry, entry, installed[entry.id])
+        if (compatibleOnly && !listing.isCompatible) {
+          continue
+        }
+        results.set(entry.id, listing)
+      }
+    }
+
+    return _.sortBy([...results.values()], [p => !p.updateAvailable, p => _.toLower(p.name)])
+  },
+
+  /**
+   * Get a plugin of a registry
+   * @param {string} registryId - Registry identifier
+   * @param {string} pluginId - Plugin identifier
+   * @returns {Promise<Object>} Registry plugin listing
+   */
+  async getPlugin(registryId, pluginId) {
+    const registry = this.getRegistry(registryId)
+    const entry = _.find(await this.fetchIndex(registry), ['id', pluginId])
+    if (!entry) {
+      throw new Error(`Plugin ${pluginId} not found in registry ${registry.name || registry.id}`)
+    }
+    const installed = await WIKI.models.plugins.query().findById(pluginId)
+    return this.describePlugin(registry, entry, installed)
+  },
+
+  /**
+   * Verify the checksum and signature of a package
+   * @param {Buffer} data - Package contents
+   * @param {Object} version - Version entry from the registry index
+   * @returns {Object} { signed, keyId }
+   * @throws {Error} If the package does not match its checksum or signature
+   */
+  verifyPackage(data, version) {
+    const config = this.getConfig()
+
+    if (version.sha256) {
+      const digest = crypto.createHash('sha256').update(data).digest('hex')
+      if (digest !== _.toLower(version.sha256)) {
+        throw new Error(`Package checksum mismatch for version ${version.version}`)
+      }
+    }
+
+    if (!version.signature) {
+      if (config.requireSignature) {
+        throw new Error(`Package of version ${version.version} is not signed`)
+      }
+      return { signed: false, keyId: null }
+    }
+
+    const key = _.find(config.trustedKeys, ['id', version.keyId])
+    if (!key) {
+      throw new Error(`Package of version ${version.version} is signed with an untrusted key: ${version.keyId || 'unknown'}`)
+    }
+
+    let isValid = false
+    try {
+      isValid = crypto.verify(null, data, key.publicKey, Buffer.from(version.signature, 'base64'))
+    } catch (err) {
+      throw new Error(`Failed to verify signature with key ${key.id}: ${err.message}`)
+    }
+    if (!isValid) {
+      throw new Error(`Invalid signature for version ${version.version} (key ${key.id})`)
+    }
+
+    return { signed: true, keyId: key.id }
+  },
+
+  /**
+   * Verify the signature of a manually uploaded package
+   * Uploads are held to the same trusted keys as registry packages
+   * @param {string} zipPath - Path to the uploaded ZIP
+   * @param {Object} opts - Detached signature sent along with the upload
+   * @param {string} opts.keyId - Trusted key identifier
+   * @param {string} opts.signature - Base64 signature of the ZIP
+   * @returns {Promise<Object>} { signed, keyId }
+   * @throws {Error} If the package is unsigned while signatures are required, or its signature is invalid
+   */
+  async verifyUpload(zipPath, { keyId = null, signature = null } = {}) {
+    const manifest = loader.readManifestFromZip(zipPath)
+    const data = await fs.readFile(zipPath)
+    return this.verifyPackage(data, {
+      version: manifest.version,
+      keyId: _.trim(keyId) || null,
+      signature: _.trim(signature) || null
+    })
+  },
+
+  /**
+   * Download and verify a plugin package
+   * @param {string} registryId - Registry identifier
+   * @param {string} pluginId - Plugin identifier
+   * @param {string} version - Version to download, or null for the newest compatible version
+   * @returns {Promise<Object>} { zipPath, version, signed, keyId }
+   */
+  async downloadPackage(registryId, pluginId, version = null) {
+    const registry = this.getRegistry(registryId)
+    const entry = _.find(await this.fetchIndex(registry), ['id', pluginId])
+    if (!entry) {
+      throw new Error(`Plugin ${pluginId} not found in registry ${registry.name || registry.id}`)
+    }
+
+    const release = version ?
+      _.find(entry.versions, ['version', version]) :
+      _.find(entry.versions, v => this.isCompatible(v))
+    if (!release) {
+      throw new Error(version ?
+        `Version ${version} of ${pluginId} not found in registry ${registry.name || registry.id}` :
+        `No version of ${pluginId} is compatible with Wiki.js ${WIKI.version}`)
+    }
+
+    WIKI.logger.info(`[Plugin Registry] Downloading ${pluginId} ${release.version} from registry ${registry.id}`)
+
+    const data = await this.fetchFile(registry, release.download, true)
+    const verification = this.verifyPackage(data, release)
+
+    const zipPath = path.join(WIKI.ROOTPATH, 'data', 'temp', `registry-${pluginId}-${release.version}-${crypto.randomBytes(4).toString('hex')}.zip`)
+    await fs.outputFile(zipPath, data)
+
+    // Package must contain the plugin the registry advertised
+    try {
+      const manifest = loader.readManifestFromZip(zipPath)
+      if (manifest.id !== pluginId || manifest.version !== release.version) {
+        throw new Error(`Package contains ${manifest.id} ${manifest.version} instead of ${pluginId} ${release.version}`)
+      }
+    } catch (err) {
+      await fs.remove(zipPath)
+      throw err
+    }
+
+    return { zipPath, version: release.version, ...verification }
+  },
+
+  /**
+   * Install a plugin from a registry, or stage its upgrade if it is already installed
+   * @param {string} registryId - Registry identifier
+   * @param {string} pluginId - Plugin identifier
+   * @param {string} version - Version to install, or null for the newest compatible version
+   * @returns {Promise<Object>} { manifest } after an install, or { upgrade } with the upgrade plan
+   */
+  async installPlugin(registryId, pluginId, version = null) {
+    const pkg = await this.downloadPackage(registryId, pluginId, version)
+
+    try {
+      const existing = await WIKI.models.plugins.query().findById(pluginId)
+      if (existing) {
+        // Staged ZIP is moved out of the temp folder
+        const upgrade = await WIKI.plugins.manager.prepareUpgrade(pkg.zipPath)
+        return { upgrade, ..._.omit(pkg, 'zipPath') }
+      }
+
+      const manifest = await WIKI.plugins.manager.installPlugin(pkg.zipPath)
+      await fs.remove(pkg.zipPath)
+      return { manifest, ..._.omit(pkg, 'zipPath') }
+    } catch (err) {
+      await fs.remove(pkg.zipPath)
+      throw err
+    }
+  }
+}
@@ -1,153 +1,167 @@
 const fs = require('fs-extra')
 const path = require('path')
 const express = require('express')
+const _ = require('lodash')
+const security = require('./security')
+
+// Request headers forwarded to the plugin, credentials stay in the main process
+const REQUEST_HEADERS = ['accept', 'accept-language', 'content-type', 'user-agent']
+
+// Response headers the plugin may set
+const RESPONSE_HEADERS = ['cache-control', 'content-disposition', 'content-type', 'etag', 'last-modified', 'location']
 
 /**
  * Plugin Route Loader
  *
  * Handles discovery and registration of Express routes from plugins.
- * Routes are mounted at /api/plugin/<pluginId>/*
+ * Routes are mounted at /api/plugin/<pluginId>/* and run in the plugin sandbox:
+ * the main process only forwards the request and sends back the response.
+ * Plugins need the api:extend permission for their routes to be loaded.
  */
 module.exports = class PluginRouteLoader {
   constructor() {
-    this.pluginRouters = new Map() // Map<pluginId, Router>
+    this.pluginRouters = new Map() // Map<pluginId, { namespace, handler }>
   }
 
   /**
    * Discover routes from plugin directory
    *
-   * @param {string} pluginId - Plugin identifier
-   * @param {string} pluginPath - Absolute path to plugin directory
-   * @returns {Promise<Router|null>} Express router or null
+   * @param {object} plugin - Plugin object from database
+   * @returns {Promise<boolean>} True if the plugin has routes it is allowed to register
    */
-  async discoverRoutes(pluginId, pluginPath) {
-    const routesPath = path.join(pluginPath, 'server', 'routes')
+  async discoverRoutes(plugin) {
+    const indexPath = path.join(plugin.installPath, 'server', 'routes', 'index.js')
 
-    if (!await fs.pathExists(routesPath)) {
-      WIKI.logger.debug(`No routes directory found for plugin ${pluginId}`)
-      return null
-    }
-
-    const indexPath = path.join(routesPath, 'index.js')
     if (!await fs.pathExists(indexPath)) {
-      WIKI.logger.warn(`Plugin ${pluginId} has routes directory but no index.js file`)
-      return null
+      WIKI.logger.debug(`No routes found for plugin ${plugin.id}`)
+      return false
     }
 
-    try {
-      // Load route module
-      const routeModule = require(indexPath)
-
-      // If module exports a router, use it
-      if (routeModule && typeof routeModule === 'object') {
-        WIKI.logger.debug(`Discovered routes for plugin ${pluginId}`)
-        return routeModule
-      }
-
-      WIKI.logger.warn(`Plugin ${pluginId} routes/index.js does not export a router`)
-      return null
-    } catch (err) {
-      WIKI.logger.error(`Failed to load routes for plugin ${pluginId}: ${err.message}`)
-      return null
+    if (!security.checkPermission(plugin, 'api:extend')) {
+      WIKI.logger.warn(`Plugin ${plugin.id} has routes but was not granted api:extend, routes are not loaded`)
+      return false
     }
+
+    WIKI.logger.debug(`Discovered routes for plugin ${plugin.id}`)
+    return true
   }
 
   /**
-   * Register plugin routes with Express app
+   * Register plugin routes with the plugin router
    *
-   * @param {object} app - Express app instance
-   * @param {string} pluginId - Plugin identifier
-   * @param {object} router - Express router
+   * @param {object} router - Express router mounted at /api/plugin
    * @param {object} plugin - Plugin object from database
    */
-  registerPluginRoutes(app, pluginId, router, plugin) {
-    if (this.pluginRouters.has(pluginId)) {
-      WIKI.logger.warn(`Plugin ${pluginId} routes already registered, skipping`)
+  registerPluginRoutes(router, plugin) {
+    if (!security.checkPermission(plugin, 'api:extend')) {
+      throw new Error(`Plugin ${plugin.id} does not have permission: api:extend`)
+    }
+    if (this.pluginRouters.has(plugin.id)) {
+      WIKI.logger.warn(`Plugin ${plugin.id} routes already registered, skipping`)
       return
     }
 
-    // Create a new router with plugin middleware
     const pluginRouter = express.Router()
 
-    // Add plugin context to requests
-    pluginRouter.use((req, res, next) => {
-      req.plugin = {
-        id: pluginId,
-        config: plugin.config || {},
-        permissions: plugin.permissions || []
+    // Forward requests to the plugin sandbox
+    pluginRouter.use(async (req, res, next) => {
+      const sandbox = WIKI.plugins.runtime.getSandbox(plugin.id)
+      if (!sandbox || !sandbox.routes) {
+        return res.status(503).json({
+          error: true,
+          message: `Plugin ${plugin.id} is not running`,
+          plugin: plugin.id
+        })
+      }
+
+      try {
+        const response = await sandbox.handleRoute(this.serializeRequest(req))
+        this.sendResponse(res, response)
+      } catch (err) {
+        next(err)
       }
-      next()
     })
 
     // Add error isolation middleware
-    const wrappedRouter = this.wrapRouterWithErrorHandling(pluginId, router)
+    pluginRouter.use(async (err, req, res, next) => {
+      WIKI.logger.error(`[Plugin:${plugin.id}] Route error: ${err.message}`)
 
-    // Mount plugin router
-    pluginRouter.use(wrappedRouter)
+      // Log error to database
+      try {
+        await WIKI.plugins.runtime.logPluginError(plugin.id, 'route_error', err)
+      } catch (logErr) {
+        WIKI.logger.error(`Failed to log plugin error: ${logErr.message}`)
+      }
+
+      // Send error response
+      res.status(500).json({
+        error: true,
+        message: err.message || 'Internal plugin error',
+        plugin: plugin.id
+      })
+    })
 
     // Register at namespace
-    const namespace = `/api/plugin/${pluginId}`
-    app.use(namespace, pluginRouter)
+    router.use(`/${plugin.id}`, pluginRouter)
 
     // Store for later unregistration
-    this.pluginRouters.set(pluginId, {
-      namespace,
-      router: pluginRouter,
-      stack: app._router.stack.length - 1 // Track position in middleware stack
+    this.pluginRouters.set(plugin.id, {
+      namespace: `/api/plugin/${plugin.id}`,
+      handler: pluginRouter
     })
 
-    WIKI.logger.info(`Registered routes for plugin ${pluginId} at ${namespace}`)
+    WIKI.logger.info(`Registered routes for plugin ${plugin.id} at /api/plugin/${plugin.id}`)
   }
 
   /**
-   * Wrap router with error handling middleware
+   * Build the request data sent to the plugin sandbox
    *
-   * @param {string} pluginId - Plugin identifier
-   * @param {object} router - Express router
-   * @returns {object} Wrapped router
+   * @param {object} req - Express request
+   * @returns {object} Request data { method, url, query, body, headers, user, ip }
    */
-  wrapRouterWithErrorHandling(pluginId, router) {
-    const wrappedRouter = express.Router()
-
-    // Copy routes from original router
-    if (router.stack) {
-      router.stack.forEach(layer => {
-        wrappedRouter.stack.push(layer)
-      })
-    } else if (typeof router === 'function') {
-      // If router is a function, wrap it
-      wrappedRouter.use(router)
+  serializeRequest(req) {
+    return {
+      method: req.method,
+      url: req.url,
+      path: req.path,
+      query: req.query,
+      body: _.isPlainObject(req.body) || _.isArray(req.body) ? req.body : {},
+      headers: _.pick(req.headers, REQUEST_HEADERS),
+      user: (req.user && req.user.id !== 2) ? WIKI.models.users.getHookData(req.user) : null,
+      ip: req.ip
     }
+  }
 
-    // Add error handler
-    wrappedRouter.use(async (err, req, res, next) => {
-      WIKI.logger.error(`[Plugin:${pluginId}] Route error: ${err.message}`)
-
-      // Log error to database
-      try {
-        await WIKI.plugins.runtime.logPluginError(pluginId, 'route_error', err)
-      } catch (logErr) {
-        WIKI.logger.error(`Failed to log plugin error: ${logErr.message}`)
-      }
-
-      // Send error response
-      res.status(err.statusCode || 500).json({
-        error: true,
-        message: err.message || 'Internal plugin error',
-        plugin: pluginId
-      })
+  /**
+   * Send the response returned by the plugin sandbox
+   *
+   * @param {object} res - Express response
+   * @param {object} response - Response data { status, headers, body, isJson }
+   */
+  sendResponse(res, response) {
+    res.status(_.inRange(response.status, 100, 600) ? _.toInteger(response.status) : 500)
+    res.set(_.pick(response.headers, RESPONSE_HEADERS))
+
+    // Plugin output is served from the wiki origin, it must not run scripts there
+    res.set({
+      'Content-Security-Policy': `default-src 'none'; sandbox`,
+      'X-Content-Type-Options': 'nosniff'
     })
 
-    return wrappedRouter
+    if (response.isJson) {
+      res.json(response.body)
+    } else {
+      res.send(_.toString(response.body))
+    }
   }
 
   /**
    * Unregister plugin routes
    *
-   * @param {object} app - Express app instance
+   * @param {object} router - Express router mounted at /api/plugin
    * @param {string} pluginId - Plugin identifier
    */
-  unregisterPluginRoutes(app, pluginId) {
+  unregisterPluginRoutes(router, pluginId) {
     const routerInfo = this.pluginRouters.get(pluginId)
 
     if (!routerInfo) {
@@ -155,36 +169,10 @@ module.exports = class PluginRouteLoader {
       return
     }
 
-    // Remove from Express middleware stack
-    // Note: This is tricky in Express - routes are not easily removable
-    // In production, might require server restart for full cleanup
-    try {
-      // Remove the route from stack by filtering
-      if (app._router && app._router.stack) {
-        app._router.stack = app._router.stack.filter((layer, index) => {
-          if (layer.name === 'router' && layer.regexp) {
-            const match = layer.regexp.toString().includes(routerInfo.namespace.replace(/\//g, '\\/'))
-            return !match
-          }
-          return true
-        })
-      }
-
-      WIKI.logger.info(`Unregistered routes for plugin ${pluginId}`)
-    } catch (err) {
-      WIKI.logger.warn(`Failed to unregister routes for plugin ${pluginId}: ${err.message}`)
-    }
-
-    // Clear module cache
-    const routesPath = path.join(WIKI.ROOTPATH, 'plugins', 'installed', pluginId, 'server', 'routes')
-    if (fs.existsSync(routesPath)) {
-      const indexPath = path.join(routesPath, 'index.js')
-      if (require.cache[indexPath]) {
-        delete require.cache[indexPath]
-      }
-    }
-
+    router.stack = router.stack.filter(layer => layer.handle !== routerInfo.handler)
     this.pluginRouters.delete(pluginId)
+
+    WIKI.logger.info(`Unregistered routes for plugin ${pluginId}`)
   }
 
   /**
@@ -207,26 +195,6 @@ module.exports = class PluginRouteLoader {
     return this.pluginRouters.get(pluginId) || null
   }
 
-  /**
-   * Create router factory for plugin context
-   *
-   * @param {object} plugin - Plugin object from database
-   * @returns {function} Router factory function
-   */
-  createRouterFactory(plugin) {
-    return () => {
-      const router = express.Router()
-
-      // Inject plugin context into all routes
-      router.use((req, res, next) => {
-        req.pluginContext = WIKI.plugins.runtime.createContext(plugin)
-        next()
-      })
-
-      return router
-    }
-  }
-
   /**
    * Add permission middleware to route
    *
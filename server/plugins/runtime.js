@@ -1,15 +1,20 @@
 const path = require('path')
 const _ = require('lodash')
 const security = require('./security')
+const PluginSandbox = require('./sandbox')
+const services = require('./services')
+
+const sandboxes = new Map()
 
 /**
  * Plugin Runtime Module
- * Creates plugin execution context and enforces permissions
+ * Creates plugin execution context, enforces permissions and runs plugins in sandboxed workers
  */
 
 module.exports = {
   /**
    * Create execution context for a plugin
+   * Used by plugin code running in the main process (API routes, GraphQL resolvers)
    * @param {Object} plugin - Plugin object from database
    * @returns {Object} Context object with allowed APIs
    */
@@ -45,6 +50,10 @@ module.exports = {
       context.WIKI = this.createReadOnlyWIKI()
     }
 
+    if (services.hasDependencies(plugin)) {
+      context.services = services.createServicesAPI(plugin)
+    }
+
     return context
   },
 
@@ -118,12 +127,11 @@ module.exports = {
    * @returns {Object} Database API
    */
   createDatabaseAPI(plugin) {
-    const api = {
-      knex: WIKI.models.knex
-    }
+    const api = {}
 
-    // Add core models if permission granted
+    // Add raw query builder and core models if permission granted
     if (security.checkPermission(plugin, 'database:core')) {
+      api.knex = WIKI.models.knex
       api.models = WIKI.models
     }
 
@@ -132,9 +140,6 @@ module.exports = {
       api.pluginModels = WIKI.plugins.modelLoader.getPluginModelsObject(plugin.id)
     }
 
-    // Add WIKI reference for convenience
-    api.WIKI = WIKI
-
     return api
   },
 
@@ -230,7 +235,7 @@ module.exports = {
   },
 
   /**
-   * Load plugin from disk
+   * Load plugin from disk into its own sandboxed worker
    * @param {Object} plugin - Plugin object from database
    * @returns {Object} Plugin instance
    */
@@ -244,28 +249,100 @@ module.exports = {
         throw new Error(`Plugin entry point not found: ${entryPath}`)
       }
 
-      // Require plugin module
-      // Clear require cache to allow hot reload
-      delete require.cache[require.resolve(entryPath)]
-      const pluginModule = require(entryPath)
+      // Stop any previous worker of this plugin (reload)
+      await this.unloadPlugin(plugin.id)
 
-      // Store instance
-      plugin.instance = pluginModule
+      // Start worker, which loads the plugin and calls init
+      const sandbox = new PluginSandbox(plugin, {
+        ...WIKI.config.pluginSandbox,
+        hooks: this.getManifestHooks(plugin)
+      })
+      await sandbox.start()
+      sandboxes.set(plugin.id, sandbox)
 
-      // Call init if exists
-      if (typeof pluginModule.init === 'function') {
-        await this.executePlugin(plugin, 'init')
-      }
+      // Store instance
+      plugin.instance = sandbox.instance
 
       WIKI.logger.info(`[Plugin Runtime] Loaded plugin ${plugin.id}`)
 
-      return pluginModule
+      return plugin.instance
     } catch (err) {
       await this.logPluginError(plugin.id, 'load_error', err)
       throw err
     }
   },
 
+  /**
+   * Stop the worker of a plugin
+   * @param {string} pluginId - Plugin identifier
+   */
+  async unloadPlugin(pluginId) {
+    const sandbox = sandboxes.get(pluginId)
+    if (sandbox) {
+      sandboxes.delete(pluginId)
+      await sandbox.stop()
+      WIKI.logger.info(`[Plugin Runtime] Unloaded plugin ${pluginId}`)
+    }
+  },
+
+  /**
+   * Stop the workers of all plugins
+   */
+  async unloadAll() {
+    for (const pluginId of [...sandboxes.keys()]) {
+      await this.unloadPlugin(pluginId)
+    }
+  },
+
+  /**
+   * Get the instance of a loaded plugin
+   * @param {string} pluginId - Plugin identifier
+   * @returns {Object|null} Plugin instance, or null if the plugin is not running
+   */
+  getPluginInstance(pluginId) {
+    const sandbox = sandboxes.get(pluginId)
+    return (sandbox && sandbox.isRunning()) ? sandbox.instance : null
+  },
+
+  /**
+   * Get the sandbox of a loaded plugin
+   * @param {string} pluginId - Plugin identifier
+   * @returns {PluginSandbox|null} Sandbox, or null if the plugin is not running
+   */
+  getSandbox(pluginId) {
+    const sandbox = sandboxes.get(pluginId)
+    return (sandbox && sandbox.isRunning()) ? sandbox : null
+  },
+
+  /**
+   * Get hook names declared in the plugin manifest
+   * @param {Object} plugin - Plugin object from database
+   * @returns {Array<string>} Hook names
+   */
+  getManifestHooks(plugin) {
+    let manifest = plugin.manifest
+    if (typeof manifest === 'string') {
+      try {
+        manifest = JSON.parse(manifest)
+      } catch (err) {
+        WIKI.logger.warn(`[Plugin Runtime] Failed to parse manifest for plugin ${plugin.id}: ${err.message}`)
+        return []
+      }
+    }
+    const hooksList = _.filter(_.get(manifest, 'hooks', []), _.isString)
+
+    // Check for deprecated hooks
+    if (hooksList.includes('page:save')) {
+      WIKI.logger.warn(
+        `[Plugin ${plugin.id}] Hook 'page:save' is deprecated. ` +
+        `Use 'page:create' and 'page:update' instead. ` +
+        `page:save will be removed in v3.0.0`
+      )
+    }
+
+    return hooksList
+  },
+
   /**
    * Log plugin error to database
    * @param {string} pluginId - Plugin identifier
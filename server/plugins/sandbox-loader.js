@@ -0,0 +1,57 @@
+const { createRequire } = require('module')
+
+/**
+ * Plugin Sandbox Loader
+ * Module customization hooks registered by the sandbox worker. Dynamic import() does not go
+ * through require(), so the built-in modules governed by the sandbox rules are imported through
+ * a wrapper module calling require(), which enforces the same rules.
+ */
+
+const SCHEME = 'wiki-sandbox:'
+
+let governedModules = []
+let requirePath = null
+
+/**
+ * Receive the governed module names from the worker
+ * @param {Object} data - { modules, requirePath }
+ */
+async function initialize(data) {
+  governedModules = data.modules
+  requirePath = data.requirePath
+}
+
+/**
+ * Resolve governed built-in modules to their wrapper
+ */
+async function resolve(specifier, context, nextResolve) {
+  const name = specifier.startsWith('node:') ? specifier.substring(5) : specifier
+  if (governedModules.includes(name)) {
+    return { url: `${SCHEME}${name}`, shortCircuit: true }
+  }
+  return nextResolve(specifier, context)
+}
+
+/**
+ * Load the wrapper of a governed built-in module, exporting the module returned by require()
+ */
+async function load(url, context, nextLoad) {
+  if (!url.startsWith(SCHEME)) {
+    return nextLoad(url, context)
+  }
+  const name = url.substring(SCHEME.length)
+  const exportNames = Object.keys(createRequire(__filename)(name)).filter(key => key !== 'default' && /^[A-Za-z_$][\w$]*$/.test(key))
+
+  return {
+    format: 'module',
+    shortCircuit: true,
+    source: [
+      `import { createRequire } from 'module'`,
+      `const mod = createRequire(${JSON.stringify(requirePath)})(${JSON.stringify(name)})`,
+      'export default mod',
+      exportNames.length > 0 ? `export const { ${exportNames.join(', ')} } = mod` : ''
+    ].join('\n')
+  }
+}
+
+module.exports = { initialize, resolve, load }
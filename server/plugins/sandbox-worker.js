@@ -0,0 +1,602 @@
+const { parentPort, workerData } = require('worker_threads')
+const Module = require('module')
+const path = require('path')
+const fs = require('fs')
+const { pathToFileURL } = require('url')
+const _ = require('lodash')
+
+/**
+ * Plugin Sandbox Worker
+ * Bootstrap running inside a plugin's worker thread. Loads the plugin code and
+ * gives it a context whose APIs are RPC stubs for the capabilities it was granted.
+ */
+
+const { plugin, entryPath, routesPath, resolversPath, hooks: manifestHooks, permissions, dependencies, core } = workerData
+
+const hasPermission = (permission) => permissions.includes(permission)
+
+// Plugin routes are Express routers. Express requires http internally, so the wiki copy is
+// loaded before the module rules apply and given to the plugin. It may not start a server.
+const express = routesPath ? require('express') : null
+if (express) {
+  express.application.listen = () => {
+    throw new Error(`Plugin ${plugin.id} is not allowed to start a server`)
+  }
+}
+
+// Built-in modules plugins may never load, or only with a permission
+const MODULE_RULES = {
+  child_process: false,
+  cluster: false,
+  inspector: false,
+  worker_threads: false,
+  fs: 'filesystem:read',
+  'fs/promises': 'filesystem:read',
+  dgram: 'network:request',
+  dns: 'network:request',
+  http: 'network:request',
+  http2: 'network:request',
+  https: 'network:request',
+  net: 'network:request',
+  tls: 'network:request'
+}
+
+// fs methods and classes available with filesystem:read only
+const FS_READ_METHODS = [
+  'access', 'exists', 'readFile', 'readdir', 'stat', 'lstat', 'fstat', 'statfs', 'realpath', 'readlink',
+  'opendir', 'read', 'readv', 'close', 'createReadStream', 'watch', 'watchFile', 'unwatchFile',
+  'Dir', 'Dirent', 'ReadStream', 'FileReadStream', 'Stats'
+]
+const FS_WRITE_FLAGS = fs.constants.O_WRONLY | fs.constants.O_RDWR | fs.constants.O_CREAT | fs.constants.O_TRUNC | fs.constants.O_APPEND
+
+/**
+ * Ensure a file is opened for reading only
+ * @param {string|number} flags - Flags passed to fs.open()
+ */
+const enforceReadFlags = (flags) => {
+  const readOnly = _.isNil(flags) ||
+    (_.isString(flags) && ['r', 'rs', 'sr'].includes(flags)) ||
+    (_.isNumber(flags) && (flags & FS_WRITE_FLAGS) === 0)
+  if (!readOnly) {
+    throw new Error(`Plugin ${plugin.id} requires the filesystem:write permission to open files for writing`)
+  }
+}
+
+/**
+ * Copy a fs API, replacing the functions that may modify files with stubs that throw
+ * @param {Object} source - fs or fs.promises
+ * @param {string} label - Name of the API in error messages
+ * @returns {Object} Read-only API
+ */
+const restrictFs = (source, label) => {
+  const target = {}
+  for (const key of Object.keys(source)) {
+    const value = source[key]
+    if (!_.isFunction(value) || FS_READ_METHODS.includes(key) || FS_READ_METHODS.includes(key.replace(/Sync$/, ''))) {
+      target[key] = value
+    } else {
+      // A function rather than an arrow, so `new fs.WriteStream()` throws the same error
+      target[key] = function () {
+        throw new Error(`Plugin ${plugin.id} requires the filesystem:write permission to call ${label}.${key}()`)
+      }
+    }
+  }
+  return target
+}
+
+/**
+ * Build a copy of the fs module without the methods that modify files
+ * @returns {Object} Read-only fs module, with a read-only promises API
+ */
+const createReadOnlyFs = () => {
+  const readOnlyFs = restrictFs(fs, 'fs')
+  readOnlyFs.open = (file, flags, ...args) => {
+    enforceReadFlags(_.isFunction(flags) ? null : flags)
+    return fs.open(file, flags, ...args)
+  }
+  readOnlyFs.openSync = (file, flags, mode) => {
+    enforceReadFlags(flags)
+    return fs.openSync(file, flags, mode)
+  }
+
+  readOnlyFs.promises = restrictFs(fs.promises, 'fs.promises')
+  readOnlyFs.promises.open = async (file, flags, mode) => {
+    enforceReadFlags(flags)
+    return fs.promises.open(file, flags, mode)
+  }
+  return readOnlyFs
+}
+
+const originalLoad = Module._load
+Module._load = function (request, parent, isMain) {
+  const name = request.startsWith('node:') ? request.substring(5) : request
+  if (name === 'express' && express) {
+    return express
+  }
+  if (_.has(MODULE_RULES, name)) {
+    const rule = MODULE_RULES[name]
+    if (rule === false) {
+      throw new Error(`Plugin ${plugin.id} is not allowed to load module ${name}`)
+    } else if (!hasPermission(rule) && !(rule === 'filesystem:read' && hasPermission('filesystem:write'))) {
+      throw new Error(`Plugin ${plugin.id} requires the ${rule} permission to load module ${name}`)
+    }
+    // Files may only be modified with filesystem:write
+    if (rule === 'filesystem:read' && !hasPermission('filesystem:write')) {
+      const readOnlyFs = createReadOnlyFs()
+      return name === 'fs' ? readOnlyFs : readOnlyFs.promises
+    }
+  }
+  return originalLoad.apply(this, arguments)
+}
+
+// Dynamic import() bypasses Module._load, the loader hooks route it through require()
+Module.register(pathToFileURL(path.join(__dirname, 'sandbox-loader.js')), {
+  data: {
+    modules: _.keys(MODULE_RULES),
+    requirePath: __filename
+  }
+})
+
+// Hooks registered by the plugin would run before the sandbox hooks
+Module.register = () => {
+  throw new Error(`Plugin ${plugin.id} is not allowed to register module hooks`)
+}
+Module.syncBuiltinESMExports()
+
+// Internal bindings and native addons would bypass the rules above,
+// and signals sent from a worker reach the whole Wiki.js process
+for (const prop of ['binding', '_linkedBinding', 'dlopen', 'kill']) {
+  process[prop] = () => {
+    throw new Error(`Plugin ${plugin.id} is not allowed to call process.${prop}()`)
+  }
+}
+
+// Network globals would bypass the network:request permission
+if (!hasPermission('network:request')) {
+  for (const prop of ['fetch', 'WebSocket', 'EventSource']) {
+    if (prop in global) {
+      global[prop] = () => {
+        throw new Error(`Plugin ${plugin.id} requires the network:request permission to use ${prop}`)
+      }
+    }
+  }
+}
+
+// ----------------------------------------
+// Messaging
+// ----------------------------------------
+
+const pending = new Map()
+const eventHandlers = new Map()
+let rpcId = 0
+let instance = null
+let hookHandlers = {}
+let serviceHandlers = {}
+let routeHandler = null
+let resolverHandlers = {}
+
+const serialize = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+const serializeError = (err) => ({
+  name: _.get(err, 'name', 'Error'),
+  message: _.get(err, 'message', String(err)),
+  stack: _.get(err, 'stack', null)
+})
+
+/**
+ * Call a capability in the main process
+ * @param {string} method - Capability name (e.g. 'cache.get')
+ * @param {...any} args - Arguments
+ * @returns {Promise<any>} Capability result
+ */
+const rpc = (method, ...args) => new Promise((resolve, reject) => {
+  const id = ++rpcId
+  pending.set(id, { resolve, reject })
+  parentPort.postMessage({ type: 'rpc', id, method, args: serialize(args) })
+})
+
+const log = (level) => (message, stackTrace = null) => {
+  parentPort.postMessage({ type: 'log', level, message: String(message), stackTrace })
+}
+
+/**
+ * Chainable query builder recording a query spec for the db.query capability
+ */
+class QueryBuilder {
+  constructor(table) {
+    this.spec = { table, action: 'select', where: [], orderBy: [] }
+  }
+
+  select(...columns) {
+    this.spec.columns = _.flatten(columns)
+    return this
+  }
+
+  where(column, operator, value) {
+    if (_.isPlainObject(column)) {
+      _.forOwn(column, (val, key) => { this.spec.where.push([key, '=', val]) })
+    } else if (arguments.length === 2) {
+      this.spec.where.push([column, '=', operator])
+    } else {
+      this.spec.where.push([column, _.toLower(operator), value])
+    }
+    return this
+  }
+
+  whereIn(column, values) {
+    this.spec.where.push([column, 'in', values])
+    return this
+  }
+
+  whereNotIn(column, values) {
+    this.spec.where.push([column, 'not in', values])
+    return this
+  }
+
+  orderBy(column, direction = 'asc') {
+    this.spec.orderBy.push([column, direction])
+    return this
+  }
+
+  limit(limit) {
+    this.spec.limit = limit
+    return this
+  }
+
+  offset(offset) {
+    this.spec.offset = offset
+    return this
+  }
+
+  first(...columns) {
+    if (columns.length > 0) {
+      this.select(...columns)
+    }
+    return this.run('first')
+  }
+
+  count() {
+    return this.run('count')
+  }
+
+  insert(data) {
+    return this.run('insert', data)
+  }
+
+  update(data) {
+    return this.run('update', data)
+  }
+
+  delete() {
+    return this.run('delete')
+  }
+
+  del() {
+    return this.run('delete')
+  }
+
+  run(action, data) {
+    return rpc('db.query', { ...this.spec, action, data })
+  }
+
+  then(resolve, reject) {
+    return this.run('select').then(resolve, reject)
+  }
+}
+
+// ----------------------------------------
+// Plugin context
+// ----------------------------------------
+
+const config = _.cloneDeep(plugin.config || {})
+
+const context = {
+  plugin: { ...plugin, config },
+  logger: {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  }
+}
+
+if (hasPermission('config:read')) {
+  context.config = {
+    get: (key) => _.get(config, key),
+    set: async (key, value) => {
+      await rpc('config.set', key, value)
+      _.set(config, key, value)
+    }
+  }
+}
+
+if (hasPermission('database:read')) {
+  context.db = {
+    table: (name) => new QueryBuilder(name)
+  }
+  if (hasPermission('database:core')) {
+    context.db.raw = (sql, bindings = []) => rpc('db.raw', sql, bindings)
+  }
+}
+
+if (hasPermission('events:emit') || hasPermission('events:listen')) {
+  context.events = {
+    emit: (eventName, data) => rpc('events.emit', eventName, data),
+    on: (eventName, handler) => {
+      if (!eventHandlers.has(eventName)) {
+        eventHandlers.set(eventName, [])
+        rpc('events.subscribe', eventName).catch(err => context.logger.error(err.message))
+      }
+      eventHandlers.get(eventName).push(handler)
+    },
+    once: (eventName, handler) => {
+      const onceHandler = (data) => {
+        context.events.off(eventName, onceHandler)
+        return handler(data)
+      }
+      context.events.on(eventName, onceHandler)
+    },
+    off: (eventName, handler) => {
+      const handlers = _.without(eventHandlers.get(eventName) || [], handler)
+      if (handlers.length > 0) {
+        eventHandlers.set(eventName, handlers)
+      } else if (eventHandlers.delete(eventName)) {
+        rpc('events.unsubscribe', eventName).catch(err => context.logger.error(err.message))
+      }
+    }
+  }
+}
+
+if (hasPermission('cache:read')) {
+  context.cache = {
+    get: (key) => rpc('cache.get', key),
+    set: (key, value, ttl) => rpc('cache.set', key, value, ttl),
+    del: (key) => rpc('cache.del', key)
+  }
+}
+
+if (dependencies.length > 0) {
+  context.services = {
+    get: async (providerId, serviceName) => {
+      const services = await rpc('services.describe', providerId)
+      if (!services || !services[serviceName]) {
+        return null
+      }
+      return _.fromPairs(services[serviceName].map(method => [
+        method,
+        (...args) => rpc('services.call', providerId, serviceName, method, args)
+      ]))
+    }
+  }
+}
+
+if (core) {
+  context.WIKI = deepFreeze(core)
+}
+
+function deepFreeze(obj) {
+  _.forOwn(obj, val => {
+    if (_.isObject(val)) {
+      deepFreeze(val)
+    }
+  })
+  return Object.freeze(obj)
+}
+
+// ----------------------------------------
+// Loading & dispatch
+// ----------------------------------------
+
+/**
+ * Load the plugin entry point and its hook handlers, then run init()
+ */
+async function load() {
+  instance = require(entryPath)
+
+  if (_.isPlainObject(instance.hooks)) {
+    hookHandlers = _.pickBy(instance.hooks, _.isFunction)
+  } else {
+    const hooksList = Array.isArray(instance.hooks) ? instance.hooks : manifestHooks
+    for (const hookName of hooksList) {
+      // Convert hook name to camelCase filename (e.g., 'page:create' -> 'pageCreate.js')
+      const fileName = hookName.replace(/[:-](\w)/g, (m, char) => char.toUpperCase()) + '.js'
+      const hookFilePath = path.join(plugin.path, 'server', 'hooks', fileName)
+      if (!fs.existsSync(hookFilePath)) {
+        context.logger.warn(`Hook file not found for ${hookName}: ${hookFilePath}`)
+        continue
+      }
+      const handler = require(hookFilePath)
+      if (!_.isFunction(handler)) {
+        context.logger.warn(`Invalid hook handler for ${hookName}: must export a function`)
+        continue
+      }
+      hookHandlers[hookName] = handler
+    }
+  }
+
+  if (_.isPlainObject(instance.services)) {
+    serviceHandlers = _.mapValues(_.pickBy(instance.services, _.isPlainObject), service => _.pickBy(service, _.isFunction))
+  }
+
+  // Routes and resolvers are only given when the plugin was granted api:extend / graphql:extend
+  if (routesPath && fs.existsSync(routesPath)) {
+    routeHandler = require(routesPath)
+    if (!_.isFunction(routeHandler)) {
+      throw new Error(`Plugin ${plugin.id} routes must export an Express router`)
+    }
+  }
+  if (resolversPath && fs.existsSync(resolversPath)) {
+    resolverHandlers = _.mapValues(_.pickBy(require(resolversPath), _.isPlainObject), type => _.pickBy(type, _.isFunction))
+  }
+
+  if (_.isFunction(instance.init)) {
+    await instance.init.call(context)
+  }
+
+  parentPort.postMessage({
+    type: 'ready',
+    methods: _.keys(_.pickBy(instance, _.isFunction)),
+    hooks: _.keys(hookHandlers),
+    services: _.mapValues(serviceHandlers, _.keys),
+    routes: !_.isNil(routeHandler),
+    resolvers: _.mapValues(resolverHandlers, _.keys)
+  })
+}
+
+/**
+ * Run a request forwarded by the main process through the plugin router
+ * @param {Object} request - { method, url, query, body, headers, user, ip }
+ * @returns {Promise<Object>} Response { status, headers, body, isJson }
+ */
+function handleRoute(request) {
+  return new Promise((resolve, reject) => {
+    const response = { status: 200, headers: {}, body: '', isJson: false }
+    const send = (body, isJson = false) => {
+      response.body = body
+      response.isJson = isJson
+      resolve(response)
+    }
+
+    const req = {
+      ...request,
+      originalUrl: request.url,
+      params: {},
+      pluginContext: context,
+      get: (name) => request.headers[_.toLower(name)]
+    }
+    req.header = req.get
+
+    const res = {
+      status(code) {
+        response.status = code
+        return res
+      },
+      set(name, value) {
+        if (_.isPlainObject(name)) {
+          _.forOwn(name, (val, key) => res.set(key, val))
+        } else {
+          response.headers[_.toLower(name)] = String(value)
+        }
+        return res
+      },
+      get: (name) => response.headers[_.toLower(name)],
+      type: (value) => res.set('content-type', value),
+      json(body) {
+        send(_.isUndefined(body) ? null : serialize(body), true)
+        return res
+      },
+      send(body) {
+        if (_.isObject(body) && !Buffer.isBuffer(body)) {
+          return res.json(body)
+        }
+        send(_.isNil(body) ? '' : body.toString())
+        return res
+      },
+      sendStatus(code) {
+        return res.status(code).send(String(code))
+      },
+      end(body) {
+        return res.send(body)
+      }
+    }
+    res.header = res.set
+    res.setHeader = res.set
+
+    routeHandler(req, res, (err) => {
+      if (err) {
+        reject(err)
+      } else {
+        res.status(404).json({ error: true, message: 'Not found' })
+      }
+    })
+  })
+}
+
+/**
+ * Run a plugin function and post its result back to the main process
+ * @param {number} id - Request ID
+ * @param {Function} fn - Function to run
+ */
+async function respond(id, fn) {
+  try {
+    const result = await fn()
+    parentPort.postMessage({ type: 'result', id, result: serialize(result) })
+  } catch (err) {
+    parentPort.postMessage({ type: 'result', id, error: serializeError(err) })
+  }
+}
+
+parentPort.on('message', (msg) => {
+  switch (msg.type) {
+    case 'call':
+      respond(msg.id, () => {
+        if (!_.isFunction(instance[msg.method])) {
+          throw new Error(`Plugin ${plugin.id} does not have method: ${msg.method}`)
+        }
+        return instance[msg.method].apply(context, msg.args || [])
+      })
+      break
+    case 'hook':
+      respond(msg.id, () => {
+        if (!_.isFunction(hookHandlers[msg.hook])) {
+          throw new Error(`Plugin ${plugin.id} does not handle hook: ${msg.hook}`)
+        }
+        return hookHandlers[msg.hook].call(context, msg.data)
+      })
+      break
+    case 'route':
+      respond(msg.id, () => {
+        if (!routeHandler) {
+          throw new Error(`Plugin ${plugin.id} does not have routes`)
+        }
+        return handleRoute(msg.request)
+      })
+      break
+    case 'resolve':
+      respond(msg.id, () => {
+        const resolver = _.get(resolverHandlers, [msg.typeName, msg.fieldName])
+        if (!_.isFunction(resolver)) {
+          throw new Error(`Plugin ${plugin.id} does not resolve ${msg.typeName}.${msg.fieldName}`)
+        }
+        return resolver.call(context, msg.parent, msg.args || {}, msg.context || {})
+      })
+      break
+    case 'service':
+      respond(msg.id, () => {
+        const handler = _.get(serviceHandlers, [msg.service, msg.method])
+        if (!_.isFunction(handler)) {
+          throw new Error(`Plugin ${plugin.id} does not provide ${msg.service}.${msg.method}()`)
+        }
+        return handler.apply(context, msg.args || [])
+      })
+      break
+    case 'rpc:result': {
+      const call = pending.get(msg.id)
+      if (call) {
+        pending.delete(msg.id)
+        if (msg.error) {
+          const err = new Error(msg.error.message)
+          err.name = msg.error.name
+          call.reject(err)
+        } else {
+          call.resolve(msg.result)
+        }
+      }
+      break
+    }
+    case 'event':
+      for (const handler of (eventHandlers.get(msg.name) || [])) {
+        Promise.resolve().then(() => handler.call(context, msg.data)).catch(err => {
+          context.logger.error(`Error in event handler for ${msg.name}: ${err.message}`, err.stack)
+        })
+      }
+      break
+    case 'ping':
+      parentPort.postMessage({ type: 'pong' })
+      break
+  }
+})
+
+load().catch(err => {
+  parentPort.postMessage({ type: 'failed', error: serializeError(err) })
+})
@@ -0,0 +1,434 @@
+const { Worker } = require('worker_threads')
+const path = require('path')
+const _ = require('lodash')
+const security = require('./security')
+const capabilities = require('./capabilities')
+const dependencies = require('./dependencies')
+
+const WORKER_PATH = path.join(__dirname, 'sandbox-worker.js')
+const RESTART_WINDOW = 10 * 60 * 1000 // Crashes older than 10 minutes are forgiven
+const MAX_RESTART_DELAY = 30 * 1000
+
+/**
+ * Plugin Sandbox
+ * Runs a plugin in its own worker thread with memory and execution time limits.
+ * The plugin only reaches the wiki through capability calls, which are checked
+ * against its granted permissions here, in the main process.
+ */
+module.exports = class PluginSandbox {
+  /**
+   * @param {Object} plugin - Plugin object from database
+   * @param {Object} options - Sandbox options
+   * @param {Array<string>} options.hooks - Hook names declared in the plugin manifest
+   * @param {number} options.memoryLimit - Heap size limit of the worker, in MB
+   * @param {number} options.callTimeout - Time a call may run before the worker is restarted, in ms
+   * @param {number} options.maxRestarts - Restarts allowed within 10 minutes before giving up
+   */
+  constructor(plugin, options = {}) {
+    this.plugin = plugin
+    this.options = _.defaults({}, options, {
+      hooks: [],
+      memoryLimit: 128,
+      callTimeout: 10000,
+      maxRestarts: 5
+    })
+
+    this.status = 'stopped'
+    this.worker = null
+    this.instance = null
+    this.methods = []
+    this.hooks = []
+    this.services = {}
+    this.routes = false
+    this.resolvers = {}
+    this.pending = new Map()
+    this.subscriptions = new Map()
+    this.crashes = []
+    this.callId = 0
+    this.recovering = false
+    this.lastError = null
+    this.logger = require('./runtime').createPluginLogger(plugin.id)
+  }
+
+  /**
+   * Start the worker, load the plugin and run its init()
+   * @returns {Promise<Object>} Plugin instance whose methods and hooks call into the worker
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.status = 'starting'
+      this.lastError = null
+      this.awaitingPong = false
+
+      const worker = new Worker(WORKER_PATH, {
+        workerData: {
+          plugin: {
+            id: this.plugin.id,
+            version: this.plugin.version,
+            path: this.plugin.installPath,
+            config: this.plugin.config || {}
+          },
+          entryPath: path.join(this.plugin.installPath, 'server', 'index.js'),
+          routesPath: security.checkPermission(this.plugin, 'api:extend') ? path.join(this.plugin.installPath, 'server', 'routes', 'index.js') : null,
+          resolversPath: security.checkPermission(this.plugin, 'graphql:extend') ? path.join(this.plugin.installPath, 'graphql', 'resolvers.js') : null,
+          hooks: this.options.hooks,
+          permissions: this.plugin.permissions || [],
+          dependencies: _.map(dependencies.getDeclared(this.plugin.manifest), 'pluginId'),
+          core: security.checkPermission(this.plugin, 'core:read') ? {
+            version: WIKI.version,
+            config: _.cloneDeep(_.pick(WIKI.config, ['company', 'contentLicense', 'host', 'lang', 'theming', 'title']))
+          } : null
+        },
+        env: { NODE_ENV: process.env.NODE_ENV },
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.options.memoryLimit,
+          maxYoungGenerationSizeMb: Math.max(Math.ceil(this.options.memoryLimit / 8), 4)
+        }
+      })
+      this.worker = worker
+
+      this.starting = {
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.kill(worker, new Error(`Plugin ${this.plugin.id} did not start within ${this.options.callTimeout}ms`))
+        }, this.options.callTimeout)
+      }
+
+      worker.on('message', msg => this.onMessage(worker, msg))
+      worker.on('error', err => { this.lastError = err })
+      worker.on('exit', code => this.onExit(worker, code))
+    })
+  }
+
+  /**
+   * Stop the worker
+   */
+  async stop() {
+    this.status = 'stopping'
+    clearTimeout(this.restartTimer)
+    if (this.worker) {
+      await this.worker.terminate()
+    }
+    this.status = 'stopped'
+  }
+
+  /**
+   * @returns {boolean} True if the plugin is loaded and accepting calls
+   */
+  isRunning() {
+    return this.status === 'running'
+  }
+
+  /**
+   * Call an exported method of the plugin
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @returns {Promise<any>} Method return value
+   */
+  call(method, args = []) {
+    return this.request({ type: 'call', method, args: serialize(args) }, `${method}()`)
+  }
+
+  /**
+   * Run a hook handler of the plugin
+   * @param {string} hookName - Hook identifier
+   * @param {Object} data - Hook data
+   * @returns {Promise<any>} Handler return value
+   */
+  invokeHook(hookName, data) {
+    return this.request({ type: 'hook', hook: hookName, data: serialize(data) }, `hook ${hookName}`)
+  }
+
+  /**
+   * Call a method of a service exported by the plugin
+   * @param {string} serviceName - Service name
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @returns {Promise<any>} Method return value
+   */
+  callService(serviceName, method, args = []) {
+    return this.request({ type: 'service', service: serviceName, method, args: serialize(args) }, `service ${serviceName}.${method}()`)
+  }
+
+  /**
+   * Run a request through the Express router of the plugin
+   * @param {Object} request - Request data { method, url, query, body, headers, user, ip }
+   * @returns {Promise<Object>} Response { status, headers, body, isJson }
+   */
+  async handleRoute(request) {
+    await security.enforcePermission(this.plugin, 'api:extend')
+    return this.request({ type: 'route', request: serialize(request) }, `route ${request.method} ${request.url}`)
+  }
+
+  /**
+   * Run a GraphQL resolver of the plugin
+   * @param {string} typeName - Root type name (Query, Mutation)
+   * @param {string} fieldName - Field name
+   * @param {Object} parent - Parent value
+   * @param {Object} args - Field arguments
+   * @param {Object} context - Resolver context { user }
+   * @returns {Promise<any>} Resolved value
+   */
+  async resolve(typeName, fieldName, parent, args, context) {
+    await security.enforcePermission(this.plugin, 'graphql:extend')
+    return this.request({
+      type: 'resolve',
+      typeName,
+      fieldName,
+      parent: serialize(parent),
+      args: serialize(args),
+      context: serialize(context)
+    }, `resolver ${typeName}.${fieldName}`)
+  }
+
+  /**
+   * Forward an outbound wiki event to the plugin
+   * @param {string} eventName - Event name
+   */
+  subscribe(eventName) {
+    if (this.subscriptions.has(eventName)) {
+      return
+    }
+    const listener = (data) => {
+      try {
+        this.post({ type: 'event', name: eventName, data: serialize(data) })
+      } catch (err) {
+        WIKI.logger.warn(`[Plugin Sandbox] Failed to forward event ${eventName} to ${this.plugin.id}: ${err.message}`)
+      }
+    }
+    WIKI.events.outbound.on(eventName, listener)
+    this.subscriptions.set(eventName, listener)
+  }
+
+  /**
+   * Stop forwarding an outbound wiki event to the plugin
+   * @param {string} eventName - Event name
+   */
+  unsubscribe(eventName) {
+    const listener = this.subscriptions.get(eventName)
+    if (listener) {
+      WIKI.events.outbound.off(eventName, listener)
+      this.subscriptions.delete(eventName)
+    }
+  }
+
+  /**
+   * Build the object stored as plugin.instance
+   * @returns {Object} Instance with remote methods and a hooks object
+   */
+  createInstance() {
+    const instance = {
+      hooks: {}
+    }
+    for (const method of this.methods) {
+      instance[method] = (...args) => this.call(method, args)
+    }
+    for (const hookName of this.hooks) {
+      instance.hooks[hookName] = (data) => this.invokeHook(hookName, data)
+    }
+    return instance
+  }
+
+  // ----------------------------------------
+  // Internals
+  // ----------------------------------------
+
+  request(message, label) {
+    if (!this.isRunning()) {
+      return Promise.reject(new Error(`Plugin ${this.plugin.id} is not running`))
+    }
+    return new Promise((resolve, reject) => {
+      const id = ++this.callId
+      const worker = this.worker
+      this.pending.set(id, {
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.kill(worker, new Error(`Plugin ${this.plugin.id} timed out after ${this.options.callTimeout}ms in ${label}`))
+        }, this.options.callTimeout)
+      })
+      this.post({ ...message, id })
+    })
+  }
+
+  post(message) {
+    if (this.worker) {
+      this.worker.postMessage(message)
+    }
+  }
+
+  kill(worker, err) {
+    if (worker && worker === this.worker) {
+      this.lastError = err
+      worker.terminate()
+    }
+  }
+
+  async onMessage(worker, msg) {
+    if (worker !== this.worker) {
+      return
+    }
+    switch (msg.type) {
+      case 'ready':
+        clearTimeout(this.starting.timer)
+        this.methods = msg.methods
+        this.hooks = msg.hooks
+        this.services = msg.services || {}
+        this.routes = msg.routes === true
+        this.resolvers = msg.resolvers || {}
+        this.instance = this.createInstance()
+        this.status = 'running'
+        this.recovering = false
+        this.heartbeat = setInterval(() => {
+          if (this.awaitingPong) {
+            this.kill(worker, new Error(`Plugin ${this.plugin.id} is unresponsive`))
+          } else {
+            this.awaitingPong = true
+            this.post({ type: 'ping' })
+          }
+        }, this.options.callTimeout)
+        this.heartbeat.unref()
+        this.starting.resolve(this.instance)
+        break
+      case 'failed':
+        this.kill(worker, deserializeError(msg.error))
+        break
+      case 'pong':
+        this.awaitingPong = false
+        break
+      case 'result': {
+        const call = this.pending.get(msg.id)
+        if (call) {
+          clearTimeout(call.timer)
+          this.pending.delete(msg.id)
+          if (msg.error) {
+            call.reject(deserializeError(msg.error))
+          } else {
+            call.resolve(msg.result)
+          }
+        }
+        break
+      }
+      case 'log':
+        if (_.has(this.logger, msg.level)) {
+          this.logger[msg.level](msg.message, msg.stackTrace)
+        }
+        break
+      case 'rpc': {
+        let reply
+        try {
+          const capability = capabilities.methods[msg.method]
+          if (!capability) {
+            throw new Error(`Unknown capability: ${msg.method}`)
+          }
+          if (capability.permission) {
+            await security.enforcePermission(this.plugin, capability.permission)
+          }
+          const result = await capability.handler({ plugin: this.plugin, sandbox: this }, ...(msg.args || []))
+          reply = { type: 'rpc:result', id: msg.id, result: serialize(result) }
+        } catch (err) {
+          reply = { type: 'rpc:result', id: msg.id, error: serializeError(err) }
+        }
+        if (worker === this.worker) {
+          this.post(reply)
+        }
+        break
+      }
+    }
+  }
+
+  onExit(worker, code) {
+    if (worker !== this.worker) {
+      return
+    }
+    const previousStatus = this.status
+    const err = this.lastError || new Error(`Plugin ${this.plugin.id} worker exited unexpectedly (code ${code})`)
+
+    this.worker = null
+    clearInterval(this.heartbeat)
+    clearTimeout(this.starting.timer)
+    for (const eventName of [...this.subscriptions.keys()]) {
+      this.unsubscribe(eventName)
+    }
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer)
+      call.reject(err)
+    }
+    this.pending.clear()
+    this.starting.reject(err)
+
+    if (['stopping', 'stopped'].includes(previousStatus)) {
+      return
+    }
+    if (previousStatus === 'starting' && !this.recovering) {
+      this.status = 'stopped'
+      return
+    }
+    this.recover(err)
+  }
+
+  /**
+   * Restart a crashed worker with an exponential backoff, until it crashes too often
+   * @param {Error} err - Error that ended the worker
+   */
+  async recover(err) {
+    this.status = 'restarting'
+    WIKI.logger.warn(`[Plugin Sandbox] Plugin ${this.plugin.id} crashed: ${err.message}`)
+    await require('./runtime').logPluginError(this.plugin.id, 'sandbox_crash', err)
+
+    const now = Date.now()
+    this.crashes = this.crashes.filter(ts => now - ts < RESTART_WINDOW)
+    this.crashes.push(now)
+
+    if (this.crashes.length > this.options.maxRestarts) {
+      this.status = 'failed'
+      this.recovering = false
+      WIKI.logger.error(`[Plugin Sandbox] Plugin ${this.plugin.id} crashed ${this.crashes.length} times, giving up`)
+      try {
+        await WIKI.models.plugins.query()
+          .patch({
+            status: 'error',
+            state: { status: 'error', message: `Plugin stopped after repeated crashes: ${err.message}` }
+          })
+          .where('id', this.plugin.id)
+      } catch (patchErr) {
+        WIKI.logger.warn(`[Plugin Sandbox] Failed to update status of ${this.plugin.id}: ${patchErr.message}`)
+      }
+      return
+    }
+
+    this.recovering = true
+    const delay = Math.min(1000 * Math.pow(2, this.crashes.length - 1), MAX_RESTART_DELAY)
+    this.restartTimer = setTimeout(async () => {
+      try {
+        await this.start()
+        WIKI.logger.info(`[Plugin Sandbox] Restarted plugin ${this.plugin.id}`)
+      } catch (startErr) {
+        // -> Handled by onExit, which schedules the next attempt
+      }
+    }, delay)
+    this.restartTimer.unref()
+  }
+}
+
+function serialize(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    stack: err.stack
+  }
+}
+
+function deserializeError(obj) {
+  const err = new Error(obj.message)
+  err.name = obj.name || 'Error'
+  if (obj.stack) {
+    err.stack = obj.stack
+  }
+  return err
+}
@@ -77,6 +77,21 @@ module.exports = {
     }
   },
 
+  /**
+   * Compare the permissions of two plugin versions
+   * @param {Array<string>} current - Permissions granted to the installed version
+   * @param {Array<string>} requested - Permissions requested by the new version
+   * @returns {Object} { added, removed } arrays of permission identifiers
+   */
+  diffPermissions(current, requested) {
+    current = current || []
+    requested = requested || []
+    return {
+      added: requested.filter(p => !current.includes(p)),
+      removed: current.filter(p => !requested.includes(p))
+    }
+  },
+
   /**
    * Validate all permissions in a plugin manifest
    * @param {Array<string>} permissions - Array of permission identifiers
@@ -0,0 +1,104 @@
+const _ = require('lodash')
+const dependencies = require('./dependencies')
+
+/**
+ * Plugin Services Module
+ * Lets plugins call the services other plugins export from server/index.js:
+ *
+ *   module.exports = {
+ *     services: {
+ *       search: {
+ *         async query(text) { ... }
+ *       }
+ *     }
+ *   }
+ *
+ * A plugin may only use the services of plugins listed in its dependencies or
+ * optionalDependencies, while a version in the declared range is running.
+ */
+
+module.exports = {
+  /**
+   * Check if a plugin declares dependencies, whose services it may use
+   * @param {Object} plugin - Plugin object from database
+   * @returns {boolean} True if the plugin has dependencies
+   */
+  hasDependencies(plugin) {
+    return dependencies.getDeclared(plugin.manifest).length > 0
+  },
+
+  /**
+   * Get the running sandbox of a plugin whose services another plugin wants to use
+   * @param {Object} consumer - Plugin object of the calling plugin
+   * @param {string} providerId - Identifier of the plugin providing the services
+   * @returns {PluginSandbox|null} Sandbox, or null if no version in range is running
+   * @throws {Error} If the consumer does not declare the provider as a dependency
+   */
+  getProvider(consumer, providerId) {
+    const dep = _.find(dependencies.getDeclared(consumer.manifest), ['pluginId', providerId])
+    if (!dep) {
+      throw new Error(`Plugin ${consumer.id} must declare ${providerId} as a dependency to use its services`)
+    }
+
+    const sandbox = require('./runtime').getSandbox(providerId)
+    if (!sandbox || !dependencies.isSatisfied(dep, sandbox.plugin.version)) {
+      return null
+    }
+    return sandbox
+  },
+
+  /**
+   * List the services of a plugin
+   * @param {Object} consumer - Plugin object of the calling plugin
+   * @param {string} providerId - Identifier of the plugin providing the services
+   * @returns {Object|null} Method names by service name, or null if the plugin is not available
+   */
+  describe(consumer, providerId) {
+    const provider = this.getProvider(consumer, providerId)
+    return provider ? provider.services : null
+  },
+
+  /**
+   * Call a service method of another plugin
+   * @param {Object} consumer - Plugin object of the calling plugin
+   * @param {string} providerId - Identifier of the plugin providing the service
+   * @param {string} serviceName - Service name
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @returns {Promise<any>} Method return value
+   */
+  async call(consumer, providerId, serviceName, method, args = []) {
+    const provider = this.getProvider(consumer, providerId)
+    if (!provider) {
+      throw new Error(`Plugin ${providerId} is not available`)
+    }
+    if (!_.includes(_.get(provider.services, serviceName), method)) {
+      throw new Error(`Plugin ${providerId} does not provide ${serviceName}.${method}()`)
+    }
+    return provider.callService(serviceName, method, args)
+  },
+
+  /**
+   * Create the services API of a plugin context
+   * @param {Object} consumer - Plugin object from database
+   * @returns {Object} Services API
+   */
+  createServicesAPI(consumer) {
+    return {
+      /**
+       * Get a service of another plugin
+       * @returns {Promise<Object|null>} Object with the service methods, or null if not available
+       */
+      get: async (providerId, serviceName) => {
+        const services = this.describe(consumer, providerId)
+        if (!services || !services[serviceName]) {
+          return null
+        }
+        return _.fromPairs(services[serviceName].map(method => [
+          method,
+          (...args) => this.call(consumer, providerId, serviceName, method, args)
+        ]))
+      }
+    }
+  }
+}
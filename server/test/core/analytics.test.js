@@ -0,0 +1,117 @@
+/**
+ * Built-in Analytics Tests
+ *
+ * Tests visitor hashing, referrer parsing and buffering of page views and searches
+ */
+
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const analytics = require('../../core/analytics')
+
+/**
+ * Build a minimal Express request
+ */
+function mockRequest (headers = {}, ip = '10.0.0.1') {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]))
+  return {
+    ip,
+    hostname: 'wiki.example.com',
+    get: name => lowerHeaders[name.toLowerCase()]
+  }
+}
+
+describe('core/analytics', () => {
+  beforeEach(() => {
+    WIKI.config = {
+      sessionSecret: 'test-secret'
+    }
+    analytics.isEnabled = true
+    analytics.config = {}
+    analytics.pending = {
+      pageViews: {},
+      referrers: {},
+      searches: {}
+    }
+  })
+
+  describe('hashVisitor', () => {
+    it('hashes the same visitor identically within a day only', () => {
+      const visitor = { day: '2024-05-01', ip: '10.0.0.1', userAgent: 'Firefox' }
+      const hash = analytics.hashVisitor(visitor)
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/)
+      expect(analytics.hashVisitor(visitor)).toBe(hash)
+      expect(analytics.hashVisitor({ ...visitor, day: '2024-05-02' })).not.toBe(hash)
+      expect(hash).not.toContain('10.0.0.1')
+    })
+  })
+
+  describe('getReferrer', () => {
+    it('returns the hostname of external referrers only', () => {
+      expect(analytics.getReferrer('https://www.google.com/search?q=wiki', 'wiki.example.com')).toBe('google.com')
+      expect(analytics.getReferrer('https://wiki.example.com/en/home', 'wiki.example.com')).toBeNull()
+      expect(analytics.getReferrer('android-app://com.slack', 'wiki.example.com')).toBeNull()
+      expect(analytics.getReferrer('not a url', 'wiki.example.com')).toBeNull()
+      expect(analytics.getReferrer('', 'wiki.example.com')).toBeNull()
+    })
+  })
+
+  describe('isTrackable', () => {
+    it('ignores bots and Do Not Track requests', () => {
+      expect(analytics.isTrackable(mockRequest({ 'User-Agent': 'Mozilla/5.0 Firefox/126.0' }))).toBe(true)
+      expect(analytics.isTrackable(mockRequest({ 'User-Agent': 'Mozilla/5.0 (compatible; Googlebot/2.1)' }))).toBe(false)
+      expect(analytics.isTrackable(mockRequest({ 'User-Agent': 'Mozilla/5.0 Firefox/126.0', DNT: '1' }))).toBe(false)
+    })
+
+    it('can be configured to record everything', () => {
+      analytics.config = { excludeBots: false, respectDoNotTrack: false }
+
+      expect(analytics.isTrackable(mockRequest({ 'User-Agent': 'curl/8.0', 'Sec-GPC': '1' }))).toBe(true)
+    })
+  })
+
+  describe('trackPageView', () => {
+    it('counts views, unique visitors and external referrers', () => {
+      const page = { id: 42 }
+      analytics.trackPageView(mockRequest({ 'User-Agent': 'Firefox', Referer: 'https://news.ycombinator.com/' }), page)
+      analytics.trackPageView(mockRequest({ 'User-Agent': 'Firefox' }), page)
+      analytics.trackPageView(mockRequest({ 'User-Agent': 'Firefox' }, '10.0.0.2'), page)
+
+      const entry = Object.values(analytics.pending.pageViews)[0]
+      expect(entry.pageId).toBe(42)
+      expect(entry.views).toBe(3)
+      expect(entry.visitors.size).toBe(2)
+      expect(Object.values(analytics.pending.referrers)).toEqual([
+        expect.objectContaining({ referrer: 'news.ycombinator.com', views: 1 })
+      ])
+    })
+
+    it('does nothing when the provider is disabled', () => {
+      analytics.isEnabled = false
+      analytics.trackPageView(mockRequest({ 'User-Agent': 'Firefox' }), { id: 1 })
+
+      expect(analytics.pending.pageViews).toEqual({})
+    })
+  })
+
+  describe('trackSearch', () => {
+    it('groups normalized queries and counts searches without results', () => {
+      analytics.trackSearch('  Install   Guide ', 3)
+      analytics.trackSearch('install guide', 0)
+      analytics.trackSearch('   ', 0)
+
+      expect(Object.values(analytics.pending.searches)).toEqual([
+        expect.objectContaining({ query: 'install guide', searches: 2, zeroResults: 1 })
+      ])
+    })
+
+    it('can be disabled', () => {
+      analytics.config = { trackSearches: false }
+      analytics.trackSearch('install', 0)
+
+      expect(analytics.pending.searches).toEqual({})
+    })
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * Page Notifications Tests
+ *
+ * Tests subscription matching, subscriber notification and digest summaries
+ */
+
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const notifications = require('../../core/notifications')
+const PageSubscription = require('../../models/pageSubscriptions')
+
+/**
+ * Wait for the emails queued by notify() to be sent
+ */
+function flushQueue() {
+  return new Promise(resolve => setImmediate(resolve))
+}
+
+describe('core/notifications', () => {
+  beforeEach(() => {
+    WIKI.config = {
+      host: 'https://wiki.example.com'
+    }
+    WIKI.models.pageSubscriptions = PageSubscription
+    WIKI.auth = {
+      checkAccess: jest.fn(() => true)
+    }
+    WIKI.mail = {
+      transport: {},
+      send: jest.fn()
+    }
+    WIKI.plugins.hooks.removeAllListeners()
+  })
+
+  describe('subscription matching', () => {
+    it('matches exact subscriptions on the same path only', () => {
+      const sub = { path: 'docs/install', isPrefix: false }
+      expect(PageSubscription.isMatch(sub, 'docs/install')).toBe(true)
+      expect(PageSubscription.isMatch(sub, 'docs/install/linux')).toBe(false)
+    })
+
+    it('matches prefix subscriptions on descendant paths only', () => {
+      const sub = { path: 'docs', isPrefix: true }
+      expect(PageSubscription.isMatch(sub, 'docs')).toBe(true)
+      expect(PageSubscription.isMatch(sub, 'docs/install')).toBe(true)
+      expect(PageSubscription.isMatch(sub, 'docsearch')).toBe(false)
+      expect(PageSubscription.isMatch({ path: '', isPrefix: true }, 'anything/here')).toBe(true)
+    })
+
+    it('prefers exact subscriptions then the longest prefix', () => {
+      const subs = [
+        { id: 1, path: 'docs', isPrefix: true },
+        { id: 2, path: 'docs/install', isPrefix: true },
+        { id: 3, path: 'docs/install', isPrefix: false }
+      ]
+      expect(PageSubscription.getMostSpecific(subs).id).toBe(3)
+      expect(PageSubscription.getMostSpecific(subs.slice(0, 2)).id).toBe(2)
+    })
+  })
+
+  describe('notify', () => {
+    const page = { id: 5, localeCode: 'en', path: 'docs/install', title: 'Install' }
+
+    it('emails immediate subscribers and queues digest subscribers', async () => {
+      const insert = jest.fn()
+      WIKI.models.pageNotifications = {
+        query: () => ({ insert })
+      }
+      PageSubscription.getSubscribers = jest.fn(async () => [
+        { userId: 10, mode: 'immediate', user: { id: 10, email: 'a@example.com', isActive: true } },
+        { userId: 11, mode: 'daily', user: { id: 11, email: 'b@example.com', isActive: true } }
+      ])
+
+      await notifications.notify({ event: 'updated', page, actor: { id: 1, name: 'Admin' } })
+      await flushQueue()
+
+      expect(WIKI.mail.send).toHaveBeenCalledTimes(1)
+      expect(WIKI.mail.send.mock.calls[0][0]).toMatchObject({
+        template: 'pageNotification',
+        to: 'a@example.com'
+      })
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 11,
+        mode: 'daily',
+        event: 'updated',
+        path: 'docs/install',
+        actorName: 'Admin'
+      }))
+    })
+
+    it('skips the author of the change and users without read access', async () => {
+      WIKI.auth.checkAccess = jest.fn(user => user.id !== 12)
+      PageSubscription.getSubscribers = jest.fn(async () => [
+        { userId: 1, mode: 'immediate', user: { id: 1, email: 'admin@example.com', isActive: true } },
+        { userId: 12, mode: 'immediate', user: { id: 12, email: 'c@example.com', isActive: true } }
+      ])
+
+      await notifications.notify({ event: 'updated', page, actor: { id: 1, name: 'Admin' } })
+      await flushQueue()
+
+      expect(WIKI.mail.send).not.toHaveBeenCalled()
+    })
+
+    it('does not wait for emails to be sent and logs failures', async () => {
+      WIKI.mail.send = jest.fn(() => Promise.reject(new Error('Connection refused')))
+      PageSubscription.getSubscribers = jest.fn(async () => [
+        { userId: 10, mode: 'immediate', user: { id: 10, email: 'a@example.com', isActive: true } }
+      ])
+
+      await notifications.notify({ event: 'updated', page, actor: { id: 1, name: 'Admin' } })
+      expect(WIKI.mail.send).not.toHaveBeenCalled()
+
+      await flushQueue()
+      expect(WIKI.mail.send).toHaveBeenCalledTimes(1)
+      expect(WIKI.logger.warn).toHaveBeenCalledWith('Failed to notify user 10 of page change: Connection refused')
+    })
+
+    it('is triggered by the page:update hook', async () => {
+      const spy = jest.spyOn(notifications, 'notify').mockImplementation(async () => {})
+      notifications.init()
+
+      await WIKI.plugins.hooks.emitAsync('page:update', { page, user: { id: 1 } })
+
+      expect(spy).toHaveBeenCalledWith({ event: 'updated', page, actor: { id: 1 } })
+      spy.mockRestore()
+    })
+
+    it('is triggered by the page:move hook, with the page before the move', async () => {
+      const spy = jest.spyOn(notifications, 'notify').mockImplementation(async () => {})
+      notifications.init()
+
+      const movedPage = { ...page, localeCode: 'fr', path: 'docs/installation' }
+      await WIKI.plugins.hooks.emitAsync('page:move', { page: movedPage, before: page, user: { id: 1 } })
+
+      expect(spy).toHaveBeenCalledWith({
+        event: 'moved',
+        page,
+        actor: { id: 1 },
+        target: { locale: 'fr', path: 'docs/installation' }
+      })
+      spy.mockRestore()
+    })
+  })
+
+  describe('summarizeChanges', () => {
+    it('merges queued notifications per page', () => {
+      const changes = notifications.summarizeChanges([
+        { pageId: 5, event: 'updated', localeCode: 'en', path: 'docs/install', title: 'Install', actorName: 'Alice' },
+        { pageId: 5, event: 'commented', localeCode: 'en', path: 'docs/install', title: 'Install', actorName: 'Bob' },
+        { pageId: 5, event: 'updated', localeCode: 'en', path: 'docs/install', title: 'Installation', actorName: 'Alice' },
+        { pageId: 6, event: 'deleted', localeCode: 'en', path: 'docs/old', title: 'Old', actorName: null }
+      ])
+
+      expect(changes).toHaveLength(2)
+      expect(changes[0]).toMatchObject({
+        title: 'Installation',
+        events: ['updated', 'commented on'],
+        actors: ['Alice', 'Bob'],
+        count: 3
+      })
+      expect(changes[1]).toMatchObject({
+        events: ['deleted'],
+        actors: [],
+        count: 1
+      })
+    })
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * Webhooks Dispatcher Tests
+ *
+ * Tests payload building, signing and event dispatching
+ */
+
+const crypto = require('crypto')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const webhooks = require('../../core/webhooks')
+
+describe('core/webhooks', () => {
+  beforeEach(() => {
+    WIKI.config = {
+      title: 'Test Wiki',
+      host: 'https://wiki.example.com'
+    }
+    WIKI.plugins.hooks.removeAllListeners()
+    webhooks.webhooks = []
+  })
+
+  describe('redact', () => {
+    it('removes sensitive keys at any depth', () => {
+      const result = webhooks.redact({
+        jwt: 'secret-token',
+        user: {
+          id: 1,
+          password: 'hunter2'
+        },
+        items: [{ token: 'abc', name: 'item' }]
+      })
+
+      expect(result).toEqual({
+        user: { id: 1 },
+        items: [{ name: 'item' }]
+      })
+    })
+
+    it('leaves scalar values untouched', () => {
+      expect(webhooks.redact('page:create')).toBe('page:create')
+      expect(webhooks.redact(42)).toBe(42)
+    })
+  })
+
+  describe('buildPayload', () => {
+    it('wraps hook data with event and site metadata', () => {
+      const payload = webhooks.buildPayload('page:create', { page: { id: 1 } })
+
+      expect(payload.event).toBe('page:create')
+      expect(payload.site).toEqual({ title: 'Test Wiki', host: 'https://wiki.example.com' })
+      expect(payload.data).toEqual({ page: { id: 1 } })
+      expect(new Date(payload.timestamp).toISOString()).toBe(payload.timestamp)
+    })
+  })
+
+  describe('sign', () => {
+    it('computes an HMAC SHA-256 signature of the body', () => {
+      const body = JSON.stringify({ event: 'page:update' })
+      const expected = crypto.createHmac('sha256', 's3cr3t').update(body).digest('hex')
+
+      expect(webhooks.sign('s3cr3t', body)).toBe(`sha256=${expected}`)
+    })
+
+    it('produces different signatures for different secrets', () => {
+      expect(webhooks.sign('a', 'body')).not.toBe(webhooks.sign('b', 'body'))
+    })
+  })
+
+  describe('getRetryDelay', () => {
+    it('doubles the delay on each attempt', () => {
+      expect(webhooks.getRetryDelay(1)).toBe(30)
+      expect(webhooks.getRetryDelay(2)).toBe(60)
+      expect(webhooks.getRetryDelay(3)).toBe(120)
+    })
+  })
+
+  describe('dispatch', () => {
+    let insert
+
+    beforeEach(() => {
+      insert = jest.fn(async (data) => ({ id: 10, ...data }))
+      WIKI.models.webhookDeliveries = {
+        query: jest.fn(() => ({ insert }))
+      }
+      jest.spyOn(webhooks, 'deliver').mockResolvedValue({})
+    })
+
+    afterEach(() => {
+      webhooks.deliver.mockRestore()
+    })
+
+    it('queues a delivery for each webhook subscribed to the event', async () => {
+      webhooks.webhooks = [
+        { id: 1, events: ['page:create'] },
+        { id: 2, events: ['page:delete'] },
+        { id: 3, events: ['page:create', 'page:update'] }
+      ]
+
+      await webhooks.dispatch('page:create', { page: { id: 5 } })
+
+      expect(insert).toHaveBeenCalledTimes(2)
+      expect(insert.mock.calls.map(c => c[0].webhookId)).toEqual([1, 3])
+      expect(JSON.parse(insert.mock.calls[0][0].payload).data).toEqual({ page: { id: 5 } })
+      expect(webhooks.deliver).toHaveBeenCalledTimes(2)
+    })
+
+    it('does nothing when no webhook is subscribed', async () => {
+      webhooks.webhooks = [{ id: 1, events: ['user:create'] }]
+
+      await webhooks.dispatch('page:create', {})
+
+      expect(insert).not.toHaveBeenCalled()
+    })
+
+    it('is triggered by plugin hooks once initialized', async () => {
+      WIKI.models.webhooks = {
+        query: jest.fn(() => ({
+          where: jest.fn(async () => [{ id: 1, events: ['user:create'] }])
+        }))
+      }
+      webhooks.init()
+      await webhooks.reload()
+
+      await WIKI.plugins.hooks.emitAsync('user:create', { user: { id: 3 } })
+
+      expect(insert).toHaveBeenCalledTimes(1)
+      expect(insert.mock.calls[0][0].event).toBe('user:create')
+    })
+  })
+})
@@ -0,0 +1,40 @@
+const anchorHelper = require('../../helpers/anchor')
+
+describe('helpers/anchor/getPageText', () => {
+  it('extracts normalized text from rendered HTML', () => {
+    expect(anchorHelper.getPageText('<h1>Setup</h1>\n<p>Install  <strong>Node</strong>.js\nfirst.</p><script>run()</script>')).toEqual('Setup Install Node.js first.')
+  })
+})
+
+describe('helpers/anchor/locate', () => {
+  const text = 'The quick brown fox jumps over the lazy dog. The quick brown fox sleeps. Configure the reverse proxy before starting the server.'
+
+  it('picks the exact occurrence with the matching context', () => {
+    const anchor = anchorHelper.describe(text, text.lastIndexOf('The quick brown fox'), 19)
+
+    expect(anchorHelper.locate(text, anchor)).toEqual({ offset: 45, length: 19, isExact: true })
+    expect(anchorHelper.locate(text, { ...anchor, prefix: '', suffix: ' jumps', offset: 60 }).offset).toEqual(0)
+  })
+
+  it('re-anchors edited passages with fuzzy matching', () => {
+    const anchor = anchorHelper.describe(text, text.indexOf('Configure'), 'Configure the reverse proxy before starting'.length)
+    const edited = `Introduction. ${text.replace('reverse proxy before', 'reverse-proxy just before')}`
+    const location = anchorHelper.locate(edited, anchor)
+
+    expect(location.isExact).toBe(false)
+    expect(edited.substr(location.offset, location.length)).toEqual('Configure the reverse-proxy just before starting')
+  })
+
+  it('re-anchors long passages by their head and tail', () => {
+    const passage = 'Wiki.js stores pages in a database and renders them to HTML on save. Each page belongs to a locale and has a path, a title and a description. Access is controlled by groups, whose page rules match paths, tags or regular expressions.'
+    const anchor = anchorHelper.describe(`Header. ${passage} Footer.`, 8, passage.length)
+    const edited = `New header. ${passage.replace('renders them', 'renders those').replace('groups, whose', 'user groups whose')} Footer.`
+    const location = anchorHelper.locate(edited, anchor)
+
+    expect(edited.substr(location.offset, location.length)).toEqual(passage.replace('renders them', 'renders those').replace('groups, whose', 'user groups whose'))
+  })
+
+  it('gives up when the passage was removed', () => {
+    expect(anchorHelper.locate(text, { quote: 'completely unrelated sentence', offset: 10 })).toBeNull()
+  })
+})
@@ -0,0 +1,44 @@
+const archiveHelper = require('../../helpers/archive')
+
+describe('helpers/archive/remapPath', () => {
+  it('moves paths inside the subtree only', () => {
+    expect(archiveHelper.remapPath('docs/guide', 'docs/guide', 'team/manual')).toEqual('team/manual')
+    expect(archiveHelper.remapPath('docs/guide/setup/linux', 'docs/guide', 'team/manual')).toEqual('team/manual/setup/linux')
+    expect(archiveHelper.remapPath('docs/guidelines', 'docs/guide', 'team/manual')).toBeNull()
+    expect(archiveHelper.remapPath('home', 'docs/guide', 'team/manual')).toBeNull()
+  })
+
+  it('moves all paths of a locale archive', () => {
+    expect(archiveHelper.remapPath('home', '', 'team')).toEqual('team/home')
+    expect(archiveHelper.remapPath('docs/guide', '', '')).toEqual('docs/guide')
+  })
+})
+
+describe('helpers/archive/remapLinks', () => {
+  const mapping = {
+    fromLocale: 'en',
+    fromPath: 'docs/guide',
+    toLocale: 'fr',
+    toPath: 'manuel'
+  }
+
+  it('rewrites markdown links and images', () => {
+    const content = [
+      'See [setup](/en/docs/guide/setup#linux) and [home](/en/home).',
+      '![Diagram](/docs/guide/diagram.png "Diagram")',
+      '[Other locale](/de/docs/guide/setup) [Similar](/en/docs/guidelines)'
+    ].join('\n')
+
+    expect(archiveHelper.remapLinks(content, mapping)).toEqual([
+      'See [setup](/fr/manuel/setup#linux) and [home](/en/home).',
+      '![Diagram](/manuel/diagram.png "Diagram")',
+      '[Other locale](/de/docs/guide/setup) [Similar](/en/docs/guidelines)'
+    ].join('\n'))
+  })
+
+  it('rewrites HTML attributes', () => {
+    const content = '<p><a href="/en/docs/guide?tab=1">Guide</a><img src=\'/docs/guide/logo.svg\'><a href="//cdn.example.com/docs/guide">CDN</a></p>'
+
+    expect(archiveHelper.remapLinks(content, mapping)).toEqual('<p><a href="/fr/manuel?tab=1">Guide</a><img src=\'/manuel/logo.svg\'><a href="//cdn.example.com/docs/guide">CDN</a></p>')
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * Audit Log Helper Tests
+ *
+ * Tests redaction of sensitive values, diffing of states and CSV export
+ */
+
+const auditHelper = require('../../helpers/audit')
+
+describe('helpers/audit', () => {
+  describe('redact', () => {
+    it('replaces sensitive values at any depth', () => {
+      const result = auditHelper.redact({
+        name: 'GitHub',
+        config: { clientId: 'abc', clientSecret: 'xyz', nested: [{ accessToken: '123' }] },
+        newPassword: 'hunter2'
+      })
+
+      expect(result).toEqual({
+        name: 'GitHub',
+        config: { clientId: 'abc', clientSecret: '[REDACTED]', nested: [{ accessToken: '[REDACTED]' }] },
+        newPassword: '[REDACTED]'
+      })
+    })
+  })
+
+  describe('diff', () => {
+    it('keeps only the properties that changed', () => {
+      const result = auditHelper.diff(
+        { name: 'Editors', permissions: ['read:pages'], redirectOnLogin: '/' },
+        { name: 'Writers', permissions: ['read:pages'], redirectOnLogin: '/' }
+      )
+
+      expect(result).toEqual({
+        before: { name: 'Editors' },
+        after: { name: 'Writers' }
+      })
+    })
+
+    it('returns null when nothing changed', () => {
+      expect(auditHelper.diff({ tags: ['a', 'b'] }, { tags: ['a', 'b'] })).toBeNull()
+      expect(auditHelper.diff(null, null)).toBeNull()
+    })
+
+    it('records the whole state on creation and deletion', () => {
+      expect(auditHelper.diff(null, { name: 'Key', token: 'abc' })).toEqual({
+        before: null,
+        after: { name: 'Key', token: '[REDACTED]' }
+      })
+      expect(auditHelper.diff({ name: 'Key' }, null)).toEqual({
+        before: { name: 'Key' },
+        after: null
+      })
+    })
+  })
+
+  describe('toCsv', () => {
+    it('quotes cells and neutralizes formulas', () => {
+      const csv = auditHelper.toCsv([{
+        id: 1,
+        createdAt: '2024-05-01T10:00:00.000Z',
+        category: 'page',
+        action: 'page:update',
+        actorId: 1,
+        actorName: '=HYPERLINK("http://evil")',
+        actorEmail: 'admin@example.com',
+        ip: '10.0.0.1',
+        targetType: 'page',
+        targetId: '42',
+        targetName: 'en/home, sweet home',
+        changes: { before: { title: 'A' }, after: { title: 'B' } },
+        meta: null
+      }])
+      const lines = csv.split('\r\n')
+
+      expect(lines[0]).toBe('id,createdAt,category,action,actorId,actorName,actorEmail,ip,targetType,targetId,targetName,changes,meta')
+      expect(lines[1]).toBe('1,2024-05-01T10:00:00.000Z,page,page:update,1,"\'=HYPERLINK(""http://evil"")",admin@example.com,10.0.0.1,page,42,"en/home, sweet home","{""before"":{""title"":""A""},""after"":{""title"":""B""}}",')
+      expect(lines[2]).toBe('')
+    })
+  })
+})
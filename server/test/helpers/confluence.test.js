@@ -0,0 +1,72 @@
+const confluenceHelper = require('../../helpers/confluence')
+
+const resolvers = {
+  page: ({ id, title, spaceKey }) => {
+    if (spaceKey && spaceKey !== 'DOC') { return null }
+    return (id === '42' || title === 'Other Page') ? '/en/docs/other-page' : null
+  },
+  attachment: ({ filename, pageTitle }) => pageTitle ? null : `/docs/intro/${filename}`
+}
+
+describe('helpers/confluence/storageToHtml', () => {
+  it('resolves links to pages and attachments', () => {
+    const html = confluenceHelper.storageToHtml(`
+      <p><ac:link><ri:page ri:content-title="Other Page" /><ac:plain-text-link-body><![CDATA[the other page]]></ac:plain-text-link-body></ac:link></p>
+      <p><a href="https://example.atlassian.net/wiki/spaces/DOC/pages/42/Other+Page">by id</a></p>
+      <p><ac:link><ri:attachment ri:filename="spec.pdf" /></ac:link></p>
+      <p><ac:image ac:alt="Diagram"><ri:attachment ri:filename="diagram.png" /></ac:image></p>
+      <p><ac:link><ri:page ri:content-title="Elsewhere" ri:space-key="OTHER" /></ac:link></p>
+    `, resolvers)
+
+    expect(html).toContain('<a href="/en/docs/other-page">the other page</a>')
+    expect(html).toContain('<a href="/en/docs/other-page">by id</a>')
+    expect(html).toContain('<a href="/docs/intro/spec.pdf">spec.pdf</a>')
+    expect(html).toContain('<img src="/docs/intro/diagram.png" alt="Diagram"/>')
+    expect(html).toContain('<p>Elsewhere</p>')
+  })
+
+  it('converts macros, including nested ones', () => {
+    const html = confluenceHelper.storageToHtml(`
+      <ac:structured-macro ac:name="info">
+        <ac:parameter ac:name="title">Heads up</ac:parameter>
+        <ac:rich-text-body>
+          <ac:structured-macro ac:name="code">
+            <ac:parameter ac:name="language">bash</ac:parameter>
+            <ac:plain-text-body><![CDATA[echo "a < b"]]></ac:plain-text-body>
+          </ac:structured-macro>
+        </ac:rich-text-body>
+      </ac:structured-macro>
+      <ac:structured-macro ac:name="expand"><ac:rich-text-body><p>Hidden</p></ac:rich-text-body></ac:structured-macro>
+      <ac:structured-macro ac:name="toc" />
+    `, resolvers)
+
+    expect(html).toContain('<blockquote class="is-info"><p><strong>Heads up</strong></p>')
+    expect(html).toContain('<pre><code class="language-bash">echo &quot;a &lt; b&quot;</code></pre>')
+    expect(html).toContain('<details><summary>Click here to expand...</summary>')
+    expect(html).not.toContain('toc')
+  })
+
+  it('decodes HTML entities that are not valid in XML', () => {
+    const html = confluenceHelper.storageToHtml('<p>A&nbsp;&amp;&nbsp;B &eacute;</p>', resolvers)
+
+    expect(confluenceHelper.htmlToMarkdown(html)).toEqual('A & B é')
+  })
+})
+
+describe('helpers/confluence/htmlToMarkdown', () => {
+  it('converts panels to styled blockquotes and tasks to checklists', () => {
+    const markdown = confluenceHelper.htmlToMarkdown(`
+      <blockquote class="is-warning"><p>Be careful.</p></blockquote>
+      <ul><li data-task-status="complete">Done</li><li data-task-status="incomplete">Todo</li></ul>
+    `)
+
+    expect(markdown).toEqual('> Be careful.\n{.is-warning}\n\n- [x] Done\n- [ ] Todo')
+  })
+})
+
+describe('helpers/confluence/slugify', () => {
+  it('falls back to the page ID', () => {
+    expect(confluenceHelper.slugify('Getting Started: Step 1', '1')).toEqual('getting-started-step-1')
+    expect(confluenceHelper.slugify('日本語', '123')).toEqual('page-123')
+  })
+})
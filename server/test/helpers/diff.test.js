@@ -0,0 +1,118 @@
+const diffHelper = require('../../helpers/diff')
+
+describe('helpers/diff/diffContent', () => {
+  it('numbers unchanged, removed and added lines on their own side', () => {
+    const result = diffHelper.diffContent('one\ntwo\nthree', 'one\n2\nthree\nfour')
+
+    expect(result.lines.map(l => [l.type, l.oldNumber, l.newNumber, l.content])).toEqual([
+      ['unchanged', 1, 1, 'one'],
+      ['removed', 2, null, 'two'],
+      ['added', null, 2, '2'],
+      ['unchanged', 3, 3, 'three'],
+      ['added', null, 4, 'four']
+    ])
+    expect(result.stats).toEqual({ added: 2, removed: 1, moved: 0 })
+  })
+
+  it('adds word segments to modified lines', () => {
+    const result = diffHelper.diffContent('The quick brown fox\n', 'The quick red fox\n')
+    const removed = result.lines.find(l => l.type === 'removed')
+    const added = result.lines.find(l => l.type === 'added')
+
+    expect(removed.segments).toContainEqual({ type: 'removed', value: 'brown' })
+    expect(added.segments).toContainEqual({ type: 'added', value: 'red' })
+    expect(added.segments.map(s => s.value).join('')).toEqual('The quick red fox')
+  })
+
+  it('leaves unrelated line pairs as whole line changes', () => {
+    const result = diffHelper.diffContent('Lorem ipsum dolor\n', 'Completely different\n')
+
+    expect(result.lines.every(l => l.segments === null)).toBe(true)
+  })
+
+  it('detects moved blocks', () => {
+    const before = '## Install\nRun the installer first.\n\n## Configure\nEdit the config file.\n'
+    const after = '## Configure\nEdit the config file.\n\n## Install\nRun the installer first.\n'
+    const result = diffHelper.diffContent(before, after)
+
+    expect(result.moves).toHaveLength(1)
+    const moved = result.lines.filter(l => l.moveId === result.moves[0].id)
+    expect(moved.filter(l => l.type === 'removed')).toHaveLength(result.moves[0].length)
+    expect(moved.filter(l => l.type === 'added')).toHaveLength(result.moves[0].length)
+    expect(result.stats.moved).toEqual(result.moves[0].length)
+  })
+
+  it('ignores short identical lines when detecting moves', () => {
+    const result = diffHelper.diffContent('a\n---\nb\n', 'b\n---\na\n')
+
+    expect(result.moves).toHaveLength(0)
+  })
+})
+
+describe('helpers/diff/merge3', () => {
+  const base = 'one\ntwo\nthree\nfour\nfive\n'
+
+  it('merges changes that do not overlap', () => {
+    const result = diffHelper.merge3(base, 'ONE\ntwo\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\nFIVE\nsix\n')
+
+    expect(result.conflicts).toEqual(0)
+    expect(result.content).toEqual('ONE\ntwo\nthree\nfour\nFIVE\nsix\n')
+    expect(result.chunks.map(c => c.type)).toEqual(['local', 'unchanged', 'remote'])
+  })
+
+  it('accepts the same change made on both sides', () => {
+    const result = diffHelper.merge3(base, 'one\n2\nthree\nfour\nfive\n', 'one\n2\nthree\nfour\nfive\n')
+
+    expect(result.conflicts).toEqual(0)
+    expect(result.chunks[1]).toMatchObject({ type: 'both', merged: ['2'] })
+  })
+
+  it('returns conflicts for overlapping changes', () => {
+    const result = diffHelper.merge3(base, 'one\nTWO\nthree\nfour\nfive\n', 'one\ndeux\nthree\nfour\ncinq\n')
+
+    expect(result.conflicts).toEqual(1)
+    expect(result.content).toBeNull()
+    expect(result.chunks[1]).toEqual({ type: 'conflict', base: ['two'], local: ['TWO'], remote: ['deux'], merged: null })
+    expect(result.chunks[3]).toMatchObject({ type: 'remote', merged: ['cinq'] })
+  })
+
+  it('returns a conflict for different insertions at the same place', () => {
+    const result = diffHelper.merge3(base, base + 'local\n', base + 'remote\n')
+
+    expect(result.conflicts).toEqual(1)
+    expect(result.chunks[1]).toMatchObject({ type: 'conflict', local: ['local'], remote: ['remote'] })
+  })
+})
+
+describe('helpers/diff/mergeField', () => {
+  it('keeps the side that changed the value', () => {
+    expect(diffHelper.mergeField('a', 'b', 'a')).toMatchObject({ merged: 'b', isConflict: false })
+    expect(diffHelper.mergeField('a', 'a', 'c')).toMatchObject({ merged: 'c', isConflict: false })
+    expect(diffHelper.mergeField('a', 'b', 'b')).toMatchObject({ merged: 'b', isConflict: false })
+    expect(diffHelper.mergeField('a', 'b', 'c')).toMatchObject({ merged: null, isConflict: true })
+  })
+})
+
+describe('helpers/diff/diffFields', () => {
+  it('lists changed metadata and tags', () => {
+    const result = diffHelper.diffFields({
+      title: 'Install',
+      description: 'How to install',
+      isPublished: 1,
+      isPrivate: 0,
+      tags: ['setup', 'linux']
+    }, {
+      title: 'Installation',
+      description: 'How to install',
+      isPublished: true,
+      isPrivate: true,
+      tags: ['linux', 'docker']
+    })
+
+    expect(result.fields).toEqual([
+      { key: 'title', before: 'Install', after: 'Installation' },
+      { key: 'isPrivate', before: 'false', after: 'true' }
+    ])
+    expect(result.tags).toEqual({ added: ['docker'], removed: ['setup'] })
+  })
+})
@@ -0,0 +1,53 @@
+const moderationHelper = require('../../helpers/moderation')
+
+describe('helpers/moderation/countLinks', () => {
+  it('counts markdown links and bare URLs', () => {
+    expect(moderationHelper.countLinks('See [docs](https://docs.requarks.io) and https://example.com or www.example.org.')).toEqual(3)
+    expect(moderationHelper.countLinks('No links here.')).toEqual(0)
+  })
+})
+
+describe('helpers/moderation/blocklist', () => {
+  const blocklist = moderationHelper.parseBlocklist('# Comment\n\ncheap pills\n/casino\\s*bonus/\n/[invalid/')
+
+  it('parses terms and regular expressions, skipping comments and invalid lines', () => {
+    expect(blocklist.map(b => b.term)).toEqual(['cheap pills', '/casino\\s*bonus/'])
+  })
+
+  it('matches terms case-insensitively', () => {
+    expect(moderationHelper.matchBlocklist('Buy CHEAP PILLS now', blocklist)).toEqual('cheap pills')
+    expect(moderationHelper.matchBlocklist('Casino   Bonus inside', blocklist)).toEqual('/casino\\s*bonus/')
+    expect(moderationHelper.matchBlocklist('A genuine question', blocklist)).toBeNull()
+  })
+})
+
+describe('helpers/moderation/runSpamChecks', () => {
+  const user = { id: 2, name: 'Guest', email: 'guest@example.com' }
+
+  it('returns the reason of the first failed check', () => {
+    const config = { maxLinks: 1, blocklist: 'pills' }
+
+    expect(moderationHelper.runSpamChecks({ content: 'https://a.com https://b.com', user, config })).toEqual('Too many links (2)')
+    expect(moderationHelper.runSpamChecks({ content: 'Cheap pills', user, config })).toEqual('Blocked term (pills)')
+    expect(moderationHelper.runSpamChecks({ content: 'Thanks, very helpful!', user, config })).toBeNull()
+  })
+
+  it('ignores the link count when disabled', () => {
+    expect(moderationHelper.runSpamChecks({ content: 'https://a.com https://b.com', user, config: { maxLinks: 0 } })).toBeNull()
+  })
+})
+
+describe('helpers/moderation/requiresApproval', () => {
+  const guest = { id: 2 }
+  const newUser = { id: 5, createdAt: new Date().toISOString() }
+  const oldUser = { id: 6, createdAt: '2020-01-01T00:00:00.000Z' }
+
+  it('applies the pre-approval policy', () => {
+    expect(moderationHelper.requiresApproval('none', guest, 7)).toBe(false)
+    expect(moderationHelper.requiresApproval('guests', guest, 7)).toBe(true)
+    expect(moderationHelper.requiresApproval('guests', newUser, 7)).toBe(false)
+    expect(moderationHelper.requiresApproval('newUsers', newUser, 7)).toBe(true)
+    expect(moderationHelper.requiresApproval('newUsers', oldUser, 7)).toBe(false)
+    expect(moderationHelper.requiresApproval('everyone', oldUser, 7)).toBe(true)
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Navigation Helper Tests
+ *
+ * Tests menu selection, nested sections and auto-generated page tree sections
+ */
+
+const navHelper = require('../../helpers/navigation')
+
+const items = [
+  { id: 'home', kind: 'link', label: 'Home', visibilityMode: 'all', visibilityGroups: [] },
+  { id: 'docs', kind: 'section', label: 'Docs', visibilityMode: 'all', visibilityGroups: [] },
+  { id: 'guide', kind: 'link', label: 'Guide', parentId: 'docs', visibilityMode: 'all', visibilityGroups: [] },
+  { id: 'internal', kind: 'section', label: 'Internal', parentId: 'docs', visibilityMode: 'restricted', visibilityGroups: [2] },
+  { id: 'runbook', kind: 'link', label: 'Runbook', parentId: 'internal', visibilityMode: 'all', visibilityGroups: [] }
+]
+
+describe('helpers/navigation', () => {
+  describe('normalizeMenus', () => {
+    it('upgrades the flat pre-2.3 format', () => {
+      expect(navHelper.normalizeMenus([{ id: 'a', kind: 'link', label: 'A' }])).toEqual([{
+        locale: 'en',
+        pathPrefix: '',
+        visibilityMode: 'all',
+        visibilityGroups: [],
+        items: [{ id: 'a', kind: 'link', label: 'A', parentId: null, visibilityMode: 'all', visibilityGroups: [] }]
+      }])
+    })
+
+    it('normalizes path prefixes', () => {
+      const menus = navHelper.normalizeMenus([{ locale: 'en', pathPrefix: '/engineering/**', items: [] }])
+      expect(menus[0].pathPrefix).toBe('engineering')
+    })
+  })
+
+  describe('selectMenu', () => {
+    const menus = navHelper.normalizeMenus([
+      { locale: 'en', pathPrefix: '', items: [] },
+      { locale: 'en', pathPrefix: 'engineering', items: [] },
+      { locale: 'en', pathPrefix: 'engineering/internal', visibilityMode: 'restricted', visibilityGroups: [2], items: [] }
+    ])
+
+    it('selects the longest matching path prefix', () => {
+      expect(navHelper.selectMenu(menus, { path: 'engineering/guides/setup' }).pathPrefix).toBe('engineering')
+      expect(navHelper.selectMenu(menus, { path: 'engineering' }).pathPrefix).toBe('engineering')
+      expect(navHelper.selectMenu(menus, { path: 'engineeringfoo' }).pathPrefix).toBe('')
+    })
+
+    it('skips menus restricted to other groups', () => {
+      expect(navHelper.selectMenu(menus, { path: 'engineering/internal/oncall', groups: [1] }).pathPrefix).toBe('engineering')
+      expect(navHelper.selectMenu(menus, { path: 'engineering/internal/oncall', groups: [2] }).pathPrefix).toBe('engineering/internal')
+    })
+  })
+
+  describe('isValidHierarchy', () => {
+    it('only allows items nested in sections, without cycles', () => {
+      expect(navHelper.isValidHierarchy(items)).toBe(true)
+      expect(navHelper.isValidHierarchy([...items, { id: 'x', kind: 'link', parentId: 'home' }])).toBe(false)
+      expect(navHelper.isValidHierarchy([...items, { id: 'x', kind: 'link', parentId: 'missing' }])).toBe(false)
+      expect(navHelper.isValidHierarchy([
+        { id: 'a', kind: 'section', parentId: 'b' },
+        { id: 'b', kind: 'section', parentId: 'a' }
+      ])).toBe(false)
+    })
+  })
+
+  describe('buildTree', () => {
+    it('nests items and hides the content of hidden sections', () => {
+      const tree = navHelper.buildTree(items, [1])
+      expect(tree.map(item => item.id)).toEqual(['home', 'docs'])
+      expect(tree[1].children.map(item => item.id)).toEqual(['guide'])
+
+      const fullTree = navHelper.buildTree(items, [2])
+      expect(fullTree[1].children[1].children.map(item => item.id)).toEqual(['runbook'])
+    })
+
+    it('moves orphan items to the top level', () => {
+      expect(navHelper.buildTree([{ id: 'a', kind: 'link', parentId: 'gone' }]).map(item => item.id)).toEqual(['a'])
+    })
+  })
+
+  describe('buildPageTreeItems', () => {
+    it('builds sections from folders', () => {
+      const result = navHelper.buildPageTreeItems([
+        { id: 1, path: 'eng/zeta', title: 'Zeta', isFolder: false, pageId: 10 },
+        { id: 2, path: 'eng/guides', title: 'Guides', isFolder: true, pageId: 11 },
+        { id: 3, path: 'eng/guides/setup', title: 'Setup', isFolder: false, pageId: 12 },
+        { id: 4, path: 'eng/empty', title: 'Empty', isFolder: true, pageId: null },
+        { id: 5, path: 'eng/alpha', title: 'Alpha', isFolder: false, pageId: 13 }
+      ], { rootPath: 'eng', locale: 'en' })
+
+      expect(result.map(item => item.label)).toEqual(['Guides', 'Alpha', 'Zeta'])
+      expect(result[0]).toMatchObject({ kind: 'section', icon: 'mdi-folder-outline' })
+      expect(result[0].children.map(item => item.target)).toEqual(['/en/eng/guides', '/en/eng/guides/setup'])
+    })
+  })
+
+  describe('toSidebar', () => {
+    it('converts nested items to the compact format', () => {
+      expect(navHelper.toSidebar([
+        { kind: 'section', label: 'Docs', icon: 'mdi-book', isExpanded: true, children: [{ kind: 'link', label: 'Guide', icon: 'mdi-link', targetType: 'page', target: '/en/guide' }] }
+      ])).toEqual([{
+        i: 'sdi-1',
+        k: 'section',
+        l: 'Docs',
+        c: 'mdi-book',
+        y: undefined,
+        t: undefined,
+        x: true,
+        n: [{ i: 'sdi-2', k: 'link', l: 'Guide', c: 'mdi-link', y: 'page', t: '/en/guide' }]
+      }])
+    })
+  })
+})
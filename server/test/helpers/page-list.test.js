@@ -0,0 +1,81 @@
+/**
+ * Page List Helper Tests
+ *
+ * Tests the parameters of embedded page lists, their cache keys and their HTML output
+ */
+
+const pageListHelper = require('../../helpers/page-list')
+
+describe('helpers/page-list', () => {
+  describe('parseParams / normalizeParams', () => {
+    it('parses quoted and unquoted parameters', () => {
+      expect(pageListHelper.parseParams(`path="/runbooks" tag='prod, DB' sort=updatedAt limit=20`)).toEqual({
+        path: '/runbooks',
+        tag: 'prod, DB',
+        sort: 'updatedAt',
+        limit: '20'
+      })
+    })
+
+    it('normalizes values and falls back to defaults', () => {
+      expect(pageListHelper.normalizeParams({ path: '/runbooks/', tag: 'prod, DB', sort: 'updatedAt', limit: '20' })).toEqual({
+        path: 'runbooks',
+        tags: ['db', 'prod'],
+        locale: null,
+        sort: 'updatedAt',
+        order: 'desc',
+        limit: 20,
+        display: 'table'
+      })
+      expect(pageListHelper.normalizeParams({ sort: 'random', limit: '5000', display: 'grid' }, { maxLimit: 50, display: 'cards' })).toMatchObject({
+        sort: 'title',
+        order: 'asc',
+        limit: 50,
+        display: 'cards'
+      })
+    })
+
+    it('round-trips through placeholder attributes', () => {
+      const params = pageListHelper.normalizeParams({ path: 'runbooks', tag: 'prod', locale: 'fr', order: 'desc', display: 'cards' })
+      expect(pageListHelper.fromAttributes(pageListHelper.toAttributes(params))).toEqual(params)
+    })
+  })
+
+  describe('isCacheKeyMatch', () => {
+    it('matches pages under the list path, in the same locale', () => {
+      const key = pageListHelper.cacheKey(pageListHelper.normalizeParams({ path: 'runbooks', tag: 'prod' }), 'en')
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'en', path: 'runbooks/db/failover' })).toBe(true)
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'en', path: 'runbooks' })).toBe(true)
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'en', path: 'runbooks-old/db' })).toBe(false)
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'fr', path: 'runbooks/db' })).toBe(false)
+      expect(pageListHelper.isCacheKeyMatch('nav:menus:en', { locale: 'en', path: 'runbooks' })).toBe(false)
+    })
+
+    it('matches every page of the locale for lists without a path', () => {
+      const key = pageListHelper.cacheKey(pageListHelper.normalizeParams({}), 'en')
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'en', path: 'anything/at/all' })).toBe(true)
+    })
+
+    it('matches every list of the locale without a page path', () => {
+      const key = pageListHelper.cacheKey(pageListHelper.normalizeParams({ path: 'runbooks', tag: 'prod' }), 'en')
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'en' })).toBe(true)
+      expect(pageListHelper.isCacheKeyMatch(key, { locale: 'fr' })).toBe(false)
+    })
+  })
+
+  describe('renderHtml', () => {
+    const pages = [{ locale: 'en', path: 'runbooks/db', title: 'DB <Failover>', description: '', updatedAt: '2024-03-01T10:00:00Z' }]
+
+    it('renders an escaped table', () => {
+      const html = pageListHelper.renderHtml(pageListHelper.normalizeParams({}), pages)
+      expect(html).toContain('v-pre')
+      expect(html).toContain('<a href="/en/runbooks/db">DB &lt;Failover&gt;</a>')
+      expect(html).toContain('<td>2024-03-01</td>')
+    })
+
+    it('renders cards and empty lists', () => {
+      expect(pageListHelper.renderHtml(pageListHelper.normalizeParams({ display: 'cards' }), pages)).toContain('class="page-list-card"')
+      expect(pageListHelper.renderHtml(pageListHelper.normalizeParams({}), [])).toContain('No pages found.')
+    })
+  })
+})
@@ -0,0 +1,103 @@
+/**
+ * Property Helper Tests
+ *
+ * Tests the validation of property definitions, the coercion of typed values and the parsing of list filters
+ */
+
+const propertyHelper = require('../../helpers/property')
+
+const definitions = propertyHelper.normalizeDefinitions([
+  { key: 'owner', label: 'Owner', type: 'user', isRequired: true },
+  { key: 'reviewDate', type: 'date' },
+  { key: 'status', label: 'Status', type: 'enum', options: ['draft', 'published', ' draft '] },
+  { key: 'priority', label: 'Priority', type: 'number' },
+  { key: 'summary', label: 'Summary', type: 'string' },
+  { key: 'archived', label: 'Archived', type: 'boolean' }
+])
+
+describe('helpers/property', () => {
+  describe('normalizeDefinitions', () => {
+    it('cleans up labels and options', () => {
+      expect(definitions[1]).toEqual({ key: 'reviewDate', label: 'Review Date', type: 'date', options: [], isRequired: false })
+      expect(definitions[2].options).toEqual(['draft', 'published'])
+    })
+
+    it('rejects invalid definitions', () => {
+      expect(() => propertyHelper.normalizeDefinitions([{ key: 'Owner', type: 'user' }])).toThrow(/Invalid property key/)
+      expect(() => propertyHelper.normalizeDefinitions([{ key: 'owner', type: 'person' }])).toThrow(/Invalid type/)
+      expect(() => propertyHelper.normalizeDefinitions([{ key: 'status', type: 'enum', options: [] }])).toThrow(/at least one option/)
+      expect(() => propertyHelper.normalizeDefinitions([{ key: 'a', type: 'string' }, { key: 'a', type: 'number' }])).toThrow(/unique/)
+    })
+  })
+
+  describe('resolveDate', () => {
+    const now = new Date('2024-03-31T12:00:00Z')
+
+    it('resolves absolute and relative dates', () => {
+      expect(propertyHelper.resolveDate('2024-01-15', now)).toBe('2024-01-15')
+      expect(propertyHelper.resolveDate('today', now)).toBe('2024-03-31')
+      expect(propertyHelper.resolveDate('now-6M', now)).toBe('2023-09-30')
+      expect(propertyHelper.resolveDate('now + 2w', now)).toBe('2024-04-14')
+      expect(propertyHelper.resolveDate('next week', now)).toBeNull()
+    })
+  })
+
+  describe('coerceValue', () => {
+    it('coerces values to their stored form', () => {
+      expect(propertyHelper.coerceValue(definitions[0], '12')).toEqual({ value: '12', valueNumber: 12 })
+      expect(propertyHelper.coerceValue(definitions[3], ' 2.50 ')).toEqual({ value: '2.5', valueNumber: 2.5 })
+      expect(propertyHelper.coerceValue(definitions[5], '1')).toEqual({ value: 'true', valueNumber: null })
+      expect(propertyHelper.coerceValue(definitions[1], '2024-02-29T10:00:00Z')).toEqual({ value: '2024-02-29', valueNumber: null })
+      expect(propertyHelper.coerceValue(definitions[4], '  ')).toBeNull()
+    })
+
+    it('rejects invalid values', () => {
+      expect(() => propertyHelper.coerceValue(definitions[0], 'jane')).toThrow(/Invalid value/)
+      expect(() => propertyHelper.coerceValue(definitions[2], 'archived')).toThrow(/Invalid value/)
+      expect(() => propertyHelper.coerceValue(definitions[5], 'maybe')).toThrow(/Invalid value/)
+    })
+  })
+
+  describe('toRows / fromRows', () => {
+    it('converts properties to rows and back', () => {
+      const rows = propertyHelper.toRows(definitions, [
+        { key: 'status', value: 'draft' },
+        { key: 'owner', value: '3' },
+        { key: 'summary', value: '' }
+      ])
+      expect(rows).toEqual([
+        { key: 'status', value: 'draft', valueNumber: null },
+        { key: 'owner', value: '3', valueNumber: 3 }
+      ])
+      expect(propertyHelper.fromRows(definitions, [...rows, { key: 'removed', value: 'x' }])).toEqual([
+        { key: 'owner', label: 'Owner', type: 'user', value: '3' },
+        { key: 'status', label: 'Status', type: 'enum', value: 'draft' }
+      ])
+    })
+
+    it('rejects unknown and missing required properties', () => {
+      expect(() => propertyHelper.toRows(definitions, [{ key: 'owner', value: '3' }, { key: 'color', value: 'red' }])).toThrow(/Unknown property/)
+      expect(() => propertyHelper.toRows(definitions, [{ key: 'status', value: 'draft' }])).toThrow(/Owner is required/)
+    })
+  })
+
+  describe('parseFilter', () => {
+    it('maps operators and coerces values', () => {
+      expect(propertyHelper.parseFilter(definitions, { key: 'owner', operator: 'EQ', value: '3' })).toEqual({
+        key: 'owner', column: 'valueNumber', operator: '=', values: [3], includeMissing: false
+      })
+      expect(propertyHelper.parseFilter(definitions, { key: 'status', operator: 'IN', values: ['draft', 'published'] }).values).toEqual(['draft', 'published'])
+      expect(propertyHelper.parseFilter(definitions, { key: 'summary', operator: 'CONTAINS', value: 'api' }).values).toEqual(['%api%'])
+      expect(propertyHelper.parseFilter(definitions, { key: 'reviewDate', operator: 'LT', value: '2024-01-01', includeMissing: true })).toMatchObject({
+        column: 'value', operator: '<', values: ['2024-01-01'], includeMissing: true
+      })
+      expect(propertyHelper.parseFilter(definitions, { key: 'owner', operator: 'NOT_EXISTS' }).values).toEqual([])
+    })
+
+    it('rejects invalid filters', () => {
+      expect(() => propertyHelper.parseFilter(definitions, { key: 'color', operator: 'EQ', value: 'red' })).toThrow(/Unknown property/)
+      expect(() => propertyHelper.parseFilter(definitions, { key: 'priority', operator: 'CONTAINS', value: '1' })).toThrow(/only supported on text/)
+      expect(() => propertyHelper.parseFilter(definitions, { key: 'priority', operator: 'GT' })).toThrow(/Missing value/)
+    })
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * SCIM Helper Tests
+ *
+ * Tests mapping of users and groups to SCIM resources, PATCH operations and list filtering
+ */
+
+const scimHelper = require('../../helpers/scim')
+
+const baseUrl = 'https://wiki.example.com/scim/v2'
+
+const user = {
+  id: 5,
+  email: 'jane@example.com',
+  name: 'Jane Doe',
+  isActive: true,
+  scimExternalId: '00u1abc',
+  timezone: 'Europe/Paris',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-02-01T00:00:00.000Z',
+  groups: [{ id: 3, name: 'Editors' }]
+}
+
+describe('helpers/scim', () => {
+  describe('toUserResource', () => {
+    it('maps a user to a SCIM User', () => {
+      const resource = scimHelper.toUserResource(user, baseUrl)
+
+      expect(resource).toMatchObject({
+        schemas: [scimHelper.schemas.user],
+        id: '5',
+        externalId: '00u1abc',
+        userName: 'jane@example.com',
+        displayName: 'Jane Doe',
+        active: true,
+        emails: [{ value: 'jane@example.com', type: 'work', primary: true }],
+        groups: [{ value: '3', display: 'Editors', $ref: `${baseUrl}/Groups/3` }],
+        meta: { resourceType: 'User', location: `${baseUrl}/Users/5` }
+      })
+    })
+  })
+
+  describe('parseUser', () => {
+    it('reads the primary email, name and active state', () => {
+      expect(scimHelper.parseUser({
+        userName: 'jdoe',
+        name: { givenName: 'Jane', familyName: 'Doe' },
+        emails: [{ value: 'jane.home@example.com', type: 'home' }, { value: 'Jane@Example.com', primary: true }],
+        active: 'False',
+        externalId: 'abc'
+      })).toEqual({
+        email: 'jane@example.com',
+        name: 'Jane Doe',
+        isActive: false,
+        scimExternalId: 'abc',
+        timezone: null
+      })
+    })
+
+    it('falls back to the userName and rejects users without email', () => {
+      expect(scimHelper.parseUser({ userName: 'john@example.com' })).toMatchObject({ email: 'john@example.com', name: 'john', isActive: true })
+      expect(() => scimHelper.parseUser({ userName: 'john' })).toThrow(expect.objectContaining({ status: 400, scimType: 'invalidValue' }))
+    })
+  })
+
+  describe('applyPatch', () => {
+    it('applies the operations sent by identity providers', () => {
+      const resource = scimHelper.toUserResource(user, baseUrl)
+      const result = scimHelper.applyPatch(resource, {
+        schemas: [scimHelper.schemas.patchOp],
+        Operations: [
+          { op: 'Replace', path: 'active', value: false },
+          { op: 'replace', value: { 'name.givenName': 'Janet', displayName: 'Janet Doe' } },
+          { op: 'replace', path: 'emails[type eq "work"].value', value: 'janet@example.com' }
+        ]
+      })
+
+      expect(result.active).toBe(false)
+      expect(result.name.givenName).toBe('Janet')
+      expect(result.displayName).toBe('Janet Doe')
+      expect(result.emails).toEqual([{ value: 'janet@example.com', type: 'work', primary: true }])
+      expect(resource.active).toBe(true)
+    })
+
+    it('adds and removes group members', () => {
+      const group = { schemas: [scimHelper.schemas.group], displayName: 'Editors', members: [{ value: '5' }, { value: '6' }] }
+
+      expect(scimHelper.applyPatch(group, {
+        Operations: [{ op: 'add', path: 'members', value: [{ value: '7' }, { value: '5' }] }]
+      }).members).toEqual([{ value: '5' }, { value: '6' }, { value: '7' }])
+      expect(scimHelper.applyPatch(group, {
+        Operations: [{ op: 'remove', path: 'members[value eq "6"]' }]
+      }).members).toEqual([{ value: '5' }])
+      expect(scimHelper.applyPatch(group, {
+        Operations: [{ op: 'remove', path: 'members', value: [{ value: '5' }] }]
+      }).members).toEqual([{ value: '6' }])
+    })
+
+    it('rejects invalid operations', () => {
+      expect(() => scimHelper.applyPatch({}, { Operations: [] })).toThrow(expect.objectContaining({ status: 400 }))
+      expect(() => scimHelper.applyPatch({}, { Operations: [{ op: 'move', path: 'active' }] })).toThrow(expect.objectContaining({ scimType: 'invalidSyntax' }))
+      expect(() => scimHelper.applyPatch({}, { Operations: [{ op: 'remove' }] })).toThrow(expect.objectContaining({ scimType: 'noTarget' }))
+    })
+  })
+
+  describe('toListResponse', () => {
+    it('filters and paginates resources', () => {
+      const resources = [1, 2, 3, 4].map(id => scimHelper.toUserResource({ ...user, id, email: `user${id}@example.com` }, baseUrl))
+
+      expect(scimHelper.toListResponse(resources, { filter: 'userName eq "USER3@example.com"' })).toMatchObject({
+        totalResults: 1,
+        Resources: [expect.objectContaining({ id: '3' })]
+      })
+      expect(scimHelper.toListResponse(resources, { startIndex: '2', count: '2' })).toMatchObject({
+        totalResults: 4,
+        startIndex: 2,
+        itemsPerPage: 2,
+        Resources: [expect.objectContaining({ id: '2' }), expect.objectContaining({ id: '3' })]
+      })
+      expect(() => scimHelper.toListResponse(resources, { filter: 'userName eq' })).toThrow(expect.objectContaining({ scimType: 'invalidFilter' }))
+    })
+  })
+})
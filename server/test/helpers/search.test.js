@@ -0,0 +1,160 @@
+const _ = require('lodash')
+const searchHelper = require('../../helpers/search')
+const dbEngine = require('../../modules/search/db/engine')
+
+describe('helpers/search/tokenize', () => {
+  it('splits on punctuation and removes case and diacritics', () => {
+    expect(searchHelper.tokenize('Crème Brûlée: a how-to (v2.1)')).toEqual(['creme', 'brulee', 'a', 'how', 'to', 'v2', '1'])
+  })
+
+  it('keeps the positions of repeated tokens', () => {
+    expect(searchHelper.getPostings('to be or not to be')).toEqual({
+      positions: { to: [0, 4], be: [1, 5], or: [2], not: [3] },
+      length: 6
+    })
+  })
+})
+
+describe('helpers/search/parseQuery', () => {
+  it('parses terms, phrases and prefixes', () => {
+    expect(searchHelper.parseQuery('install "reverse proxy" conf* ')).toEqual([
+      { type: 'term', tokens: ['install'] },
+      { type: 'phrase', tokens: ['reverse', 'proxy'] },
+      { type: 'prefix', tokens: ['conf'] }
+    ])
+  })
+
+  it('matches the word being typed as a prefix', () => {
+    expect(searchHelper.parseQuery('docker comp')).toEqual([
+      { type: 'term', tokens: ['docker'] },
+      { type: 'prefix', tokens: ['comp'] }
+    ])
+    expect(searchHelper.parseQuery('docker comp ')[1].type).toEqual('term')
+  })
+})
+
+describe('helpers/search/ranking', () => {
+  it('counts phrase occurrences', () => {
+    expect(searchHelper.countPhrase([[0, 4, 9], [1, 5], [2, 12]])).toEqual(1)
+    expect(searchHelper.countPhrase([[0, 4], null])).toEqual(0)
+  })
+
+  it('ranks frequent terms in short documents higher', () => {
+    const stats = { df: 2, docCount: 10, avgLength: 100 }
+    const frequentShort = searchHelper.bm25({ ...stats, tf: 5, length: 50 })
+    const rareLong = searchHelper.bm25({ ...stats, tf: 1, length: 300 })
+    const rareTerm = searchHelper.bm25({ ...stats, df: 1, tf: 1, length: 300 })
+
+    expect(frequentShort).toBeGreaterThan(rareLong)
+    expect(rareTerm).toBeGreaterThan(rareLong)
+  })
+})
+
+describe('helpers/search/buildExcerpt', () => {
+  it('highlights matches around the first one and escapes HTML', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(5)}Configure the <proxy> with Docker Compose & restart.`
+    const excerpt = searchHelper.buildExcerpt(text, searchHelper.parseQuery('docker comp'))
+
+    expect(excerpt).toMatch(/^… /)
+    expect(excerpt).toContain('the &lt;proxy&gt; with <mark>Docker</mark> <mark>Compose</mark> &amp; restart.')
+  })
+})
+
+describe('helpers/search/editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(searchHelper.editDistance('kubernetes', 'kubernetes')).toEqual(0)
+    expect(searchHelper.editDistance('kubernets', 'kubernetes')).toEqual(1)
+    expect(searchHelper.editDistance('kitten', 'sitting')).toEqual(3)
+  })
+})
+
+describe('helpers/search/escapeLike', () => {
+  it('escapes LIKE wildcards and the escape character', () => {
+    expect(searchHelper.escapeLike('docs/install')).toEqual('docs/install')
+    expect(searchHelper.escapeLike('100%_done\\')).toEqual('100\\%\\_done\\\\')
+  })
+})
+
+describe('modules/search/db/query', () => {
+  const pages = [
+    { id: 1, path: 'docs/install', locale: 'en', title: 'Install', description: '', tags: [] },
+    { id: 2, path: 'hr/salaries', locale: 'en', title: 'Salaries', description: '', tags: [] },
+    { id: 3, path: 'hr/payroll', locale: 'en', title: 'Payroll', description: '', tags: [] }
+  ]
+  const postings = [
+    { token: 'salary', pageId: 1, field: 'content', frequency: 1, positions: '0', length: 10 },
+    { token: 'salary', pageId: 2, field: 'title', frequency: 2, positions: '0,3', length: 10 },
+    { token: 'salary', pageId: 3, field: 'content', frequency: 1, positions: '5', length: 10 },
+    { token: 'salery', pageId: 2, field: 'title', frequency: 1, positions: '0', length: 10 },
+    { token: 'salami', pageId: 1, field: 'content', frequency: 1, positions: '2', length: 10 }
+  ]
+
+  /**
+   * Query builder resolving to rows filtered by the whereIn / where calls on known columns
+   */
+  const createBuilder = (rows, single = false) => {
+    const filters = []
+    const builder = {
+      whereIn: (column, values) => {
+        const key = _.last(column.split('.'))
+        filters.push(row => values.map(_.toString).includes(_.toString(row[key])))
+        return builder
+      },
+      where: (column, op, value) => {
+        if (column === 'token' && op === 'like') {
+          filters.push(row => _.startsWith(row.token, value.replace('%', '')))
+        } else if (column === 'token' || column === 'pagesPostings.token') {
+          filters.push(row => row.token === op)
+        }
+        return builder
+      },
+      first: () => {
+        single = true
+        return builder
+      },
+      then: (resolve, reject) => {
+        const matches = rows.filter(row => filters.every(filter => filter(row)))
+        return Promise.resolve(single ? matches[0] : matches).then(resolve, reject)
+      }
+    }
+    for (const method of ['select', 'column', 'distinct', 'join', 'sum', 'count', 'avg', 'whereBetween', 'groupBy', 'limit', 'orderBy', 'withGraphJoined', 'modifyGraph']) {
+      builder[method] = () => builder
+    }
+    return builder
+  }
+
+  beforeEach(() => {
+    global.WIKI = {
+      config: { db: { type: 'postgres' }, search: { maxHits: 10 } },
+      logger: { warn: jest.fn() },
+      auth: {
+        checkAccess: jest.fn((user, perms, { path }) => !path.startsWith('hr/'))
+      },
+      models: {
+        pages: { query: jest.fn(() => createBuilder(pages)) },
+        knex: Object.assign(jest.fn(table => {
+          if (table === 'pagesIndex') {
+            const builder = createBuilder([{ docCount: 3, avgLength: 10 }])
+            builder.whereIn = () => createBuilder(pages.map(p => ({ id: p.id, content: p.title })))
+            return builder
+          }
+          return createBuilder(postings.map(p => ({ ...p })))
+        }), { raw: jest.fn() })
+      }
+    }
+  })
+
+  it('only counts and suggests from pages the user can read', async () => {
+    const resp = await dbEngine.query('salary', { user: { id: 5 } })
+
+    expect(_.map(resp.results, 'id')).toEqual([1])
+    expect(resp.totalHits).toBe(1)
+    expect(resp.suggestions).toEqual(['salami'])
+
+    WIKI.auth.checkAccess.mockReturnValue(true)
+    const adminResp = await dbEngine.query('salary', { user: { id: 1 } })
+
+    expect(adminResp.totalHits).toBe(3)
+    expect(adminResp.suggestions).toEqual(['salery', 'salami'])
+  })
+})
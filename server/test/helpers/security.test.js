@@ -0,0 +1,26 @@
+const securityHelper = require('../../helpers/security')
+
+describe('helpers/security/ipRanges', () => {
+  it('matches addresses and CIDR ranges', () => {
+    const ranges = securityHelper.parseIpRanges(['10.0.0.0/8', '192.168.1.10', 'fd00::/8'])
+
+    expect(securityHelper.isIpInRanges('10.20.30.40', ranges)).toBe(true)
+    expect(securityHelper.isIpInRanges('192.168.1.10', ranges)).toBe(true)
+    expect(securityHelper.isIpInRanges('192.168.1.11', ranges)).toBe(false)
+    expect(securityHelper.isIpInRanges('fd12:3456::1', ranges)).toBe(true)
+    expect(securityHelper.isIpInRanges('2001:db8::1', ranges)).toBe(false)
+  })
+
+  it('checks IPv4-mapped IPv6 addresses as IPv4', () => {
+    const ranges = securityHelper.parseIpRanges(['10.0.0.0/8'])
+
+    expect(securityHelper.isIpInRanges('::ffff:10.1.2.3', ranges)).toBe(true)
+    expect(securityHelper.isIpInRanges('', ranges)).toBe(false)
+  })
+
+  it('rejects invalid ranges', () => {
+    expect(() => securityHelper.parseIpRanges(['10.0.0.0/33'])).toThrow('Invalid IP range')
+    expect(() => securityHelper.parseIpRanges(['example.com'])).toThrow('Invalid IP range')
+    expect(() => securityHelper.parseIpRanges(['10.0.0.0/x'])).toThrow('Invalid IP range')
+  })
+})
@@ -0,0 +1,63 @@
+/**
+ * Template Helper Tests
+ *
+ * Tests placeholder parsing and filling, and the selection of required templates
+ */
+
+const templateHelper = require('../../helpers/template')
+
+describe('helpers/template', () => {
+  describe('isTemplatePath', () => {
+    it('only matches pages under the templates path', () => {
+      expect(templateHelper.isTemplatePath('_templates/postmortem')).toBe(true)
+      expect(templateHelper.isTemplatePath('_templates')).toBe(false)
+      expect(templateHelper.isTemplatePath('xtemplates/postmortem')).toBe(false)
+    })
+  })
+
+  describe('parsePlaceholders', () => {
+    it('lists built-in and custom placeholders once, in order', () => {
+      const content = '# {{title}}\n\nSeverity: {{ severity }}\nTicket: {{ticket:Ticket number}}\nBy {{author}} on {{date}}, {{Severity}}'
+      expect(templateHelper.parsePlaceholders(content)).toEqual([
+        { key: 'title', label: 'Title', isBuiltIn: true },
+        { key: 'severity', label: 'Severity', isBuiltIn: false },
+        { key: 'ticket', label: 'Ticket number', isBuiltIn: false },
+        { key: 'author', label: 'Author', isBuiltIn: true },
+        { key: 'date', label: 'Date', isBuiltIn: true }
+      ])
+    })
+  })
+
+  describe('fillPlaceholders', () => {
+    it('fills built-in and custom values', () => {
+      const content = '# {{title}}\n{{date}} - {{author}} - {{path}}\nTicket: {{ticket:Ticket number}} {{missing}}'
+      expect(templateHelper.fillPlaceholders(content, {
+        title: 'Outage',
+        path: 'incidents/2024-03-01',
+        user: { name: 'Jane Doe', timezone: 'America/New_York' },
+        values: { Ticket: 'INC-42' },
+        date: new Date('2024-03-01T02:00:00Z')
+      })).toBe('# Outage\n2024-02-29 - Jane Doe - incidents/2024-03-01\nTicket: INC-42 ')
+    })
+  })
+
+  describe('findRule', () => {
+    const rules = [
+      { pathPrefix: 'incidents', locale: null, templateId: 1 },
+      { pathPrefix: 'incidents/security/**', locale: null, templateId: 2 },
+      { pathPrefix: 'meetings', locale: 'fr', templateId: 3 }
+    ]
+
+    it('selects the longest matching prefix for the locale', () => {
+      expect(templateHelper.findRule(rules, { path: 'incidents/outage', locale: 'en' }).templateId).toBe(1)
+      expect(templateHelper.findRule(rules, { path: 'incidents/security/leak', locale: 'en' }).templateId).toBe(2)
+      expect(templateHelper.findRule(rules, { path: 'meetings/weekly', locale: 'en' })).toBeNull()
+      expect(templateHelper.findRule(rules, { path: 'meetings/weekly', locale: 'fr' }).templateId).toBe(3)
+      expect(templateHelper.findRule(rules, { path: 'incidentsfoo', locale: 'en' })).toBeNull()
+    })
+
+    it('never applies to templates', () => {
+      expect(templateHelper.findRule([{ pathPrefix: '_templates', templateId: 1 }], { path: '_templates/new', locale: 'en' })).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,320 @@
+/**
+ * Export Tests
+ *
+ * Tests the printable document built from exported pages and the pandoc export
+ */
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const AdmZip = require('adm-zip')
+const _ = require('lodash')
+const assetHelper = require('../../helpers/asset')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }), { virtual: true })
+
+global.WIKI = createMockWIKI()
+
+const puppeteer = require('puppeteer')
+const Export = require('../../models/export')
+const pdfExt = require('../../modules/extensions/puppeteer/ext')
+
+describe('models/export/buildPdfDocument', () => {
+  const pages = [
+    { id: 1, localeCode: 'en', path: 'docs', title: 'Docs', render: '<p><a href="/en/docs/install#linux">Install</a></p>', toc: '[]' },
+    { id: 2, localeCode: 'en', path: 'docs/install', title: 'Install <Guide>', render: '<h1 id="linux">Linux</h1><a href="/en/other">Other</a>', toc: '[]' }
+  ]
+  const opts = {
+    title: 'Docs',
+    description: 'All the docs',
+    pages,
+    rootPath: 'docs',
+    cover: true,
+    coverText: 'Confidential',
+    toc: true,
+    author: 'John Doe',
+    date: '2026-01-01',
+    stylesheets: ['/_assets/css/app.css']
+  }
+
+  beforeEach(() => {
+    WIKI.config = {
+      host: 'https://wiki.example.com',
+      title: 'Example Wiki'
+    }
+  })
+
+  it('rewrites links to exported pages to their section', () => {
+    const html = Export.buildPdfDocument(opts)
+
+    expect(html).toContain('href="#page-2"')
+    expect(html).toContain('href="/en/other"')
+  })
+
+  it('includes the cover page, table of contents and theme stylesheets', () => {
+    const html = Export.buildPdfDocument(opts)
+
+    expect(html).toContain('class="pdf-cover"')
+    expect(html).toContain('Confidential')
+    expect(html).toContain('<a href="#page-2">Install &lt;Guide&gt;</a>')
+    expect(html).toContain('<link rel="stylesheet" href="/_assets/css/app.css">')
+  })
+
+  it('lists the page headers as table of contents of a single page', () => {
+    const html = Export.buildPdfDocument({
+      ...opts,
+      cover: false,
+      pages: [{ ...pages[0], toc: JSON.stringify([{ title: 'Setup', anchor: '#setup', children: [] }]) }]
+    })
+
+    expect(html).not.toContain('class="pdf-cover"')
+    expect(html).toContain('<li><a href="#setup">Setup</a></li>')
+    expect(html).not.toContain('<h1 class="pdf-page-title">')
+  })
+})
+
+describe('models/export/exportToFormat', () => {
+  let rootPath
+  let inputHtml
+  let convertOpts
+
+  const pages = [
+    {
+      id: 1,
+      localeCode: 'en',
+      path: 'docs',
+      title: 'Docs',
+      render: [
+        '<p><img src="/docs/chart.png?v=2" alt="Chart"></p>',
+        '<p><img src="/private/secret.png" alt="Secret"></p>',
+        '<p><img src="/docs/missing.png" alt="Missing"></p>',
+        '<p><img src="http://169.254.169.254/latest/meta-data" alt="Remote"></p>',
+        '<p><img src="file:///etc/passwd" alt="Local"></p>',
+        '<p><img src="/docs/chart.png" srcset="/docs/chart-2x.png 2x"></p>'
+      ].join('')
+    }
+  ]
+
+  beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-export-'))
+    await fs.ensureDir(path.join(rootPath, 'data', 'uploads'))
+    inputHtml = null
+    convertOpts = null
+
+    global.WIKI = createMockWIKI()
+    WIKI.ROOTPATH = rootPath
+    WIKI.config = { dataPath: './data', host: 'https://wiki.example.com', lang: { code: 'en' } }
+    WIKI.Error = require('../../helpers/error')
+    WIKI.plugins = null
+    WIKI.auth = { checkAccess: jest.fn((user, perms, { path }) => !path.startsWith('private')) }
+    WIKI.extensions = {
+      ext: {
+        pandoc: {
+          ...require('../../modules/extensions/pandoc/ext'),
+          isInstalled: true,
+          version: '3.1.0',
+          convert: jest.fn(async (opts) => {
+            convertOpts = opts
+            inputHtml = await fs.readFile(opts.inputPath, 'utf8')
+            await fs.outputFile(opts.outputPath, 'DOCX')
+          })
+        }
+      }
+    }
+    const assets = {
+      [assetHelper.generateHash('docs/chart.png')]: { id: 7, mime: 'image/png' }
+    }
+    WIKI.models.assets = {
+      query: jest.fn(() => {
+        let hash = null
+        const builder = {
+          select: () => builder,
+          where: (column, value) => {
+            hash = value
+            return builder
+          },
+          first: async () => assets[hash]
+        }
+        return builder
+      })
+    }
+    WIKI.models.knex = jest.fn(() => ({
+      where: jest.fn(() => ({
+        first: jest.fn(async () => ({ id: 7, data: Buffer.from('PNG') }))
+      }))
+    }))
+    WIKI.models.export = Export
+    jest.spyOn(Export, 'getExportablePages').mockResolvedValue(pages)
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.remove(rootPath)
+  })
+
+  it('only embeds the wiki assets the user can read into documents', async () => {
+    const result = await Export.exportToFormat({ format: 'docx', locale: 'en', path: 'docs', user: { id: 1 } })
+
+    expect(result).toMatchObject({ fileName: 'docs.docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' })
+    expect(result.data.toString()).toBe('DOCX')
+    expect(convertOpts.args).toEqual(['--standalone'])
+
+    const dataUri = `data:image/png;base64,${Buffer.from('PNG').toString('base64')}`
+    expect(inputHtml.split(`<img src="${dataUri}"`)).toHaveLength(3)
+    expect(inputHtml).not.toContain('srcset')
+    expect(inputHtml).not.toMatch(/<img src="(?!data:)/)
+    expect(inputHtml).toContain('<p>Secret</p><p>Missing</p><p>Remote</p><p>Local</p>')
+    expect(WIKI.models.assets.query).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('models/export/exportToArchive', () => {
+  let queriedPaths
+  const pages = [
+    { id: 1, localeCode: 'en', path: 'docs', title: 'Docs', content: '# Docs', contentType: 'markdown', render: '', isPublished: true, tags: [] },
+    { id: 2, localeCode: 'en', path: 'home', title: 'Home', content: '# Home', contentType: 'markdown', render: '', isPublished: true, tags: [] },
+    { id: 3, localeCode: 'en', path: 'private/keys', title: 'Keys', content: 'secret', contentType: 'markdown', render: '', isPublished: true, tags: [] }
+  ]
+
+  beforeEach(() => {
+    global.WIKI = createMockWIKI()
+    WIKI.config = { host: 'https://wiki.example.com', lang: { code: 'en' } }
+    WIKI.Error = require('../../helpers/error')
+    WIKI.plugins = null
+    WIKI.auth = {
+      checkAccess: jest.fn((user, [perm], { path }) => perm !== 'read:source' || !path.startsWith('private'))
+    }
+    WIKI.models.export = Export
+    WIKI.models.pages = {
+      query: jest.fn(() => {
+        queriedPaths = []
+        const builder = {
+          select: () => builder,
+          withGraphFetched: () => builder,
+          where: () => builder,
+          orWhere: (column, op, value) => {
+            queriedPaths.push(value)
+            return builder
+          },
+          andWhere: (fn) => {
+            fn({
+              where: (column, value) => { queriedPaths.push(value) },
+              orWhere: builder.orWhere
+            })
+            return builder
+          },
+          orderBy: () => builder,
+          then: (resolve, reject) => Promise.resolve(pages).then(resolve, reject)
+        }
+        return builder
+      })
+    }
+  })
+
+  it('exports all pages of the locale for the root path', async () => {
+    const result = await Export.exportToArchive({ locale: 'en', path: '/', user: { id: 1 } })
+
+    expect(queriedPaths).toEqual([])
+    expect(result).toMatchObject({ fileName: 'export.zip', pagesExported: 2 })
+  })
+
+  it('only includes the pages whose source the user can read', async () => {
+    const result = await Export.exportToArchive({ locale: 'en', path: '', user: { id: 1 } })
+    const zip = new AdmZip(result.data)
+
+    expect(zip.getEntries().map(e => e.entryName).sort()).toEqual(['pages/docs.md', 'pages/home.md', 'wiki-archive.json'])
+    expect(WIKI.auth.checkAccess).toHaveBeenCalledWith({ id: 1 }, ['read:source'], expect.objectContaining({ path: 'private/keys' }))
+  })
+})
+
+describe('modules/extensions/puppeteer/renderPdf', () => {
+  let browser
+  let pages
+  let running
+  let maxRunning
+
+  beforeEach(() => {
+    running = 0
+    maxRunning = 0
+    pages = []
+    browser = {
+      on: jest.fn(),
+      close: jest.fn(async () => {}),
+      createBrowserContext: jest.fn(async () => ({
+        close: jest.fn(async () => {}),
+        newPage: async () => {
+          const page = {
+            setCookie: jest.fn(),
+            setRequestInterception: jest.fn(),
+            on: jest.fn(),
+            setContent: async () => {
+              running++
+              maxRunning = Math.max(maxRunning, running)
+              await new Promise(resolve => setTimeout(resolve, 10))
+              running--
+            },
+            pdf: async () => Buffer.from('PDF')
+          }
+          pages.push(page)
+          return page
+        }
+      }))
+    }
+    puppeteer.launch.mockReset().mockResolvedValue(browser)
+
+    global.WIKI = createMockWIKI()
+    WIKI.config = { host: 'https://wiki.example.com', pdfRenderer: { maxConcurrency: 2, noSandbox: false } }
+    pdfExt.isInstalled = true
+  })
+
+  afterEach(async () => {
+    await pdfExt.close()
+  })
+
+  it('renders with a shared sandboxed browser and limits concurrent renders', async () => {
+    const results = await Promise.all(_.times(5, () => pdfExt.renderPdf({ html: '<p>Hi</p>' })))
+
+    expect(results.map(r => r.toString())).toEqual(_.times(5, _.constant('PDF')))
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1)
+    expect(puppeteer.launch).toHaveBeenCalledWith({ args: ['--disable-dev-shm-usage'] })
+    expect(browser.createBrowserContext).toHaveBeenCalledTimes(5)
+    expect(maxRunning).toBe(2)
+    expect(pdfExt.activeRenders).toBe(0)
+  })
+
+  it('only loads resources and sets cookies of the wiki origin', async () => {
+    await pdfExt.renderPdf({
+      html: '<p>Hi</p>',
+      cookies: [
+        { name: 'jwt', value: 'token', url: 'https://wiki.example.com/' },
+        { name: 'other', value: 'token', url: 'http://169.254.169.254' }
+      ]
+    })
+
+    const [page] = pages
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true)
+    expect(page.setCookie).toHaveBeenCalledWith({ name: 'jwt', value: 'token', url: 'https://wiki.example.com' })
+
+    const onRequest = page.on.mock.calls.find(([event]) => event === 'request')[1]
+    const request = url => {
+      const req = { url: () => url, continue: jest.fn(), abort: jest.fn() }
+      onRequest(req)
+      return req.continue.mock.calls.length > 0 ? 'continue' : 'abort'
+    }
+    expect(request('https://wiki.example.com/_assets/css/app.css')).toBe('continue')
+    expect(request('data:image/png;base64,AAAA')).toBe('continue')
+    expect(request('http://169.254.169.254/latest/meta-data/')).toBe('abort')
+    expect(request('http://localhost:3000/graphql')).toBe('abort')
+    expect(request('https://wiki.example.com.evil.com/')).toBe('abort')
+    expect(request('file:///etc/passwd')).toBe('abort')
+  })
+
+  it('only disables the chromium sandbox when configured', async () => {
+    WIKI.config.pdfRenderer.noSandbox = true
+
+    await pdfExt.renderPdf({ html: '<p>Hi</p>' })
+
+    expect(puppeteer.launch).toHaveBeenCalledWith({ args: ['--no-sandbox', '--disable-dev-shm-usage'] })
+  })
+})
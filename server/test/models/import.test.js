@@ -0,0 +1,193 @@
+/**
+ * Import Tests
+ *
+ * Tests the pandoc extension, the import of documents converted with it and archive imports
+ */
+
+const AdmZip = require('adm-zip')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const childProcess = require('child_process')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+jest.mock('child_process', () => ({ execFile: jest.fn() }))
+jest.mock('command-exists', () => jest.fn(async () => 'pandoc'))
+
+global.WIKI = createMockWIKI()
+
+const pandoc = require('../../modules/extensions/pandoc/ext')
+const Import = require('../../models/import')
+
+describe('modules/extensions/pandoc', () => {
+  const mockPandoc = (version) => {
+    childProcess.execFile.mockImplementation((cmd, args, opts, cb) => {
+      cb(null, { stdout: args[0] === '--version' ? `pandoc ${version}\nFeatures: +server +lua\n` : '' })
+    })
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    global.WIKI = createMockWIKI()
+  })
+
+  it('refuses pandoc versions without sandbox support', async () => {
+    mockPandoc('2.14.2')
+
+    await expect(pandoc.check()).resolves.toBe(false)
+    expect(WIKI.logger.warn).toHaveBeenCalledWith('Pandoc 2.14.2 is too old, version 2.15.0 or later is required.')
+
+    pandoc.isInstalled = true
+    await expect(pandoc.convert({ inputPath: 'in.docx', outputPath: 'out.md', from: 'docx', to: 'gfm' }))
+      .rejects.toThrow('Pandoc 2.15.0 or later is required.')
+  })
+
+  it('runs conversions in sandbox mode', async () => {
+    mockPandoc('3.1')
+
+    await expect(pandoc.check()).resolves.toBe(true)
+    expect(pandoc.version).toBe('3.1.0')
+
+    await pandoc.convert({ inputPath: 'in.docx', outputPath: 'out.md', from: 'docx', to: 'gfm', cwd: '/tmp', args: ['--wrap=none'] })
+    expect(childProcess.execFile).toHaveBeenLastCalledWith(
+      'pandoc',
+      ['in.docx', '-f', 'docx', '-t', 'gfm', '-o', 'out.md', '--sandbox', '--wrap=none'],
+      expect.objectContaining({ cwd: '/tmp' }),
+      expect.any(Function)
+    )
+  })
+})
+
+describe('models/import/importFromFile', () => {
+  let rootPath
+  let uploads
+  let convertOpts
+
+  beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-import-'))
+    await fs.ensureDir(path.join(rootPath, 'data', 'uploads'))
+    uploads = []
+    convertOpts = null
+
+    global.WIKI = createMockWIKI()
+    WIKI.ROOTPATH = rootPath
+    WIKI.config = { dataPath: './data', lang: { code: 'en' } }
+    WIKI.Error = require('../../helpers/error')
+    WIKI.plugins = null
+    WIKI.auth = { checkAccess: jest.fn(() => true) }
+    WIKI.extensions = {
+      ext: {
+        pandoc: {
+          ...pandoc,
+          isInstalled: true,
+          version: '3.1.0',
+          convert: jest.fn(async (opts) => {
+            convertOpts = opts
+            await fs.outputFile(opts.outputPath, '![Chart](media/chart.png) ![Secret](media/0b1e.txt)\n')
+            if (opts.args.includes('--extract-media=media')) {
+              await fs.outputFile(path.join(opts.cwd, 'media', 'chart.png'), 'PNG')
+              await fs.outputFile(path.join(opts.cwd, 'media', '0b1e.txt'), 'root:x:0:0')
+            }
+          })
+        }
+      }
+    }
+    WIKI.models.assetFolders = { ensurePath: jest.fn(async () => 5) }
+    WIKI.models.assets = {
+      upload: jest.fn(async (opts) => {
+        uploads.push({ ...opts, data: await fs.readFile(opts.path, 'utf8') })
+      })
+    }
+    WIKI.models.pages = {
+      createPage: jest.fn(async (opts) => ({ id: 12, localeCode: opts.locale, path: opts.path, title: opts.title, content: opts.content }))
+    }
+  })
+
+  afterEach(async () => {
+    await fs.remove(rootPath)
+  })
+
+  it('only uploads the media files embedded in documents', async () => {
+    const result = await Import.importFromFile({ filePath: 'report.docx', fileName: 'report.docx', path: 'reports/q1', user: { id: 1 } })
+
+    expect(convertOpts.args).toContain('--extract-media=media')
+    expect(uploads).toEqual([expect.objectContaining({ assetPath: 'reports/q1/chart.png', mimetype: 'image/png', folderId: 5, data: 'PNG' })])
+    expect(result.assets).toEqual(['reports/q1/chart.png'])
+    expect(result.errors).toEqual([{ page: 'reports/q1/0b1e.txt', message: 'Only images, audio and video files are imported.' }])
+    expect(WIKI.models.pages.createPage).toHaveBeenCalledWith(expect.objectContaining({
+      content: '![Chart](/reports/q1/chart.png) ![Secret](media/0b1e.txt)\n'
+    }))
+  })
+
+  it('does not extract media from markup formats', async () => {
+    const result = await Import.importFromFile({ filePath: 'page.wiki', fileName: 'page.wiki', path: 'imported', user: { id: 1 } })
+
+    expect(convertOpts.args).toEqual(['--wrap=none'])
+    expect(uploads).toEqual([])
+    expect(result.assets).toEqual([])
+  })
+})
+
+describe('models/import/importFromArchive', () => {
+  let rootPath
+  let archivePath
+
+  /**
+   * Write an archive of the given manifest and files
+   */
+  const writeArchive = (manifest, files = {}) => {
+    const zip = new AdmZip()
+    zip.addFile('wiki-archive.json', Buffer.from(JSON.stringify({ version: 1, path: 'docs', assets: [], ...manifest })))
+    for (const [name, data] of Object.entries(files)) {
+      zip.addFile(name, Buffer.from(data))
+    }
+    zip.writeZip(archivePath)
+  }
+
+  beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-import-'))
+    await fs.ensureDir(path.join(rootPath, 'data', 'uploads'))
+    archivePath = path.join(rootPath, 'archive.zip')
+
+    global.WIKI = createMockWIKI()
+    WIKI.ROOTPATH = rootPath
+    WIKI.config = { dataPath: './data', lang: { code: 'en' }, uploads: { maxFileSize: 1024 } }
+    WIKI.Error = require('../../helpers/error')
+    WIKI.plugins = null
+    WIKI.data = { editors: [{ key: 'markdown' }] }
+    WIKI.auth = { checkAccess: jest.fn(() => true) }
+    WIKI.models.pages = {
+      query: () => ({ findOne: jest.fn(async () => null) }),
+      parseMetadata: jest.fn(content => ({ title: 'Install', editor: 'markdown', content })),
+      createPage: jest.fn(async (opts) => ({ id: 12, localeCode: opts.locale, path: opts.path }))
+    }
+  })
+
+  afterEach(async () => {
+    await fs.remove(rootPath)
+  })
+
+  it('refuses archives with entries larger than the upload limit', async () => {
+    writeArchive({ locale: 'en', pages: [{ path: 'docs/install', file: 'pages/docs/install.md' }] }, {
+      'pages/docs/install.md': 'a'.repeat(2048)
+    })
+
+    await expect(Import.importFromArchive({ filePath: archivePath, user: { id: 1 } })).rejects.toThrow(WIKI.Error.ImportArchiveTooLarge)
+    expect(WIKI.models.pages.parseMetadata).not.toHaveBeenCalled()
+  })
+
+  it('uses the default locale for archives without one', async () => {
+    writeArchive({ pages: [{ path: 'docs/install', file: 'pages/docs/install.md' }] }, {
+      'pages/docs/install.md': 'See [setup](/en/docs/setup)'
+    })
+
+    const result = await Import.importFromArchive({ filePath: archivePath, path: 'guides', user: { id: 1 } })
+
+    expect(result.errors).toEqual([])
+    expect(WIKI.models.pages.createPage).toHaveBeenCalledWith(expect.objectContaining({
+      locale: 'en',
+      path: 'guides/install',
+      content: 'See [setup](/en/guides/setup)'
+    }))
+  })
+})
@@ -0,0 +1,54 @@
+/**
+ * Navigation Model Tests
+ *
+ * Tests the auto-generated page tree sections only list what the user can read
+ */
+
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const Navigation = require('../../models/navigation')
+
+/**
+ * Query builder resolving to the given rows
+ */
+function createQuery(rows) {
+  const builder = {}
+  for (const method of ['select', 'where', 'andWhere', 'orderBy']) {
+    builder[method] = jest.fn(() => builder)
+  }
+  builder.modify = jest.fn(fn => {
+    fn(builder)
+    return builder
+  })
+  builder.then = (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+  return builder
+}
+
+describe('models/navigation', () => {
+  describe('getPageTreeItems', () => {
+    beforeEach(() => {
+      global.WIKI = createMockWIKI()
+      WIKI.models.knex = {
+        table: jest.fn(() => createQuery([
+          { id: 1, path: 'eng/secret', title: 'Secret Project Codename', isFolder: true, pageId: 10 },
+          { id: 2, path: 'eng/secret/notes', title: 'Notes', isFolder: false, pageId: 11 },
+          { id: 3, path: 'eng/secret/plans', title: 'Plans', isFolder: false, pageId: 12 }
+        ]))
+      }
+      WIKI.auth = {
+        checkAccess: jest.fn((user, perms, { path }) => path === 'eng/secret/notes')
+      }
+    })
+
+    it('labels folders of unreadable pages with their path segment', async () => {
+      const result = await Navigation.getPageTreeItems({ locale: 'en', rootPath: 'eng', user: { id: 5 } })
+
+      expect(result).toHaveLength(1)
+      expect(result[0]).toMatchObject({ kind: 'section', label: 'secret' })
+      expect(result[0].children.map(item => item.label)).toEqual(['Notes'])
+      expect(JSON.stringify(result)).not.toContain('Secret Project Codename')
+    })
+  })
+})
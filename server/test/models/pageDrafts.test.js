@@ -0,0 +1,200 @@
+/**
+ * Page Drafts Tests
+ *
+ * Tests saving, publishing and scheduling drafts, and the job publishing scheduled drafts
+ */
+
+const _ = require('lodash')
+const { DateTime } = require('luxon')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const PageDraft = require('../../models/pageDrafts')
+
+/**
+ * Query builder over an in-memory table
+ */
+function createTable(rows) {
+  let nextId = 1
+  return jest.fn(() => {
+    const filters = []
+    let action = null
+    let single = false
+    const builder = {
+      where: (column, op, value) => {
+        if (_.isPlainObject(column)) {
+          _.forOwn(column, (val, key) => filters.push(row => row[key] === val))
+        } else if (_.isUndefined(value)) {
+          filters.push(row => row[column] === op)
+        } else {
+          filters.push(row => row[column] <= value)
+        }
+        return builder
+      },
+      andWhere: (...args) => builder.where(...args),
+      whereNotNull: column => {
+        filters.push(row => !_.isNil(row[column]))
+        return builder
+      },
+      orderBy: () => builder,
+      withGraphFetched: () => builder,
+      findById: id => {
+        filters.push(row => row.id === id)
+        single = true
+        return builder
+      },
+      findOne: where => {
+        single = true
+        return builder.where(where)
+      },
+      insert: async data => {
+        const row = { ...data, id: nextId++ }
+        rows.push(row)
+        return _.clone(row)
+      },
+      patch: data => {
+        action = matches => {
+          matches.forEach(row => Object.assign(row, data))
+          return matches.length
+        }
+        return builder
+      },
+      delete: () => {
+        action = matches => {
+          _.pullAll(rows, matches)
+          return matches.length
+        }
+        return builder
+      },
+      then: (resolve, reject) => {
+        const matches = rows.filter(row => filters.every(filter => filter(row)))
+        const result = action ? action(matches) : (single ? _.clone(matches[0]) : matches.map(_.clone))
+        return Promise.resolve(result).then(resolve, reject)
+      }
+    }
+    return builder
+  })
+}
+
+describe('models/pageDrafts', () => {
+  let drafts
+  let page
+  const user = { id: 1, name: 'John' }
+  const admin = { id: 3, name: 'Jane' }
+
+  beforeEach(() => {
+    drafts = []
+    page = {
+      id: 10,
+      localeCode: 'en',
+      path: 'docs',
+      title: 'Docs',
+      description: '',
+      isPublished: true,
+      extra: { css: '', js: '' },
+      $relatedQuery: jest.fn(async () => [{ tag: 'guide' }])
+    }
+
+    global.WIKI = createMockWIKI()
+    WIKI.Error = require('../../helpers/error')
+    WIKI.auth = { checkAccess: jest.fn(() => true) }
+    WIKI.models.pageDrafts = PageDraft
+    jest.spyOn(PageDraft, 'query').mockImplementation(createTable(drafts))
+    WIKI.models.pages = {
+      query: jest.fn(() => ({ findById: jest.fn(async id => id === page.id ? page : null) })),
+      updatePage: jest.fn(async opts => ({ ...page, content: opts.content }))
+    }
+    WIKI.models.users = {
+      query: jest.fn(() => ({
+        findById: id => ({ withGraphFetched: async () => _.find([user, admin], ['id', id]) || null })
+      }))
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('saves a draft without touching the live page', async () => {
+    await PageDraft.saveDraft({ id: 10, content: '# First', user })
+    const draft = await PageDraft.saveDraft({ id: 10, content: '# Second', title: 'New Docs', user })
+
+    expect(drafts).toHaveLength(1)
+    expect(draft).toMatchObject({ pageId: 10, title: 'New Docs', content: '# Second', tags: ['guide'], publishAt: null, authorId: 1 })
+    expect(WIKI.models.pages.updatePage).not.toHaveBeenCalled()
+    await expect(PageDraft.saveDraft({ id: 10, content: ' ', user })).rejects.toThrow(WIKI.Error.PageEmptyContent)
+  })
+
+  it('publishes a draft and removes it', async () => {
+    await PageDraft.saveDraft({ id: 10, content: '# Draft', user })
+
+    const result = await PageDraft.publishDraft({ pageId: 10, user })
+
+    expect(result.page.content).toBe('# Draft')
+    expect(WIKI.models.pages.updatePage).toHaveBeenCalledWith(expect.objectContaining({ id: 10, content: '# Draft', tags: ['guide'], user }))
+    expect(drafts).toEqual([])
+    await expect(PageDraft.publishDraft({ pageId: 10, user })).rejects.toThrow(WIKI.Error.PageDraftNotFound)
+  })
+
+  it('schedules a draft in the future only and refuses direct updates meanwhile', async () => {
+    await PageDraft.saveDraft({ id: 10, content: '# Draft', user })
+    await PageDraft.ensureNotScheduled(10)
+
+    await expect(PageDraft.publishDraft({ pageId: 10, publishAt: '2001-01-01T00:00:00Z', user }))
+      .rejects.toThrow(WIKI.Error.PageDraftInvalidPublishDate)
+
+    const publishAt = DateTime.utc().plus({ days: 1 }).toISO()
+    const result = await PageDraft.publishDraft({ pageId: 10, publishAt, user })
+
+    expect(result.draft.publishAt).toBe(DateTime.fromISO(publishAt).toUTC().toISO())
+    expect(WIKI.models.pages.updatePage).not.toHaveBeenCalled()
+    await expect(PageDraft.ensureNotScheduled(10)).rejects.toThrow(WIKI.Error.PageDraftScheduled)
+  })
+
+  it('only keeps scripts and styles of authors allowed to write them', async () => {
+    page.extra = { css: 'body{}', js: 'live()' }
+    WIKI.auth.checkAccess.mockImplementation((usr, perms) => usr.id === admin.id || perms.includes('write:pages'))
+
+    const draft = await PageDraft.saveDraft({ id: 10, content: '# Draft', scriptCss: 'a{}', scriptJs: 'evil()', user })
+    expect(draft).toMatchObject({ scriptCss: null, scriptJs: null })
+
+    // -> Checked again against the author when someone else publishes the draft
+    drafts[0].scriptJs = 'evil()'
+    await PageDraft.publishDraft({ pageId: 10, user: admin })
+    expect(WIKI.models.pages.updatePage).toHaveBeenCalledWith(expect.objectContaining({ scriptCss: 'body{}', scriptJs: 'live()', user: admin }))
+
+    await PageDraft.saveDraft({ id: 10, content: '# Draft', scriptCss: 'a{}', scriptJs: 'trusted()', user: admin })
+    await PageDraft.publishDraft({ pageId: 10, user })
+    expect(WIKI.models.pages.updatePage).toHaveBeenLastCalledWith(expect.objectContaining({ scriptCss: 'a{}', scriptJs: 'trusted()', user }))
+  })
+
+  describe('publishScheduled', () => {
+    beforeEach(() => {
+      drafts.push(
+        { id: 1, pageId: 10, title: 'Due', content: '# Due', authorId: 1, publishAt: DateTime.utc().minus({ minutes: 1 }).toISO(), publishError: null },
+        { id: 2, pageId: 11, title: 'Later', content: '# Later', authorId: 1, publishAt: DateTime.utc().plus({ days: 1 }).toISO(), publishError: null }
+      )
+    })
+
+    it('publishes the drafts that are due', async () => {
+      await PageDraft.publishScheduled()
+
+      expect(WIKI.models.pages.updatePage).toHaveBeenCalledTimes(1)
+      expect(WIKI.models.pages.updatePage).toHaveBeenCalledWith(expect.objectContaining({ content: '# Due', user }))
+      expect(_.map(drafts, 'id')).toEqual([2])
+    })
+
+    it('keeps a draft that failed to publish with its error', async () => {
+      WIKI.models.pages.updatePage.mockRejectedValueOnce(new Error('Storage is unavailable.'))
+
+      await PageDraft.publishScheduled()
+
+      expect(drafts[0]).toMatchObject({ id: 1, content: '# Due', publishAt: null, publishError: 'Storage is unavailable.' })
+      expect(WIKI.logger.warn).toHaveBeenCalledWith('Failed to publish scheduled draft of page 10: Storage is unavailable.')
+
+      await PageDraft.publishScheduled()
+      expect(WIKI.models.pages.updatePage).toHaveBeenCalledTimes(1)
+    })
+  })
+})
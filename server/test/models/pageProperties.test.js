@@ -0,0 +1,71 @@
+/**
+ * Page Properties Tests
+ *
+ * Tests the choices listed to users picking user and group property values
+ */
+
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const PageProperty = require('../../models/pageProperties')
+
+/**
+ * Query builder recording its calls, resolving to the given rows
+ */
+function createQuery(rows, calls) {
+  return jest.fn(() => {
+    const builder = {}
+    for (const method of ['select', 'where', 'whereNot', 'whereIn', 'orWhere', 'orderBy', 'limit']) {
+      builder[method] = (...args) => {
+        calls.push([method, ...args])
+        if (method === 'where' && typeof args[0] === 'function') {
+          args[0](builder)
+        }
+        return builder
+      }
+    }
+    builder.then = (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+    return builder
+  })
+}
+
+describe('models/pageProperties/getChoices', () => {
+  let userCalls
+  let groupCalls
+
+  beforeEach(() => {
+    userCalls = []
+    groupCalls = []
+
+    global.WIKI = createMockWIKI()
+    WIKI.auth = { checkAccess: jest.fn((user, perms) => perms.some(p => user.permissions.includes(p))) }
+    WIKI.models.pageProperties = PageProperty
+    WIKI.models.users = { query: createQuery([{ id: 5, name: 'Jane', email: 'jane@example.com' }], userCalls) }
+    WIKI.models.groups = { query: createQuery([{ id: 3, name: 'Editors' }], groupCalls) }
+    jest.spyOn(PageProperty, 'getDefinitions').mockReturnValue([
+      { key: 'owner', type: 'user' },
+      { key: 'team', type: 'group' }
+    ])
+  })
+
+  it('only lists names and own groups to page writers', async () => {
+    const user = { id: 1, permissions: ['write:pages'], groups: [3, { id: 4 }] }
+
+    await expect(PageProperty.getChoices({ key: 'owner', query: 'jane@', user })).resolves.toEqual([{ value: '5', text: 'Jane' }])
+    expect(userCalls).not.toContainEqual(['orWhere', 'email', 'like', '%jane@%'])
+
+    await expect(PageProperty.getChoices({ key: 'team', user })).resolves.toEqual([{ value: '3', text: 'Editors' }])
+    expect(groupCalls).toContainEqual(['whereIn', 'id', [3, 4]])
+  })
+
+  it('lists emails and all groups to user managers', async () => {
+    const user = { id: 1, permissions: ['write:pages', 'manage:users'], groups: [3] }
+
+    await expect(PageProperty.getChoices({ key: 'owner', query: 'jane@', user })).resolves.toEqual([{ value: '5', text: 'Jane (jane@example.com)' }])
+    expect(userCalls).toContainEqual(['orWhere', 'email', 'like', '%jane@%'])
+
+    await PageProperty.getChoices({ key: 'team', user })
+    expect(groupCalls.map(c => c[0])).not.toContain('whereIn')
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Page Model Tests
+ *
+ * Tests that users only list and use the page templates they can read, and that plugin output is sanitized
+ */
+
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const Page = require('../../models/pages')
+
+describe('models/pages/templates', () => {
+  const templates = [
+    { id: 1, path: '_templates/howto', localeCode: 'en', title: 'How-to', content: '# {{title}}', editorKey: 'markdown' },
+    { id: 2, path: '_templates/hr/review', localeCode: 'en', title: 'Review', content: 'Salary: {{salary}}', editorKey: 'markdown' }
+  ]
+  const user = { id: 5 }
+
+  beforeEach(() => {
+    global.WIKI = createMockWIKI()
+    WIKI.Error = require('../../helpers/error')
+    WIKI.config = { pageTemplates: { rules: [] } }
+    WIKI.auth = { checkAccess: jest.fn((usr, perms, { path }) => !path.startsWith('_templates/hr')) }
+    WIKI.models.pages = Page
+    WIKI.models.pageProperties = {
+      validate: jest.fn(() => { throw new Error('Template applied.') })
+    }
+    jest.spyOn(Page, 'query').mockImplementation(() => {
+      const builder = {
+        select: () => builder,
+        where: () => builder,
+        modify: () => builder,
+        orderBy: () => builder,
+        first: async () => null,
+        findById: async id => templates.find(t => t.id === id),
+        then: (resolve, reject) => Promise.resolve(templates).then(resolve, reject)
+      }
+      return builder
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('only lists the templates the user can read', async () => {
+    await expect(Page.getTemplates({ locale: 'en', user })).resolves.toEqual([
+      expect.objectContaining({ id: 1, isRequired: false })
+    ])
+    expect(await Page.getTemplates()).toHaveLength(2)
+  })
+
+  it('refuses to create a page from a template the user cannot read', async () => {
+    const opts = { path: 'docs/new', locale: 'en', title: 'New', user, properties: [] }
+
+    await expect(Page.createPage({ ...opts, templateId: 2 })).rejects.toThrow(WIKI.Error.PageTemplateNotFound)
+    await expect(Page.createPage({ ...opts, templateId: 1 })).rejects.toThrow('Template applied.')
+  })
+
+  it('allows a template required by a rule', async () => {
+    WIKI.config.pageTemplates.rules = [{ pathPrefix: 'hr', locale: null, templateId: 2 }]
+
+    await expect(Page.getTemplates({ locale: 'en', path: 'hr/john', user })).resolves.toEqual([
+      expect.objectContaining({ id: 2, isRequired: true })
+    ])
+    await expect(Page.createPage({ path: 'hr/john', locale: 'en', title: 'John', user, properties: [], templateId: 2 }))
+      .rejects.toThrow('Template applied.')
+  })
+})
+
+describe('models/pages/sanitizeRender', () => {
+  let renderer
+
+  beforeEach(() => {
+    global.WIKI = createMockWIKI()
+    renderer = { key: 'htmlSecurity', config: { safeHTML: true, allowIFrames: false } }
+    WIKI.models.renderers = {
+      query: jest.fn(() => ({ findOne: jest.fn(async () => renderer) }))
+    }
+  })
+
+  it('strips scripts and event handlers added after the rendering pipeline', async () => {
+    await expect(Page.sanitizeRender('<p onclick="steal()">Hi</p><script>steal()</script><iframe src="https://example.com"></iframe>'))
+      .resolves.toBe('<p>Hi</p>')
+  })
+
+  it('keeps the HTML when the security renderer is disabled', async () => {
+    renderer = null
+
+    await expect(Page.sanitizeRender('<script>run()</script>')).resolves.toBe('<script>run()</script>')
+  })
+})
@@ -0,0 +1,390 @@
+/**
+ * Core Hooks Tests
+ *
+ * Tests the hooks fired by page, user and asset operations: blocking before* hooks
+ * cancel the operation, and the other hooks receive the documented payload
+ */
+
+const _ = require('lodash')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const PluginHooks = require('../../plugins/hooks')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const Page = require('../../models/pages')
+const User = require('../../models/users')
+const Asset = require('../../models/assets')
+const pageResolvers = require('../../graph/resolvers/page')
+const assetResolvers = require('../../graph/resolvers/asset')
+
+/**
+ * Query builder recording its chain, resolving to the result of handler(chain)
+ */
+function createQuery(handler) {
+  return jest.fn(() => {
+    const chain = []
+    const builder = {}
+    for (const method of ['select', 'where', 'first', 'findById', 'findOne', 'withGraphFetched', 'patch', 'insert', 'delete', 'deleteById']) {
+      builder[method] = (...args) => {
+        chain.push([method, ...args])
+        return builder
+      }
+    }
+    builder.then = (resolve, reject) => Promise.resolve().then(() => handler(chain)).then(resolve, reject)
+    return builder
+  })
+}
+
+/**
+ * Get the arguments of a call in a query chain
+ */
+const getCall = (chain, method) => _.tail(_.find(chain, c => c[0] === method))
+
+/**
+ * Hook listener blocking the operation
+ */
+const block = reason => jest.fn(() => ({ canProceed: false, blockReason: reason }))
+
+describe('plugins/core hooks', () => {
+  const admin = { id: 1, name: 'Admin', email: 'admin@example.com', password: 'secret', groups: [1] }
+
+  beforeEach(() => {
+    global.WIKI = createMockWIKI()
+    WIKI.plugins.hooks = new PluginHooks.constructor()
+    WIKI.Error = require('../../helpers/error')
+    WIKI.auth = { checkAccess: jest.fn(() => true) }
+    WIKI.models.pages = Page
+    WIKI.models.users = User
+    WIKI.models.assets = Asset
+    WIKI.models.auditLog = { record: jest.fn() }
+    WIKI.models.storage = {
+      pageEvent: jest.fn(),
+      assetEvent: jest.fn()
+    }
+  })
+
+  afterEach(() => {
+    WIKI.plugins.hooks.removeAllListeners()
+    jest.restoreAllMocks()
+  })
+
+  describe('getHookData', () => {
+    it('passes page fields without the render or internal fields', () => {
+      const page = { id: 5, path: 'docs', localeCode: 'en', title: 'Docs', content: '# Docs', render: '<h1>Docs</h1>', hash: 'abc', isPublished: true }
+
+      expect(Page.getHookData(page)).toEqual({ id: 5, path: 'docs', localeCode: 'en', title: 'Docs', content: '# Docs', isPublished: true })
+    })
+
+    it('passes user fields without the password and flags administrators', () => {
+      expect(User.getHookData(admin)).toEqual({ id: 1, name: 'Admin', email: 'admin@example.com', isAdmin: true })
+      expect(User.getHookData({ id: 3, name: 'Jane', providerKey: 'local', groups: [{ id: 2 }] })).toEqual({
+        id: 3, name: 'Jane', providerKey: 'local', isAdmin: false
+      })
+    })
+
+    it('passes asset fields with the full path of the asset', () => {
+      const asset = { id: 7, filename: 'logo.png', folderId: 2, ext: '.png', kind: 'image', mime: 'image/png', fileSize: 10, hash: 'abc', data: Buffer.from('png') }
+
+      expect(Asset.getHookData(asset, 'images/logo.png')).toEqual({
+        id: 7, filename: 'logo.png', folderId: 2, ext: '.png', kind: 'image', mime: 'image/png', fileSize: 10, path: 'images/logo.png'
+      })
+    })
+  })
+
+  describe('pages', () => {
+    let page
+
+    beforeEach(() => {
+      page = { id: 5, path: 'docs/install', localeCode: 'en', title: 'Install', content: '# Install', render: '<h1>Install</h1>', hash: 'abc', isPublished: true }
+      jest.spyOn(Page, 'query').mockImplementation(createQuery(chain => {
+        if (getCall(chain, 'patch').length > 0) {
+          Object.assign(page, getCall(chain, 'patch')[0])
+          return 1
+        }
+        return getCall(chain, 'findById').length > 0 ? _.clone(page) : null
+      }))
+      WIKI.models.pageHistory = {
+        addVersion: jest.fn(),
+        getVersion: jest.fn(async () => ({ pageId: 5, versionId: 12, versionDate: '2024-01-01T00:00:00Z', authorId: 1, action: 'updated', path: 'docs/install', content: '# Old' }))
+      }
+      WIKI.models.pageProperties = { getForPage: jest.fn(async () => []) }
+    })
+
+    describe('move', () => {
+      const opts = { id: 5, destinationPath: 'guides/install', destinationLocale: 'fr', user: admin, skipStorage: true }
+
+      beforeEach(() => {
+        WIKI.events = { outbound: { emit: jest.fn() } }
+        WIKI.data.searchEngine = { renamed: jest.fn() }
+        WIKI.models.pageSubscriptions = { relocate: jest.fn() }
+        jest.spyOn(Page, 'deletePageFromCache').mockImplementation(async () => {})
+        jest.spyOn(Page, 'clearPageListCache').mockImplementation(() => {})
+        jest.spyOn(Page, 'rebuildTree').mockImplementation(async () => {})
+        jest.spyOn(Page, 'reconnectLinks').mockImplementation(async () => {})
+        jest.spyOn(Page, 'cleanHTML').mockImplementation(() => '')
+      })
+
+      it('is cancelled by page:beforeMove', async () => {
+        const listener = block('Page is frozen.')
+        WIKI.plugins.hooks.on('page:beforeMove', listener)
+
+        await expect(Page.movePage({ ...opts })).rejects.toThrow('Page move blocked: Page is frozen.')
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+          page: expect.objectContaining({ id: 5, path: 'docs/install' }),
+          destination: { path: 'guides/install', locale: 'fr' },
+          user: expect.objectContaining({ id: 1, isAdmin: true })
+        }))
+        expect(WIKI.models.pageHistory.addVersion).not.toHaveBeenCalled()
+        expect(page.path).toBe('docs/install')
+      })
+
+      it('triggers page:move with the page before and after the move', async () => {
+        const listener = jest.fn()
+        WIKI.plugins.hooks.on('page:move', listener)
+
+        await Page.movePage({ ...opts })
+
+        expect(listener).toHaveBeenCalledWith({
+          page: expect.objectContaining({ id: 5, path: 'guides/install', localeCode: 'fr' }),
+          before: expect.objectContaining({ id: 5, path: 'docs/install', localeCode: 'en' }),
+          user: { id: 1, name: 'Admin', email: 'admin@example.com', isAdmin: true }
+        })
+        expect(listener.mock.calls[0][0].page).not.toHaveProperty('render')
+      })
+    })
+
+    describe('restore', () => {
+      const context = { req: { user: admin } }
+
+      beforeEach(() => {
+        jest.spyOn(Page, 'updatePage').mockImplementation(async opts => {
+          page.content = opts.content
+        })
+      })
+
+      it('is cancelled by page:beforeRestore', async () => {
+        WIKI.plugins.hooks.on('page:beforeRestore', block('Restores are disabled.'))
+
+        const result = await pageResolvers.PageMutation.restore({}, { pageId: 5, versionId: 12 }, context)
+
+        expect(result.responseResult).toMatchObject({ succeeded: false, message: 'Page restore blocked: Restores are disabled.' })
+        expect(Page.updatePage).not.toHaveBeenCalled()
+      })
+
+      it('triggers page:restore with the restored version', async () => {
+        const listener = jest.fn()
+        WIKI.plugins.hooks.on('page:restore', listener)
+
+        const result = await pageResolvers.PageMutation.restore({}, { pageId: 5, versionId: 12 }, context)
+
+        expect(result.responseResult.succeeded).toBe(true)
+        expect(listener).toHaveBeenCalledWith({
+          page: expect.objectContaining({ id: 5, content: '# Old' }),
+          before: expect.objectContaining({ id: 5, content: '# Install' }),
+          version: { versionId: 12, versionDate: '2024-01-01T00:00:00Z', authorId: 1, action: 'updated' },
+          user: expect.objectContaining({ id: 1, isAdmin: true })
+        })
+      })
+    })
+  })
+
+  describe('users', () => {
+    const jane = { id: 3, name: 'Jane', email: 'jane@example.com', providerKey: 'local', password: 'secret', groups: [{ id: 2 }] }
+    let userQuery
+    let patchQuery
+
+    beforeEach(() => {
+      userQuery = createQuery(chain => (_.some(chain, ['0', 'findById']) ? _.clone(jane) : 1))
+      patchQuery = createQuery(() => 1)
+      jest.spyOn(User, 'query').mockImplementation(userQuery)
+      jest.spyOn(Page, 'query').mockImplementation(patchQuery)
+      for (const model of ['assets', 'comments', 'pageHistory', 'userKeys']) {
+        WIKI.models[model] = { query: patchQuery }
+      }
+    })
+
+    it('is cancelled by user:beforeDelete', async () => {
+      WIKI.plugins.hooks.on('user:beforeDelete', block('User owns legal hold pages.'))
+
+      await expect(User.deleteUser(3, 1)).rejects.toThrow('User deletion blocked: User owns legal hold pages.')
+
+      expect(patchQuery).not.toHaveBeenCalled()
+      expect(userQuery).toHaveBeenCalledTimes(1)
+    })
+
+    it('triggers user:delete with the deleted user', async () => {
+      const listener = jest.fn()
+      WIKI.plugins.hooks.on('user:delete', listener)
+
+      await User.deleteUser(3, 1)
+
+      expect(listener).toHaveBeenCalledWith({
+        user: { id: 3, name: 'Jane', email: 'jane@example.com', providerKey: 'local', isAdmin: false },
+        replaceId: 1
+      })
+      expect(patchQuery).toHaveBeenCalledTimes(6)
+    })
+
+    it('triggers user:logout with the user and its IP address', async () => {
+      const listener = jest.fn()
+      WIKI.plugins.hooks.on('user:logout', listener)
+      WIKI.auth.strategies = [{ key: 'local' }]
+
+      await expect(User.logout({ req: { user: { ..._.omit(jane, 'providerKey') }, ip: '10.0.0.1' } })).resolves.toBe('/')
+
+      expect(listener).toHaveBeenCalledWith({
+        user: { id: 3, name: 'Jane', email: 'jane@example.com', providerKey: 'local', isAdmin: false },
+        ip: '10.0.0.1'
+      })
+      expect(await User.logout({ req: { user: { id: 2 } } })).toBe('/')
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('assets', () => {
+    let rootPath
+    let asset
+    let inserted
+
+    beforeEach(async () => {
+      rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-hooks-'))
+      WIKI.ROOTPATH = rootPath
+      WIKI.config = { dataPath: 'data', uploads: { scanSVG: false } }
+      WIKI.models.knex = jest.fn(() => ({
+        insert: jest.fn(),
+        where: () => ({ update: jest.fn(), del: jest.fn() })
+      }))
+
+      asset = Object.assign(new Asset(), { id: 7, filename: 'logo.png', folderId: null, ext: '.png', kind: 'image', mime: 'image/png', fileSize: 3, hash: 'abc', authorId: 1 })
+      inserted = null
+      jest.spyOn(Asset, 'query').mockImplementation(createQuery(chain => {
+        if (getCall(chain, 'insert').length > 0) {
+          inserted = Object.assign(new Asset(), { ...getCall(chain, 'insert')[0], id: 8 })
+          return inserted
+        }
+        if (getCall(chain, 'findById').length > 0) {
+          return _.some(chain, ['0', 'deleteById']) || _.some(chain, ['0', 'patch']) ? 1 : (getCall(chain, 'findById')[0] === 8 ? inserted : asset)
+        }
+        if (getCall(chain, 'where').length > 0) {
+          return getCall(chain, 'where')[0].filename ? null : undefined
+        }
+        return 1
+      }))
+    })
+
+    afterEach(async () => {
+      await fs.remove(rootPath)
+    })
+
+    describe('upload', () => {
+      let tempPath
+
+      beforeEach(async () => {
+        tempPath = path.join(rootPath, 'temp', 'upload.tmp')
+        await fs.outputFile(tempPath, 'png')
+      })
+
+      const upload = () => Asset.upload({
+        originalname: 'chart.png',
+        mimetype: 'image/png',
+        size: 3,
+        path: tempPath,
+        folderId: null,
+        assetPath: 'chart.png',
+        mode: 'upload',
+        user: admin
+      })
+
+      it('is cancelled by asset:beforeUpload, removing the uploaded file', async () => {
+        const listener = block('Images are not allowed.')
+        WIKI.plugins.hooks.on('asset:beforeUpload', listener)
+
+        await expect(upload()).rejects.toThrow('Upload blocked: Images are not allowed.')
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+          asset: { filename: 'chart.png', folderId: null, ext: '.png', kind: 'image', mime: 'image/png', fileSize: 3, path: 'chart.png' },
+          before: null,
+          mode: 'upload'
+        }))
+        expect(inserted).toBeNull()
+        expect(await fs.pathExists(tempPath)).toBe(false)
+      })
+
+      it('triggers asset:upload with the new asset', async () => {
+        const listener = jest.fn()
+        WIKI.plugins.hooks.on('asset:upload', listener)
+
+        await upload()
+
+        expect(listener).toHaveBeenCalledWith({
+          asset: expect.objectContaining({ id: 8, filename: 'chart.png', authorId: 1, path: 'chart.png' }),
+          before: null,
+          mode: 'upload',
+          user: expect.objectContaining({ id: 1, isAdmin: true })
+        })
+      })
+    })
+
+    describe('rename', () => {
+      const context = { req: { user: admin } }
+
+      it('is cancelled by asset:beforeRename', async () => {
+        WIKI.plugins.hooks.on('asset:beforeRename', block('Logo is locked.'))
+
+        const result = await assetResolvers.AssetMutation.renameAsset({}, { id: 7, filename: 'brand.png' }, context)
+
+        expect(result.responseResult).toMatchObject({ succeeded: false, message: 'Asset rename blocked: Logo is locked.' })
+        expect(WIKI.models.storage.assetEvent).not.toHaveBeenCalled()
+      })
+
+      it('triggers asset:rename with the asset before and after the rename', async () => {
+        const listener = jest.fn()
+        WIKI.plugins.hooks.on('asset:rename', listener)
+
+        await assetResolvers.AssetMutation.renameAsset({}, { id: 7, filename: 'brand.png' }, context)
+
+        expect(listener).toHaveBeenCalledWith({
+          asset: expect.objectContaining({ id: 7, path: 'brand.png' }),
+          before: expect.objectContaining({ id: 7, filename: 'logo.png', path: 'logo.png' }),
+          user: expect.objectContaining({ id: 1 })
+        })
+      })
+    })
+
+    describe('delete', () => {
+      const context = { req: { user: admin } }
+
+      it('is cancelled by asset:beforeDelete', async () => {
+        const listener = block('Asset is used by published pages.')
+        WIKI.plugins.hooks.on('asset:beforeDelete', listener)
+
+        const result = await assetResolvers.AssetMutation.deleteAsset({}, { id: 7 }, context)
+
+        expect(result.responseResult).toMatchObject({ succeeded: false, message: 'Asset deletion blocked: Asset is used by published pages.' })
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+          asset: expect.objectContaining({ id: 7, path: 'logo.png' }),
+          user: expect.objectContaining({ id: 1 })
+        }))
+        expect(WIKI.models.knex).not.toHaveBeenCalled()
+        expect(WIKI.models.storage.assetEvent).not.toHaveBeenCalled()
+      })
+
+      it('triggers asset:delete with the deleted asset', async () => {
+        const listener = jest.fn()
+        WIKI.plugins.hooks.on('asset:delete', listener)
+
+        const result = await assetResolvers.AssetMutation.deleteAsset({}, { id: 7 }, context)
+
+        expect(result.responseResult.succeeded).toBe(true)
+        expect(listener).toHaveBeenCalledWith({
+          asset: Asset.getHookData(asset, 'logo.png'),
+          user: User.getHookData(admin)
+        })
+      })
+    })
+  })
+})
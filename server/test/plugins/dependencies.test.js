@@ -0,0 +1,241 @@
+/**
+ * Plugin Dependencies Tests
+ *
+ * Tests dependency validation, load ordering, activation checks and services between plugins
+ */
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const _ = require('lodash')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const dependencies = require('../../plugins/dependencies')
+const loader = require('../../plugins/loader')
+const manager = require('../../plugins/manager')
+const runtime = require('../../plugins/runtime')
+const services = require('../../plugins/services')
+
+/**
+ * Query builder over an in-memory table
+ */
+function createTable(rows) {
+  return jest.fn(() => {
+    const filters = []
+    let deleting = false
+    const builder = {
+      select: () => builder,
+      where: (column, value) => {
+        filters.push(row => row[column] === value)
+        return builder
+      },
+      whereIn: (column, values) => {
+        filters.push(row => values.includes(row[column]))
+        return builder
+      },
+      findById: async id => _.cloneDeep(_.find(rows, ['id', id])),
+      patch: data => ({
+        where: async (column, value) => {
+          rows.filter(row => row[column] === value).forEach(row => Object.assign(row, data))
+        }
+      }),
+      insert: async data => { rows.push(..._.castArray(data)) },
+      delete: () => {
+        deleting = true
+        return builder
+      },
+      then: (resolve, reject) => {
+        const matches = rows.filter(row => filters.every(filter => filter(row)))
+        if (deleting) {
+          _.pullAll(rows, matches)
+        }
+        return Promise.resolve(matches).then(resolve, reject)
+      }
+    }
+    return builder
+  })
+}
+
+const manifestOf = (id, deps = {}, optionalDeps = {}) => ({
+  id,
+  name: id,
+  version: '1.0.0',
+  dependencies: deps,
+  optionalDependencies: optionalDeps
+})
+
+describe('plugins/dependencies', () => {
+  let plugins
+  let records
+
+  beforeEach(() => {
+    plugins = []
+    records = []
+
+    global.WIKI = createMockWIKI()
+    WIKI.config = { autoRestartOnPluginChange: false, pluginSandbox: { callTimeout: 2000 } }
+    WIKI.models.plugins.query = createTable(plugins)
+    WIKI.models.pluginDependencies.query = createTable(records)
+    WIKI.models.pluginErrors.log = jest.fn()
+  })
+
+  describe('validateManifest', () => {
+    it('refuses invalid ranges and self dependencies', async () => {
+      await expect(loader.validateManifest(manifestOf('search-ui', { 'search-core': '>=1.2.0' }))).resolves.toBe(true)
+      await expect(loader.validateManifest(manifestOf('search-ui', { 'search-core': 'latest' })))
+        .rejects.toThrow('Invalid version range for dependency search-core: latest')
+      await expect(loader.validateManifest(manifestOf('search-ui', { 'search-ui': '*' })))
+        .rejects.toThrow('Plugin search-ui cannot depend on itself')
+      await expect(loader.validateManifest(manifestOf('search-ui', { 'search-core': '*' }, { 'search-core': '*' })))
+        .rejects.toThrow('Dependencies cannot be both required and optional: search-core')
+    })
+  })
+
+  describe('sortByDependencies', () => {
+    it('orders plugins after their required and optional dependencies', () => {
+      const { sorted, cyclic } = dependencies.sortByDependencies([
+        { id: 'analytics-ui', manifest: manifestOf('analytics-ui', { analytics: '*' }) },
+        { id: 'search-ui', manifest: manifestOf('search-ui', { 'search-core': '*' }, { 'analytics-ui': '*' }) },
+        { id: 'analytics', manifest: manifestOf('analytics') },
+        { id: 'search-core', manifest: JSON.stringify(manifestOf('search-core')) }
+      ])
+
+      expect(_.map(sorted, 'id')).toEqual(['analytics', 'analytics-ui', 'search-core', 'search-ui'])
+      expect(cyclic).toEqual([])
+    })
+
+    it('reports dependency cycles', () => {
+      const { sorted, cyclic } = dependencies.sortByDependencies([
+        { id: 'a', manifest: manifestOf('a', { b: '*' }) },
+        { id: 'b', manifest: manifestOf('b', { a: '*' }) },
+        { id: 'c', manifest: manifestOf('c', { a: '*' }) }
+      ])
+
+      expect(_.map(cyclic, 'id')).toEqual(['b', 'a'])
+      expect(_.map(sorted, 'id')).toEqual(['c'])
+      expect(dependencies.findUnmet(manifestOf('c', { a: '*' }), { a: { version: '1.0.0', isEnabled: true, isFailed: true } }))
+        .toEqual(['a failed to load'])
+    })
+  })
+
+  describe('manager', () => {
+    let installPath
+
+    beforeEach(async () => {
+      installPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-deps-'))
+      WIKI.ROOTPATH = installPath
+      await fs.outputFile(path.join(installPath, 'plugin.yml'), yaml.dump(manifestOf('search-ui', { 'search-core': '>=1.2.0' })))
+      await fs.outputFile(path.join(installPath, 'server', 'index.js'), 'module.exports = {}')
+    })
+
+    afterEach(async () => {
+      await fs.remove(installPath)
+    })
+
+    it('refuses to activate a plugin with unmet dependencies', async () => {
+      plugins.push(
+        { id: 'search-ui', version: '1.0.0', isInstalled: true, isEnabled: false, installPath },
+        { id: 'search-core', version: '1.1.0', isInstalled: true, isEnabled: true }
+      )
+
+      await expect(manager.activatePlugin('search-ui'))
+        .rejects.toThrow('Plugin search-ui has unmet dependencies: search-core >=1.2.0 is required, but 1.1.0 is installed')
+
+      plugins[1].version = '1.2.0'
+      plugins[1].isEnabled = false
+      await expect(manager.activatePlugin('search-ui')).rejects.toThrow('search-core is not enabled')
+      expect(plugins[0].isEnabled).toBe(false)
+    })
+
+    it('refuses to deactivate a plugin required by enabled plugins', async () => {
+      plugins.push(
+        { id: 'search-core', version: '1.2.0', isInstalled: true, isEnabled: true, installPath },
+        { id: 'search-ui', version: '1.0.0', isEnabled: true },
+        { id: 'search-admin', version: '1.0.0', isEnabled: false },
+        { id: 'analytics', version: '1.0.0', isEnabled: true }
+      )
+      await dependencies.syncRecords('search-ui', manifestOf('search-ui', { 'search-core': '>=1.2.0' }))
+      await dependencies.syncRecords('search-admin', manifestOf('search-admin', { 'search-core': '*' }))
+      await dependencies.syncRecords('analytics', manifestOf('analytics', {}, { 'search-core': '*' }))
+
+      await expect(manager.deactivatePlugin('search-core'))
+        .rejects.toThrow('Cannot deactivate search-core: required by search-ui. Deactivate them first.')
+      expect(plugins[0].isEnabled).toBe(true)
+    })
+
+    it('refuses an upgrade outside the range required by enabled plugins', async () => {
+      plugins.push({ id: 'search-ui', version: '1.0.0', isEnabled: true })
+      await dependencies.syncRecords('search-ui', manifestOf('search-ui', { 'search-core': '^1.2.0' }))
+
+      await expect(manager.validateUpgrade({ id: 'search-core', version: '1.2.0' }, { ...manifestOf('search-core'), version: '2.0.0' }))
+        .rejects.toThrow('Plugin search-core 2.0.0 does not satisfy the version required by search-ui (^1.2.0)')
+      await expect(manager.validateUpgrade({ id: 'search-core', version: '1.2.0' }, { ...manifestOf('search-core'), version: '1.3.0' }))
+        .resolves.toBeUndefined()
+    })
+  })
+
+  describe('services', () => {
+    let rootPath
+
+    const createPlugin = async (id, version, code, manifest = {}) => {
+      const installPath = path.join(rootPath, id)
+      await fs.outputFile(path.join(installPath, 'server', 'index.js'), code)
+      const plugin = { id, version, installPath, config: {}, permissions: [], manifest: { ...manifestOf(id), version, ...manifest } }
+      await runtime.loadPlugin(plugin)
+      return plugin
+    }
+
+    beforeEach(async () => {
+      rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-services-'))
+      await createPlugin('search-core', '1.2.0', `
+        module.exports = {
+          services: {
+            search: {
+              async query(text) {
+                return { results: [text.toUpperCase()], provider: this.plugin.id }
+              }
+            }
+          }
+        }
+      `)
+    })
+
+    afterEach(async () => {
+      await runtime.unloadAll()
+      await fs.remove(rootPath)
+    })
+
+    it('lets a plugin call the services of its dependencies', async () => {
+      const consumer = await createPlugin('search-ui', '1.0.0', `
+        module.exports = {
+          async init() {
+            this.search = await this.services.get('search-core', 'search')
+          },
+          async find(text) {
+            const search = await this.services.get('search-core', 'search')
+            return search.query(text)
+          },
+          async missing() {
+            return this.services.get('search-core', 'indexing')
+          }
+        }
+      `, { dependencies: { 'search-core': '>=1.2.0' } })
+
+      await expect(consumer.instance.find('wiki')).resolves.toEqual({ results: ['WIKI'], provider: 'search-core' })
+      await expect(consumer.instance.missing()).resolves.toBeNull()
+    })
+
+    it('refuses access to undeclared or out of range plugins', async () => {
+      expect(() => services.describe({ id: 'other', manifest: manifestOf('other') }, 'search-core'))
+        .toThrow('Plugin other must declare search-core as a dependency to use its services')
+      expect(services.describe({ id: 'other', manifest: manifestOf('other', {}, { 'search-core': '^2.0.0' }) }, 'search-core')).toBeNull()
+      await expect(services.call({ id: 'other', manifest: manifestOf('other', {}, { 'search-core': '^2.0.0' }) }, 'search-core', 'search', 'query', ['x']))
+        .rejects.toThrow('Plugin search-core is not available')
+      await expect(services.call({ id: 'other', manifest: manifestOf('other', { 'search-core': '*' }) }, 'search-core', 'search', 'drop', []))
+        .rejects.toThrow('Plugin search-core does not provide search.drop()')
+    })
+  })
+})
@@ -0,0 +1,207 @@
+/**
+ * Plugin Registry Tests
+ *
+ * Tests browsing registry indexes, compatibility, and package verification
+ */
+
+const AdmZip = require('adm-zip')
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const registry = require('../../plugins/registry')
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+
+/**
+ * Build a plugin package and its version entry
+ */
+function createPackage(dir, { id = 'hello-world', version, wikijs = '>=2.5.0', sign = true, manifestVersion = version }) {
+  const zip = new AdmZip()
+  zip.addFile('plugin.yml', Buffer.from(yaml.dump({ id, name: 'Hello World', version: manifestVersion })))
+  zip.addFile('server/index.js', Buffer.from('module.exports = {}'))
+  const data = zip.toBuffer()
+  const download = `${id}-${version}.zip`
+  fs.outputFileSync(path.join(dir, download), data)
+
+  return {
+    version,
+    compatibility: { wikijs },
+    permissions: ['config:read'],
+    download,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    ...(sign ? { keyId: 'acme', signature: crypto.sign(null, data, privateKey).toString('base64') } : {})
+  }
+}
+
+describe('plugins/registry', () => {
+  let registryPath
+  let installed
+
+  const writeIndex = (versions, extraPlugins = []) => {
+    fs.outputJsonSync(path.join(registryPath, 'index.json'), {
+      name: 'Local',
+      plugins: [
+        { id: 'hello-world', name: 'Hello World', description: 'Greets visitors', keywords: ['greeting'], versions },
+        ...extraPlugins
+      ]
+    })
+  }
+
+  beforeEach(async () => {
+    registryPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-registry-'))
+    installed = []
+
+    global.WIKI = createMockWIKI()
+    WIKI.ROOTPATH = registryPath
+    WIKI.version = '2.5.300'
+    WIKI.config = {
+      pluginRegistry: {
+        registries: [{ id: 'local', name: 'Local', url: registryPath, isEnabled: true }],
+        trustedKeys: [{ id: 'acme', name: 'ACME', publicKey: publicKey.export({ type: 'spki', format: 'pem' }) }],
+        requireSignature: true
+      }
+    }
+    WIKI.models.plugins.query = jest.fn(() => ({
+      select: jest.fn(async () => installed),
+      findById: jest.fn(async id => installed.find(p => p.id === id))
+    }))
+    WIKI.plugins.manager = {
+      installPlugin: jest.fn(async () => ({ id: 'hello-world', name: 'Hello World', version: '1.1.0' })),
+      prepareUpgrade: jest.fn(async () => ({ pluginId: 'hello-world', fromVersion: '1.0.0', toVersion: '1.1.0' }))
+    }
+    registry.clearCache()
+  })
+
+  afterEach(async () => {
+    await fs.remove(registryPath)
+  })
+
+  describe('search', () => {
+    it('lists the newest compatible version and flags updates', async () => {
+      writeIndex([
+        createPackage(registryPath, { version: '1.0.0' }),
+        createPackage(registryPath, { version: '2.0.0', wikijs: '>=3.0.0' }),
+        createPackage(registryPath, { version: '1.1.0' })
+      ])
+      installed = [{ id: 'hello-world', version: '1.0.0' }]
+
+      const [plugin] = await registry.search()
+
+      expect(plugin).toMatchObject({
+        id: 'hello-world',
+        registryId: 'local',
+        latestVersion: '2.0.0',
+        compatibleVersion: '1.1.0',
+        isCompatible: true,
+        installedVersion: '1.0.0',
+        updateAvailable: true
+      })
+      expect(plugin.versions.map(v => v.version)).toEqual(['2.0.0', '1.1.0', '1.0.0'])
+    })
+
+    it('filters by text and compatibility', async () => {
+      writeIndex([createPackage(registryPath, { version: '1.0.0' })], [{
+        id: 'future-plugin',
+        name: 'Future',
+        versions: [createPackage(registryPath, { id: 'future-plugin', version: '1.0.0', wikijs: '>=3.0.0' })]
+      }])
+
+      expect((await registry.search()).map(p => p.id)).toEqual(['future-plugin', 'hello-world'])
+      expect((await registry.search({ compatibleOnly: true })).map(p => p.id)).toEqual(['hello-world'])
+      expect((await registry.search({ query: 'greeting' })).map(p => p.id)).toEqual(['hello-world'])
+    })
+  })
+
+  describe('verifyPackage', () => {
+    it('refuses packages with an invalid checksum or signature', async () => {
+      const release = createPackage(registryPath, { version: '1.0.0' })
+      const data = await fs.readFile(path.join(registryPath, release.download))
+
+      expect(registry.verifyPackage(data, release)).toEqual({ signed: true, keyId: 'acme' })
+      expect(() => registry.verifyPackage(Buffer.from('tampered'), release)).toThrow('Package checksum mismatch for version 1.0.0')
+      expect(() => registry.verifyPackage(data, { ...release, signature: crypto.sign(null, Buffer.from('other'), privateKey).toString('base64') }))
+        .toThrow('Invalid signature for version 1.0.0 (key acme)')
+      expect(() => registry.verifyPackage(data, { ...release, keyId: 'unknown' })).toThrow('signed with an untrusted key: unknown')
+    })
+
+    it('requires a signature unless disabled', async () => {
+      const release = createPackage(registryPath, { version: '1.0.0', sign: false })
+      const data = await fs.readFile(path.join(registryPath, release.download))
+
+      expect(() => registry.verifyPackage(data, release)).toThrow('Package of version 1.0.0 is not signed')
+
+      WIKI.config.pluginRegistry.requireSignature = false
+      expect(registry.verifyPackage(data, release)).toEqual({ signed: false, keyId: null })
+    })
+  })
+
+  describe('verifyUpload', () => {
+    it('holds uploaded packages to the trusted keys', async () => {
+      const release = createPackage(registryPath, { version: '1.0.0' })
+      const zipPath = path.join(registryPath, release.download)
+
+      await expect(registry.verifyUpload(zipPath, { keyId: 'acme', signature: release.signature })).resolves.toEqual({ signed: true, keyId: 'acme' })
+      await expect(registry.verifyUpload(zipPath, { keyId: 'unknown', signature: release.signature })).rejects.toThrow('signed with an untrusted key: unknown')
+      await expect(registry.verifyUpload(zipPath, { signature: crypto.sign(null, Buffer.from('other'), privateKey).toString('base64'), keyId: 'acme' }))
+        .rejects.toThrow('Invalid signature for version 1.0.0 (key acme)')
+    })
+
+    it('refuses unsigned uploads when signatures are required', async () => {
+      const zipPath = path.join(registryPath, createPackage(registryPath, { version: '1.0.0', sign: false }).download)
+
+      await expect(registry.verifyUpload(zipPath, { keyId: '', signature: ' ' })).rejects.toThrow('Package of version 1.0.0 is not signed')
+
+      WIKI.config.pluginRegistry.requireSignature = false
+      await expect(registry.verifyUpload(zipPath)).resolves.toEqual({ signed: false, keyId: null })
+    })
+  })
+
+  describe('installPlugin', () => {
+    it('installs the newest compatible version after verifying it', async () => {
+      writeIndex([createPackage(registryPath, { version: '1.1.0' })])
+
+      const result = await registry.installPlugin('local', 'hello-world')
+
+      expect(result).toMatchObject({ version: '1.1.0', signed: true, keyId: 'acme' })
+      expect(WIKI.plugins.manager.installPlugin).toHaveBeenCalledWith(expect.stringContaining('registry-hello-world-1.1.0-'))
+      expect(await fs.readdir(path.join(registryPath, 'data', 'temp'))).toEqual([])
+    })
+
+    it('stages an upgrade of an installed plugin', async () => {
+      writeIndex([createPackage(registryPath, { version: '1.1.0' })])
+      installed = [{ id: 'hello-world', version: '1.0.0' }]
+
+      const result = await registry.installPlugin('local', 'hello-world')
+
+      expect(result.upgrade).toMatchObject({ fromVersion: '1.0.0', toVersion: '1.1.0' })
+      expect(WIKI.plugins.manager.installPlugin).not.toHaveBeenCalled()
+    })
+
+    it('does not install a package that fails verification', async () => {
+      const release = createPackage(registryPath, { version: '1.1.0' })
+      writeIndex([{ ...release, sha256: '0'.repeat(64) }])
+
+      await expect(registry.installPlugin('local', 'hello-world')).rejects.toThrow('Package checksum mismatch')
+      expect(WIKI.plugins.manager.installPlugin).not.toHaveBeenCalled()
+    })
+
+    it('does not install a package containing another version', async () => {
+      writeIndex([createPackage(registryPath, { version: '1.1.0', manifestVersion: '0.9.0' })])
+
+      await expect(registry.installPlugin('local', 'hello-world')).rejects.toThrow('Package contains hello-world 0.9.0 instead of hello-world 1.1.0')
+      expect(WIKI.plugins.manager.installPlugin).not.toHaveBeenCalled()
+    })
+
+    it('refuses package paths outside of the registry directory', async () => {
+      writeIndex([{ ...createPackage(registryPath, { version: '1.1.0' }), download: '../../etc/passwd' }])
+
+      await expect(registry.installPlugin('local', 'hello-world')).rejects.toThrow('Invalid package path in registry local')
+    })
+  })
+})
@@ -0,0 +1,150 @@
+/**
+ * Plugin Route Loader Tests
+ *
+ * Tests forwarding plugin API requests to the plugin sandbox
+ */
+
+const express = require('express')
+const fs = require('fs-extra')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const PluginRouteLoader = require('../../plugins/routes')
+
+/**
+ * Send a request to the test server
+ */
+function request(server, method, url, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: url, headers }, res => {
+      let data = ''
+      res.on('data', chunk => { data += chunk })
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+describe('plugins/routes', () => {
+  let loader
+  let router
+  let server
+  let sandbox
+
+  const plugin = { id: 'routes-test', installPath: '/plugins/routes-test', permissions: ['api:extend'] }
+
+  beforeEach(async () => {
+    global.WIKI = createMockWIKI()
+    WIKI.models.users = { getHookData: jest.fn(user => ({ id: user.id, name: user.name, isAdmin: false })) }
+
+    sandbox = {
+      routes: true,
+      handleRoute: jest.fn(async () => ({ status: 200, headers: {}, body: { ok: true }, isJson: true }))
+    }
+    WIKI.plugins.runtime = {
+      getSandbox: jest.fn(() => sandbox),
+      logPluginError: jest.fn()
+    }
+
+    loader = new PluginRouteLoader()
+    router = express.Router()
+    WIKI.pluginRouter = router
+
+    const app = express()
+    app.use(express.json())
+    app.use((req, res, next) => {
+      req.user = { id: 5, name: 'Alice', email: 'alice@example.com', password: 'secret' }
+      next()
+    })
+    app.use('/api/plugin', router)
+    server = app.listen(0, '127.0.0.1')
+    await new Promise(resolve => server.once('listening', resolve))
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('forwards requests to the sandbox without credentials', async () => {
+    loader.registerPluginRoutes(router, plugin)
+
+    const res = await request(server, 'POST', '/api/plugin/routes-test/items?page=2', {
+      headers: { 'Content-Type': 'application/json', Cookie: 'jwt=token', Authorization: 'Bearer token' },
+      body: JSON.stringify({ name: 'Item' })
+    })
+
+    expect(res.status).toBe(200)
+    expect(JSON.parse(res.body)).toEqual({ ok: true })
+    expect(sandbox.handleRoute).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      url: '/items?page=2',
+      query: { page: '2' },
+      body: { name: 'Item' },
+      headers: { 'content-type': 'application/json' },
+      user: { id: 5, name: 'Alice', isAdmin: false }
+    }))
+  })
+
+  it('only sends allowed response headers, with a sandboxing policy', async () => {
+    sandbox.handleRoute.mockResolvedValue({
+      status: 201,
+      headers: { 'content-type': 'text/html', 'set-cookie': 'jwt=stolen', 'x-custom': 'yes' },
+      body: '<script>alert(1)</script>',
+      isJson: false
+    })
+    loader.registerPluginRoutes(router, plugin)
+
+    const res = await request(server, 'GET', '/api/plugin/routes-test/page')
+
+    expect(res.status).toBe(201)
+    expect(res.headers['content-type']).toContain('text/html')
+    expect(res.headers['set-cookie']).toBeUndefined()
+    expect(res.headers['x-custom']).toBeUndefined()
+    expect(res.headers['content-security-policy']).toBe(`default-src 'none'; sandbox`)
+    expect(res.headers['x-content-type-options']).toBe('nosniff')
+  })
+
+  it('reports errors and stopped plugins', async () => {
+    loader.registerPluginRoutes(router, plugin)
+
+    sandbox.handleRoute.mockRejectedValueOnce(new Error('Route failed'))
+    let res = await request(server, 'GET', '/api/plugin/routes-test/items')
+    expect(res.status).toBe(500)
+    expect(JSON.parse(res.body)).toMatchObject({ error: true, message: 'Route failed' })
+    expect(WIKI.plugins.runtime.logPluginError).toHaveBeenCalledWith('routes-test', 'route_error', expect.any(Error))
+
+    WIKI.plugins.runtime.getSandbox.mockReturnValue(null)
+    res = await request(server, 'GET', '/api/plugin/routes-test/items')
+    expect(res.status).toBe(503)
+  })
+
+  it('unregisters routes', async () => {
+    loader.registerPluginRoutes(router, plugin)
+    loader.unregisterPluginRoutes(router, plugin.id)
+
+    const res = await request(server, 'GET', '/api/plugin/routes-test/items')
+
+    expect(res.status).toBe(404)
+    expect(sandbox.handleRoute).not.toHaveBeenCalled()
+    expect(loader.hasPluginRoutes(plugin.id)).toBe(false)
+  })
+
+  it('requires api:extend', async () => {
+    const installPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-plugin-'))
+    await fs.outputFile(path.join(installPath, 'server', 'routes', 'index.js'), 'module.exports = require(\'express\').Router()')
+    const restricted = { ...plugin, installPath, permissions: [] }
+
+    try {
+      await expect(loader.discoverRoutes({ ...restricted, permissions: ['api:extend'] })).resolves.toBe(true)
+      await expect(loader.discoverRoutes(restricted)).resolves.toBe(false)
+      expect(() => loader.registerPluginRoutes(router, restricted)).toThrow('does not have permission: api:extend')
+    } finally {
+      await fs.remove(installPath)
+    }
+  })
+})
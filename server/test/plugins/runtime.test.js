@@ -86,7 +86,7 @@ describe('plugins/runtime', () => {
         const context = runtime.createContext(plugin)
 
         expect(context.db).toBeDefined()
-        expect(context.db.knex).toBeDefined()
+        expect(context.db.knex).toBeUndefined()
       })
 
       it('does not add database API without permission', () => {
@@ -287,22 +287,23 @@ describe('plugins/runtime', () => {
   })
 
   describe('createDatabaseAPI', () => {
-    it('creates database API with knex', () => {
+    it('does not expose knex or WIKI without database:core permission', () => {
       const plugin = {
         id: 'test-plugin',
-        permissions: []
+        permissions: ['database:read', 'database:write']
       }
 
       const dbAPI = runtime.createDatabaseAPI(plugin)
 
-      expect(dbAPI.knex).toBeDefined()
-      expect(dbAPI.WIKI).toBeDefined()
+      expect(dbAPI.knex).toBeUndefined()
+      expect(dbAPI.models).toBeUndefined()
+      expect(dbAPI.WIKI).toBeUndefined()
     })
 
-    it('provides Knex instance', () => {
+    it('provides Knex instance with database:core permission', () => {
       const plugin = {
         id: 'test-plugin',
-        permissions: []
+        permissions: ['database:core']
       }
 
       const dbAPI = runtime.createDatabaseAPI(plugin)
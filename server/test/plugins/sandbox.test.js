@@ -0,0 +1,368 @@
+/**
+ * Plugin Sandbox Tests
+ *
+ * Tests running plugins in worker threads, capability checks and crash recovery
+ */
+
+const EventEmitter = require('events')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { createMockWIKI, createMockQueryBuilder } = require('../helpers/plugin-test-utils')
+
+global.WIKI = createMockWIKI()
+
+const PluginSandbox = require('../../plugins/sandbox')
+const capabilities = require('../../plugins/capabilities')
+
+const PLUGIN_CODE = `
+let initialized = false
+
+module.exports = {
+  async init() {
+    initialized = true
+  },
+  async greet(name) {
+    return { greeting: 'Hello ' + name, initialized, plugin: this.plugin.id }
+  },
+  listCapabilities() {
+    return Object.keys(this).sort()
+  },
+  readCache(key) {
+    return this.cache.get(key)
+  },
+  writeCache(key, value) {
+    return this.cache.set(key, value)
+  },
+  loadModule(name) {
+    require(name)
+    return true
+  },
+  async importModule(name) {
+    await import(name)
+    return true
+  },
+  async execImported() {
+    const { execSync } = await import('node:child_process')
+    return execSync('id -u').toString()
+  },
+  async writeFileImported(file) {
+    const { default: fs } = await import('fs')
+    fs.writeFileSync(file, 'written')
+    return true
+  },
+  readFile(file) {
+    return require('fs').readFileSync(file, 'utf8')
+  },
+  writeFile(file) {
+    require('fs').writeFileSync(file, 'written')
+    return true
+  },
+  openForWriting(file) {
+    require('fs').openSync(file, 'w')
+    return true
+  },
+  async writeFileAsync(file) {
+    await require('fs/promises').writeFile(file, 'written')
+    return true
+  },
+  async useFetch() {
+    await fetch('http://127.0.0.1:9/')
+    return true
+  },
+  killProcess() {
+    process.kill(process.pid, 0)
+    return true
+  },
+  hang() {
+    while (true) {}
+  },
+  crash() {
+    setImmediate(() => { throw new Error('Boom') })
+    return true
+  },
+  hooks: {
+    'page:validate': async function (data) {
+      return { canProceed: data.page.content.length > 3, blockReason: 'Too short' }
+    }
+  }
+}
+`
+
+const ROUTES_CODE = `
+const router = require('express').Router()
+
+router.get('/hello/:name', (req, res) => {
+  res.json({ hello: req.params.name, query: req.query, user: req.user, hasLogger: typeof req.pluginContext.logger })
+})
+router.post('/echo', (req, res) => {
+  res.status(201).set('X-Custom', 'yes').send(req.body.text)
+})
+router.get('/listen', (req, res) => {
+  require('express')().listen(0)
+  res.send('listening')
+})
+router.get('/error', () => {
+  throw new Error('Route failed')
+})
+
+module.exports = router
+`
+
+const RESOLVERS_CODE = `
+module.exports = {
+  Query: {
+    hello(parent, args, context) {
+      return { text: 'Hello ' + args.name, user: context.user, plugin: this.plugin.id }
+    }
+  }
+}
+`
+
+describe('plugins/sandbox', () => {
+  let installPath
+  let sandbox
+
+  const createSandbox = (permissions = [], options = {}) => {
+    sandbox = new PluginSandbox({
+      id: 'sandbox-test',
+      version: '1.0.0',
+      installPath,
+      config: {},
+      permissions
+    }, { callTimeout: 1000, ...options })
+    return sandbox
+  }
+
+  beforeAll(async () => {
+    installPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-plugin-'))
+    await fs.outputFile(path.join(installPath, 'server', 'index.js'), PLUGIN_CODE)
+    await fs.outputFile(path.join(installPath, 'server', 'routes', 'index.js'), ROUTES_CODE)
+    await fs.outputFile(path.join(installPath, 'graphql', 'resolvers.js'), RESOLVERS_CODE)
+  })
+
+  afterAll(async () => {
+    await fs.remove(installPath)
+  })
+
+  beforeEach(() => {
+    WIKI.cache = { get: jest.fn(() => 'cached'), set: jest.fn(), del: jest.fn() }
+    WIKI.events = { outbound: new EventEmitter() }
+  })
+
+  afterEach(async () => {
+    if (sandbox) {
+      await sandbox.stop()
+      sandbox = null
+    }
+  })
+
+  describe('running plugins', () => {
+    it('loads the plugin in a worker and calls its methods', async () => {
+      const instance = await createSandbox().start()
+
+      expect(typeof instance.greet).toBe('function')
+      await expect(instance.greet('Alice')).resolves.toEqual({
+        greeting: 'Hello Alice',
+        initialized: true,
+        plugin: 'sandbox-test'
+      })
+    })
+
+    it('runs hook handlers and returns their result', async () => {
+      const instance = await createSandbox().start()
+
+      expect(Object.keys(instance.hooks)).toEqual(['page:validate'])
+      await expect(instance.hooks['page:validate']({ page: { content: 'Hi' } })).resolves.toEqual({
+        canProceed: false,
+        blockReason: 'Too short'
+      })
+    })
+  })
+
+  describe('capabilities', () => {
+    it('only exposes the APIs of granted permissions', async () => {
+      let instance = await createSandbox().start()
+      await expect(instance.listCapabilities()).resolves.toEqual(['logger', 'plugin'])
+      await sandbox.stop()
+
+      instance = await createSandbox(['cache:read', 'config:read']).start()
+      await expect(instance.listCapabilities()).resolves.toEqual(['cache', 'config', 'logger', 'plugin'])
+    })
+
+    it('checks permissions and scopes cache keys in the main process', async () => {
+      const instance = await createSandbox(['cache:read']).start()
+
+      await expect(instance.readCache('stats')).resolves.toBe('cached')
+      expect(WIKI.cache.get).toHaveBeenCalledWith('plugin:sandbox-test:stats')
+
+      await expect(instance.writeCache('stats', 1)).rejects.toThrow('does not have permission: cache:write')
+      expect(WIKI.cache.set).not.toHaveBeenCalled()
+    })
+
+    it('blocks restricted modules', async () => {
+      const instance = await createSandbox().start()
+
+      await expect(instance.loadModule('child_process')).rejects.toThrow('not allowed to load module child_process')
+      await expect(instance.loadModule('https')).rejects.toThrow('requires the network:request permission')
+      await expect(instance.loadModule('path')).resolves.toBe(true)
+    })
+
+    it('blocks restricted modules loaded with import()', async () => {
+      const file = path.join(installPath, 'imported.txt')
+      await fs.outputFile(file, 'original')
+
+      let instance = await createSandbox().start()
+      await expect(instance.importModule('child_process')).rejects.toThrow('not allowed to load module child_process')
+      await expect(instance.execImported()).rejects.toThrow('not allowed to load module child_process')
+      await expect(instance.importModule('node:net')).rejects.toThrow('requires the network:request permission')
+      await expect(instance.importModule('fs')).rejects.toThrow('requires the filesystem:read permission')
+      await expect(instance.importModule('path')).resolves.toBe(true)
+      await sandbox.stop()
+
+      instance = await createSandbox(['filesystem:read']).start()
+      await expect(instance.writeFileImported(file)).rejects.toThrow('requires the filesystem:write permission to call fs.writeFileSync()')
+      expect(await fs.readFile(file, 'utf8')).toBe('original')
+    })
+
+    it('blocks network globals and signals to the host process', async () => {
+      const instance = await createSandbox().start()
+
+      await expect(instance.useFetch()).rejects.toThrow('requires the network:request permission to use fetch')
+      await expect(instance.killProcess()).rejects.toThrow('is not allowed to call process.kill()')
+      expect(sandbox.isRunning()).toBe(true)
+    })
+
+    it('only allows writing files with filesystem:write', async () => {
+      const file = path.join(installPath, 'data.txt')
+      await fs.outputFile(file, 'original')
+
+      let instance = await createSandbox(['filesystem:read']).start()
+      await expect(instance.readFile(file)).resolves.toBe('original')
+      await expect(instance.writeFile(file)).rejects.toThrow('requires the filesystem:write permission to call fs.writeFileSync()')
+      await expect(instance.openForWriting(file)).rejects.toThrow('requires the filesystem:write permission to open files for writing')
+      await expect(instance.writeFileAsync(file)).rejects.toThrow('requires the filesystem:write permission to call fs.promises.writeFile()')
+      expect(await fs.readFile(file, 'utf8')).toBe('original')
+      await sandbox.stop()
+
+      instance = await createSandbox(['filesystem:read', 'filesystem:write']).start()
+      await expect(instance.writeFile(file)).resolves.toBe(true)
+      expect(await fs.readFile(file, 'utf8')).toBe('written')
+    })
+  })
+
+  describe('routes and resolvers', () => {
+    const request = (method, url, extra = {}) => ({ method, url, query: {}, body: {}, headers: {}, user: null, ...extra })
+
+    it('runs routes in the worker with api:extend', async () => {
+      await createSandbox(['api:extend']).start()
+
+      expect(sandbox.routes).toBe(true)
+      await expect(sandbox.handleRoute(request('GET', '/hello/bob?x=1', { query: { x: '1' }, user: { id: 5 } }))).resolves.toEqual({
+        status: 200,
+        headers: {},
+        body: { hello: 'bob', query: { x: '1' }, user: { id: 5 }, hasLogger: 'object' },
+        isJson: true
+      })
+      await expect(sandbox.handleRoute(request('POST', '/echo', { body: { text: 'hi' } }))).resolves.toEqual({
+        status: 201,
+        headers: { 'x-custom': 'yes' },
+        body: 'hi',
+        isJson: false
+      })
+      await expect(sandbox.handleRoute(request('GET', '/missing'))).resolves.toMatchObject({ status: 404 })
+      await expect(sandbox.handleRoute(request('GET', '/error'))).rejects.toThrow('Route failed')
+      await expect(sandbox.handleRoute(request('GET', '/listen'))).rejects.toThrow('is not allowed to start a server')
+    })
+
+    it('runs resolvers in the worker with graphql:extend', async () => {
+      await createSandbox(['graphql:extend']).start()
+
+      expect(sandbox.resolvers).toEqual({ Query: ['hello'] })
+      await expect(sandbox.resolve('Query', 'hello', undefined, { name: 'Ann' }, { user: { id: 5 } })).resolves.toEqual({
+        text: 'Hello Ann',
+        user: { id: 5 },
+        plugin: 'sandbox-test'
+      })
+      await expect(sandbox.resolve('Query', 'missing', undefined, {}, {})).rejects.toThrow('does not resolve Query.missing')
+    })
+
+    it('does not load routes and resolvers without api:extend / graphql:extend', async () => {
+      await createSandbox().start()
+
+      expect(sandbox.routes).toBe(false)
+      expect(sandbox.resolvers).toEqual({})
+      await expect(sandbox.handleRoute(request('GET', '/hello/bob'))).rejects.toThrow('does not have permission: api:extend')
+      await expect(sandbox.resolve('Query', 'hello', undefined, { name: 'Ann' }, {})).rejects.toThrow('does not have permission: graphql:extend')
+    })
+  })
+
+  describe('queries', () => {
+    const plugin = { id: 'sandbox-test', permissions: ['database:read', 'database:write'] }
+
+    it('restricts queries to the plugin tables without database:core', async () => {
+      await expect(capabilities.runQuery(plugin, { table: 'users', action: 'select' })).rejects.toThrow('does not have permission: database:core')
+      await expect(capabilities.runQuery({ ...plugin, permissions: ['database:read'] }, {
+        table: 'plugin_sandbox-test_events',
+        action: 'insert',
+        data: { name: 'x' }
+      })).rejects.toThrow('does not have permission: database:write')
+    })
+
+    it('refuses updates without a where condition', async () => {
+      await expect(capabilities.runQuery(plugin, {
+        table: 'plugin_sandbox-test_events',
+        action: 'update',
+        data: { name: 'x' }
+      })).rejects.toThrow('add a where condition')
+    })
+
+    it('builds the query from the spec', async () => {
+      const builder = createMockQueryBuilder()
+      builder.orderBy = jest.fn(() => builder)
+      builder.limit = jest.fn(() => builder)
+      WIKI.models.knex = jest.fn(() => builder)
+
+      await capabilities.runQuery(plugin, {
+        table: 'plugin_sandbox-test_events',
+        action: 'select',
+        where: [['status', '=', 'active'], ['id', 'in', [1, 2]]],
+        orderBy: [['createdAt', 'desc']],
+        limit: 10
+      })
+
+      expect(WIKI.models.knex).toHaveBeenCalledWith('plugin_sandbox-test_events')
+      expect(builder.where).toHaveBeenCalledWith('status', '=', 'active')
+      expect(builder.whereIn).toHaveBeenCalledWith('id', [1, 2])
+      expect(builder.orderBy).toHaveBeenCalledWith('createdAt', 'desc')
+      expect(builder.limit).toHaveBeenCalledWith(10)
+      expect(builder.select).toHaveBeenCalledWith('*')
+    })
+  })
+
+  describe('recovery', () => {
+    it('restarts a plugin that hangs', async () => {
+      const instance = await createSandbox().start()
+
+      await expect(instance.hang()).rejects.toThrow('timed out after 1000ms in hang()')
+      expect(sandbox.status).toBe('restarting')
+
+      await new Promise(resolve => setTimeout(resolve, 2500))
+      expect(sandbox.status).toBe('running')
+      await expect(sandbox.instance.greet('Bob')).resolves.toMatchObject({ greeting: 'Hello Bob' })
+    }, 10000)
+
+    it('gives up on a plugin that keeps crashing', async () => {
+      const patch = jest.fn(() => ({ where: jest.fn() }))
+      WIKI.models.plugins.query = jest.fn(() => ({ patch }))
+
+      const instance = await createSandbox([], { maxRestarts: 0 }).start()
+      await instance.crash()
+
+      await new Promise(resolve => setTimeout(resolve, 500))
+      expect(sandbox.status).toBe('failed')
+      expect(patch).toHaveBeenCalledWith(expect.objectContaining({ status: 'error' }))
+      await expect(instance.greet('Carol')).rejects.toThrow('Plugin sandbox-test is not running')
+    })
+  })
+})
@@ -0,0 +1,211 @@
+/**
+ * Plugin Upgrade Tests
+ *
+ * Tests staging, applying and rolling back in-place plugin upgrades
+ */
+
+const AdmZip = require('adm-zip')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const _ = require('lodash')
+const { createMockWIKI } = require('../helpers/plugin-test-utils')
+
+jest.mock('../../plugins/runtime')
+jest.mock('../../plugins/hooks')
+
+global.WIKI = createMockWIKI()
+
+const runtime = require('../../plugins/runtime')
+const security = require('../../plugins/security')
+const manager = require('../../plugins/manager')
+
+const MIGRATION_CODE = `
+exports.up = async (knex) => { knex.log.push('up') }
+exports.down = async (knex) => { knex.log.push('down') }
+`
+
+/**
+ * Build a plugin ZIP in the temp folder
+ */
+function createPluginZip(dir, { version, permissions = ['config:read'], migrations = [], config = {} }) {
+  const zip = new AdmZip()
+  zip.addFile('plugin.yml', Buffer.from(yaml.dump({
+    id: 'upgrade-test',
+    name: 'Upgrade Test',
+    version,
+    permissions,
+    config: { schema: config }
+  })))
+  zip.addFile('server/index.js', Buffer.from(`module.exports = { version: '${version}' }`))
+  for (const name of migrations) {
+    zip.addFile(`migrations/${name}`, Buffer.from(MIGRATION_CODE))
+  }
+  const zipPath = path.join(dir, `upgrade-test-${version}.zip`)
+  zip.writeZip(zipPath)
+  return zipPath
+}
+
+describe('plugins/upgrade', () => {
+  let rootPath
+  let installPath
+  let row
+  let executedMigrations
+  let trx
+
+  beforeEach(async () => {
+    jest.clearAllMocks()
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wiki-upgrade-'))
+    installPath = path.join(rootPath, 'plugins', 'installed', 'upgrade-test')
+    await fs.outputFile(path.join(installPath, 'plugin.yml'), 'id: upgrade-test\nversion: 1.0.0\n')
+    await fs.outputFile(path.join(installPath, 'server', 'index.js'), `module.exports = { version: '1.0.0' }`)
+
+    row = {
+      id: 'upgrade-test',
+      name: 'Upgrade Test',
+      version: '1.0.0',
+      config: { greeting: 'Hi' },
+      permissions: ['config:read', 'cache:read'],
+      isEnabled: false,
+      installPath,
+      status: 'inactive'
+    }
+    executedMigrations = []
+    trx = { log: [] }
+
+    global.WIKI = createMockWIKI()
+    WIKI.ROOTPATH = rootPath
+    WIKI.config = { autoRestartOnPluginChange: false }
+    WIKI.models.knex.transaction = jest.fn(fn => fn(trx))
+    WIKI.models.plugins.query = jest.fn(() => ({
+      findById: jest.fn(async () => _.cloneDeep(row)),
+      patch: jest.fn(data => ({
+        where: jest.fn(async () => { Object.assign(row, data) })
+      }))
+    }))
+    WIKI.models.pluginPermissions.query = jest.fn(() => ({
+      delete: jest.fn(() => ({ where: jest.fn() })),
+      insert: jest.fn()
+    }))
+    WIKI.models.pluginDependencies.query = jest.fn(() => ({
+      where: jest.fn(() => ({ where: jest.fn(async () => []) })),
+      delete: jest.fn(() => ({ where: jest.fn() })),
+      insert: jest.fn()
+    }))
+    WIKI.models.pluginMigrations.query = jest.fn(() => ({
+      where: jest.fn(() => ({
+        select: jest.fn(async () => executedMigrations.map(migrationName => ({ migrationName })))
+      })),
+      insert: jest.fn(async ({ migrationName }) => { executedMigrations.push(migrationName) }),
+      delete: jest.fn(() => ({
+        where: jest.fn(async ({ migrationName }) => { _.pull(executedMigrations, migrationName) })
+      }))
+    }))
+  })
+
+  afterEach(async () => {
+    await fs.remove(rootPath)
+  })
+
+  describe('diffPermissions', () => {
+    it('lists added and removed permissions', () => {
+      expect(security.diffPermissions(['config:read', 'cache:read'], ['config:read', 'network:request'])).toEqual({
+        added: ['network:request'],
+        removed: ['cache:read']
+      })
+      expect(security.diffPermissions(null, ['config:read'])).toEqual({ added: ['config:read'], removed: [] })
+    })
+  })
+
+  describe('prepareUpgrade', () => {
+    it('stages the ZIP and returns the permission changes', async () => {
+      const zipPath = createPluginZip(rootPath, { version: '1.1.0', permissions: ['config:read', 'network:request'] })
+
+      const plan = await manager.prepareUpgrade(zipPath)
+
+      expect(plan).toMatchObject({
+        pluginId: 'upgrade-test',
+        fromVersion: '1.0.0',
+        toVersion: '1.1.0',
+        addedPermissions: [{ permission: 'network:request', description: 'Make HTTP requests' }],
+        removedPermissions: [{ permission: 'cache:read', description: 'Read from cache' }],
+        requiresApproval: true
+      })
+      expect(await fs.pathExists(manager.getStagedUpgradePath('upgrade-test'))).toBe(true)
+      expect(await fs.pathExists(zipPath)).toBe(false)
+    })
+
+    it('refuses a version that is not newer', async () => {
+      const zipPath = createPluginZip(rootPath, { version: '1.0.0' })
+
+      await expect(manager.prepareUpgrade(zipPath)).rejects.toThrow('is not newer than the installed version 1.0.0')
+    })
+  })
+
+  describe('upgradePlugin', () => {
+    it('requires approval of new permissions', async () => {
+      await manager.prepareUpgrade(createPluginZip(rootPath, { version: '1.1.0', permissions: ['config:read', 'network:request'] }))
+
+      await expect(manager.upgradePlugin('upgrade-test')).rejects.toThrow('New permissions must be approved before upgrading upgrade-test: network:request')
+      expect(row.version).toBe('1.0.0')
+    })
+
+    it('replaces the files, runs migrations and keeps the config', async () => {
+      row.permissions = ['config:read', 'database:core']
+      await manager.prepareUpgrade(createPluginZip(rootPath, {
+        version: '1.1.0',
+        permissions: ['config:read', 'database:core'],
+        migrations: ['001_init.js'],
+        config: { greeting: { default: 'Hello' }, color: { default: 'blue' } }
+      }))
+
+      const result = await manager.upgradePlugin('upgrade-test')
+
+      expect(result).toMatchObject({ fromVersion: '1.0.0', toVersion: '1.1.0', requiresRestart: false })
+      expect(row.version).toBe('1.1.0')
+      expect(row.config).toEqual({ greeting: 'Hi', color: 'blue' })
+      expect(row.permissions).toEqual(['config:read', 'database:core'])
+      expect(trx.log).toEqual(['up'])
+      expect(executedMigrations).toEqual(['001_init.js'])
+      expect(await fs.readFile(path.join(installPath, 'server', 'index.js'), 'utf8')).toContain('1.1.0')
+      expect(await fs.pathExists(path.join(rootPath, 'plugins', 'backup', 'upgrade-test'))).toBe(false)
+      expect(await fs.pathExists(manager.getStagedUpgradePath('upgrade-test'))).toBe(false)
+    })
+
+    it('refuses to run migrations without database:core', async () => {
+      await manager.prepareUpgrade(createPluginZip(rootPath, { version: '1.1.0', migrations: ['001_init.js'] }))
+
+      await expect(manager.upgradePlugin('upgrade-test')).rejects.toThrow('requires the database:core permission to run migrations')
+
+      expect(row.version).toBe('1.0.0')
+      expect(trx.log).toEqual([])
+      expect(executedMigrations).toEqual([])
+      expect(await fs.readFile(path.join(installPath, 'server', 'index.js'), 'utf8')).toContain('1.0.0')
+    })
+
+    it('rolls back when the new version fails to activate', async () => {
+      row.permissions = ['config:read', 'cache:read', 'database:core']
+      row.isEnabled = true
+      row.status = 'active'
+      runtime.loadPlugin
+        .mockRejectedValueOnce(new Error('init() failed'))
+        .mockResolvedValueOnce()
+      await manager.prepareUpgrade(createPluginZip(rootPath, { version: '2.0.0', permissions: ['config:read', 'database:core'], migrations: ['001_init.js'] }))
+
+      await expect(manager.upgradePlugin('upgrade-test')).rejects.toThrow('Upgrade of upgrade-test to 2.0.0 failed and was rolled back: init() failed')
+
+      expect(row).toMatchObject({
+        version: '1.0.0',
+        config: { greeting: 'Hi' },
+        permissions: ['config:read', 'cache:read', 'database:core'],
+        status: 'active'
+      })
+      expect(trx.log).toEqual(['up', 'down'])
+      expect(executedMigrations).toEqual([])
+      expect(await fs.readFile(path.join(installPath, 'server', 'index.js'), 'utf8')).toContain('1.0.0')
+      expect(runtime.loadPlugin).toHaveBeenLastCalledWith(expect.objectContaining({ version: '1.0.0' }))
+      expect(runtime.logPluginError).toHaveBeenCalledWith('upgrade-test', 'upgrade_error', expect.any(Error))
+    })
+  })
+})